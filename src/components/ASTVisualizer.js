@@ -167,11 +167,43 @@ const ASTVisualizer = ({ ast }) => {
           </span>
         );
       case "BinaryExpression":
+      case "AssignmentExpression":
+      case "UnaryExpression":
         return <span className="node-preview">{node.operator}</span>;
+      case "UpdateExpression":
+        return (
+          <span className="node-preview">
+            {node.prefix ? `${node.operator}x` : `x${node.operator}`}
+          </span>
+        );
       case "VariableDeclaration":
         return <span className="node-preview">{node.type}</span>;
       case "FunctionDeclaration":
         return node.id && <span className="node-preview">{node.id.name}</span>;
+      case "StructDeclaration":
+      case "UnionDeclaration":
+      case "EnumDeclaration":
+        return (
+          <span className="node-preview">
+            {node.id ? node.id.name : "(anonymous)"}
+          </span>
+        );
+      case "FieldDeclaration":
+        return (
+          <span className="node-preview">
+            {node.id ? node.id.name : "(unnamed)"}
+            {node.bitWidth && " : bit-field"}
+          </span>
+        );
+      case "Enumerator":
+        return <span className="node-preview">{node.id.name}</span>;
+      case "SwitchCase":
+        return (
+          <span className="node-preview">{node.test ? "case" : "default"}</span>
+        );
+      case "LabeledStatement":
+      case "GotoStatement":
+        return <span className="node-preview">{node.label.name}</span>;
       default:
         return null;
     }
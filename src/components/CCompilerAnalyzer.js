@@ -9,19 +9,35 @@ import SyntaxErrors from "./SyntaxErrors";
 import SemanticAnalyzer from "./SemanticAnalyzer";
 import SymbolTable from "./SymbolTable";
 import SemanticErrors from "./SemanticErrors";
+import ControlFlowGraph from "./ControlFlowGraph";
 import { lexer } from "../utils/lexer";
+import { preprocessor, mapTokensToSource } from "../utils/preprocessor";
 import { parser } from "../utils/parser";
-import { semanticAnalyzer } from "../utils/semanticAnalyzer";
+import {
+  conversionWarnings,
+  semanticAnalyzer,
+  usageWarnings,
+} from "../utils/semanticAnalyzer";
+import { securityRules } from "../utils/securityRules";
 import "../styles/components/CCompilerAnalyzer.css";
 
+// Warnings (e.g. from #warning or an implicit conversion) are shown but do
+// not stop later phases or hide their results
+const isBlockingError = (error) => error.severity !== "warning";
+
 const CCompilerAnalyzer = () => {
   const [code, setCode] = useState("");
   const [tokens, setTokens] = useState([]);
   const [ast, setAst] = useState(null);
   const [syntaxErrors, setSyntaxErrors] = useState([]);
   const [symbolTable, setSymbolTable] = useState({});
+  const [scopeTree, setScopeTree] = useState(null);
   const [semanticErrors, setSemanticErrors] = useState([]);
+  // Error whose witness path is highlighted in the editor
+  const [highlightedError, setHighlightedError] = useState(null);
   const [activeTab, setActiveTab] = useState("lexical");
+  // Implicit-conversion warnings turned off by the user
+  const [warningOptions, setWarningOptions] = useState({});
 
   // New state for tracking analysis status
   const [analysisState, setAnalysisState] = useState({
@@ -42,7 +58,9 @@ const CCompilerAnalyzer = () => {
         setAst(null);
         setSyntaxErrors([]);
         setSymbolTable({});
+        setScopeTree(null);
         setSemanticErrors([]);
+        setHighlightedError(null);
         setAnalysisState((prev) => ({
           ...prev,
           syntax: false,
@@ -64,18 +82,29 @@ const CCompilerAnalyzer = () => {
     if (tokens.length === 0) return;
 
     try {
-      const { ast: newAst, errors } = parser(tokens);
+      // Expand macros and conditionals, then lex the result with positions
+      // mapped back onto the original code
+      const expansion = preprocessor(code);
+      const expandedTokens = mapTokensToSource(
+        lexer(expansion.code),
+        expansion.sourceMap,
+        code
+      );
+      const { ast: newAst, errors: parseErrors } = parser(expandedTokens);
+      const errors = [...expansion.errors, ...parseErrors];
       setAst(newAst);
       setSyntaxErrors(errors);
       setAnalysisState((prev) => ({ ...prev, syntax: true }));
 
       // Reset semantic analysis
       setSymbolTable({});
+      setScopeTree(null);
       setSemanticErrors([]);
+      setHighlightedError(null);
       setAnalysisState((prev) => ({ ...prev, semantic: false }));
 
       // Automatically switch to syntax tab if no errors
-      if (errors.length === 0) {
+      if (!errors.some(isBlockingError)) {
         setActiveTab("syntax");
       }
     } catch (error) {
@@ -92,21 +121,25 @@ const CCompilerAnalyzer = () => {
 
     try {
       // Pass both AST and source code to semantic analyzer
-      const { symbolTable: newSymbolTable, errors } = semanticAnalyzer(
-        ast,
-        code
-      );
+      const {
+        symbolTable: newSymbolTable,
+        scopeTree: newScopeTree,
+        errors,
+      } = semanticAnalyzer(ast, code, { warnings: warningOptions });
       setSymbolTable(newSymbolTable);
+      setScopeTree(newScopeTree);
       setSemanticErrors(errors);
+      setHighlightedError(null);
       setAnalysisState((prev) => ({ ...prev, semantic: true }));
 
       // Automatically switch to semantic tab if no errors
-      if (errors.length === 0) {
+      if (!errors.some(isBlockingError)) {
         setActiveTab("semantic");
       }
     } catch (error) {
       console.error("Semantic analyzer error:", error);
       setSymbolTable({});
+      setScopeTree(null);
       setSemanticErrors([{ message: error.message, location: "unknown" }]);
       setAnalysisState((prev) => ({ ...prev, semantic: false }));
     }
@@ -114,12 +147,21 @@ const CCompilerAnalyzer = () => {
 
   // Determine if we can proceed to the next phase
   const canRunSyntaxAnalysis = tokens.length > 0;
-  const canRunSemanticAnalysis = ast && syntaxErrors.length === 0;
+  const canRunSemanticAnalysis = ast && !syntaxErrors.some(isBlockingError);
 
   return (
     <div className="container">
       <div className="code-area">
-        <CodeInput code={code} setCode={setCode} />
+        <CodeInput
+          code={code}
+          setCode={setCode}
+          greyedRanges={semanticErrors
+            .filter((error) => error.unreachable)
+            .map((error) => error.range)}
+          highlightedLines={
+            highlightedError?.witness.map((step) => step.line) || []
+          }
+        />
         <div className="analysis-controls">
           <button
             className={`analyze-btn ${analysisState.lexical ? "complete" : ""}`}
@@ -136,6 +178,30 @@ const CCompilerAnalyzer = () => {
             Run Semantic Analysis
           </button>
         </div>
+        {[
+          ["Conversion warnings", conversionWarnings],
+          ["Usage warnings", usageWarnings],
+          ["Security rules", securityRules],
+        ].map(([title, group]) => (
+          <div className="warning-options" key={title}>
+            <span>{title}:</span>
+            {Object.entries(group).map(([warning, label]) => (
+              <label key={warning}>
+                <input
+                  type="checkbox"
+                  checked={warningOptions[warning] !== false}
+                  onChange={(e) =>
+                    setWarningOptions((prev) => ({
+                      ...prev,
+                      [warning]: e.target.checked,
+                    }))
+                  }
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        ))}
       </div>
 
       <div className="analysis-area">
@@ -160,6 +226,13 @@ const CCompilerAnalyzer = () => {
           >
             Semantic Analysis
           </button>
+          <button
+            className={`tab ${activeTab === "controlFlow" ? "active" : ""}`}
+            onClick={() => setActiveTab("controlFlow")}
+            disabled={!ast || syntaxErrors.some(isBlockingError)}
+          >
+            Control Flow
+          </button>
         </div>
 
         <div className="tab-content">
@@ -177,9 +250,10 @@ const CCompilerAnalyzer = () => {
           {activeTab === "syntax" && (
             <>
               <h2>Abstract Syntax Tree</h2>
-              {syntaxErrors.length > 0 ? (
+              {syntaxErrors.length > 0 && (
                 <SyntaxErrors errors={syntaxErrors} code={code} />
-              ) : (
+              )}
+              {!syntaxErrors.some(isBlockingError) && (
                 <ASTVisualizer ast={ast} />
               )}
             </>
@@ -188,18 +262,38 @@ const CCompilerAnalyzer = () => {
           {activeTab === "semantic" && (
             <>
               <h2>Semantic Analysis</h2>
-              {semanticErrors.length > 0 ? (
-                <SemanticErrors errors={semanticErrors} code={code} />
-              ) : (
+              {semanticErrors.length > 0 && (
+                <SemanticErrors
+                  errors={semanticErrors.filter(isBlockingError)}
+                  warnings={semanticErrors.filter(
+                    (error) => !isBlockingError(error)
+                  )}
+                  code={code}
+                  highlightedError={highlightedError}
+                  onHighlight={setHighlightedError}
+                />
+              )}
+              {!semanticErrors.some(isBlockingError) && (
                 <>
                   <SemanticAnalyzer ast={ast} />
                   <h3>Symbol Table</h3>
                   {/* Pass source code to SymbolTable component */}
-                  <SymbolTable symbolTable={symbolTable} sourceCode={code} />
+                  <SymbolTable
+                    symbolTable={symbolTable}
+                    scopeTree={scopeTree}
+                    sourceCode={code}
+                  />
                 </>
               )}
             </>
           )}
+
+          {activeTab === "controlFlow" && (
+            <>
+              <h2>Control Flow Graph</h2>
+              <ControlFlowGraph ast={ast} code={code} />
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -1,13 +1,65 @@
-import React from "react";
+import React, { useRef } from "react";
 import "../styles/components/CodeInput.css";
 import sampleCode from "../data/sampleCode";
 
-const CodeInput = ({ code, setCode }) => {
+/**
+ * Code editor. `greyedRanges` ({ start, end } source offsets, e.g. code
+ * found unreachable) and `highlightedLines` (line numbers, e.g. the path
+ * to a warning) are shaded by a backdrop that scrolls with the text.
+ */
+const CodeInput = ({
+  code,
+  setCode,
+  greyedRanges = [],
+  highlightedLines = [],
+}) => {
+  const backdropRef = useRef(null);
+
   // Handle the code input changes
   const handleCodeChange = (e) => {
     setCode(e.target.value);
   };
 
+  // Keep the backdrop aligned with the scrolled text
+  const syncScroll = (e) => {
+    backdropRef.current.scrollTop = e.target.scrollTop;
+    backdropRef.current.scrollLeft = e.target.scrollLeft;
+  };
+
+  // Source range of a line
+  const lines = code.split("\n");
+  const lineRange = (line) => {
+    const start = lines
+      .slice(0, line - 1)
+      .reduce((offset, text) => offset + text.length + 1, 0);
+    return { start, end: start + (lines[line - 1] || "").length };
+  };
+
+  // Split the code into plain and shaded segments for the backdrop
+  const shadedRanges = [
+    ...greyedRanges.map((range) => ({ ...range, className: "greyed-code" })),
+    ...highlightedLines.map((line) => ({
+      ...lineRange(line),
+      className: "highlighted-line",
+    })),
+  ];
+  const backdropSegments = [];
+  let position = 0;
+  shadedRanges
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end, className }) => {
+      if (start < position) return;
+      backdropSegments.push(code.slice(position, start));
+      backdropSegments.push(
+        <mark key={start} className={className}>
+          {code.slice(start, end)}
+        </mark>
+      );
+      position = end;
+    });
+  // A trailing newline keeps the last line's height
+  backdropSegments.push(`${code.slice(position)}\n`);
+
   // Load sample code examples
   const loadSample = (sampleIndex) => {
     if (sampleCode[sampleIndex]) {
@@ -31,13 +83,23 @@ const CodeInput = ({ code, setCode }) => {
           </select>
         </div>
       </div>
-      <textarea
-        className="code-editor"
-        value={code}
-        onChange={handleCodeChange}
-        placeholder="Enter C code here..."
-        spellCheck="false"
-      />
+      <div className="code-editor-wrapper">
+        <div
+          className="code-editor-backdrop"
+          ref={backdropRef}
+          aria-hidden="true"
+        >
+          {backdropSegments}
+        </div>
+        <textarea
+          className="code-editor"
+          value={code}
+          onChange={handleCodeChange}
+          onScroll={syncScroll}
+          placeholder="Enter C code here..."
+          spellCheck="false"
+        />
+      </div>
     </div>
   );
 };
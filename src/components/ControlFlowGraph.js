@@ -0,0 +1,347 @@
+import React, { useMemo, useState } from "react";
+import {
+  buildControlFlowGraphs,
+  statementText,
+  toDot,
+} from "../utils/controlFlow";
+import "../styles/components/ControlFlowGraph.css";
+
+// Drawing sizes in pixels
+const lineHeight = 16;
+const charWidth = 7.2;
+const blockPadding = 8;
+const layerGap = 44;
+const blockGap = 28;
+const margin = 16;
+const maxLabelLength = 36;
+
+const truncate = (text) =>
+  text.length > maxLabelLength ? `${text.slice(0, maxLabelLength - 1)}…` : text;
+
+// Text lines of a block: its id, then one line per statement
+const blockLines = (block, code) =>
+  block.kind === "basic"
+    ? [
+        block.id,
+        ...block.statements.map((node) => truncate(statementText(node, code))),
+      ]
+    : [block.kind.toUpperCase()];
+
+/**
+ * Place the blocks of a graph in layers by their longest distance from
+ * the entry, ignoring loop back edges, with each layer centered. Returns
+ * { boxes, backEdges, width, height } where boxes maps block ids to
+ * { x, y, width, height, lines }.
+ */
+const layoutGraph = (graph, code) => {
+  const byId = Object.fromEntries(
+    graph.blocks.map((block) => [block.id, block])
+  );
+
+  // Edges that close a loop, found by a depth-first search from the entry
+  // (unreachable blocks start searches of their own)
+  const backEdges = new Set();
+  const state = {};
+  const search = (id) => {
+    state[id] = "open";
+    byId[id].successors.forEach(({ to }) => {
+      if (state[to] === "open") backEdges.add(`${id}->${to}`);
+      else if (!state[to]) search(to);
+    });
+    state[id] = "done";
+  };
+  search(graph.entry);
+  graph.blocks.forEach((block) => !state[block.id] && search(block.id));
+
+  // Longest path over the forward edges; the exit goes at the bottom
+  const layers = Object.fromEntries(graph.blocks.map((block) => [block.id, 0]));
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const block of graph.blocks) {
+      for (const { to } of block.successors) {
+        if (
+          !backEdges.has(`${block.id}->${to}`) &&
+          layers[to] < layers[block.id] + 1
+        ) {
+          layers[to] = layers[block.id] + 1;
+          changed = true;
+        }
+      }
+    }
+  }
+  layers[graph.exit] =
+    Math.max(
+      0,
+      ...graph.blocks
+        .filter((block) => block.id !== graph.exit)
+        .map((block) => layers[block.id])
+    ) + 1;
+
+  const rows = [];
+  graph.blocks.forEach((block) => {
+    const lines = blockLines(block, code);
+    const box = {
+      lines,
+      width:
+        Math.max(...lines.map((line) => line.length)) * charWidth +
+        2 * blockPadding,
+      height: lines.length * lineHeight + 2 * blockPadding,
+    };
+    (rows[layers[block.id]] = rows[layers[block.id]] || []).push([
+      block.id,
+      box,
+    ]);
+  });
+
+  const rowWidth = (row) =>
+    row.reduce((sum, [, box]) => sum + box.width, 0) +
+    (row.length - 1) * blockGap;
+  const contentWidth = Math.max(...rows.filter(Boolean).map(rowWidth));
+
+  const boxes = {};
+  let y = margin;
+  rows.filter(Boolean).forEach((row) => {
+    let x = margin + (contentWidth - rowWidth(row)) / 2;
+    row.forEach(([id, box]) => {
+      boxes[id] = { ...box, x, y };
+      x += box.width + blockGap;
+    });
+    y += Math.max(...row.map(([, box]) => box.height)) + layerGap;
+  });
+
+  return {
+    boxes,
+    backEdges,
+    // Room on the right for the loop edges
+    width: contentWidth + 2 * margin + 24 + backEdges.size * 12,
+    height: y - layerGap + margin,
+  };
+};
+
+// SVG path of an edge: forward edges run from the bottom of one block to
+// the top of the next, back edges loop around the right-hand side
+const edgePath = (from, to, isBack, offset) => {
+  if (isBack) {
+    const x1 = from.x + from.width;
+    const y1 = from.y + from.height / 2;
+    const x2 = to.x + to.width;
+    const y2 = to.y + to.height / 2;
+    const bend = Math.max(x1, x2) + offset;
+    return {
+      d: `M ${x1} ${y1} C ${bend} ${y1}, ${bend} ${y2}, ${x2} ${y2}`,
+      labelAt: { x: bend - 4, y: (y1 + y2) / 2 },
+    };
+  }
+  const x1 = from.x + from.width / 2;
+  const y1 = from.y + from.height;
+  const x2 = to.x + to.width / 2;
+  const y2 = to.y;
+  return {
+    d: `M ${x1} ${y1} C ${x1} ${y1 + layerGap / 2}, ${x2} ${
+      y2 - layerGap / 2
+    }, ${x2} ${y2}`,
+    labelAt: { x: x1 + (x2 - x1) * 0.25 + 4, y: y1 + 14 },
+  };
+};
+
+/**
+ * Control-flow graph of each function, drawn as SVG. Clicking a block
+ * highlights its source lines and clicking a source line selects the
+ * block that contains it. The graphs can be exported as Graphviz DOT.
+ */
+const ControlFlowGraph = ({ ast, code }) => {
+  const graphs = useMemo(() => buildControlFlowGraphs(ast, code), [ast, code]);
+  const [functionIndex, setFunctionIndex] = useState(0);
+  const [selectedBlock, setSelectedBlock] = useState(null);
+
+  if (graphs.length === 0) {
+    return (
+      <div className="cfg-container">
+        <p className="no-data-message">
+          No function definitions to build a control-flow graph for.
+        </p>
+      </div>
+    );
+  }
+
+  const graph = graphs[functionIndex] || graphs[0];
+  const { boxes, backEdges, width, height } = layoutGraph(graph, code);
+
+  const lineOf = (offset) => code.slice(0, offset).split("\n").length;
+
+  // Source lines covered by each block's statements
+  const blockLineSets = Object.fromEntries(
+    graph.blocks.map((block) => {
+      const lines = new Set();
+      block.statements.forEach((node) => {
+        if (!node.location) return;
+        const last = lineOf(node.location.end);
+        for (let line = lineOf(node.location.start); line <= last; line++) {
+          lines.add(line);
+        }
+      });
+      return [block.id, lines];
+    })
+  );
+  const highlighted = blockLineSets[selectedBlock] || new Set();
+
+  const firstLine = lineOf(graph.location.start);
+  const sourceLines = code
+    .split("\n")
+    .slice(firstLine - 1, lineOf(graph.location.end));
+
+  const selectLine = (line) => {
+    const block = graph.blocks.find((b) => blockLineSets[b.id].has(line));
+    if (block) setSelectedBlock(block.id);
+  };
+
+  const exportDot = () => {
+    const blob = new Blob([toDot(graphs, code)], { type: "text/vnd.graphviz" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "control-flow.dot";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  let backEdgeCount = 0;
+
+  return (
+    <div className="cfg-container">
+      <div className="cfg-controls">
+        <label>
+          Function:{" "}
+          <select
+            value={graphs.indexOf(graph)}
+            onChange={(e) => {
+              setFunctionIndex(Number(e.target.value));
+              setSelectedBlock(null);
+            }}
+          >
+            {graphs.map((g, index) => (
+              <option key={index} value={index}>
+                {g.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <span className="cfg-summary">
+          {graph.blocks.length - 2} basic blocks
+        </span>
+        <button type="button" className="cfg-export" onClick={exportDot}>
+          Export DOT
+        </button>
+      </div>
+
+      <div className="cfg-panes">
+        <div className="cfg-drawing">
+          <svg width={width} height={height}>
+            <defs>
+              <marker
+                id="cfg-arrow"
+                viewBox="0 0 8 8"
+                refX="8"
+                refY="4"
+                markerWidth="8"
+                markerHeight="8"
+                orient="auto"
+              >
+                <path d="M 0 0 L 8 4 L 0 8 z" />
+              </marker>
+            </defs>
+
+            {graph.blocks.flatMap((block) =>
+              block.successors.map(({ to, label }, index) => {
+                const isBack = backEdges.has(`${block.id}->${to}`);
+                const { d, labelAt } = edgePath(
+                  boxes[block.id],
+                  boxes[to],
+                  isBack,
+                  isBack ? 24 + 12 * backEdgeCount++ : 0
+                );
+                return (
+                  <g
+                    key={`${block.id}-${to}-${index}`}
+                    className={`cfg-edge ${label || ""} ${
+                      isBack ? "back" : ""
+                    }`}
+                  >
+                    <path d={d} markerEnd="url(#cfg-arrow)" />
+                    {label && (
+                      <text x={labelAt.x} y={labelAt.y}>
+                        {label}
+                      </text>
+                    )}
+                  </g>
+                );
+              })
+            )}
+
+            {graph.blocks.map((block) => {
+              const box = boxes[block.id];
+              return (
+                <g
+                  key={block.id}
+                  className={`cfg-block ${block.kind} ${
+                    selectedBlock === block.id ? "selected" : ""
+                  } ${
+                    block.kind === "basic" && block.predecessors.length === 0
+                      ? "unreachable"
+                      : ""
+                  }`}
+                  onClick={() =>
+                    setSelectedBlock(
+                      selectedBlock === block.id ? null : block.id
+                    )
+                  }
+                >
+                  <rect
+                    x={box.x}
+                    y={box.y}
+                    width={box.width}
+                    height={box.height}
+                    rx={block.kind === "basic" ? 4 : box.height / 2}
+                  />
+                  {box.lines.map((line, index) => (
+                    <text
+                      key={index}
+                      className={
+                        index === 0 && block.kind === "basic" ? "cfg-id" : ""
+                      }
+                      x={box.x + blockPadding}
+                      y={box.y + blockPadding + (index + 0.8) * lineHeight}
+                    >
+                      {line}
+                    </text>
+                  ))}
+                </g>
+              );
+            })}
+          </svg>
+        </div>
+
+        <pre className="cfg-source">
+          {sourceLines.map((text, index) => {
+            const line = firstLine + index;
+            return (
+              <div
+                key={line}
+                className={`cfg-source-line ${
+                  highlighted.has(line) ? "highlighted" : ""
+                }`}
+                onClick={() => selectLine(line)}
+              >
+                <span className="cfg-line-number">{line}</span>
+                {text || " "}
+              </div>
+            );
+          })}
+        </pre>
+      </div>
+    </div>
+  );
+};
+
+export default ControlFlowGraph;
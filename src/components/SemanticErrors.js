@@ -1,11 +1,45 @@
 import React from "react";
 
+// Colours of the two kinds of diagnostic
+const styles = {
+  error: {
+    box: "bg-red-50 border-red-200",
+    header: "bg-red-100 border-red-200 text-red-800",
+    divide: "divide-red-200",
+    hover: "hover:bg-red-50",
+    icon: "text-red-500",
+    title: "text-red-800",
+    text: "text-red-700",
+    code: "text-red-700 bg-red-50",
+  },
+  warning: {
+    box: "bg-yellow-50 border-yellow-200",
+    header: "bg-yellow-100 border-yellow-200 text-yellow-800",
+    divide: "divide-yellow-200",
+    hover: "hover:bg-yellow-50",
+    icon: "text-yellow-500",
+    title: "text-yellow-800",
+    text: "text-yellow-700",
+    code: "text-yellow-700 bg-yellow-50",
+  },
+};
+
 /**
- * Component to display semantic errors found during semantic analysis
+ * Component to display the errors and warnings found during semantic
+ * analysis, each in its own list. Unreachable code is shown as its whole
+ * greyed-out region. Diagnostics with a witness path list its steps, and
+ * onHighlight(error) asks the editor to highlight them (null turns the
+ * highlight off). Findings of the security rules link to their CWE entry.
  */
-const SemanticErrors = ({ errors }) => {
-  // If no errors or empty error array
-  if (!errors || errors.length === 0) {
+const SemanticErrors = ({
+  errors = [],
+  warnings = [],
+  code,
+  highlightedError,
+  onHighlight,
+}) => {
+  // If no errors or warnings
+  if (errors.length === 0 && warnings.length === 0) {
     return (
       <div className="p-4 bg-gray-50 rounded-md">
         <h3 className="text-lg font-medium text-gray-700 mb-2">
@@ -19,57 +53,123 @@ const SemanticErrors = ({ errors }) => {
     );
   }
 
+  // One error or warning, with its code, description and witness path
+  const renderDiagnostic = (error, index, style) => (
+    <li key={index} className={`p-4 ${style.hover}`}>
+      <div className="flex items-start">
+        <div className="flex-shrink-0 mt-0.5">
+          <svg
+            className={`h-5 w-5 ${style.icon}`}
+            xmlns="http://www.w3.org/2000/svg"
+            viewBox="0 0 20 20"
+            fill="currentColor"
+          >
+            <path
+              fillRule="evenodd"
+              d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z"
+              clipRule="evenodd"
+            />
+          </svg>
+        </div>
+        <div className="ml-3">
+          <h4 className={`text-sm font-medium ${style.title}`}>
+            Line {error.line}: {error.message}
+            {error.cwe && (
+              <a
+                className="ml-2 px-1.5 py-0.5 text-xs font-mono text-purple-800 bg-purple-100 rounded hover:underline"
+                href={`https://cwe.mitre.org/data/definitions/${error.cwe.slice(
+                  4
+                )}.html`}
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                {error.cwe}
+              </a>
+            )}
+          </h4>
+          {error.unreachable && code ? (
+            <pre className="mt-1 text-xs text-gray-400 bg-gray-100 p-2 rounded font-mono">
+              {code
+                .split("\n")
+                .slice(error.line - 1, error.endLine)
+                .join("\n")}
+            </pre>
+          ) : (
+            error.code && (
+              <pre
+                className={`mt-1 text-xs p-2 rounded font-mono ${style.code}`}
+              >
+                {error.code}
+              </pre>
+            )
+          )}
+          <p className={`mt-1 text-sm ${style.text}`}>{error.description}</p>
+          {error.witness && (
+            <div className="mt-2">
+              <ol
+                className={`list-decimal list-inside text-xs font-mono ${style.text}`}
+              >
+                {error.witness.map((step, stepIndex) => (
+                  <li key={stepIndex}>
+                    Line {step.line}: {step.note}
+                  </li>
+                ))}
+              </ol>
+              {onHighlight && (
+                <button
+                  type="button"
+                  className="mt-1 text-xs text-blue-600 hover:underline"
+                  onClick={() =>
+                    onHighlight(highlightedError === error ? null : error)
+                  }
+                >
+                  {highlightedError === error
+                    ? "Clear highlight"
+                    : "Highlight path in editor"}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </li>
+  );
+
+  // A list of diagnostics of one kind, under a line counting them
+  const renderList = (diagnostics, kind, footer) => {
+    const style = styles[kind];
+    return (
+      <div className={`mb-4 border rounded-md ${style.box}`}>
+        <div className={`p-3 border-b font-medium ${style.header}`}>
+          Found {diagnostics.length} semantic{" "}
+          {diagnostics.length === 1 ? kind : `${kind}s`}
+        </div>
+        <ul className={`divide-y ${style.divide}`}>
+          {diagnostics.map((error, index) =>
+            renderDiagnostic(error, index, style)
+          )}
+        </ul>
+        {footer && (
+          <div className={`p-3 border-t text-sm ${style.box} ${style.text}`}>
+            {footer}
+          </div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="p-4 bg-gray-50 rounded-md">
       <h3 className="text-lg font-medium text-gray-700 mb-2">
-        Semantic Errors
+        {errors.length > 0 ? "Semantic Errors" : "Semantic Warnings"}
       </h3>
-      <div className="bg-red-50 border border-red-200 rounded-md">
-        <div className="p-3 bg-red-100 border-b border-red-200">
-          <span className="text-red-800 font-medium">
-            Found {errors.length} semantic{" "}
-            {errors.length === 1 ? "error" : "errors"}
-          </span>
-        </div>
-        <ul className="divide-y divide-red-200">
-          {errors.map((error, index) => (
-            <li key={index} className="p-4 hover:bg-red-50">
-              <div className="flex items-start">
-                <div className="flex-shrink-0 mt-0.5">
-                  <svg
-                    className="h-5 w-5 text-red-500"
-                    xmlns="http://www.w3.org/2000/svg"
-                    viewBox="0 0 20 20"
-                    fill="currentColor"
-                  >
-                    <path
-                      fillRule="evenodd"
-                      d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z"
-                      clipRule="evenodd"
-                    />
-                  </svg>
-                </div>
-                <div className="ml-3">
-                  <h4 className="text-sm font-medium text-red-800">
-                    Line {error.line}: {error.message}
-                  </h4>
-                  {error.code && (
-                    <pre className="mt-1 text-xs text-red-700 bg-red-50 p-2 rounded font-mono">
-                      {error.code}
-                    </pre>
-                  )}
-                  <p className="mt-1 text-sm text-red-700">
-                    {error.description}
-                  </p>
-                </div>
-              </div>
-            </li>
-          ))}
-        </ul>
-        <div className="p-3 bg-red-50 border-t border-red-200 text-sm text-red-700">
-          Fix these semantic errors before proceeding with code generation.
-        </div>
-      </div>
+      {errors.length > 0 &&
+        renderList(
+          errors,
+          "error",
+          "Fix these semantic errors before proceeding with code generation."
+        )}
+      {warnings.length > 0 && renderList(warnings, "warning")}
     </div>
   );
 };
@@ -6,7 +6,7 @@ import "../styles/components/SymbolTable.css";
  * with improved handling of C code symbols
  * Built-in functions are now filtered out from the display
  */
-const SymbolTable = ({ symbolTable, sourceCode }) => {
+const SymbolTable = ({ symbolTable, scopeTree, sourceCode }) => {
   const [activeScope, setActiveScope] = useState("all");
   const [showParams, setShowParams] = useState(false);
   const [processedSymbolTable, setProcessedSymbolTable] = useState({});
@@ -76,12 +76,22 @@ const SymbolTable = ({ symbolTable, sourceCode }) => {
     );
   }
 
-  // Get unique scopes for the filter
+  // Get unique scopes for the filter, in scope tree order first
   const scopes = [
     "all",
-    ...new Set(Object.values(processedSymbolTable).map((item) => item.scope)),
+    ...new Set([
+      ...flattenScopeTree(scopeTree),
+      ...Object.values(processedSymbolTable).map((item) => item.scope),
+    ]),
   ];
 
+  // Names declared in each scope, for the scope tree
+  const symbolsByScope = {};
+  Object.entries(processedSymbolTable).forEach(([identifier, details]) => {
+    if (!symbolsByScope[details.scope]) symbolsByScope[details.scope] = [];
+    symbolsByScope[details.scope].push(details.name || identifier);
+  });
+
   // Filter symbols based on selected scope
   const filteredSymbols =
     activeScope === "all"
@@ -121,6 +131,22 @@ const SymbolTable = ({ symbolTable, sourceCode }) => {
         </div>
       </div>
 
+      {scopeTree && (
+        <div className="scope-tree">
+          <h4>Scopes</h4>
+          <ul>
+            <ScopeTreeNode
+              scope={scopeTree}
+              symbolsByScope={symbolsByScope}
+              activeScope={activeScope}
+              onSelect={(scope) =>
+                setActiveScope(scope === activeScope ? "all" : scope)
+              }
+            />
+          </ul>
+        </div>
+      )}
+
       <div className="symbol-table-wrapper">
         <table className="symbol-table">
           <thead>
@@ -128,6 +154,8 @@ const SymbolTable = ({ symbolTable, sourceCode }) => {
               <th>Identifier</th>
               <th>Type</th>
               <th>Scope</th>
+              <th>Linkage</th>
+              <th>Storage</th>
               <th>Line</th>
               <th>Status</th>
               {showParams && <th>Parameters</th>}
@@ -138,23 +166,50 @@ const SymbolTable = ({ symbolTable, sourceCode }) => {
               <React.Fragment key={`${identifier}-${index}`}>
                 <tr className={index % 2 === 0 ? "even-row" : "odd-row"}>
                   <td className="identifier">{identifier}</td>
-                  <td className="type">{details.type}</td>
+                  <td className="type">
+                    {details.type}
+                    {details.value !== undefined && ` = ${details.value}`}
+                  </td>
                   <td className="scope">{details.scope}</td>
+                  <td className="linkage">{details.linkage || "—"}</td>
+                  <td className="storage">
+                    {details.storageDuration || "—"}
+                    {details.storageClass && (
+                      <span className="storage-class">
+                        {details.storageClass}
+                      </span>
+                    )}
+                    {details.isInline && (
+                      <span className="storage-class">inline</span>
+                    )}
+                    {details.isNoreturn && (
+                      <span className="storage-class">_Noreturn</span>
+                    )}
+                  </td>
                   <td className="line">{details.line}</td>
                   <td className="status">
-                    <span
-                      className={`status-badge ${
-                        details.initialized ? "initialized" : "declared"
-                      }`}
-                    >
-                      {details.initialized ? "Initialized" : "Declared Only"}
-                    </span>
+                    {details.isDefined === false ? (
+                      <span className="status-badge declared">
+                        Not Defined Here
+                      </span>
+                    ) : (
+                      <span
+                        className={`status-badge ${
+                          details.initialized ? "initialized" : "declared"
+                        }`}
+                      >
+                        {details.initialized ? "Initialized" : "Declared Only"}
+                      </span>
+                    )}
                   </td>
                   {showParams && (
                     <td className="params">
                       {details.params && details.params.length > 0 ? (
                         <details>
-                          <summary>{details.params.length} parameters</summary>
+                          <summary>
+                            {details.params.length} parameters
+                            {details.variadic && ", variadic"}
+                          </summary>
                           <ul className="param-list">
                             {details.params.map((param, pIdx) => (
                               <li key={pIdx}>
@@ -162,6 +217,11 @@ const SymbolTable = ({ symbolTable, sourceCode }) => {
                                 <span className="param-name">{param.name}</span>
                               </li>
                             ))}
+                            {details.variadic && (
+                              <li>
+                                <span className="param-type">...</span>
+                              </li>
+                            )}
                           </ul>
                         </details>
                       ) : (
@@ -188,6 +248,59 @@ const SymbolTable = ({ symbolTable, sourceCode }) => {
   );
 };
 
+/**
+ * One scope of the scope tree with the names it declares and its nested
+ * scopes. Clicking a scope filters the table to it; clicking it again
+ * shows all scopes.
+ */
+const ScopeTreeNode = ({ scope, symbolsByScope, activeScope, onSelect }) => {
+  const symbols = symbolsByScope[scope.id] || [];
+
+  return (
+    <li>
+      <button
+        type="button"
+        className={`scope-tree-label ${
+          activeScope === scope.id ? "active" : ""
+        }`}
+        onClick={() => onSelect(scope.id)}
+      >
+        <span className={`scope-kind ${scope.kind}`}>{scope.kind}</span>
+        {scope.id}
+        {scope.startLine && (
+          <span className="scope-lines">
+            {scope.startLine === scope.endLine
+              ? `line ${scope.startLine}`
+              : `lines ${scope.startLine}-${scope.endLine}`}
+          </span>
+        )}
+      </button>
+      {symbols.length > 0 && (
+        <span className="scope-symbols">{symbols.join(", ")}</span>
+      )}
+      {scope.children.length > 0 && (
+        <ul>
+          {scope.children.map((child) => (
+            <ScopeTreeNode
+              key={child.id}
+              scope={child}
+              symbolsByScope={symbolsByScope}
+              activeScope={activeScope}
+              onSelect={onSelect}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// Scope ids of a scope tree in source order
+function flattenScopeTree(scope) {
+  if (!scope) return [];
+  return [scope.id, ...scope.children.flatMap(flattenScopeTree)];
+}
+
 /**
  * Extract symbols from C code using regex (fallback method)
  */
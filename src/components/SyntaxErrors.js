@@ -67,7 +67,12 @@ const SyntaxErrors = ({ errors, code }) => {
     <div className="syntax-errors">
       <h3>Syntax Errors</h3>
       {errors.map((error, index) => (
-        <div key={index} className="error-item">
+        <div
+          key={index}
+          className={`error-item ${
+            error.severity === "warning" ? "warning-item" : ""
+          }`}
+        >
           <div className="error-message">
             <span className="error-icon">⚠️</span>
             {error.message}
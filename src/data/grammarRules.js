@@ -60,12 +60,26 @@ const grammarRules = {
       {
         name: "declaration_specifiers",
         production:
-          "(storage_class_specifier | type_specifier | type_qualifier)+",
+          "(storage_class_specifier | type_specifier | type_qualifier | function_specifier)+",
       },
     ],
     examples: ["static const int"],
   },
 
+  storageClassSpecifier: {
+    name: "Storage Class and Function Specifiers",
+    description:
+      "Linkage and lifetime of a declaration, and hints for functions",
+    rules: [
+      {
+        name: "storage_class_specifier",
+        production: "'typedef' | 'extern' | 'static' | 'auto' | 'register'",
+      },
+      { name: "function_specifier", production: "'inline' | '_Noreturn'" },
+    ],
+    examples: ["static int counter;", "extern int shared;", "inline int f();"],
+  },
+
   initDeclaratorList: {
     name: "Initialization Declarator List",
     description: "List of declarators with optional initializers",
@@ -87,6 +101,71 @@ const grammarRules = {
     examples: ["x", "y = 5"],
   },
 
+  initializer: {
+    name: "Initializer",
+    description:
+      "Value of a declared object, with brace lists for arrays and structs",
+    rules: [
+      {
+        name: "initializer",
+        production: "assignment_expression | '{' initializer_list ','? '}'",
+      },
+      {
+        name: "initializer_list",
+        production: "designation? initializer (',' designation? initializer)*",
+      },
+      { name: "designation", production: "designator+ '='" },
+      {
+        name: "designator",
+        production: "'[' constant_expression ']' | '.' IDENTIFIER",
+      },
+    ],
+    examples: ["{1, 2, 3}", "{.x = 1, .y = 2}", "{[0] = 1, [4] = 5}"],
+  },
+
+  declarator: {
+    name: "Declarator",
+    description:
+      "Name being declared with pointer, array and function derivations",
+    rules: [
+      { name: "declarator", production: "pointer? direct_declarator" },
+      {
+        name: "direct_declarator",
+        production:
+          "(IDENTIFIER | '(' declarator ')') ('[' constant_expression? ']' | '(' parameter_type_list? ')')*",
+      },
+      { name: "pointer", production: "('*' type_qualifier*)+" },
+      {
+        name: "abstract_declarator",
+        production: "pointer | pointer? direct_abstract_declarator",
+      },
+    ],
+    examples: ["*p", "m[3][4]", "(*cmp)(const void*, const void*)"],
+  },
+
+  parameterList: {
+    name: "Parameter List",
+    description:
+      "Function parameters; a trailing '...' accepts any further arguments",
+    rules: [
+      {
+        name: "parameter_type_list",
+        production: "parameter_list (',' '...')?",
+      },
+      {
+        name: "parameter_list",
+        production:
+          "parameter_declaration (',' parameter_declaration)* | 'void'",
+      },
+      {
+        name: "parameter_declaration",
+        production:
+          "declaration_specifiers (declarator | abstract_declarator)?",
+      },
+    ],
+    examples: ["int a, int b", "const char *format, ..."],
+  },
+
   // Types
   typeSpecifier: {
     name: "Type Specifier",
@@ -222,6 +301,20 @@ const grammarRules = {
     examples: ["x > 0 ? 1 : -1"],
   },
 
+  postfixExpression: {
+    name: "Postfix Expression",
+    description:
+      "Calls, array indexing, member access and postfix increments on any primary expression",
+    rules: [
+      {
+        name: "postfix_expression",
+        production:
+          "primary_expression ('(' argument_expression_list? ')' | '[' expression ']' | '.' IDENTIFIER | '->' IDENTIFIER | '++' | '--')*",
+      },
+    ],
+    examples: ["m[i][j]", "list->head->next", "getArr()[0]", "(*fp)(x)"],
+  },
+
   // Common error patterns
   commonErrors: {
     syntaxErrors: [
@@ -66,6 +66,27 @@ int main() {
     }
     return 0;
 }`,
+  },
+  {
+    name: "Macros and Conditionals",
+    code: `#ifndef CONFIG_H
+#define CONFIG_H
+
+#include <stdio.h>
+
+#define BUFFER_SIZE 16
+#define SQUARE(x) ((x) * (x))
+#define DEBUG 1
+
+int main() {
+    int size = SQUARE(BUFFER_SIZE);
+#if DEBUG && BUFFER_SIZE > 8
+    printf("Size: %d\\n", size);
+#endif
+    return 0;
+}
+
+#endif`,
   },
   {
     name: "Syntax Error Example",
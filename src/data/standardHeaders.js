@@ -0,0 +1,317 @@
+/**
+ * Standard C headers
+ * The parser has no header files to read, so this table models what each
+ * standard header declares:
+ * - typedefs:     typedef names mapped to the spelling of the type they
+ *                 stand for (LP64 sizes)
+ * - macros:       object-like and function-like macros ("assert(e)") with
+ *                 their replacement text, defined when the header is
+ *                 included
+ * - declarations: C source for the functions, objects and struct types
+ *                 the header declares, parsed once on first use
+ * - nullableReturns (optional): functions documented to return a null
+ *                 pointer on failure or when nothing is found
+ */
+
+const sizeTypedefs = { size_t: "unsigned long" };
+const nullMacro = { NULL: "((void*)0)" };
+
+const standardHeaders = {
+  // Listed first so names several headers share (NULL, size_t) are
+  // suggested from here
+  "stddef.h": {
+    typedefs: {
+      ...sizeTypedefs,
+      ptrdiff_t: "long",
+      wchar_t: "int",
+    },
+    macros: {
+      ...nullMacro,
+      "offsetof(type, member)": "((size_t)&((type*)0)->member)",
+    },
+    declarations: "",
+  },
+
+  "stdio.h": {
+    typedefs: {
+      ...sizeTypedefs,
+      FILE: "struct _IO_FILE",
+      fpos_t: "long",
+    },
+    macros: {
+      ...nullMacro,
+      EOF: "(-1)",
+      BUFSIZ: "8192",
+      FILENAME_MAX: "4096",
+      SEEK_SET: "0",
+      SEEK_CUR: "1",
+      SEEK_END: "2",
+    },
+    declarations: `
+      extern FILE *stdin;
+      extern FILE *stdout;
+      extern FILE *stderr;
+      int printf(const char *format, ...);
+      int fprintf(FILE *stream, const char *format, ...);
+      int sprintf(char *str, const char *format, ...);
+      int snprintf(char *str, size_t size, const char *format, ...);
+      int scanf(const char *format, ...);
+      int fscanf(FILE *stream, const char *format, ...);
+      int sscanf(const char *str, const char *format, ...);
+      int putchar(int c);
+      int getchar(void);
+      int puts(const char *s);
+      char *gets(char *s);
+      char *fgets(char *s, int size, FILE *stream);
+      int fputs(const char *s, FILE *stream);
+      int fputc(int c, FILE *stream);
+      int fgetc(FILE *stream);
+      int putc(int c, FILE *stream);
+      int getc(FILE *stream);
+      int ungetc(int c, FILE *stream);
+      FILE *fopen(const char *filename, const char *mode);
+      int fclose(FILE *stream);
+      int fflush(FILE *stream);
+      size_t fread(void *ptr, size_t size, size_t count, FILE *stream);
+      size_t fwrite(const void *ptr, size_t size, size_t count, FILE *stream);
+      int fseek(FILE *stream, long offset, int whence);
+      long ftell(FILE *stream);
+      void rewind(FILE *stream);
+      int feof(FILE *stream);
+      int ferror(FILE *stream);
+      void perror(const char *s);
+      int remove(const char *filename);
+      int rename(const char *oldname, const char *newname);
+    `,
+    nullableReturns: ["fopen", "fgets"],
+  },
+
+  "stdlib.h": {
+    typedefs: { ...sizeTypedefs, wchar_t: "int" },
+    macros: {
+      ...nullMacro,
+      EXIT_SUCCESS: "0",
+      EXIT_FAILURE: "1",
+      RAND_MAX: "2147483647",
+    },
+    declarations: `
+      void *malloc(size_t size);
+      void *calloc(size_t count, size_t size);
+      void *realloc(void *ptr, size_t size);
+      void free(void *ptr);
+      _Noreturn void exit(int status);
+      _Noreturn void abort(void);
+      int atexit(void (*func)(void));
+      int atoi(const char *s);
+      long atol(const char *s);
+      double atof(const char *s);
+      long strtol(const char *s, char **end, int base);
+      unsigned long strtoul(const char *s, char **end, int base);
+      double strtod(const char *s, char **end);
+      int rand(void);
+      void srand(unsigned int seed);
+      int abs(int n);
+      long labs(long n);
+      void qsort(void *base, size_t count, size_t size,
+                 int (*compare)(const void *, const void *));
+      void *bsearch(const void *key, const void *base, size_t count,
+                    size_t size, int (*compare)(const void *, const void *));
+      char *getenv(const char *name);
+      int system(const char *command);
+    `,
+    nullableReturns: ["malloc", "calloc", "realloc", "getenv", "bsearch"],
+  },
+
+  "string.h": {
+    typedefs: { ...sizeTypedefs },
+    macros: { ...nullMacro },
+    declarations: `
+      size_t strlen(const char *s);
+      char *strcpy(char *dest, const char *src);
+      char *strncpy(char *dest, const char *src, size_t n);
+      char *strcat(char *dest, const char *src);
+      char *strncat(char *dest, const char *src, size_t n);
+      int strcmp(const char *s1, const char *s2);
+      int strncmp(const char *s1, const char *s2, size_t n);
+      char *strchr(const char *s, int c);
+      char *strrchr(const char *s, int c);
+      char *strstr(const char *haystack, const char *needle);
+      char *strtok(char *s, const char *delim);
+      char *strdup(const char *s);
+      char *strerror(int errnum);
+      void *memcpy(void *dest, const void *src, size_t n);
+      void *memmove(void *dest, const void *src, size_t n);
+      void *memset(void *s, int c, size_t n);
+      int memcmp(const void *s1, const void *s2, size_t n);
+      void *memchr(const void *s, int c, size_t n);
+    `,
+    nullableReturns: ["strchr", "strrchr", "strstr", "strtok", "memchr"],
+  },
+
+  "math.h": {
+    typedefs: {},
+    macros: {
+      M_PI: "3.14159265358979323846",
+      M_E: "2.7182818284590452354",
+    },
+    declarations: `
+      double sqrt(double x);
+      double pow(double x, double y);
+      double fabs(double x);
+      double floor(double x);
+      double ceil(double x);
+      double round(double x);
+      double trunc(double x);
+      double fmod(double x, double y);
+      double exp(double x);
+      double log(double x);
+      double log10(double x);
+      double log2(double x);
+      double sin(double x);
+      double cos(double x);
+      double tan(double x);
+      double asin(double x);
+      double acos(double x);
+      double atan(double x);
+      double atan2(double y, double x);
+      double hypot(double x, double y);
+      float sqrtf(float x);
+      float powf(float x, float y);
+      float fabsf(float x);
+    `,
+  },
+
+  "ctype.h": {
+    typedefs: {},
+    macros: {},
+    declarations: `
+      int isalpha(int c);
+      int isdigit(int c);
+      int isalnum(int c);
+      int isspace(int c);
+      int isupper(int c);
+      int islower(int c);
+      int ispunct(int c);
+      int isprint(int c);
+      int isgraph(int c);
+      int iscntrl(int c);
+      int isxdigit(int c);
+      int toupper(int c);
+      int tolower(int c);
+    `,
+  },
+
+  // bool is a macro for _Bool in C, modelled here as a typedef
+  "stdbool.h": {
+    typedefs: { bool: "_Bool" },
+    macros: { true: "1", false: "0", __bool_true_false_are_defined: "1" },
+    declarations: "",
+  },
+
+  "stdint.h": {
+    typedefs: {
+      int8_t: "signed char",
+      int16_t: "short",
+      int32_t: "int",
+      int64_t: "long",
+      uint8_t: "unsigned char",
+      uint16_t: "unsigned short",
+      uint32_t: "unsigned int",
+      uint64_t: "unsigned long",
+      intptr_t: "long",
+      uintptr_t: "unsigned long",
+      intmax_t: "long",
+      uintmax_t: "unsigned long",
+    },
+    macros: {
+      INT8_MIN: "(-128)",
+      INT8_MAX: "127",
+      UINT8_MAX: "255",
+      INT16_MIN: "(-32767-1)",
+      INT16_MAX: "32767",
+      UINT16_MAX: "65535",
+      INT32_MIN: "(-2147483647-1)",
+      INT32_MAX: "2147483647",
+      UINT32_MAX: "4294967295U",
+      INT64_MIN: "(-9223372036854775807L-1)",
+      INT64_MAX: "9223372036854775807L",
+      UINT64_MAX: "18446744073709551615UL",
+      SIZE_MAX: "18446744073709551615UL",
+    },
+    declarations: "",
+  },
+
+  "limits.h": {
+    typedefs: {},
+    macros: {
+      CHAR_BIT: "8",
+      SCHAR_MIN: "(-128)",
+      SCHAR_MAX: "127",
+      UCHAR_MAX: "255",
+      CHAR_MIN: "(-128)",
+      CHAR_MAX: "127",
+      SHRT_MIN: "(-32768)",
+      SHRT_MAX: "32767",
+      USHRT_MAX: "65535",
+      INT_MIN: "(-2147483647-1)",
+      INT_MAX: "2147483647",
+      UINT_MAX: "4294967295U",
+      LONG_MIN: "(-9223372036854775807L-1)",
+      LONG_MAX: "9223372036854775807L",
+      ULONG_MAX: "18446744073709551615UL",
+      LLONG_MIN: "(-9223372036854775807LL-1)",
+      LLONG_MAX: "9223372036854775807LL",
+      ULLONG_MAX: "18446744073709551615ULL",
+    },
+    declarations: "",
+  },
+
+  // The condition is still evaluated so its identifiers are checked
+  "assert.h": {
+    typedefs: {},
+    macros: { "assert(expression)": "((void)(expression))" },
+    declarations: "",
+  },
+
+  "time.h": {
+    typedefs: {
+      ...sizeTypedefs,
+      time_t: "long",
+      clock_t: "long",
+    },
+    macros: { ...nullMacro, CLOCKS_PER_SEC: "1000000L" },
+    declarations: `
+      struct tm {
+        int tm_sec;
+        int tm_min;
+        int tm_hour;
+        int tm_mday;
+        int tm_mon;
+        int tm_year;
+        int tm_wday;
+        int tm_yday;
+        int tm_isdst;
+      };
+      time_t time(time_t *timer);
+      clock_t clock(void);
+      double difftime(time_t end, time_t start);
+      char *ctime(const time_t *timer);
+      struct tm *localtime(const time_t *timer);
+      struct tm *gmtime(const time_t *timer);
+      time_t mktime(struct tm *timeptr);
+      size_t strftime(char *s, size_t max, const char *format,
+                      const struct tm *timeptr);
+    `,
+    nullableReturns: ["ctime", "localtime", "gmtime"],
+  },
+
+  "errno.h": {
+    typedefs: {},
+    macros: { EDOM: "33", ERANGE: "34", EILSEQ: "84" },
+    declarations: `
+      extern int errno;
+    `,
+  },
+};
+
+export default standardHeaders;
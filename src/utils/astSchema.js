@@ -0,0 +1,218 @@
+/**
+ * AST schema shared by the parser and the semantic analyzer
+ *
+ * Every node is an object with a `type` and a `location` ({ start, end }
+ * offsets into the original source). `nodeSchemas` lists the remaining
+ * fields of each node type with the kind of value they hold:
+ * - "node"     a child node
+ * - "node[]"   an array of child nodes
+ * - "string", "number", "boolean", "string[]"
+ * A trailing "?" marks a field that may be null. Analysis passes may add
+ * extra fields (e.g. `resolvedType`); only the listed fields are checked.
+ */
+
+export const nodeSchemas = {
+  // Translation unit and preprocessor leftovers
+  Program: { body: "node[]" },
+  Include: { header: "string", system: "boolean" },
+  PreprocessorDirective: { directive: "string" },
+
+  // Declarations. `typeSpecifiers` is a DeclarationSpecifiers node and
+  // `declaredType` the full type: a PointerType/ArrayType/FunctionType
+  // chain ending in that DeclarationSpecifiers node.
+  VariableDeclaration: { typeSpecifiers: "node", declarations: "node[]" },
+  VariableDeclarator: { id: "node", declaredType: "node", init: "node?" },
+  FunctionDeclaration: {
+    id: "node",
+    returnType: "node",
+    params: "node[]",
+    declaredType: "node",
+    body: "node?",
+  },
+  Parameter: {
+    paramType: "node",
+    name: "string?",
+    declaredType: "node",
+    isArray: "boolean",
+  },
+  Typedef: { typeSpecifiers: "node", id: "node", declaredType: "node" },
+  StructDeclaration: { id: "node?", fields: "node[]?" },
+  UnionDeclaration: { id: "node?", fields: "node[]?" },
+  FieldDeclaration: {
+    id: "node?",
+    typeSpecifiers: "node",
+    declaredType: "node",
+    bitWidth: "node?",
+  },
+  EnumDeclaration: { id: "node?", members: "node[]?" },
+  Enumerator: { id: "node", value: "node?" },
+
+  // Initializers. Elements of an InitializerList are expressions, nested
+  // InitializerLists or DesignatedInitializers (".x = 1", "[2] = 3").
+  InitializerList: { elements: "node[]" },
+  DesignatedInitializer: { designators: "node[]", value: "node" },
+  FieldDesignator: { name: "string" },
+  IndexDesignator: { index: "node" },
+
+  // Types
+  DeclarationSpecifiers: { specifiers: "node[]" },
+  TypeSpecifier: { name: "string" },
+  TypeQualifier: { name: "string" },
+  StorageClassSpecifier: { name: "string" },
+  FunctionSpecifier: { name: "string" },
+  ComplexType: { kind: "string", name: "string?" },
+  PointerType: { qualifiers: "string[]", target: "node" },
+  ArrayType: { size: "node?", elementType: "node" },
+  FunctionType: { params: "node[]", variadic: "boolean", returnType: "node" },
+  TypeName: { typeSpecifiers: "node", declaredType: "node" },
+
+  // Statements
+  BlockStatement: { body: "node[]" },
+  ExpressionStatement: { expression: "node" },
+  EmptyStatement: {},
+  ReturnStatement: { argument: "node?" },
+  IfStatement: { test: "node", consequent: "node", alternate: "node?" },
+  WhileStatement: { test: "node", body: "node" },
+  DoWhileStatement: { body: "node", test: "node" },
+  ForStatement: {
+    init: "node?",
+    test: "node?",
+    update: "node?",
+    body: "node",
+  },
+  SwitchStatement: { discriminant: "node", cases: "node[]" },
+  SwitchCase: { test: "node?", consequent: "node[]" },
+  BreakStatement: {},
+  ContinueStatement: {},
+  GotoStatement: { label: "node" },
+  LabeledStatement: { label: "node", body: "node" },
+
+  // Expressions. Literal values keep their source spelling; `valueType`
+  // is "number", "string" or "char".
+  Identifier: { name: "string" },
+  Literal: { value: "string", valueType: "string" },
+  BinaryExpression: { operator: "string", left: "node", right: "node" },
+  AssignmentExpression: { operator: "string", left: "node", right: "node" },
+  UnaryExpression: { operator: "string", argument: "node", prefix: "boolean" },
+  UpdateExpression: {
+    operator: "string",
+    argument: "node",
+    prefix: "boolean",
+  },
+  ConditionalExpression: {
+    test: "node",
+    consequent: "node",
+    alternate: "node",
+  },
+  SequenceExpression: { expressions: "node[]" },
+  CastExpression: { typeName: "node", argument: "node" },
+  SizeofExpression: { argument: "node" },
+  CallExpression: { callee: "node", arguments: "node[]" },
+  ArrayAccess: { array: "node", index: "node" },
+  // `operator` is "." or "->"; `property` is the member name
+  MemberExpression: { object: "node", property: "string", operator: "string" },
+};
+
+// Call visit on each child node of a node, in schema field order
+export const forEachChild = (node, visit) => {
+  Object.entries(nodeSchemas[node?.type] || {}).forEach(([field, spec]) => {
+    const value = node[field];
+    if (!value) return;
+    if (spec.startsWith("node[]")) {
+      value.forEach((child) => child && visit(child));
+    } else if (spec.startsWith("node")) {
+      visit(value);
+    }
+  });
+};
+
+// Check a single field value against its kind
+const matchesKind = (value, kind) => {
+  switch (kind) {
+    case "node":
+      return !!value && typeof value === "object" && !Array.isArray(value);
+    case "node[]":
+      return Array.isArray(value);
+    case "string[]":
+      return (
+        Array.isArray(value) && value.every((item) => typeof item === "string")
+      );
+    default:
+      return typeof value === kind;
+  }
+};
+
+/**
+ * Check an AST against the shared schema.
+ * Returns a list of problems ({ message, location }), empty when the
+ * tree is well-formed.
+ */
+export const validateAst = (ast) => {
+  const problems = [];
+  // Declared types share their DeclarationSpecifiers node, so each node
+  // is only checked once
+  const visited = new Set();
+
+  const report = (message, node) =>
+    problems.push({
+      message,
+      location: node?.location || { start: 0, end: 0 },
+    });
+
+  const validateNode = (node, path) => {
+    if (!node || typeof node !== "object" || Array.isArray(node)) {
+      report(`Expected an AST node at ${path}`, null);
+      return;
+    }
+    if (visited.has(node)) return;
+    visited.add(node);
+
+    const schema = nodeSchemas[node.type];
+    if (!schema) {
+      report(`Unknown node type '${node.type}' at ${path}`, node);
+      return;
+    }
+
+    if (!node.location) {
+      report(`Missing field 'location' on ${node.type} at ${path}`, node);
+    }
+
+    Object.entries(schema).forEach(([field, spec]) => {
+      const optional = spec.endsWith("?");
+      const kind = optional ? spec.slice(0, -1) : spec;
+      const value = node[field];
+      const fieldPath = `${path}.${field}`;
+
+      if (value === undefined) {
+        report(`Missing field '${field}' on ${node.type} at ${path}`, node);
+        return;
+      }
+      if (value === null) {
+        if (!optional) {
+          report(`Field '${field}' of ${node.type} must not be null`, node);
+        }
+        return;
+      }
+      if (!matchesKind(value, kind)) {
+        report(
+          `Field '${field}' of ${node.type} should be ${kind}, got ${
+            Array.isArray(value) ? "array" : typeof value
+          }`,
+          node
+        );
+        return;
+      }
+
+      if (kind === "node") {
+        validateNode(value, fieldPath);
+      } else if (kind === "node[]") {
+        value.forEach((child, index) =>
+          validateNode(child, `${fieldPath}[${index}]`)
+        );
+      }
+    });
+  };
+
+  validateNode(ast, "Program");
+  return problems;
+};
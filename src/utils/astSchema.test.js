@@ -0,0 +1,70 @@
+import { forEachChild, validateAst } from "./astSchema";
+import { parseSource } from "./testUtils";
+
+const problemsOf = (ast) => validateAst(ast).map(({ message }) => message);
+
+// A parsed "int x = <init>;" and its declarator
+const declaration = (init) => {
+  const { ast } = parseSource(`int x = ${init};`);
+  return { ast, declarator: ast.body[0].declarations[0] };
+};
+
+describe("validateAst", () => {
+  it("accepts the trees the parser produces", () => {
+    const { ast, syntaxErrors } = parseSource(`#include <stdio.h>
+typedef struct node { int value; struct node *next; } Node;
+enum color { RED, GREEN = 2 };
+static int sum(const Node *list, int n) {
+  int total = 0;
+  for (int i = 0; i < n && list; i++, list = list->next) {
+    total += list->value > 0 ? list->value : -list->value;
+  }
+  switch (total) { case 0: break; default: total--; }
+  do { total >>= 1; } while (total > 100);
+  return (int)sizeof(Node) + total;
+}`);
+    expect(syntaxErrors).toEqual([]);
+    expect(problemsOf(ast)).toEqual([]);
+  });
+
+  it("reports unknown node types with their path", () => {
+    const { ast, declarator } = declaration("1 + 2");
+    declarator.init.right = { type: "Bogus", location: { start: 12, end: 13 } };
+    expect(validateAst(ast)).toEqual([
+      {
+        message:
+          "Unknown node type 'Bogus' at Program.body[0].declarations[0].init.right",
+        location: { start: 12, end: 13 },
+      },
+    ]);
+  });
+
+  it("reports missing, null and mistyped fields", () => {
+    const { ast, declarator } = declaration("f(1)");
+    delete declarator.init.arguments;
+    declarator.init.callee = null;
+    declarator.id.name = 42;
+    delete declarator.location;
+    expect(problemsOf(ast)).toEqual([
+      "Missing field 'location' on VariableDeclarator at Program.body[0].declarations[0]",
+      "Field 'name' of Identifier should be string, got number",
+      "Field 'callee' of CallExpression must not be null",
+      "Missing field 'arguments' on CallExpression at Program.body[0].declarations[0].init",
+    ]);
+  });
+
+  it("accepts null in optional fields", () => {
+    const { ast, declarator } = declaration("0");
+    declarator.init = null;
+    expect(problemsOf(ast)).toEqual([]);
+  });
+});
+
+describe("forEachChild", () => {
+  it("visits child nodes in schema order", () => {
+    const { declarator } = declaration("a ? b : c");
+    const names = [];
+    forEachChild(declarator.init, (child) => names.push(child.name));
+    expect(names).toEqual(["a", "b", "c"]);
+  });
+});
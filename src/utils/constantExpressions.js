@@ -0,0 +1,563 @@
+/**
+ * Constant expressions
+ *
+ * Folds C expressions to compile-time values. Integer constants are
+ * BigInts reduced to the width and signedness of their type, with the
+ * usual arithmetic conversions applied to operands; floating constants
+ * are numbers. Array sizes, case labels, enumerators, bit-field widths
+ * and #if conditions are all evaluated here.
+ */
+
+/* global BigInt */
+
+import {
+  arithmeticResultType,
+  basicType,
+  isArithmeticType,
+  isFloatingType,
+  isIntegerType,
+  promoteType,
+  resolveType,
+  sizeType,
+  typeToString,
+} from "./types";
+
+const intType = basicType("int");
+
+// The integer type a value of the given type is stored as; enums are int
+const integerRepresentation = (type) => {
+  const resolved = resolveType(type);
+  return resolved?.kind === "enum" ? intType : resolved;
+};
+
+/**
+ * Reduce an integer to the range of an integer type, as a conversion to
+ * that type does: modulo 2^width for unsigned types and two's complement
+ * wraparound for signed ones. _Bool keeps only zero or one.
+ */
+export const wrapInteger = (value, type) => {
+  const { name, signed, width } = integerRepresentation(type);
+  if (name === "_Bool") return value !== 0n ? 1n : 0n;
+  return signed ? BigInt.asIntN(width, value) : BigInt.asUintN(width, value);
+};
+
+// Candidate types of an integer constant by suffix (C11 6.4.4.1). Octal
+// and hexadecimal constants may also take the unsigned types.
+const literalCandidates = (suffix, decimal) => {
+  const unsigned = /u/i.test(suffix);
+  const longs = (suffix.match(/l/gi) || []).length;
+  const sizes = ["int", "long", "long long"].slice(longs);
+  return sizes
+    .flatMap((size) =>
+      unsigned
+        ? [`unsigned ${size}`]
+        : decimal
+        ? [size]
+        : [size, `unsigned ${size}`]
+    )
+    .map(basicType);
+};
+
+const fitsType = (value, type) => wrapInteger(value, type) === value;
+
+/**
+ * Value and type of an integer constant such as "42", "0x1Fu" or
+ * "3000000000" (which is a long). Returns null for text that is not an
+ * integer constant; `problem` is set when the value fits no type.
+ */
+export const parseIntegerLiteral = (text) => {
+  const match = String(text).match(
+    /^(0[xX][0-9a-fA-F]+|0[bB][01]+|0[0-7]*|[1-9][0-9]*)([uU](?:ll|LL|l|L)?|(?:ll|LL|l|L)[uU]?)?$/
+  );
+  if (!match) return null;
+
+  const [, digits, suffix = ""] = match;
+  const value = /^0[0-7]+$/.test(digits)
+    ? BigInt(`0o${digits.slice(1)}`)
+    : BigInt(digits);
+  const candidates = literalCandidates(suffix, /^[1-9]/.test(digits));
+  const type = candidates.find((candidate) => fitsType(value, candidate));
+  if (type) return { value, type };
+
+  const widest = basicType("unsigned long long");
+  return {
+    value: wrapInteger(value, widest),
+    type: widest,
+    problem: {
+      kind: "overflow",
+      message: `Integer constant '${text}' is too large for its type`,
+    },
+  };
+};
+
+const escapes = {
+  n: 10,
+  t: 9,
+  r: 13,
+  a: 7,
+  b: 8,
+  f: 12,
+  v: 11,
+  "\\": 92,
+  "'": 39,
+  '"': 34,
+  "?": 63,
+};
+
+/**
+ * Value of a character constant such as 'a' or '\n'. It has type int;
+ * plain char is signed, so '\xff' is -1. Returns null for a malformed
+ * constant such as '' or '\x'.
+ */
+export const charLiteralValue = (literal) => {
+  const body = String(literal).slice(1, -1);
+  if (body === "" || /^\\x?$/.test(body)) return null;
+  let code;
+  if (body[0] !== "\\") {
+    code = body.charCodeAt(0);
+  } else if (/^\\x[0-9a-fA-F]+$/.test(body)) {
+    code = parseInt(body.slice(2), 16);
+  } else if (/^\\[0-7]{1,3}$/.test(body)) {
+    code = parseInt(body.slice(1), 8);
+  } else {
+    code = body[1] in escapes ? escapes[body[1]] : body.charCodeAt(1);
+  }
+  return code <= 0xff ? BigInt.asIntN(8, BigInt(code)) : BigInt(code);
+};
+
+// Type of a numeric literal from its spelling and suffix
+export const numericLiteralType = (literal) => {
+  const text = String(literal);
+  if (!/^0[xX]/.test(text) && /[.eE]/.test(text)) {
+    if (/[fF]$/.test(text)) return basicType("float");
+    return basicType(/[lL]$/.test(text) ? "long double" : "double");
+  }
+  return parseIntegerLiteral(text)?.type || intType;
+};
+
+const isZero = (constant) =>
+  typeof constant.value === "bigint"
+    ? constant.value === 0n
+    : constant.value === 0;
+
+// A float result is rounded to single precision
+const floating = (value, type) => ({
+  value: resolveType(type).name === "float" ? Math.fround(value) : value,
+  type,
+});
+
+// An integer result, with an overflow problem when a signed type cannot
+// represent the exact value
+const integer = (exact, type) => {
+  const value = wrapInteger(exact, type);
+  if (value === exact || !integerRepresentation(type).signed) {
+    return { value, type };
+  }
+  return {
+    value,
+    type,
+    problem: {
+      kind: "overflow",
+      message: `Integer overflow in constant expression of type '${typeToString(
+        type
+      )}' results in '${value}'`,
+    },
+  };
+};
+
+/**
+ * Convert a constant ({ value, type }) to another arithmetic type.
+ * Returns null for non-arithmetic targets; a floating value outside the
+ * range of an integer target is reported as a problem.
+ */
+export const convertConstant = (constant, type) => {
+  if (!isArithmeticType(type) || !isArithmeticType(constant.type)) {
+    return null;
+  }
+
+  if (isFloatingType(type)) return floating(Number(constant.value), type);
+  if (typeof constant.value === "bigint") {
+    return { value: wrapInteger(constant.value, type), type };
+  }
+
+  if (integerRepresentation(type).name === "_Bool") {
+    return { value: constant.value !== 0 ? 1n : 0n, type };
+  }
+  const truncated = Number.isFinite(constant.value)
+    ? BigInt(Math.trunc(constant.value))
+    : null;
+  if (truncated !== null && fitsType(truncated, type)) {
+    return { value: truncated, type };
+  }
+  return {
+    value: truncated === null ? 0n : wrapInteger(truncated, type),
+    type,
+    problem: {
+      kind: "overflow",
+      message: `Conversion of ${constant.value} to '${typeToString(
+        type
+      )}' is out of range`,
+    },
+  };
+};
+
+/**
+ * Apply a unary operator (+, -, ~, !) to a constant. Returns
+ * { value, type, problem? }, or null when the operator does not apply.
+ */
+export const foldUnary = (operator, operand) => {
+  if (operator === "!") {
+    return { value: isZero(operand) ? 1n : 0n, type: intType };
+  }
+  if (!isArithmeticType(operand.type)) return null;
+
+  const type = promoteType(operand.type);
+  const promoted = convertConstant(operand, type);
+  switch (operator) {
+    case "+":
+      return promoted;
+    case "-":
+      return isFloatingType(type)
+        ? floating(-promoted.value, type)
+        : integer(-promoted.value, type);
+    case "~":
+      return isIntegerType(type)
+        ? { value: wrapInteger(~promoted.value, type), type }
+        : null;
+    default:
+      return null;
+  }
+};
+
+const compare = (operator, a, b) => {
+  switch (operator) {
+    case "<":
+      return a < b;
+    case ">":
+      return a > b;
+    case "<=":
+      return a <= b;
+    case ">=":
+      return a >= b;
+    case "==":
+      return a === b;
+    default:
+      return a !== b;
+  }
+};
+
+// Shift a constant, reporting counts the type cannot shift by and left
+// shifts of negative values (both undefined behavior)
+const foldShift = (operator, left, right) => {
+  const type = promoteType(left.type);
+  const value = convertConstant(left, type).value;
+  const count = convertConstant(right, promoteType(right.type)).value;
+  const { width } = integerRepresentation(type);
+
+  if (count < 0n || count >= BigInt(width)) {
+    return {
+      value: null,
+      type,
+      problem: {
+        kind: "shift",
+        message:
+          count < 0n
+            ? `Shift count ${count} is negative`
+            : `Shift count ${count} >= width of type '${typeToString(
+                type
+              )}' (${width} bits)`,
+      },
+    };
+  }
+  if (operator === ">>") return { value: value >> count, type };
+  if (value < 0n) {
+    return {
+      value: null,
+      type,
+      problem: {
+        kind: "shift",
+        message: `Left shift of negative value ${value}`,
+      },
+    };
+  }
+  return integer(value << count, type);
+};
+
+/**
+ * Apply a binary operator to two constants after the usual arithmetic
+ * conversions. Returns { value, type, problem? }, or null when the
+ * operator does not apply to the operand types. Division by zero gives
+ * a null value and a problem.
+ */
+export const foldBinary = (operator, left, right) => {
+  if (!isArithmeticType(left.type) || !isArithmeticType(right.type)) {
+    return null;
+  }
+
+  if (operator === "&&" || operator === "||") {
+    const result =
+      operator === "&&"
+        ? !isZero(left) && !isZero(right)
+        : !isZero(left) || !isZero(right);
+    return { value: result ? 1n : 0n, type: intType };
+  }
+  if (operator === "<<" || operator === ">>") {
+    return isIntegerType(left.type) && isIntegerType(right.type)
+      ? foldShift(operator, left, right)
+      : null;
+  }
+
+  const type = arithmeticResultType(left.type, right.type);
+  const a = convertConstant(left, type).value;
+  const b = convertConstant(right, type).value;
+
+  if (["<", ">", "<=", ">=", "==", "!="].includes(operator)) {
+    return { value: compare(operator, a, b) ? 1n : 0n, type: intType };
+  }
+
+  if (isFloatingType(type)) {
+    switch (operator) {
+      case "+":
+        return floating(a + b, type);
+      case "-":
+        return floating(a - b, type);
+      case "*":
+        return floating(a * b, type);
+      case "/":
+        return floating(a / b, type);
+      default:
+        return null;
+    }
+  }
+
+  switch (operator) {
+    case "+":
+      return integer(a + b, type);
+    case "-":
+      return integer(a - b, type);
+    case "*":
+      return integer(a * b, type);
+    case "/":
+    case "%":
+      if (b === 0n) {
+        return {
+          value: null,
+          type,
+          problem: {
+            kind: "division",
+            message: `${
+              operator === "/" ? "Division" : "Remainder"
+            } by zero in constant expression`,
+          },
+        };
+      }
+      // BigInt division truncates toward zero, as C does
+      return integer(operator === "/" ? a / b : a % b, type);
+    case "&":
+      return { value: a & b, type };
+    case "|":
+      return { value: a | b, type };
+    case "^":
+      return { value: a ^ b, type };
+    default:
+      return null;
+  }
+};
+
+// Why an operand stops an expression from being constant
+const notConstantReason = (node) => {
+  switch (node.type) {
+    case "AssignmentExpression":
+      return "Assignment is not allowed in a constant expression";
+    case "UpdateExpression":
+      return `'${node.operator}' is not allowed in a constant expression`;
+    case "CallExpression":
+      return "Function call is not allowed in a constant expression";
+    case "SequenceExpression":
+      return "Comma operator is not allowed in a constant expression";
+    case "Literal":
+      return "String literal is not allowed in an arithmetic constant expression";
+    default:
+      return "Expression is not a compile-time constant";
+  }
+};
+
+/**
+ * Evaluate an expression as a C constant expression.
+ *
+ * `context` supplies what the evaluator cannot know on its own:
+ * - resolveName(name)   the symbol for an identifier (enum constants
+ *                       carry `enumType` and `value`), or null
+ * - typeOf(node)        the type of an expression, for sizeof
+ * - typeOfName(node)    the type named by a TypeName node
+ * - sizeOf(type)        the size of a type in bytes, or null
+ *
+ * Returns { value, type, problems }. `value` is a BigInt for integer
+ * types, a number for floating types, and null when the expression is
+ * not constant. Each problem is { kind, message, node }, where kind is
+ * "not-constant", "undeclared", "invalid" (a malformed character
+ * constant), "overflow", "division" or "shift".
+ * Operands that are never evaluated (the dead side of &&, || and ?:)
+ * report nothing and need not have a value, so "0 && 1 / 0" is 0.
+ */
+export const evaluateConstant = (node, context = {}) => {
+  const problems = [];
+  const report = (problem, at, live) => {
+    if (problem && live) problems.push({ ...problem, node: at });
+  };
+  const notConstant = (at, live, message = notConstantReason(at)) => {
+    report({ kind: "not-constant", message }, at, live);
+    return null;
+  };
+  const fold = (result, at, live) => {
+    if (!result) return null;
+    report(result.problem, at, live);
+    return result.value === null
+      ? null
+      : { value: result.value, type: result.type };
+  };
+
+  const evaluate = (expr, live) => {
+    if (!expr) return null;
+
+    switch (expr.type) {
+      case "Literal": {
+        if (expr.valueType === "string") return notConstant(expr, live);
+        if (expr.valueType === "char") {
+          const value = charLiteralValue(expr.value);
+          if (value === null) {
+            report(
+              {
+                kind: "invalid",
+                message: `Invalid character constant ${expr.value}`,
+              },
+              expr,
+              live
+            );
+            return null;
+          }
+          return { value, type: intType };
+        }
+        const type = numericLiteralType(expr.value);
+        if (isFloatingType(type)) {
+          const value = Number(String(expr.value).replace(/[fFlL]$/, ""));
+          return Number.isNaN(value) ? null : floating(value, type);
+        }
+        return fold(parseIntegerLiteral(expr.value), expr, live);
+      }
+
+      case "Identifier": {
+        const symbol = context.resolveName?.(expr.name);
+        if (symbol?.enumType && symbol.value !== undefined) {
+          return { value: BigInt(symbol.value), type: intType };
+        }
+        if (!symbol) {
+          report(
+            {
+              kind: "undeclared",
+              message: `Undefined identifier '${expr.name}'`,
+            },
+            expr,
+            live
+          );
+          return null;
+        }
+        return notConstant(
+          expr,
+          live,
+          `'${expr.name}' is not a compile-time constant`
+        );
+      }
+
+      case "UnaryExpression": {
+        if (!["+", "-", "~", "!"].includes(expr.operator)) {
+          return notConstant(expr, live);
+        }
+        const operand = evaluate(expr.argument, live);
+        return operand && fold(foldUnary(expr.operator, operand), expr, live);
+      }
+
+      case "BinaryExpression": {
+        const left = evaluate(expr.left, live);
+        if (!left) {
+          evaluate(expr.right, live);
+          return null;
+        }
+        // The right operand of && and || is only evaluated when needed,
+        // and when it is not, the left one decides the result
+        const shortCircuit =
+          (expr.operator === "&&" && isZero(left)) ||
+          (expr.operator === "||" && !isZero(left));
+        const right = evaluate(expr.right, live && !shortCircuit);
+        if (shortCircuit && isArithmeticType(left.type)) {
+          return { value: expr.operator === "&&" ? 0n : 1n, type: intType };
+        }
+        if (!right) return null;
+        return fold(foldBinary(expr.operator, left, right), expr, live);
+      }
+
+      case "ConditionalExpression": {
+        const test = evaluate(expr.test, live);
+        if (!test) return null;
+        const takesAlternate = isZero(test);
+        const consequent = evaluate(expr.consequent, live && !takesAlternate);
+        const alternate = evaluate(expr.alternate, live && takesAlternate);
+        const chosen = takesAlternate ? alternate : consequent;
+        if (!chosen) return null;
+        // The arm not taken needs no value, but its type still takes part
+        // in the type of the result
+        const other = takesAlternate ? consequent : alternate;
+        const otherType =
+          other?.type ??
+          context.typeOf?.(takesAlternate ? expr.consequent : expr.alternate) ??
+          chosen.type;
+        const type = arithmeticResultType(chosen.type, otherType);
+        return type ? fold(convertConstant(chosen, type), expr, live) : null;
+      }
+
+      case "CastExpression": {
+        const operand = evaluate(expr.argument, live);
+        const type = context.typeOfName?.(expr.typeName);
+        if (!operand || !type) return null;
+        if (!isArithmeticType(type)) {
+          return notConstant(
+            expr,
+            live,
+            `Cast to '${typeToString(
+              type
+            )}' is not allowed in an arithmetic constant expression`
+          );
+        }
+        return fold(convertConstant(operand, type), expr, live);
+      }
+
+      case "SizeofExpression": {
+        // The operand is not evaluated, only its type is needed
+        const type =
+          expr.argument?.type === "TypeName"
+            ? context.typeOfName?.(expr.argument)
+            : context.typeOf?.(expr.argument);
+        if (!type) return null;
+        const size = context.sizeOf?.(type);
+        if (size === null || size === undefined) {
+          return notConstant(
+            expr,
+            live,
+            `Size of '${typeToString(type)}' is not known at compile time`
+          );
+        }
+        return { value: BigInt(size), type: sizeType };
+      }
+
+      default:
+        return notConstant(expr, live);
+    }
+  };
+
+  const result = evaluate(node, true);
+  return {
+    value: result ? result.value : null,
+    type: result ? result.type : null,
+    problems,
+  };
+};
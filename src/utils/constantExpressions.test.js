@@ -0,0 +1,140 @@
+/* global BigInt */
+
+import {
+  charLiteralValue,
+  convertConstant,
+  evaluateConstant,
+  parseIntegerLiteral,
+  wrapInteger,
+} from "./constantExpressions";
+import { parseSource } from "./testUtils";
+import { basicType, typeToString } from "./types";
+
+// Evaluate the initializer of "long x = <expression>;" with no names in
+// scope
+const evaluate = (expression) => {
+  const { ast } = parseSource(`long x = ${expression};`);
+  const result = evaluateConstant(ast.body[0].declarations[0].init);
+  return {
+    value: result.value,
+    type: result.type && typeToString(result.type),
+    problems: result.problems.map(({ kind, message }) => `${kind}: ${message}`),
+  };
+};
+
+describe("constant expressions", () => {
+  it("folds integer arithmetic with C precedence", () => {
+    expect(evaluate("1 + 2 * 3 - 8 / 3 % 2")).toMatchObject({ value: 7n });
+    expect(evaluate("(1 << 4) | 3 ^ 1")).toMatchObject({ value: 18n });
+    expect(evaluate("-7 / 2")).toMatchObject({ value: -3n });
+    expect(evaluate("-7 % 2")).toMatchObject({ value: -1n });
+    expect(evaluate("3 > 2 ? 10 : 20")).toMatchObject({ value: 10n });
+  });
+
+  it("applies the usual arithmetic conversions", () => {
+    expect(evaluate("-1 < 0u")).toMatchObject({ value: 0n, type: "int" });
+    expect(evaluate("0u - 1")).toMatchObject({
+      value: 4294967295n,
+      type: "unsigned int",
+    });
+    expect(evaluate("1 + 2L")).toMatchObject({ type: "long" });
+    expect(evaluate("'a' + 1")).toMatchObject({ value: 98n, type: "int" });
+  });
+
+  it("reports signed overflow, but lets unsigned arithmetic wrap", () => {
+    expect(evaluate("2147483647 + 1")).toEqual({
+      value: -2147483648n,
+      type: "int",
+      problems: [
+        "overflow: Integer overflow in constant expression of type 'int' results in '-2147483648'",
+      ],
+    });
+    expect(evaluate("4294967295u + 1u").problems).toEqual([]);
+    expect(evaluate("-(-2147483647 - 1)").problems).toHaveLength(1);
+  });
+
+  it("reports undefined shifts and division by zero", () => {
+    expect(evaluate("1 << 32").problems).toEqual([
+      "shift: Shift count 32 >= width of type 'int' (32 bits)",
+    ]);
+    expect(evaluate("1 >> -1").problems).toEqual([
+      "shift: Shift count -1 is negative",
+    ]);
+    expect(evaluate("-1 << 1").problems).toEqual([
+      "shift: Left shift of negative value -1",
+    ]);
+    expect(evaluate("1 / 0")).toMatchObject({ value: null });
+    expect(evaluate("1 / 0").problems[0]).toMatch(/^division: /);
+  });
+
+  it("folds &&, || and ?: without evaluating the dead side", () => {
+    expect(evaluate("0 && 1 / 0")).toEqual({
+      value: 0n,
+      type: "int",
+      problems: [],
+    });
+    expect(evaluate("1 || 1 << 40")).toEqual({
+      value: 1n,
+      type: "int",
+      problems: [],
+    });
+    expect(evaluate("1 ? 2 : 1 / 0")).toEqual({
+      value: 2n,
+      type: "int",
+      problems: [],
+    });
+    expect(evaluate("0 ? 1 / 0 : 3u")).toEqual({
+      value: 3n,
+      type: "unsigned int",
+      problems: [],
+    });
+    expect(evaluate("1 ? 2 : 3.0")).toMatchObject({ type: "double" });
+  });
+
+  it("rejects names that are not constants", () => {
+    expect(evaluate("y + 1")).toMatchObject({
+      value: null,
+      problems: ["undeclared: Undefined identifier 'y'"],
+    });
+  });
+
+  it("reads integer literals with their C type", () => {
+    expect(parseIntegerLiteral("0x10")).toMatchObject({ value: 16n });
+    expect(parseIntegerLiteral("017")).toMatchObject({ value: 15n });
+    expect(typeToString(parseIntegerLiteral("2147483648").type)).toBe("long");
+    expect(typeToString(parseIntegerLiteral("0xFFFFFFFF").type)).toBe(
+      "unsigned int"
+    );
+    expect(parseIntegerLiteral("99999999999999999999").problem.kind).toBe(
+      "overflow"
+    );
+  });
+
+  it("reads character constants, and rejects malformed ones", () => {
+    expect(charLiteralValue("'a'")).toBe(97n);
+    expect(charLiteralValue("'\\n'")).toBe(10n);
+    expect(charLiteralValue("'\\''")).toBe(39n);
+    expect(charLiteralValue("'\\x41'")).toBe(65n);
+    expect(charLiteralValue("'\\377'")).toBe(-1n);
+    expect(charLiteralValue("''")).toBeNull();
+    expect(charLiteralValue("'\\'")).toBeNull();
+    expect(evaluate("''").problems).toEqual([
+      "invalid: Invalid character constant ''",
+    ]);
+  });
+
+  it("converts between types like C does", () => {
+    const uchar = basicType("unsigned char");
+    expect(wrapInteger(BigInt(300), uchar)).toBe(44n);
+    expect(wrapInteger(BigInt(128), basicType("signed char"))).toBe(-128n);
+    expect(
+      convertConstant({ value: 3.9, type: basicType("double") }, uchar)
+    ).toMatchObject({ value: 3n });
+    expect(
+      convertConstant(
+        { value: 1e10, type: basicType("double") },
+        basicType("int")
+      ).problem.kind
+    ).toBe("overflow");
+  });
+});
@@ -0,0 +1,422 @@
+/**
+ * Control-flow graphs
+ *
+ * Splits each function body into basic blocks: runs of statements that
+ * execute one after another, joined by edges for if/else, loops, switch,
+ * break/continue, goto and return. Conditions are the last statement of
+ * the block that branches on them. Code after a jump starts a block with
+ * no predecessors, so unreachable code stays visible in the graph.
+ */
+
+import { evaluateConstant } from "./constantExpressions";
+
+// Without symbol information only literal conditions such as
+// "while (1)" are known
+const literalContext = {
+  resolveName: () => null,
+  typeOf: () => null,
+  typeOfName: () => null,
+  sizeOf: () => null,
+};
+
+// Truth of a condition known at compile time, or null
+const literalCondition = (test) => {
+  const { value } = evaluateConstant(test, literalContext);
+  return value === null ? null : Number(value) !== 0;
+};
+
+// Source text of a node with whitespace collapsed, for block labels
+export const statementText = (node, code = "") =>
+  (code.slice(node?.location?.start, node?.location?.end) || node?.type || "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Build the control-flow graph of a function definition. Returns
+ * { name, location, entry, exit, blocks } where each block is
+ * { id, kind, statements, location, successors, predecessors }:
+ * - kind is "entry", "exit" or "basic"
+ * - statements are AST nodes (statements, or the condition a block
+ *   branches on), in execution order
+ * - location spans the statements, null for an empty block
+ * - successors are { to, label } with label "true", "false", "case ..."
+ *   or "default" on branches and null otherwise; predecessors are ids
+ *
+ * `options` can supply what the graph needs from the analyzer:
+ * - constantCondition(test)  true or false for a loop condition known at
+ *                            compile time, so "while (1)" has no exit
+ *                            edge; null otherwise
+ * - isNoreturnCall(call)     whether a call never returns (exit, abort),
+ *                            which ends the path like a return
+ */
+export const buildControlFlowGraph = (
+  fn,
+  code = "",
+  { constantCondition = literalCondition, isNoreturnCall = () => false } = {}
+) => {
+  const blocks = [];
+  // Jump targets of the enclosing loops and switches, innermost last
+  const jumpTargets = [];
+  // Blocks that start at a label, and the labels actually defined
+  const labelBlocks = new Map();
+  const definedLabels = new Set();
+
+  const newBlock = (kind = "basic") => {
+    const block = { kind, statements: [], successors: [] };
+    blocks.push(block);
+    return block;
+  };
+
+  // Add an edge; there is none from code that cannot be reached
+  const connect = (from, to, label = null) => {
+    if (from) from.successors.push({ to, label });
+  };
+
+  const entry = newBlock("entry");
+  const exit = newBlock("exit");
+  let current = newBlock();
+  connect(entry, current);
+
+  // Statements after a jump go in a new block without predecessors
+  const add = (node) => {
+    if (!current) current = newBlock();
+    current.statements.push(node);
+  };
+
+  // Start a block reached from the end of the current one
+  const continueIn = (block) => {
+    connect(current, block);
+    current = block;
+    return block;
+  };
+
+  // Leave the current block with an edge to a jump target
+  const jumpTo = (node, target) => {
+    add(node);
+    connect(current, target);
+    current = null;
+  };
+
+  const getLabelBlock = (name) => {
+    if (!labelBlocks.has(name)) labelBlocks.set(name, newBlock());
+    return labelBlocks.get(name);
+  };
+
+  // Branch on a loop condition; a constant one always takes the same edge
+  const branchOn = (test, from, body, after) => {
+    const truth = constantCondition(test);
+    if (truth !== false) connect(from, body, "true");
+    if (truth !== true) connect(from, after, "false");
+  };
+
+  // Visit a loop or switch body with its break and continue targets
+  const visitBody = (body, breakTarget, continueTarget) => {
+    jumpTargets.push({ breakTarget, continueTarget });
+    visit(body);
+    jumpTargets.pop();
+  };
+
+  // Innermost target of a break or continue, if any
+  const findTarget = (kind) =>
+    [...jumpTargets].reverse().find((targets) => targets[kind])?.[kind];
+
+  const visit = (node) => {
+    if (!node) return;
+
+    switch (node.type) {
+      case "BlockStatement":
+        node.body.forEach(visit);
+        break;
+
+      case "IfStatement": {
+        add(node.test);
+        const condition = current;
+        const after = newBlock();
+
+        current = newBlock();
+        connect(condition, current, "true");
+        visit(node.consequent);
+        connect(current, after);
+
+        if (node.alternate) {
+          current = newBlock();
+          connect(condition, current, "false");
+          visit(node.alternate);
+          connect(current, after);
+        } else {
+          connect(condition, after, "false");
+        }
+        current = after;
+        break;
+      }
+
+      case "WhileStatement": {
+        const test = continueIn(newBlock());
+        test.statements.push(node.test);
+        const body = newBlock();
+        const after = newBlock();
+        branchOn(node.test, test, body, after);
+
+        current = body;
+        visitBody(node.body, after, test);
+        connect(current, test);
+        current = after;
+        break;
+      }
+
+      case "DoWhileStatement": {
+        const body = continueIn(newBlock());
+        const test = newBlock();
+        const after = newBlock();
+
+        visitBody(node.body, after, test);
+        continueIn(test);
+        test.statements.push(node.test);
+        branchOn(node.test, test, body, after);
+        current = after;
+        break;
+      }
+
+      case "ForStatement": {
+        if (node.init) add(node.init);
+        const test = continueIn(newBlock());
+        const body = newBlock();
+        const after = newBlock();
+        // Without a condition the loop only ends through a jump
+        if (node.test) {
+          test.statements.push(node.test);
+          branchOn(node.test, test, body, after);
+        } else {
+          connect(test, body);
+        }
+
+        const update = newBlock();
+        if (node.update) update.statements.push(node.update);
+        connect(update, test);
+
+        current = body;
+        visitBody(node.body, after, update);
+        connect(current, update);
+        current = after;
+        break;
+      }
+
+      case "SwitchStatement": {
+        add(node.discriminant);
+        const dispatch = current;
+        const after = newBlock();
+
+        // Each case is entered from the dispatch or by falling through
+        current = null;
+        jumpTargets.push({ breakTarget: after });
+        node.cases.forEach((switchCase) => {
+          const caseBlock = continueIn(newBlock());
+          connect(
+            dispatch,
+            caseBlock,
+            switchCase.test
+              ? `case ${statementText(switchCase.test, code)}`
+              : "default"
+          );
+          switchCase.consequent.forEach(visit);
+        });
+        jumpTargets.pop();
+
+        if (!node.cases.some((switchCase) => !switchCase.test)) {
+          connect(dispatch, after, "default");
+        }
+        continueIn(after);
+        break;
+      }
+
+      case "BreakStatement":
+      case "ContinueStatement": {
+        const target = findTarget(
+          node.type === "BreakStatement" ? "breakTarget" : "continueTarget"
+        );
+        // A jump with no enclosing loop is reported by the analyzer
+        if (target) jumpTo(node, target);
+        else add(node);
+        break;
+      }
+
+      case "ReturnStatement":
+        jumpTo(node, exit);
+        break;
+
+      case "GotoStatement":
+        jumpTo(node, getLabelBlock(node.label.name));
+        break;
+
+      case "LabeledStatement":
+        definedLabels.add(node.label.name);
+        continueIn(getLabelBlock(node.label.name));
+        visit(node.body);
+        break;
+
+      case "ExpressionStatement":
+        add(node);
+        if (
+          node.expression.type === "CallExpression" &&
+          isNoreturnCall(node.expression)
+        ) {
+          current = null;
+        }
+        break;
+
+      default:
+        add(node);
+    }
+  };
+
+  visit(fn.body);
+  // Falling off the end of the body returns
+  connect(current, exit);
+
+  // A goto to a label that is never defined goes nowhere
+  labelBlocks.forEach((block, name) => {
+    if (definedLabels.has(name)) return;
+    blocks.forEach((from) => {
+      from.successors = from.successors.filter(({ to }) => to !== block);
+    });
+  });
+
+  return finishGraph(fn, blocks, entry, exit);
+};
+
+// Remove the empty join blocks left by the construction, then number the
+// remaining blocks and fill in predecessors and locations
+const finishGraph = (fn, allBlocks, entry, exit) => {
+  let blocks = allBlocks;
+  const hasPredecessor = (block) =>
+    block === entry ||
+    blocks.some((from) => from.successors.some(({ to }) => to === block));
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const block of blocks) {
+      if (block.kind !== "basic" || block.statements.length > 0) continue;
+
+      // An empty block passes control straight on to its one successor
+      const [next] = block.successors;
+      const forwards = block.successors.length === 1 && next.to !== block;
+      if (forwards || !hasPredecessor(block)) {
+        blocks.forEach((from) => {
+          from.successors = from.successors.flatMap((edge) =>
+            edge.to !== block
+              ? [edge]
+              : forwards
+              ? [{ ...edge, to: next.to }]
+              : []
+          );
+        });
+        blocks = blocks.filter((other) => other !== block);
+        changed = true;
+        break;
+      }
+    }
+  }
+
+  // Entry first and exit last, the others in source order
+  const startOf = (block) =>
+    Math.min(
+      ...block.statements.map((node) => node.location?.start ?? Infinity)
+    );
+  const ordered = [
+    entry,
+    ...blocks
+      .filter((block) => block.kind === "basic")
+      .sort((a, b) => startOf(a) - startOf(b) || 0),
+    exit,
+  ];
+  ordered.forEach((block, index) => {
+    block.id =
+      block.kind === "basic"
+        ? `B${index}`
+        : block.kind === "entry"
+        ? "entry"
+        : "exit";
+  });
+
+  return {
+    name: fn.id?.name || "function",
+    location: fn.location,
+    entry: entry.id,
+    exit: exit.id,
+    blocks: ordered.map((block) => ({
+      id: block.id,
+      kind: block.kind,
+      statements: block.statements,
+      location: block.statements.length
+        ? {
+            start: startOf(block),
+            end: Math.max(
+              ...block.statements.map((node) => node.location?.end ?? -Infinity)
+            ),
+          }
+        : null,
+      successors: block.successors.map(({ to, label }) => ({
+        to: to.id,
+        label,
+      })),
+      predecessors: ordered
+        .filter((from) => from.successors.some(({ to }) => to === block))
+        .map((from) => from.id),
+    })),
+  };
+};
+
+// Graphs of all function definitions in a program, in source order
+export const buildControlFlowGraphs = (ast, code = "") =>
+  (ast?.body || [])
+    .filter((node) => node.type === "FunctionDeclaration" && node.body)
+    .map((fn) => buildControlFlowGraph(fn, code));
+
+// Quote a string for DOT; "\l" ends a left-justified line
+const dotString = (text) => `"${text.replace(/["\\]/g, "\\$&")}"`;
+
+/**
+ * Graphviz DOT text for control-flow graphs, one cluster per function.
+ * Block labels list the source text of their statements.
+ */
+export const toDot = (graphs, code = "") => {
+  const lines = ["digraph CFG {", '  node [shape=box, fontname="monospace"];'];
+
+  graphs.forEach((graph, index) => {
+    const nodeName = (id) => dotString(`${graph.name}.${id}`);
+    lines.push(`  subgraph cluster_${index} {`);
+    lines.push(`    label=${dotString(graph.name)};`);
+
+    graph.blocks.forEach((block) => {
+      const label =
+        block.kind === "basic"
+          ? [
+              block.id,
+              ...block.statements.map((node) => statementText(node, code)),
+            ]
+              .map((line) => `${dotString(line).slice(1, -1)}\\l`)
+              .join("")
+          : block.kind.toUpperCase();
+      lines.push(
+        `    ${nodeName(block.id)} [label="${label}"${
+          block.kind === "basic" ? "" : ", shape=ellipse"
+        }];`
+      );
+    });
+
+    graph.blocks.forEach((block) =>
+      block.successors.forEach(({ to, label }) =>
+        lines.push(
+          `    ${nodeName(block.id)} -> ${nodeName(to)}${
+            label ? ` [label=${dotString(label)}]` : ""
+          };`
+        )
+      )
+    );
+    lines.push("  }");
+  });
+
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+};
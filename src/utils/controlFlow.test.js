@@ -0,0 +1,123 @@
+import {
+  buildControlFlowGraph,
+  buildControlFlowGraphs,
+  statementText,
+  toDot,
+} from "./controlFlow";
+import { parseSource } from "./testUtils";
+
+const graphsOf = (code) => buildControlFlowGraphs(parseSource(code).ast, code);
+
+// One line per block: its statements, then its successors
+const outline = (graph, code) =>
+  graph.blocks.map(({ id, statements, successors }) =>
+    [
+      id,
+      statements.map((node) => `[${statementText(node, code)}]`).join(" "),
+      "->",
+      successors.map(({ to, label }) => (label ? `${to}(${label})` : to)),
+    ]
+      .flat()
+      .filter(Boolean)
+      .join(" ")
+  );
+
+describe("control-flow graphs", () => {
+  it("builds one graph per function definition", () => {
+    const graphs = graphsOf(
+      "int f(void); int f(void) { return 0; } void g(void) {}"
+    );
+    expect(graphs.map(({ name }) => name)).toEqual(["f", "g"]);
+    expect(outline(graphs[1], "")).toEqual(["entry -> exit", "exit ->"]);
+  });
+
+  it("branches on if/else and ends paths at return", () => {
+    const code = "int f(int x) { if (x) x = 1; else return 2; return x; }";
+    expect(outline(graphsOf(code)[0], code)).toEqual([
+      "entry -> B1",
+      "B1 [x] -> B2(true) B3(false)",
+      "B2 [x = 1;] -> B4",
+      "B3 [return 2;] -> exit",
+      "B4 [return x;] -> exit",
+      "exit ->",
+    ]);
+  });
+
+  it("gives 'while (1)' no exit edge, leaving the code after it unreachable", () => {
+    const code = "int f(int x) { while (1) { x++; } return x; }";
+    const [graph] = graphsOf(code);
+    expect(outline(graph, code)).toEqual([
+      "entry -> B1",
+      "B1 [1] -> B2(true)",
+      "B2 [x++;] -> B1",
+      "B3 [return x;] -> exit",
+      "exit ->",
+    ]);
+    expect(graph.blocks.find(({ id }) => id === "B3").predecessors).toEqual([]);
+  });
+
+  it("follows break and continue to the innermost loop", () => {
+    const code =
+      "void f(int n) { for (int i = 0; i < n; i++) { if (i == 2) continue; if (i == 5) break; } }";
+    expect(outline(graphsOf(code)[0], code)).toEqual([
+      "entry -> B1",
+      "B1 [int i = 0;] -> B2",
+      "B2 [i < n] -> B4(true) exit(false)",
+      "B3 [i++] -> B2",
+      "B4 [i == 2] -> B5(true) B6(false)",
+      "B5 [continue;] -> B3",
+      "B6 [i == 5] -> B7(true) B3(false)",
+      "B7 [break;] -> exit",
+      "exit ->",
+    ]);
+  });
+
+  it("labels switch cases and falls through between them", () => {
+    const code =
+      "void f(int x) { switch (x) { case 1: x = 2; break; case 2: case 3: x = 3; default: x = 4; } }";
+    expect(outline(graphsOf(code)[0], code)).toEqual([
+      "entry -> B1",
+      "B1 [x] -> B2(case 1) B3(case 2) B3(case 3) B4(default)",
+      "B2 [x = 2;] [break;] -> exit",
+      "B3 [x = 3;] -> B4",
+      "B4 [x = 4;] -> exit",
+      "exit ->",
+    ]);
+  });
+
+  it("jumps to labels with goto", () => {
+    const code = "int f(int x) { goto done; x = 9; done: return x; }";
+    expect(outline(graphsOf(code)[0], code)).toEqual([
+      "entry -> B1",
+      "B1 [goto done;] -> B3",
+      "B2 [x = 9;] -> B3",
+      "B3 [return x;] -> exit",
+      "exit ->",
+    ]);
+  });
+
+  it("ends the path at calls the analyzer knows do not return", () => {
+    const code = "void f(void) { exit(1); g(); }";
+    const fn = parseSource(code).ast.body[0];
+    const graph = buildControlFlowGraph(fn, code, {
+      isNoreturnCall: (call) => call.callee.name === "exit",
+    });
+    expect(outline(graph, code)).toEqual([
+      "entry -> B1",
+      "B1 [exit(1);] ->",
+      "B2 [g();] -> exit",
+      "exit ->",
+    ]);
+  });
+
+  it("renders graphs as Graphviz DOT", () => {
+    const code = 'int f(int x) { if (x) return "a"[0]; return 0; }';
+    const dot = toDot(graphsOf(code), code);
+    expect(dot).toMatch(/^digraph CFG \{\n/);
+    expect(dot).toContain('label="f";');
+    expect(dot).toContain('"f.entry" [label="ENTRY", shape=ellipse];');
+    expect(dot).toContain('"f.B2" [label="B2\\lreturn \\"a\\"[0];\\l"];');
+    expect(dot).toContain('"f.B1" -> "f.B2" [label="true"];');
+    expect(dot).toContain('"f.B3" -> "f.exit";');
+  });
+});
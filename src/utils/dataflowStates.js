@@ -0,0 +1,51 @@
+/**
+ * Dataflow states
+ *
+ * Helpers for the forward dataflow analyses over the control-flow graph
+ * of a function. A state is a Map from the symbol of a variable to what
+ * the analysis knows about it at one point.
+ */
+
+// Join the states of the paths that meet at a point; `join` combines the
+// values they hold for one symbol, undefined where a state has none
+export const joinStates = (states, join) => {
+  const joined = new Map();
+  const symbols = new Set(states.flatMap((state) => [...state.keys()]));
+  symbols.forEach((symbol) =>
+    joined.set(symbol, join(states.map((state) => state.get(symbol))))
+  );
+  return joined;
+};
+
+// Whether two states agree; `same` compares the value one holds for a
+// symbol with the other's, which may be undefined
+export const sameState = (a, b, same = (x, y) => x === y) =>
+  a.size === b.size &&
+  [...a].every(([symbol, value]) => same(value, b.get(symbol)));
+
+// The conditions known to hold on one branch of a condition, which is
+// split where it short-circuits: on the true branch of "a && b" both a
+// and b are true, and on the false branch of "a || b" both are false
+export const branchConditions = (condition, label) =>
+  condition?.type === "BinaryExpression" &&
+  ((condition.operator === "&&" && label === "true") ||
+    (condition.operator === "||" && label === "false"))
+    ? [
+        ...branchConditions(condition.left, label),
+        ...branchConditions(condition.right, label),
+      ]
+    : [condition];
+
+// States on the edges from a block to one of its successors, given the
+// state after the block: a branch taken refines the condition the block
+// ends with, with refine(state, condition, label)
+export const edgeStates = (block, to, state, refine) => {
+  const { successors, statements } = block;
+  return successors
+    .filter((edge) => edge.to === to)
+    .map(({ label }) =>
+      label === "true" || label === "false"
+        ? refine(state, statements[statements.length - 1], label)
+        : state
+    );
+};
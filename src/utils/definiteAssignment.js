@@ -0,0 +1,220 @@
+/**
+ * Definite assignment
+ *
+ * Forward dataflow over the control-flow graph of a function. For each
+ * local variable it tracks whether the variable may still be unassigned
+ * and whether it may have been assigned at every point, so a read can be
+ * classed as definitely uninitialized (unassigned on every path) or
+ * maybe uninitialized (unassigned on some paths only).
+ */
+
+import {
+  branchConditions,
+  edgeStates,
+  joinStates,
+  sameState,
+} from "./dataflowStates";
+import { accessVisitor } from "./variableAccesses";
+
+// Facts about one variable, combined with bitwise or where paths join
+const UNASSIGNED = 1;
+const ASSIGNED = 2;
+
+// The variable an assignment target stores into, with the index and
+// pointer expressions read on the way ("a[i].x = 1" stores into a and
+// reads i). "p->x = 1" and "*p = 1" store through a pointer, so there is
+// no variable and p is read.
+const storeTarget = (target) => {
+  const reads = [];
+  let base = target;
+  while (
+    base?.type === "ArrayAccess" ||
+    (base?.type === "MemberExpression" && base.operator === ".")
+  ) {
+    if (base.type === "ArrayAccess") {
+      reads.push(base.index);
+      base = base.array;
+    } else {
+      base = base.object;
+    }
+  }
+  return base?.type === "Identifier"
+    ? { variable: base, reads }
+    : { variable: null, reads: [target] };
+};
+
+// Facts of a variable where paths join; a path that has not declared it
+// adds none
+const joinFacts = (values) => values.reduce((all, facts) => all | facts, 0);
+
+/**
+ * Find reads of local variables that may happen before the variable is
+ * assigned.
+ *
+ * `context` resolves names for the analysis:
+ * - symbolOf(identifier)       the symbol an identifier refers to
+ * - declaredSymbol(declarator) the symbol a declarator declares
+ * - isTracked(symbol)          whether the symbol needs an assignment
+ *                              before it is read (automatic scalars and
+ *                              records, not arrays or parameters)
+ *
+ * Returns one { node, symbol, definite, declaration, path } per variable,
+ * for its first such read. `path` lists the branches taken from the
+ * declaration to the read along a path that leaves the variable
+ * unassigned, as { condition, label } with the condition node and the
+ * edge label ("true", "false", "case 1", "default").
+ */
+export const findUninitializedReads = (graph, context) => {
+  const { symbolOf, declaredSymbol, isTracked } = context;
+  const blocks = Object.fromEntries(graph.blocks.map((b) => [b.id, b]));
+  // Block and declarator of each tracked declaration
+  const declarations = new Map();
+
+  // Apply the statements of a block to the state before it; onRead is
+  // called with each read of a variable that may be unassigned
+  const transfer = (block, state, onRead = () => {}) => {
+    const result = new Map(state);
+
+    const assign = (identifier, definite) => {
+      const symbol = symbolOf(identifier);
+      if (!result.has(symbol)) return;
+      result.set(symbol, definite ? ASSIGNED : result.get(symbol) | ASSIGNED);
+    };
+
+    const store = (target, definite) => {
+      const { variable, reads } = storeTarget(target);
+      reads.forEach((node) => visit(node, definite));
+      if (variable) assign(variable, definite);
+    };
+
+    const visit = accessVisitor({
+      read: (identifier) => {
+        const symbol = symbolOf(identifier);
+        if (result.get(symbol) & UNASSIGNED) {
+          onRead(identifier, symbol, result.get(symbol) === UNASSIGNED);
+        }
+      },
+      declare: (declarator) => {
+        const symbol = declaredSymbol(declarator);
+        if (!symbol || !isTracked(symbol)) return;
+        declarations.set(symbol, { block: block.id, declarator });
+        result.set(symbol, declarator.init ? ASSIGNED : UNASSIGNED);
+      },
+      assign: (assignment, definite) => store(assignment.left, definite),
+      // Taking the address lets the variable be assigned through it
+      addressOf: (unary, definite) => store(unary.argument, definite),
+    });
+
+    block.statements.forEach((statement) => visit(statement, true));
+    return result;
+  };
+
+  // What a condition tells on one of its branches: on the true branch of
+  // "c && (a = 1)" the right operand has run, so a is assigned
+  const refine = (state, condition, label) =>
+    transfer({ statements: branchConditions(condition, label) }, state);
+
+  // States on the edges from one block to another
+  const statesOn = (from, to) =>
+    edgeStates(blocks[from], to, outStates[from], refine);
+
+  // Iterate to a fixed point; blocks never reached keep no state
+  const inStates = { [graph.entry]: new Map() };
+  const outStates = {};
+  const worklist = [graph.entry];
+  while (worklist.length > 0) {
+    const block = blocks[worklist.shift()];
+    if (block.id !== graph.entry) {
+      inStates[block.id] = joinStates(
+        block.predecessors
+          .filter((id) => outStates[id])
+          .flatMap((id) => statesOn(id, block.id)),
+        joinFacts
+      );
+    }
+    const out = transfer(block, inStates[block.id]);
+    if (outStates[block.id] && sameState(outStates[block.id], out)) continue;
+    outStates[block.id] = out;
+    block.successors.forEach(({ to }) => {
+      if (!worklist.includes(to)) worklist.push(to);
+    });
+  }
+
+  // Whether a variable may be unassigned on an edge
+  const unassignedOn = (symbol, from, to) =>
+    outStates[from] !== undefined &&
+    statesOn(from, to).some((state) => state.get(symbol) & UNASSIGNED);
+
+  // Whether taking an edge assigns a variable that may be unassigned
+  // before it, in its block or in the condition the block ends with, or
+  // leads to an edge that does without passing the given blocks
+  const leadsToAssignment = (symbol, from, start, stopIds) => {
+    const seen = new Set(stopIds);
+    const search = (id, to) => {
+      const before = inStates[id]?.get(symbol) | outStates[id]?.get(symbol);
+      if (before & UNASSIGNED && !unassignedOn(symbol, id, to)) {
+        return true;
+      }
+      if (seen.has(to)) return false;
+      seen.add(to);
+      return blocks[to].successors.some((edge) => search(to, edge.to));
+    };
+    return search(from, start);
+  };
+
+  // Branches along a path that leaves the variable unassigned, found by
+  // searching back from the read to the block that declares it. Only
+  // branches whose other outcome would assign the variable are listed.
+  const findPath = (symbol, blockId) => {
+    const declared = declarations.get(symbol)?.block;
+    const next = { [blockId]: null };
+    const queue = [blockId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (id === declared) break;
+      blocks[id].predecessors.forEach((from) => {
+        if (next[from] !== undefined || !unassignedOn(symbol, from, id)) {
+          return;
+        }
+        next[from] = id;
+        queue.push(from);
+      });
+    }
+    if (declared === blockId || next[declared] === undefined) return [];
+
+    const path = [];
+    for (let id = declared; next[id] !== null; id = next[id]) {
+      const { successors, statements } = blocks[id];
+      const edge = successors.find(({ to }) => to === next[id]);
+      const matters = successors.some(
+        ({ to }) =>
+          to !== edge.to && leadsToAssignment(symbol, id, to, [id, blockId])
+      );
+      if (edge.label && matters) {
+        path.push({
+          condition: statements[statements.length - 1],
+          label: edge.label,
+        });
+      }
+    }
+    return path;
+  };
+
+  const reads = new Map();
+  graph.blocks.forEach((block) => {
+    if (!inStates[block.id]) return;
+    transfer(block, inStates[block.id], (node, symbol, definite) => {
+      const first = reads.get(symbol);
+      if (first && first.node.location?.start <= node.location?.start) {
+        return;
+      }
+      reads.set(symbol, { node, symbol, definite, block: block.id });
+    });
+  });
+
+  return [...reads.values()].map(({ block, ...read }) => ({
+    ...read,
+    declaration: declarations.get(read.symbol)?.declarator || null,
+    path: read.definite ? [] : findPath(read.symbol, block),
+  }));
+};
@@ -0,0 +1,120 @@
+import { analyze } from "./testUtils";
+
+const uninitialized = (code) =>
+  analyze(code).filter(({ message }) => /uninitialized/.test(message));
+
+describe("definite assignment", () => {
+  it("reports a read that no path assigns first as an error", () => {
+    const [error] = uninitialized(`int f(void) {
+  int x;
+  return x;
+}`);
+    expect(error).toMatchObject({
+      message: "Use of uninitialized variable 'x'",
+      line: 3,
+      description:
+        "'x' is declared on line 2 and no path assigns it before this use",
+    });
+    expect(error.severity).toBeUndefined();
+  });
+
+  it("warns about a read that some path leaves unassigned, naming it", () => {
+    expect(
+      uninitialized(`int f(int c) {
+  int x;
+  if (c > 0)
+    x = 1;
+  return x;
+}`)
+    ).toMatchObject([
+      {
+        message: "Variable 'x' may be used uninitialized",
+        line: 5,
+        severity: "warning",
+        description:
+          "'x' is declared on line 2 and is not assigned when 'c > 0' (line 3) is false",
+      },
+    ]);
+  });
+
+  it("accepts variables assigned on every path", () => {
+    expect(
+      uninitialized(`int f(int c) {
+  int x, y = 0;
+  if (c) x = 1; else x = 2;
+  switch (c) { case 1: y = 1; break; default: y = 2; }
+  return x + y;
+}`)
+    ).toEqual([]);
+  });
+
+  it("counts assignments in && and || operands on the edges that run them", () => {
+    expect(
+      uninitialized(`int get(void);
+int f(int c) {
+  int a;
+  if (c && (a = 1)) return a;
+  return 0;
+}
+int g(int c) {
+  int a;
+  if (!c || (a = get()) == 0) return 0;
+  return a;
+}
+int h(int c) {
+  int b;
+  while (c && (b = get()) > 0) { return b; }
+  return 0;
+}`)
+    ).toEqual([]);
+    expect(
+      uninitialized(`int f(int c) {
+  int a;
+  if (c && (a = 1)) c = 2;
+  return a;
+}`).map(({ line, message }) => `${line}: ${message}`)
+    ).toEqual(["4: Variable 'a' may be used uninitialized"]);
+  });
+
+  it("counts a loop that may not run as leaving the variable unassigned", () => {
+    expect(
+      uninitialized(`int f(int n) {
+  int y;
+  for (int i = 0; i < n; i++) y = i;
+  return y;
+}`).map(({ message }) => message)
+    ).toEqual(["Variable 'y' may be used uninitialized"]);
+  });
+
+  it("treats compound assignment as a read", () => {
+    expect(
+      uninitialized(`int f(void) {
+  int s;
+  s += 1;
+  return s;
+}`).map(({ line, message }) => `${line}: ${message}`)
+    ).toEqual(["3: Use of uninitialized variable 's'"]);
+  });
+
+  it("skips arrays and unevaluated operands, and counts &x as a store", () => {
+    expect(
+      uninitialized(`void g(int *);
+int f(void) {
+  int a[2], x, y;
+  a[0] = 1;
+  g(&x);
+  return a[0] + x + (int)sizeof y;
+}`)
+    ).toEqual([]);
+  });
+
+  it("tracks stores to struct members as assignments", () => {
+    expect(
+      uninitialized(`int f(void) {
+  struct { int a; } p;
+  p.a = 1;
+  return p.a;
+}`)
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * printf/scanf format strings
+ *
+ * Splits a literal format string into its conversion specifications and
+ * works out the argument each one consumes, so calls such as
+ * printf("%d %s", x, s) can be checked against the format.
+ */
+
+import {
+  basicType,
+  decayType,
+  integerWidth,
+  isFloatingType,
+  isIntegerType,
+  isPointerType,
+  pointerTo,
+  promoteType,
+  ptrdiffType,
+  resolveType,
+  sizeType,
+  unqualifiedType,
+} from "./types";
+
+// Functions taking a format string: the index of the format argument and
+// whether it follows printf or scanf conventions
+export const formatFunctions = {
+  printf: { style: "printf", formatIndex: 0 },
+  fprintf: { style: "printf", formatIndex: 1 },
+  sprintf: { style: "printf", formatIndex: 1 },
+  snprintf: { style: "printf", formatIndex: 2 },
+  scanf: { style: "scanf", formatIndex: 0 },
+  fscanf: { style: "scanf", formatIndex: 1 },
+  sscanf: { style: "scanf", formatIndex: 1 },
+};
+
+const integerConversions = ["d", "i", "o", "u", "x", "X"];
+const floatingConversions = ["f", "F", "e", "E", "g", "G", "a", "A"];
+
+// Integer type selected by a length modifier, e.g. "l" with "%u" is
+// unsigned long. Returns null for modifiers integers do not take.
+const integerForLength = (length, unsigned) => {
+  switch (length) {
+    case "hh":
+      return basicType(unsigned ? "unsigned char" : "signed char");
+    case "h":
+      return basicType(unsigned ? "unsigned short" : "short");
+    case "":
+      return basicType(unsigned ? "unsigned int" : "int");
+    case "l":
+    case "j": // intmax_t
+      return basicType(unsigned ? "unsigned long" : "long");
+    case "ll":
+      return basicType(unsigned ? "unsigned long long" : "long long");
+    case "z":
+      return unsigned ? sizeType : basicType("long");
+    case "t":
+      return unsigned ? basicType("unsigned long") : ptrdiffType;
+    default:
+      return null;
+  }
+};
+
+// Floating type selected by a length modifier. printf arguments are
+// promoted to double; scanf stores a float unless "l" or "L" is given.
+const floatingForLength = (length, style) => {
+  if (length === "L") return basicType("long double");
+  if (length === "l") return basicType("double");
+  if (length === "") return basicType(style === "scanf" ? "float" : "double");
+  return null;
+};
+
+// Compare an argument with the type a conversion expects. Integers need
+// the same width (signedness may differ, as compilers allow) and
+// floating types must match exactly.
+const matchesExpected = (expected, actual) => {
+  const a = unqualifiedType(resolveType(expected));
+  const b = unqualifiedType(resolveType(actual));
+  if (!a || !b) return true;
+  if (isIntegerType(a)) {
+    return isIntegerType(b) && integerWidth(a) === integerWidth(b);
+  }
+  if (isFloatingType(a)) return isFloatingType(b) && a.name === b.name;
+  return true;
+};
+
+// Type of a variadic argument after the default argument promotions
+const promoteArgument = (type) => {
+  const resolved = resolveType(type);
+  if (resolved?.kind === "floating" && resolved.name === "float") {
+    return basicType("double");
+  }
+  return isIntegerType(resolved) ? promoteType(type) : decayType(type);
+};
+
+const isCharType = (type) => {
+  const resolved = unqualifiedType(resolveType(type));
+  return isIntegerType(resolved) && integerWidth(resolved) === 8;
+};
+
+// A value argument of the given (promoted) type
+const valueOf = (type) => ({
+  type,
+  accepts: (argType) => matchesExpected(type, promoteArgument(argType)),
+});
+
+// A pointer to a string of char (or wchar_t, which is int here)
+const stringOf = (wide) => ({
+  type: pointerTo(basicType(wide ? "int" : "char")),
+  pointer: true,
+  accepts: (argType) => {
+    const pointer = resolveType(decayType(argType));
+    return (
+      isPointerType(pointer) &&
+      (wide
+        ? matchesExpected(basicType("int"), pointer.target)
+        : isCharType(pointer.target))
+    );
+  },
+});
+
+// A pointer to an object the function stores into
+const pointerOf = (target) => ({
+  type: pointerTo(target),
+  pointer: true,
+  accepts: (argType) => {
+    const pointer = resolveType(decayType(argType));
+    return isPointerType(pointer) && matchesExpected(target, pointer.target);
+  },
+});
+
+// What a printf conversion expects, or null when it is not valid
+const printfExpectation = (conversion, length) => {
+  if (integerConversions.includes(conversion)) {
+    const type = integerForLength(length, !"di".includes(conversion));
+    // char and short arguments arrive promoted to int
+    return type && valueOf(promoteType(type));
+  }
+  if (floatingConversions.includes(conversion)) {
+    const type = floatingForLength(length, "printf");
+    return type && valueOf(type);
+  }
+  switch (conversion) {
+    case "c":
+      return ["", "l"].includes(length) ? valueOf(basicType("int")) : null;
+    case "s":
+      return ["", "l"].includes(length) ? stringOf(length === "l") : null;
+    case "p":
+      return length === ""
+        ? {
+            type: pointerTo(basicType("void")),
+            accepts: (argType) => isPointerType(decayType(argType)),
+          }
+        : null;
+    case "n": {
+      const type = integerForLength(length, false);
+      return type && pointerOf(type);
+    }
+    default:
+      return null;
+  }
+};
+
+// What a scanf conversion expects, or null when it is not valid
+const scanfExpectation = (conversion, length) => {
+  if (integerConversions.includes(conversion) || conversion === "n") {
+    const type = integerForLength(length, !"din".includes(conversion));
+    return type && pointerOf(type);
+  }
+  if (floatingConversions.includes(conversion)) {
+    const type = floatingForLength(length, "scanf");
+    return type && pointerOf(type);
+  }
+  switch (conversion) {
+    case "c":
+    case "s":
+    case "[":
+      return ["", "l"].includes(length) ? stringOf(length === "l") : null;
+    case "p":
+      return length === "" ? pointerOf(pointerTo(basicType("void"))) : null;
+    default:
+      return null;
+  }
+};
+
+// printf: %[flags][width][.precision][length]conversion. An escape
+// sequence after '%' is matched whole so it can be shown in messages.
+const printfPattern =
+  /%([-+ #0]*)(\*|\d+)?(?:\.(\*|\d*))?(hh|h|ll|l|j|z|t|L)?(\\.|.?)/g;
+// scanf: %[*][width][length]conversion, where a scanset is "[...]"
+const scanfPattern =
+  /%(\*)?(\d+)?(hh|h|ll|l|j|z|t|L)?(\[\^?\]?[^\]]*\]|\\.|.?)/g;
+
+/**
+ * Parse the text of a format string literal (quotes included) for the
+ * printf or scanf family. Returns the arguments it consumes, in order, as
+ * { spec, type, accepts(argType), pointer } (a printf "*" width or
+ * precision takes an int argument of its own), and the problems found in
+ * the format itself.
+ */
+export const parseFormatString = (literal, style) => {
+  const text = String(literal);
+  const format = text.startsWith('"') ? text.slice(1, -1) : text;
+  const expected = [];
+  const problems = [];
+
+  const pattern = new RegExp(style === "printf" ? printfPattern : scanfPattern);
+
+  let match;
+  while ((match = pattern.exec(format))) {
+    const spec = match[0];
+    if (spec === "%%") continue;
+
+    let conversion;
+    let length;
+    let assigns = true;
+    if (style === "printf") {
+      const [, , width, precision, lengthModifier = "", conversionChar] = match;
+      conversion = conversionChar;
+      length = lengthModifier;
+      if (width === "*") expected.push({ spec, ...valueOf(basicType("int")) });
+      if (precision === "*") {
+        expected.push({ spec, ...valueOf(basicType("int")) });
+      }
+    } else {
+      const [, suppress, , lengthModifier = "", conversionText] = match;
+      if (conversionText === "[") {
+        problems.push(`Unterminated scanset in '${spec}'`);
+        continue;
+      }
+      conversion = conversionText.startsWith("[") ? "[" : conversionText;
+      length = lengthModifier;
+      // "%*d" reads a value without storing it
+      assigns = !suppress;
+    }
+
+    if (!conversion) {
+      problems.push("Incomplete format specifier at end of format string");
+      continue;
+    }
+
+    const expectation =
+      style === "printf"
+        ? printfExpectation(conversion, length)
+        : scanfExpectation(conversion, length);
+    if (!expectation) {
+      problems.push(
+        length && /[diouxXfFeEgGaAcspn[]/.test(conversion)
+          ? `Length modifier '${length}' cannot be used with '%${conversion}'`
+          : `Unknown conversion type character '${conversion}' in format`
+      );
+      continue;
+    }
+
+    if (assigns) expected.push({ spec, ...expectation });
+  }
+
+  return { expected, problems };
+};
+
+// Most characters an integer conversion prints without a width or
+// precision, by conversion and length modifier (64-bit long)
+const decimalDigits = { hh: 4, h: 6, "": 11, wide: 20 };
+const hexDigits = { hh: 2, h: 4, "": 8, wide: 16 };
+const integerDigits = {
+  d: decimalDigits,
+  i: decimalDigits,
+  u: { hh: 3, h: 5, "": 10, wide: 20 },
+  o: { hh: 3, h: 6, "": 11, wide: 22 },
+  x: hexDigits,
+  X: hexDigits,
+};
+// What the "#" flag prefixes: "0" for octal, "0x" for hexadecimal
+const alternatePrefix = { o: 1, x: 2, X: 2 };
+
+// Bytes of literal text, counting each escape sequence as one
+const textLength = (text) =>
+  text.replace(/\\(x[0-9a-fA-F]+|[0-7]{1,3}|.)/g, "_").length;
+
+/**
+ * Most bytes a printf format string literal (quotes included) can
+ * produce, counting the terminating NUL. Returns null when that cannot
+ * be bounded: "%s" without a precision, floating conversions, and
+ * widths or precisions given by "*".
+ */
+export const printfMaxLength = (literal) => {
+  const text = String(literal);
+  const format = text.startsWith('"') ? text.slice(1, -1) : text;
+  const pattern = new RegExp(printfPattern);
+
+  let total = 1;
+  let copied = 0;
+  let match;
+  while ((match = pattern.exec(format))) {
+    const [spec, flags, width, precision, length = "", conversion] = match;
+    total += textLength(format.slice(copied, match.index));
+    copied = match.index + spec.length;
+    if (width === "*" || precision === "*") return null;
+
+    let printed;
+    if (spec === "%%" || conversion === "c") {
+      printed = 1;
+    } else if (conversion === "n") {
+      printed = 0;
+    } else if (conversion === "p") {
+      printed = 18;
+    } else if (conversion === "s") {
+      if (precision === undefined) return null;
+      printed = Number(precision || 0);
+    } else if (integerConversions.includes(conversion)) {
+      const digits =
+        integerDigits[conversion][
+          ["hh", "h", ""].includes(length) ? length : "wide"
+        ];
+      const prefix = flags.includes("#") ? alternatePrefix[conversion] || 0 : 0;
+      const sign = ["d", "i"].includes(conversion) ? 1 : 0;
+      printed = Math.max(digits, Number(precision || 0) + sign) + prefix;
+    } else {
+      return null;
+    }
+    total += Math.max(printed, Number(width || 0));
+  }
+  return total + textLength(format.slice(copied));
+};
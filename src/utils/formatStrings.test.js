@@ -0,0 +1,119 @@
+import { parseFormatString, printfMaxLength } from "./formatStrings";
+import { analyze, messages } from "./testUtils";
+import { basicType, pointerTo, typeToString } from "./types";
+
+// The conversions a format consumes, as "spec: expected type"
+const conversionsOf = (literal, style) =>
+  parseFormatString(literal, style).expected.map(
+    ({ spec, type }) => `${spec}: ${typeToString(type)}`
+  );
+
+const formatWarnings = (code) =>
+  messages(analyze(code).filter(({ message }) => /[Ff]ormat/.test(message)));
+
+describe("parseFormatString", () => {
+  it("lists the printf arguments each conversion takes", () => {
+    expect(conversionsOf('"%d %5.2f %s %lu %p %%"', "printf")).toEqual([
+      "%d: int",
+      "%5.2f: double",
+      "%s: char*",
+      "%lu: unsigned long",
+      "%p: void*",
+    ]);
+  });
+
+  it("gives a '*' width or precision an int argument of its own", () => {
+    expect(conversionsOf('"%*.*s"', "printf")).toEqual([
+      "%*.*s: int",
+      "%*.*s: int",
+      "%*.*s: char*",
+    ]);
+  });
+
+  it("takes pointers for scanf and skips suppressed conversions", () => {
+    expect(conversionsOf('"%d %*d %lf %[a-z] %hhu"', "scanf")).toEqual([
+      "%d: int*",
+      "%lf: double*",
+      "%[a-z]: char*",
+      "%hhu: unsigned char*",
+    ]);
+  });
+
+  it("accepts arguments by their promoted type", () => {
+    const [int, double] = parseFormatString('"%d %f"', "printf").expected;
+    expect(int.accepts(basicType("char"))).toBe(true);
+    expect(int.accepts(basicType("double"))).toBe(false);
+    expect(double.accepts(basicType("float"))).toBe(true);
+    const [store] = parseFormatString('"%d"', "scanf").expected;
+    expect(store.accepts(pointerTo(basicType("int")))).toBe(true);
+    expect(store.accepts(basicType("int"))).toBe(false);
+  });
+
+  it("reports problems in the format itself", () => {
+    expect(parseFormatString('"%q %hf %"', "printf").problems).toEqual([
+      "Unknown conversion type character 'q' in format",
+      "Length modifier 'h' cannot be used with '%f'",
+      "Incomplete format specifier at end of format string",
+    ]);
+    expect(parseFormatString('"%["', "scanf").problems).toEqual([
+      "Unterminated scanset in '%['",
+    ]);
+  });
+});
+
+describe("printfMaxLength", () => {
+  it("bounds the output of a format, counting the NUL", () => {
+    expect(printfMaxLength('"id=%d\\n"')).toBe(3 + 11 + 1 + 1);
+    expect(printfMaxLength('"%.3s|%5c"')).toBe(3 + 1 + 5 + 1);
+    expect(printfMaxLength('"%s"')).toBeNull();
+    expect(printfMaxLength('"%*d"')).toBeNull();
+  });
+});
+
+describe("format argument checks", () => {
+  it("reports printf arguments of the wrong type or number", () => {
+    expect(
+      formatWarnings(`#include <stdio.h>
+int main(void) {
+  double d = 1.5;
+  printf("%d\\n", d);
+  printf("%s %d\\n", "x");
+  printf("%d\\n", 1, 2);
+  return 0;
+}`)
+    ).toEqual([
+      "4: Format '%d' expects argument of type 'int', but argument 2 has type 'double'",
+      "5: Format '%d' has no matching argument",
+      "6: Too many arguments for format: expected 1, got 2",
+    ]);
+  });
+
+  it("suggests '&' for a scanf argument that is not a pointer", () => {
+    expect(
+      formatWarnings(`#include <stdio.h>
+int main(void) {
+  int n;
+  char name[16];
+  scanf("%d %15s", n, name);
+  scanf("%d %15s", &n, name);
+  return n;
+}`)
+    ).toEqual([
+      "5: Format '%d' expects argument of type 'int*', but argument 2 has type 'int'; did you forget '&'?",
+    ]);
+  });
+
+  it("accepts matching arguments and formats that are not literals", () => {
+    expect(
+      formatWarnings(`#include <stdio.h>
+int main(void) {
+  const char *fmt = "%d";
+  short s = 1;
+  long l = 2;
+  printf("%hd %ld %c %5.1f\\n", s, l, 'a', 1.0f);
+  printf(fmt, s, l);
+  return 0;
+}`)
+    ).toEqual([]);
+  });
+});
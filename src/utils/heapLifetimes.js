@@ -0,0 +1,371 @@
+/**
+ * Heap lifetimes
+ *
+ * Path-sensitive walk over the control-flow graph of a function that
+ * follows memory returned by malloc, calloc and realloc through local
+ * pointer variables until it is freed, returned or stored somewhere the
+ * walk cannot see. Every path carries its own state, so each problem
+ * comes with the steps of a path that leads to it.
+ */
+
+import { forEachChild } from "./astSchema";
+import { branchConditions } from "./dataflowStates";
+import { nullTest } from "./nullness";
+
+// Library functions that return new heap memory
+const allocators = ["malloc", "calloc", "realloc", "aligned_alloc"];
+
+// Upper bound on the (block, state) pairs explored per function
+const maxStates = 5000;
+
+// Heap memory that has not been freed and can still be leaked
+const isLive = (object) =>
+  !object.escaped && ["unchecked", "allocated"].includes(object.status);
+
+const cloneState = (state) => ({
+  vars: new Map(state.vars),
+  objects: new Map(
+    [...state.objects].map(([id, object]) => [id, { ...object }])
+  ),
+  trace: [...state.trace],
+});
+
+/**
+ * Find heap-lifetime problems in a function.
+ *
+ * `context` connects the walk to the analyzer:
+ * - symbolOf(identifier)       the symbol an identifier refers to
+ * - declaredSymbol(declarator) the symbol a declarator declares
+ * - isTracked(symbol)          whether the symbol is a local pointer the
+ *                              walk can follow (its address is never
+ *                              taken)
+ * - libraryFunction(call)      name of the standard library function a
+ *                              call invokes, or null
+ * - nonHeapSource(expression)  description of the memory an expression
+ *                              points to when it is not on the heap,
+ *                              such as "a string literal", or null
+ *
+ * Returns { kind, node, symbol, allocation, source, witness } for each
+ * problem, with kind one of:
+ * - "leak"           heap memory still live when the function returns
+ * - "lostLeak"       the last pointer to heap memory is overwritten or
+ *                    the result of an allocation is discarded
+ * - "doubleFree"     memory freed a second time
+ * - "useAfterFree"   freed memory dereferenced or passed to a function
+ * - "uncheckedDeref" an allocation dereferenced before it is compared
+ *                    with NULL
+ * - "freeNonHeap"    free() of memory described by `source`
+ * `allocation` is the allocating call the problem concerns, if any, and
+ * `witness` lists the steps of a path to the problem as { node, note },
+ * or { node, label } for a branch taken.
+ */
+export const findHeapProblems = (graph, context) => {
+  const { symbolOf, declaredSymbol, libraryFunction, nonHeapSource } = context;
+  const blocks = Object.fromEntries(graph.blocks.map((b) => [b.id, b]));
+  const isTracked = (symbol) => !!symbol && context.isTracked(symbol);
+
+  const problems = [];
+  const reported = new Set();
+
+  // Record a problem once per kind, place and allocation, with the steps
+  // since the allocation that concern it
+  const report = (state, kind, node, { id = null, symbol = null, ...rest }) => {
+    const key = `${kind}:${node.location?.start}:${id}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+
+    let start = 0;
+    state.trace.forEach((step, index) => {
+      if (id !== null && step.allocates === id) start = index;
+    });
+    const witness = state.trace
+      .slice(start)
+      .filter((step) => step.label || id === null || step.object === id)
+      .map(({ node: at, note, label }) =>
+        label ? { node: at, label } : { node: at, note }
+      );
+    witness.push({ node, note: rest.note });
+
+    problems.push({
+      kind,
+      node,
+      symbol,
+      allocation: id !== null ? state.objects.get(id)?.allocation : null,
+      source: rest.source || null,
+      witness,
+    });
+  };
+
+  // The heap memory a pointer expression holds, as [id, object, symbol]
+  const heapObject = (state, node) => {
+    while (node?.type === "CastExpression") node = node.argument;
+    const symbol = node?.type === "Identifier" && symbolOf(node);
+    const id = isTracked(symbol) ? state.vars.get(symbol)?.object : undefined;
+    return id !== undefined ? [id, state.objects.get(id), symbol] : [];
+  };
+
+  // Run one statement (or branch condition) in a state
+  const run = (state, statement) => {
+    const deref = (pointer, node) => {
+      const [id, object, symbol] = heapObject(state, pointer);
+      if (!object) return;
+      if (object.status === "freed") {
+        report(state, "useAfterFree", node, {
+          id,
+          symbol,
+          note: `'${symbol.name}' is used after it was freed`,
+        });
+      } else if (object.status === "unchecked") {
+        report(state, "uncheckedDeref", node, {
+          id,
+          symbol,
+          note: `'${symbol.name}' is dereferenced without a NULL check`,
+        });
+        // Report the first dereference only
+        object.status = "allocated";
+      }
+    };
+
+    const allocate = (call, name) => {
+      const id = call.location.start;
+      state.objects.set(id, {
+        status: "unchecked",
+        escaped: false,
+        allocation: call,
+      });
+      state.trace.push({
+        node: call,
+        note: `memory is allocated by ${name}()`,
+        object: id,
+        allocates: id,
+      });
+      return { object: id };
+    };
+
+    const free = (argument, call) => {
+      const value = evaluate(argument);
+      if (value?.nonHeap) {
+        report(state, "freeNonHeap", call, {
+          source: value.nonHeap,
+          note: `${value.nonHeap} is passed to free()`,
+        });
+        return;
+      }
+      const [id, object, symbol] = heapObject(state, argument);
+      if (!object || object.status === "null") return;
+      if (object.status === "freed") {
+        report(state, "doubleFree", call, {
+          id,
+          symbol,
+          note: `'${symbol.name}' is freed again`,
+        });
+        return;
+      }
+      object.status = "freed";
+      state.trace.push({
+        node: call,
+        note: `'${symbol.name}' is freed`,
+        object: id,
+      });
+    };
+
+    // Store a value; memory stored anywhere but a tracked local escapes
+    const assign = (target, value) => {
+      const symbol = target.type === "Identifier" && symbolOf(target);
+      if (isTracked(symbol)) {
+        if (value) state.vars.set(symbol, value);
+        else state.vars.delete(symbol);
+        return;
+      }
+      evaluate(target);
+      if (value?.object !== undefined) {
+        state.objects.get(value.object).escaped = true;
+      }
+    };
+
+    // Evaluate an expression for its effects; returns what a pointer
+    // value holds, { object: id } or { nonHeap: description }, or null
+    const evaluate = (node) => {
+      if (!node) return null;
+      const nonHeap = nonHeapSource(node);
+      if (nonHeap) return { nonHeap };
+
+      switch (node.type) {
+        case "Identifier": {
+          const symbol = symbolOf(node);
+          return isTracked(symbol) ? state.vars.get(symbol) || null : null;
+        }
+        case "CastExpression":
+          return evaluate(node.argument);
+        case "VariableDeclaration":
+          node.declarations.forEach((declarator) => {
+            const value = evaluate(declarator.init);
+            const symbol = declaredSymbol(declarator);
+            if (isTracked(symbol) && value) state.vars.set(symbol, value);
+          });
+          return null;
+        case "AssignmentExpression": {
+          // Pointer arithmetic keeps the variable's memory as it was
+          if (node.operator !== "=") {
+            evaluate(node.left);
+            evaluate(node.right);
+            return null;
+          }
+          const value = evaluate(node.right);
+          assign(node.left, value);
+          return value;
+        }
+        case "CallExpression": {
+          const name = libraryFunction(node);
+          if (name === "free") {
+            free(node.arguments[0], node);
+            return null;
+          }
+          node.arguments.forEach((argument) => {
+            const value = evaluate(argument);
+            const object =
+              value?.object !== undefined && state.objects.get(value.object);
+            if (!object) return;
+            if (object.status === "freed") {
+              deref(argument, node);
+            } else if (!name || name === "realloc") {
+              // A user function may keep the pointer, and realloc takes
+              // over the memory it is given
+              object.escaped = true;
+            }
+          });
+          return allocators.includes(name) ? allocate(node, name) : null;
+        }
+        case "UnaryExpression":
+          if (node.operator === "*") deref(node.argument, node);
+          evaluate(node.argument);
+          return null;
+        case "ArrayAccess":
+          deref(node.array, node);
+          evaluate(node.array);
+          evaluate(node.index);
+          return null;
+        case "MemberExpression":
+          if (node.operator === "->") deref(node.object, node);
+          evaluate(node.object);
+          return null;
+        case "SequenceExpression":
+          return node.expressions.map(evaluate).pop() || null;
+        case "ReturnStatement": {
+          const value = evaluate(node.argument);
+          if (value?.object !== undefined) {
+            state.objects.get(value.object).escaped = true;
+          }
+          return null;
+        }
+        case "SizeofExpression": // the operand is not evaluated
+          return null;
+        default:
+          forEachChild(node, evaluate);
+          return null;
+      }
+    };
+
+    evaluate(statement);
+
+    // Memory no variable points to any more can never be freed
+    state.objects.forEach((object, id) => {
+      if (
+        !isLive(object) ||
+        [...state.vars.values()].some((value) => value.object === id)
+      ) {
+        return;
+      }
+      report(state, "lostLeak", statement, {
+        id,
+        note: "the last pointer to the memory is lost",
+      });
+      object.escaped = true;
+    });
+  };
+
+  // Memory still live when the function returns; `from` is the block
+  // that returns, or falls off the end of the body
+  const checkLeaks = (state, from) => {
+    const last = from.statements[from.statements.length - 1];
+    const returns = last?.type === "ReturnStatement";
+    const end = graph.location?.end;
+    const node = returns ? last : { location: { start: end - 1, end } };
+    state.objects.forEach((object, id) => {
+      if (!isLive(object)) return;
+      const holder = [...state.vars].find(([, value]) => value.object === id);
+      report(state, "leak", node, {
+        id,
+        symbol: holder?.[0] || null,
+        note: returns
+          ? "the function returns without freeing the memory"
+          : "the function ends without freeing the memory",
+      });
+    });
+  };
+
+  // A branch on whether a pointer is NULL tells which it is on each side
+  const refine = (state, condition, label) =>
+    branchConditions(condition, label).forEach((part) => {
+      const test = nullTest(part);
+      if (!test) return;
+      const [, object] = heapObject(state, test.variable);
+      if (!object || object.status === "freed") return;
+      object.status = label === test.nullOn ? "null" : "allocated";
+    });
+
+  // Depth-first over paths; a block reached again in the same state adds
+  // nothing new
+  const symbolIds = new Map();
+  const idOf = (symbol) => {
+    if (!symbolIds.has(symbol)) symbolIds.set(symbol, symbolIds.size);
+    return symbolIds.get(symbol);
+  };
+  const stateKey = (id, state) =>
+    JSON.stringify([
+      id,
+      [...state.vars].map(([symbol, value]) => [idOf(symbol), value]),
+      [...state.objects].map(([key, { status, escaped }]) => [
+        key,
+        status,
+        escaped,
+      ]),
+    ]);
+
+  const seen = new Set();
+  const stack = [
+    {
+      id: graph.entry,
+      state: { vars: new Map(), objects: new Map(), trace: [] },
+    },
+  ];
+  while (stack.length > 0 && seen.size < maxStates) {
+    const { id, state, from } = stack.pop();
+    if (id === graph.exit) {
+      checkLeaks(state, from);
+      continue;
+    }
+    const key = stateKey(id, state);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const block = blocks[id];
+    const after = cloneState(state);
+    block.statements.forEach((statement) => run(after, statement));
+    const condition = block.statements[block.statements.length - 1];
+    block.successors.forEach(({ to, label }) => {
+      const next = cloneState(after);
+      if (label) {
+        next.trace.push({ node: condition, label });
+        if (label === "true" || label === "false") {
+          refine(next, condition, label);
+        }
+      }
+      stack.push({ id: to, state: next, from: block });
+    });
+  }
+
+  return problems.sort(
+    (a, b) => (a.node.location?.start || 0) - (b.node.location?.start || 0)
+  );
+};
@@ -0,0 +1,121 @@
+import { analyze, messages } from "./testUtils";
+
+// Analyze functions using the allocation functions, alongside a main
+const analyzeHeap = (code) =>
+  analyze(`#include <stdlib.h>
+${code}
+int main(void) { return 0; }`);
+
+// Lines count the #include as line 1
+const heapMessages = (code) => messages(analyzeHeap(code));
+
+describe("heap lifetimes", () => {
+  it("reports memory still allocated when the last pointer goes away", () => {
+    expect(
+      analyzeHeap(`int f(int n) {
+  int *p = malloc(n * sizeof(int));
+  if (p == NULL)
+    return 0;
+  p[0] = 1;
+  return p[0];
+}`)
+    ).toEqual([
+      {
+        message: "Potential leak of memory pointed to by 'p'",
+        line: 7,
+        code: "return p[0];",
+        description:
+          "Heap memory must be freed before the last pointer to it is gone",
+        severity: "warning",
+        witness: [
+          { line: 3, note: "memory is allocated by malloc()" },
+          { line: 4, note: "'p == NULL' is false" },
+          { line: 7, note: "the function returns without freeing the memory" },
+        ],
+      },
+    ]);
+  });
+
+  it("splits || and && conditions into the paths they guard", () => {
+    expect(
+      heapMessages(`int f(int n) {
+  int *p = malloc(4);
+  if (p == NULL || n < 0)
+    return 0;
+  free(p);
+  return n;
+}
+void g(int n) {
+  int *p = malloc(4);
+  if (p != NULL && n > 0)
+    free(p);
+}`)
+    ).toEqual([
+      "5: Potential leak of memory pointed to by 'p'",
+      "13: Potential leak of memory pointed to by 'p'",
+    ]);
+  });
+
+  it("lets memory escape through a return or a global", () => {
+    expect(
+      heapMessages(`int *g;
+int *make(void) { int *p = malloc(4); return p; }
+void keep(void) { int *p = malloc(4); g = p; }`)
+    ).toEqual([]);
+  });
+
+  it("reports double frees and uses after free", () => {
+    expect(
+      heapMessages(`void twice(void) {
+  char *s = malloc(4);
+  free(s);
+  free(s);
+}
+int after(void) {
+  int *p = malloc(sizeof *p);
+  if (!p) return 0;
+  free(p);
+  return *p;
+}`)
+    ).toEqual(["5: Double free of 's'", "11: Use of 'p' after it is freed"]);
+  });
+
+  it("reports dereferences of an allocation that was not checked", () => {
+    expect(
+      heapMessages(`int f(void) {
+  int *p = malloc(sizeof *p);
+  *p = 1;
+  int v = *p;
+  free(p);
+  return v;
+}`)
+    ).toEqual([
+      "4: Dereference of 'p', which is NULL if the allocation on line 3 fails",
+    ]);
+  });
+
+  it("reports freeing memory that is not from the heap", () => {
+    expect(
+      heapMessages(`void f(void) {
+  int x = 0;
+  int *p = &x;
+  free(p);
+}`)
+    ).toEqual([
+      "5: Call to free() on the address of local 'x', which is not heap memory",
+    ]);
+  });
+
+  it("accepts an allocation that is checked, used and freed", () => {
+    expect(
+      analyzeHeap(`int f(int n) {
+  int *p = malloc(n);
+  if (p == NULL) return 0;
+  *p = 1;
+  int v = *p;
+  free(p);
+  return v;
+}`)
+    ).toEqual([]);
+  });
+});
@@ -14,14 +14,16 @@ export const lexer = (code) => {
     comment: /^\/\/.*|^\/\*[\s\S]*?\*\//,
     preprocessor: /^#\w+/,
     keyword:
-      /^(if|else|while|for|return|break|continue|switch|case|default|do)/,
-    type: /^(int|char|float|double|void|long|short|signed|unsigned|struct|union|enum|const|volatile)/,
-    string: /^"[^"]*"/,
-    char: /^'[^']*'/,
-    number: /^-?\d+(\.\d+)?([eE][+-]?\d+)?/,
+      /^(if|else|while|for|return|break|continue|switch|case|default|do|goto|sizeof|typedef|static|extern|register|auto|inline|_Noreturn)\b/,
+    type: /^(int|char|float|double|void|long|short|signed|unsigned|struct|union|enum|const|volatile)\b/,
+    // Quotes escaped with a backslash do not end the literal
+    string: /^"(?:\\.|[^"\\\n])*"/,
+    char: /^'(?:\\.|[^'\\\n])*'/,
+    number: /^(0[xX][0-9a-fA-F]+|(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?)[uUlLfF]*/,
     identifier: /^[a-zA-Z_][a-zA-Z0-9_]*/,
+    // Longest operators first so e.g. "<<=" is not split into "<<" and "="
     operator:
-      /^(\+\+|--|==|!=|<=|>=|&&|\|\||<<|>>|\+|-|\*|\/|%|<|>|!|~|\^|&|\||=|\.|->|,)/,
+      /^(\.\.\.|<<=|>>=|->|\+\+|--|\+=|-=|\*=|\/=|%=|&=|\|=|\^=|==|!=|<=|>=|&&|\|\||<<|>>|\+|-|\*|\/|%|<|>|!|~|\^|&|\||=|\?|\.|,)/,
     punctuation: /^[;:{}()\[\]]/,
   };
 
@@ -0,0 +1,72 @@
+import { lexer } from "./lexer";
+
+const tokensOf = (code) =>
+  lexer(code)
+    .filter((token) => token.type !== "comment")
+    .map(({ type, value }) => [type, value]);
+
+describe("lexer", () => {
+  it("splits declarations into typed tokens with positions", () => {
+    const tokens = lexer("int x = 42;");
+    expect(tokens.map(({ type, value }) => [type, value])).toEqual([
+      ["type", "int"],
+      ["identifier", "x"],
+      ["operator", "="],
+      ["number", "42"],
+      ["punctuation", ";"],
+    ]);
+    expect(tokens[1]).toMatchObject({ start: 4, end: 5, line: 1, column: 5 });
+  });
+
+  it("matches the longest operator", () => {
+    expect(tokensOf("a <<= b->c ... d")).toEqual([
+      ["identifier", "a"],
+      ["operator", "<<="],
+      ["identifier", "b"],
+      ["operator", "->"],
+      ["identifier", "c"],
+      ["operator", "..."],
+      ["identifier", "d"],
+    ]);
+  });
+
+  it("reads numbers with suffixes, exponents and hex digits", () => {
+    expect(tokensOf("10UL 0x1F 1.5e-3f .5").map(([, value]) => value)).toEqual([
+      "10UL",
+      "0x1F",
+      "1.5e-3f",
+      ".5",
+    ]);
+  });
+
+  it("keeps escaped quotes inside string and character literals", () => {
+    expect(tokensOf('printf("say \\"%d\\"\\n", x);')).toEqual([
+      ["identifier", "printf"],
+      ["punctuation", "("],
+      ["string", '"say \\"%d\\"\\n"'],
+      ["operator", ","],
+      ["identifier", "x"],
+      ["punctuation", ")"],
+      ["punctuation", ";"],
+    ]);
+    expect(tokensOf("c = '\\'';")).toEqual([
+      ["identifier", "c"],
+      ["operator", "="],
+      ["char", "'\\''"],
+      ["punctuation", ";"],
+    ]);
+  });
+
+  it("keeps comments as tokens and skips whitespace", () => {
+    const tokens = lexer("x /* note */ // rest\n");
+    expect(tokens.map(({ type }) => type)).toEqual([
+      "identifier",
+      "comment",
+      "comment",
+    ]);
+  });
+
+  it("reports characters that start no token", () => {
+    expect(tokensOf("a @ b")).toContainEqual(["error", "@"]);
+  });
+});
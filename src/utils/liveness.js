@@ -0,0 +1,123 @@
+/**
+ * Liveness
+ *
+ * Backward dataflow over the control-flow graph of a function. A local
+ * variable is live at a point if some path from there reads it before
+ * storing to it again. A store after which the variable is not live is
+ * a dead store: its value is overwritten or dropped without being read.
+ */
+
+import { accessVisitor } from "./variableAccesses";
+
+/**
+ * Find stores to local variables whose value is never read.
+ *
+ * `context` resolves names for the analysis:
+ * - symbolOf(identifier)       the symbol an identifier refers to
+ * - declaredSymbol(declarator) the symbol a declarator declares
+ * - isTracked(symbol)          whether stores to the symbol are checked
+ *                              (automatic variables that cannot be read
+ *                              through a pointer)
+ *
+ * Only whole-variable stores count: "x = 1", "x += 1" and initializers.
+ * Stores to a member or element, and increments, are treated as reads.
+ * Returns { node, symbol } for each dead store in reachable code, where
+ * node is the assignment expression or the variable declarator.
+ */
+export const findDeadStores = (graph, context) => {
+  const { symbolOf, declaredSymbol, isTracked } = context;
+  const blocks = Object.fromEntries(graph.blocks.map((b) => [b.id, b]));
+
+  // Reads and stores of tracked variables in a block, in evaluation order
+  const blockEvents = (block) => {
+    const events = [];
+
+    const read = (symbol) => {
+      if (symbol && isTracked(symbol)) events.push({ symbol });
+    };
+
+    // A store that may not happen (`definite` is false) does not end the
+    // liveness of the value before it
+    const store = (node, symbol, definite) => {
+      if (symbol && isTracked(symbol)) {
+        events.push({ store: node, symbol, definite });
+      }
+    };
+
+    const visit = accessVisitor({
+      read: (identifier) => read(symbolOf(identifier)),
+      declare: (declarator, definite) => {
+        if (declarator.init) {
+          store(declarator, declaredSymbol(declarator), definite);
+        }
+      },
+      assign: (assignment, definite) => {
+        // A store to a member or element counts as a read of the variable
+        if (assignment.left.type === "Identifier") {
+          store(assignment, symbolOf(assignment.left), definite);
+        } else if (assignment.operator === "=") {
+          visit(assignment.left, definite);
+        }
+      },
+    });
+
+    block.statements.forEach((statement) => visit(statement, true));
+    return events;
+  };
+
+  const events = Object.fromEntries(
+    graph.blocks.map((block) => [block.id, blockEvents(block)])
+  );
+
+  // Apply the events of a block backwards to the variables live after
+  // it; onStore is called with each store and whether its value is read
+  const transfer = (id, liveOut, onStore = () => {}) => {
+    const live = new Set(liveOut);
+    [...events[id]].reverse().forEach((event) => {
+      if (!event.store) {
+        live.add(event.symbol);
+        return;
+      }
+      onStore(event, live.has(event.symbol));
+      if (event.definite) live.delete(event.symbol);
+    });
+    return live;
+  };
+
+  const liveAfter = (id) =>
+    new Set(blocks[id].successors.flatMap(({ to }) => [...(liveIn[to] || [])]));
+
+  // Iterate to a fixed point; the live sets only grow, so comparing
+  // sizes is enough
+  const liveIn = {};
+  const worklist = graph.blocks.map((block) => block.id).reverse();
+  while (worklist.length > 0) {
+    const id = worklist.shift();
+    const live = transfer(id, liveAfter(id));
+    if (liveIn[id] && liveIn[id].size === live.size) continue;
+    liveIn[id] = live;
+    blocks[id].predecessors.forEach((from) => {
+      if (!worklist.includes(from)) worklist.push(from);
+    });
+  }
+
+  // Stores in code that never runs are not worth reporting
+  const reachable = new Set();
+  const visitBlock = (id) => {
+    if (reachable.has(id)) return;
+    reachable.add(id);
+    blocks[id].successors.forEach(({ to }) => visitBlock(to));
+  };
+  visitBlock(graph.entry);
+
+  const deadStores = [];
+  graph.blocks.forEach((block) => {
+    if (!reachable.has(block.id)) return;
+    transfer(block.id, liveAfter(block.id), ({ store, symbol }, isRead) => {
+      if (!isRead) deadStores.push({ node: store, symbol });
+    });
+  });
+  return deadStores.sort(
+    (a, b) => (a.node.location?.start || 0) - (b.node.location?.start || 0)
+  );
+};
@@ -0,0 +1,129 @@
+import { analyze, messages } from "./testUtils";
+
+// Analyze a function alongside an empty main
+const analyzeWithMain = (code, options) =>
+  analyze(`${code}\nint main(void) { return 0; }`, options);
+
+describe("dead stores", () => {
+  it("reports stores overwritten or dropped before any read", () => {
+    expect(
+      messages(
+        analyzeWithMain(`int f(int x) {
+  int y = x * 2;
+  y = x + 1;
+  if (x > 0)
+    y = 3;
+  else
+    return y;
+  y = 4;
+  return y;
+}`)
+      )
+    ).toEqual([
+      "2: Value stored to 'y' during its initialization is never read",
+      "5: Value stored to 'y' is never read",
+    ]);
+  });
+
+  it("keeps stores that some path reads", () => {
+    expect(
+      analyzeWithMain(`int f(int n) {
+  int s = n;
+  for (int i = 0; i < n; i++)
+    s += i;
+  return s;
+}`)
+    ).toEqual([]);
+  });
+
+  it("skips constant initializers and variables whose address is taken", () => {
+    expect(
+      analyzeWithMain(`int f(int x) {
+  int y = 0;
+  int z = x;
+  int *p = &z;
+  y = x;
+  z = 2;
+  return y + *p;
+}`)
+    ).toEqual([]);
+  });
+
+  it("can be turned off", () => {
+    const code = `int f(int x) {
+  int y = x;
+  y = 1;
+  return y;
+}`;
+    expect(messages(analyzeWithMain(code))).toEqual([
+      "2: Value stored to 'y' during its initialization is never read",
+    ]);
+    expect(analyzeWithMain(code, { warnings: { deadStore: false } })).toEqual(
+      []
+    );
+  });
+});
+
+describe("unused declarations", () => {
+  const code = `static int helper(void) { return 1; }
+static inline int quiet(void) { return 2; }
+int f(int unused, int used) {
+  int a;
+  int b;
+  int c = 2;
+  a = 1;
+  c++;
+  return used;
+}
+int main(int argc, char **argv) { return f(1, 2); }`;
+
+  it("reports unused locals, parameters and static functions", () => {
+    expect(analyze(code)).toEqual([
+      {
+        message: "Unused function 'helper'",
+        line: 1,
+        code: "static int helper(void) { return 1; }",
+        description: "Static function defined but never called or referred to",
+        severity: "warning",
+      },
+      {
+        message: "Unused parameter 'unused'",
+        line: 3,
+        code: "int f(int unused, int used) {",
+        description: "Parameter declared but never used",
+        severity: "warning",
+      },
+      {
+        message: "Variable 'a' set but not used",
+        line: 4,
+        code: "int a;",
+        description: "'a' is assigned but its value is never read",
+        severity: "warning",
+      },
+      {
+        message: "Unused variable 'b'",
+        line: 5,
+        code: "int b;",
+        description: "Variable declared but never used",
+        severity: "warning",
+      },
+      {
+        message: "Variable 'c' set but not used",
+        line: 6,
+        code: "int c = 2;",
+        description: "'c' is assigned but its value is never read",
+        severity: "warning",
+      },
+    ]);
+  });
+
+  it("turns each kind off separately", () => {
+    expect(
+      messages(
+        analyze(code, {
+          warnings: { unusedFunction: false, unusedVariable: false },
+        })
+      )
+    ).toEqual(["3: Unused parameter 'unused'"]);
+  });
+});
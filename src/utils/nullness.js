@@ -0,0 +1,283 @@
+/**
+ * Nullness
+ *
+ * Forward dataflow over the control-flow graph of a function that tracks
+ * whether each local pointer may be NULL: after "p = NULL", after a call
+ * that can return NULL such as fopen, and on the side of a comparison
+ * with NULL where the pointer is NULL. Dereferences of such pointers are
+ * reported, as definite when the pointer is NULL on every path.
+ */
+
+import { forEachChild } from "./astSchema";
+import {
+  branchConditions,
+  edgeStates,
+  joinStates,
+  sameState,
+} from "./dataflowStates";
+
+// Facts about one pointer, combined with bitwise or where paths join.
+// A pointer the analysis knows nothing about is assumed not to be NULL.
+const NULL = 1;
+const NOT_NULL = 2;
+
+// 0 or a cast of it, such as NULL after preprocessing: ((void*)0)
+const isNullConstant = (node) =>
+  node?.type === "CastExpression"
+    ? isNullConstant(node.argument)
+    : node?.type === "Literal" &&
+      node.valueType === "number" &&
+      Number(node.value) === 0;
+
+// The pointer a condition compares with NULL and the branch on which it
+// is NULL: "p" and "p != NULL" are false for NULL, "!p" and "p == NULL"
+// are true. "(p = malloc(n)) == NULL" tests p.
+export const nullTest = (test) => {
+  const variableOf = (node) => {
+    if (node?.type === "AssignmentExpression" && node.operator === "=") {
+      return variableOf(node.left);
+    }
+    return node?.type === "Identifier" ? node : null;
+  };
+
+  if (test?.type === "UnaryExpression" && test.operator === "!") {
+    const variable = variableOf(test.argument);
+    return variable && { variable, nullOn: "true" };
+  }
+  if (
+    test?.type === "BinaryExpression" &&
+    ["==", "!="].includes(test.operator)
+  ) {
+    const operand = isNullConstant(test.right)
+      ? test.left
+      : isNullConstant(test.left)
+      ? test.right
+      : null;
+    const variable = variableOf(operand);
+    return (
+      variable && {
+        variable,
+        nullOn: test.operator === "==" ? "true" : "false",
+      }
+    );
+  }
+  const variable = variableOf(test);
+  return variable && { variable, nullOn: "false" };
+};
+
+// A pointer is NOT_NULL unless the state says otherwise
+const factsOf = (value) => value?.facts ?? NOT_NULL;
+
+// Join the facts of a pointer; the origin kept is the first one that
+// explains a NULL
+const joinPointer = (values) => {
+  const facts = values.reduce((all, value) => all | factsOf(value), 0);
+  const origin = values
+    .map((value) => value?.origin)
+    .find((candidate) => candidate && facts & NULL);
+  return { facts, origin: origin || null };
+};
+
+const samePointer = (value, other) => value.facts === factsOf(other);
+
+/**
+ * Find dereferences of local pointers that may be NULL.
+ *
+ * `context` resolves names for the analysis:
+ * - symbolOf(identifier)       the symbol an identifier refers to
+ * - declaredSymbol(declarator) the symbol a declarator declares
+ * - isTracked(symbol)          whether the symbol is a local pointer
+ *                              whose value can be followed (its address
+ *                              is never taken)
+ * - mayReturnNull(call)        whether a call can return NULL
+ *
+ * Returns { node, symbol, definite, origin } for each dereference (*p,
+ * p->x or p[i]) of a pointer that is NULL on some path to it; `definite`
+ * when it is NULL on every path. `origin` explains a NULL as { node,
+ * reason } with reason "constant" (NULL stored), "call" (a call that can
+ * return NULL) or "test" (the branch `label` of a comparison where it is
+ * NULL).
+ */
+export const findNullDereferences = (graph, context) => {
+  const { symbolOf, declaredSymbol, mayReturnNull } = context;
+  const blocks = Object.fromEntries(graph.blocks.map((b) => [b.id, b]));
+  const isTracked = (symbol) => !!symbol && context.isTracked(symbol);
+
+  // What a condition tells about pointers on one of its branches
+  const refine = (state, condition, label) => {
+    const refined = new Map(state);
+    branchConditions(condition, label).forEach((part) => {
+      const test = nullTest(part);
+      const symbol = test && symbolOf(test.variable);
+      if (!isTracked(symbol)) return;
+      refined.set(
+        symbol,
+        label === test.nullOn
+          ? { facts: NULL, origin: { node: part, reason: "test", label } }
+          : { facts: NOT_NULL, origin: null }
+      );
+    });
+    return refined;
+  };
+
+  // Apply a statement to the state before it; onDereference is called
+  // with each dereference of a tracked pointer and the pointer's facts
+  const transfer = (block, state, onDereference = () => {}) => {
+    let result = new Map(state);
+
+    // Facts about the value of a pointer expression
+    const valueOf = (node) => {
+      if (node?.type === "CastExpression") return valueOf(node.argument);
+      if (isNullConstant(node)) {
+        return { facts: NULL, origin: { node, reason: "constant" } };
+      }
+      if (node?.type === "CallExpression" && mayReturnNull(node)) {
+        return { facts: NULL | NOT_NULL, origin: { node, reason: "call" } };
+      }
+      if (node?.type === "Identifier" && isTracked(symbolOf(node))) {
+        return result.get(symbolOf(node)) || { facts: NOT_NULL, origin: null };
+      }
+      if (node?.type === "SequenceExpression") {
+        return valueOf(node.expressions[node.expressions.length - 1]);
+      }
+      if (node?.type === "ConditionalExpression") {
+        const arms = [valueOf(node.consequent), valueOf(node.alternate)];
+        const facts = arms[0].facts | arms[1].facts;
+        const origin = arms.find((arm) => arm.facts & NULL)?.origin || null;
+        return { facts, origin };
+      }
+      return { facts: NOT_NULL, origin: null };
+    };
+
+    const dereference = (pointer, node) => {
+      while (pointer?.type === "CastExpression") pointer = pointer.argument;
+      const symbol = pointer?.type === "Identifier" && symbolOf(pointer);
+      if (!isTracked(symbol)) return;
+      const { facts, origin } = result.get(symbol) || {};
+      if (facts & NULL) onDereference(node, symbol, facts, origin);
+      // Past the dereference the pointer was not NULL
+      result.set(symbol, { facts: NOT_NULL, origin: null });
+    };
+
+    const store = (target, value) => {
+      const symbol = target.type === "Identifier" && symbolOf(target);
+      if (isTracked(symbol)) result.set(symbol, value);
+      else visit(target);
+    };
+
+    // Visit an operand that only runs on one branch of a condition, and
+    // join the state after it with the state where it is skipped
+    const visitBranch = (condition, label, operand) => {
+      const skipped = refine(
+        result,
+        condition,
+        label === "true" ? "false" : "true"
+      );
+      result = refine(result, condition, label);
+      visit(operand);
+      result = joinStates([result, skipped], joinPointer);
+    };
+
+    const visit = (node) => {
+      if (!node) return;
+
+      switch (node.type) {
+        case "FunctionDeclaration":
+        case "SizeofExpression": // the operand is not evaluated
+        case "TypeName":
+          return;
+        case "VariableDeclaration":
+          node.declarations.forEach((declarator) => {
+            visit(declarator.init);
+            const symbol = declaredSymbol(declarator);
+            if (isTracked(symbol) && declarator.init) {
+              result.set(symbol, valueOf(declarator.init));
+            }
+          });
+          return;
+        case "AssignmentExpression":
+          visit(node.right);
+          if (node.operator === "=") store(node.left, valueOf(node.right));
+          else visit(node.left);
+          return;
+        case "UnaryExpression":
+          visit(node.argument);
+          if (node.operator === "*") dereference(node.argument, node);
+          return;
+        case "MemberExpression":
+          visit(node.object);
+          if (node.operator === "->") dereference(node.object, node);
+          return;
+        case "ArrayAccess":
+          visit(node.array);
+          visit(node.index);
+          dereference(node.array, node);
+          return;
+        case "BinaryExpression":
+          visit(node.left);
+          if (node.operator === "&&")
+            visitBranch(node.left, "true", node.right);
+          else if (node.operator === "||") {
+            visitBranch(node.left, "false", node.right);
+          } else visit(node.right);
+          return;
+        case "ConditionalExpression": {
+          visit(node.test);
+          const before = result;
+          result = refine(before, node.test, "true");
+          visit(node.consequent);
+          const consequent = result;
+          result = refine(before, node.test, "false");
+          visit(node.alternate);
+          result = joinStates([consequent, result], joinPointer);
+          return;
+        }
+        default:
+          forEachChild(node, visit);
+      }
+    };
+
+    block.statements.forEach(visit);
+    return result;
+  };
+
+  // Iterate to a fixed point; blocks never reached keep no state
+  const inStates = { [graph.entry]: new Map() };
+  const outStates = {};
+  const worklist = [graph.entry];
+  while (worklist.length > 0) {
+    const block = blocks[worklist.shift()];
+    if (block.id !== graph.entry) {
+      inStates[block.id] = joinStates(
+        block.predecessors
+          .filter((id) => outStates[id])
+          .flatMap((id) =>
+            edgeStates(blocks[id], block.id, outStates[id], refine)
+          ),
+        joinPointer
+      );
+    }
+    const out = transfer(block, inStates[block.id]);
+    if (
+      outStates[block.id] &&
+      sameState(outStates[block.id], out, samePointer)
+    ) {
+      continue;
+    }
+    outStates[block.id] = out;
+    block.successors.forEach(({ to }) => {
+      if (!worklist.includes(to)) worklist.push(to);
+    });
+  }
+
+  const dereferences = [];
+  graph.blocks.forEach((block) => {
+    if (!inStates[block.id]) return;
+    transfer(block, inStates[block.id], (node, symbol, facts, origin) =>
+      dereferences.push({ node, symbol, definite: facts === NULL, origin })
+    );
+  });
+  return dereferences.sort(
+    (a, b) => (a.node.location?.start || 0) - (b.node.location?.start || 0)
+  );
+};
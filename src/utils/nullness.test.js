@@ -0,0 +1,72 @@
+import { analyze, messages } from "./testUtils";
+
+// Nullness diagnostics for functions analyzed alongside a main
+const nullMessages = (code) =>
+  messages(
+    analyze(`#include <stdlib.h>
+${code}
+int main(void) { return 0; }`)
+  );
+
+describe("null pointer dereferences", () => {
+  it("reports a dereference of a pointer that is always NULL", () => {
+    const [error] = analyze(`#include <stdlib.h>
+int main(void) {
+  int *q = NULL;
+  return *q;
+}`);
+    expect(error).toEqual({
+      message: "Dereference of null pointer 'q'",
+      line: 4,
+      code: "return *q;",
+      description: "'q' is set to NULL on line 3",
+    });
+  });
+
+  it("warns when only some paths leave the pointer NULL", () => {
+    expect(
+      nullMessages(`int f(int *p) {
+  if (p == NULL) { }
+  return *p;
+}
+int g(int *p, int k) {
+  int *q = k ? p : NULL;
+  return *q;
+}`)
+    ).toEqual([
+      "4: Pointer 'p' may be NULL when dereferenced",
+      "8: Pointer 'q' may be NULL when dereferenced",
+    ]);
+  });
+
+  it("names the branch that leaves the pointer NULL", () => {
+    const [warning] = analyze(`#include <stdlib.h>
+int f(int *p) {
+  if (p == NULL) { }
+  return *p;
+}
+int main(void) { return 0; }`);
+    expect(warning).toMatchObject({
+      severity: "warning",
+      description:
+        "'p' is NULL when 'p == NULL' (line 3) is true, and it is not checked on every path to this use",
+    });
+  });
+
+  it("follows checks through !, || and &&", () => {
+    expect(
+      nullMessages(`int a(int *p) {
+  if (!p) return 0;
+  return *p;
+}
+int b(int *p) {
+  if (p == NULL || *p == 0) return 0;
+  return *p;
+}
+int c(int *p) {
+  if (p != NULL && *p > 0) return *p;
+  return 0;
+}`)
+    ).toEqual([]);
+  });
+});
@@ -3,15 +3,72 @@
  * This implementation handles C language syntax elements
  */
 
+import standardHeaders from "../data/standardHeaders";
+
+// Join two string literals (quotes included) into one. Each escape ends
+// with its literal, so a digit that would extend an octal or hex escape
+// ending the first ("\x1" "2") is written as an octal escape of its own.
+const joinStringLiterals = (left, right) => {
+  const escape = /(?<!\\)(?:\\\\)*\\(x[0-9a-fA-F]+|[0-7]{1,2})"$/.exec(left);
+  const digits = escape?.[1].startsWith("x") ? /[0-9a-fA-F]/ : /[0-7]/;
+  const body = right.slice(1);
+  if (!escape || !digits.test(body[0])) return left.slice(0, -1) + body;
+  const octal = body.charCodeAt(0).toString(8).padStart(3, "0");
+  return `${left.slice(0, -1)}\\${octal}${body.slice(1)}`;
+};
+
 export const parser = (tokens) => {
   // Initial state for the parser
   let current = 0;
   const ast = {
     type: "Program",
     body: [],
+    location: {
+      start: tokens[0]?.start || 0,
+      end: tokens[tokens.length - 1]?.end || 0,
+    },
   };
   const errors = [];
 
+  // Number of switch statements currently being parsed
+  let switchDepth = 0;
+
+  // Ordinary identifiers declared in each open scope, innermost last.
+  // A name maps to true when it is a typedef name, and to false when a
+  // variable, function or enumerator hides an outer typedef of that name.
+  const nameScopes = [new Map()];
+
+  const enterScope = () => nameScopes.push(new Map());
+  const exitScope = () => nameScopes.pop();
+
+  const declareName = (name, isTypedef) => {
+    if (name) nameScopes[nameScopes.length - 1].set(name, isTypedef);
+  };
+
+  const isTypedefName = (name) => {
+    for (let i = nameScopes.length - 1; i >= 0; i--) {
+      if (nameScopes[i].has(name)) return nameScopes[i].get(name);
+    }
+    return false;
+  };
+
+  // Storage-class and function specifiers allowed in declaration
+  // specifiers ("typedef" is parsed as its own declaration)
+  const storageClassNames = ["static", "extern", "register", "auto"];
+  const functionSpecifierNames = ["inline", "_Noreturn"];
+
+  // Check if a token can start declaration specifiers
+  const isTypeStart = (token) =>
+    !!token &&
+    (token.type === "type" ||
+      storageClassNames.includes(token.value) ||
+      functionSpecifierNames.includes(token.value) ||
+      token.type === "qualifier" ||
+      token.value === "struct" ||
+      token.value === "union" ||
+      token.value === "enum" ||
+      (token.type === "identifier" && isTypedefName(token.value)));
+
   // Helper function to peek at the current token
   const peek = () => tokens[current] || null;
 
@@ -76,6 +133,13 @@ export const parser = (tokens) => {
     return advance();
   };
 
+  // Standard headers make their typedef names (size_t, FILE, ...) known
+  const declareHeaderNames = (header) => {
+    Object.keys(standardHeaders[header]?.typedefs || {}).forEach((name) =>
+      nameScopes[0].set(name, true)
+    );
+  };
+
   // Parsing the include directive
   const parseInclude = () => {
     const startToken = peek();
@@ -107,6 +171,7 @@ export const parser = (tokens) => {
       if (!expectValue(">", "Expected '>' after header name")) {
         return null;
       }
+      declareHeaderNames(headerName);
 
       return {
         type: "Include",
@@ -118,13 +183,17 @@ export const parser = (tokens) => {
         },
       };
     }
-    // Process header in quotes (e.g., "myheader.h")
+    // The lexer reads both "myheader.h" and <stdio.h> as a single string
     else if (headerToken.type === "string") {
       advance();
+      const header = headerToken.value.slice(1, -1);
+      const system = headerToken.value.startsWith("<");
+      if (system) declareHeaderNames(header);
+
       return {
         type: "Include",
-        header: headerToken.value.replace(/['"]/g, ""),
-        system: false, // User header
+        header,
+        system,
         location: { start: startToken.start, end: headerToken.end },
       };
     } else {
@@ -136,19 +205,29 @@ export const parser = (tokens) => {
     }
   };
 
-  // Parse declaration specifiers (type qualifiers and type specifiers)
+  // Parse declaration specifiers (storage classes, function specifiers,
+  // type qualifiers and type specifiers)
   const parseDeclarationSpecifiers = () => {
     const specifiers = [];
     let startPos = peek()?.start || 0;
 
+    // A typedef name is a type specifier only while no other type
+    // specifier has been seen: in "T x;" T names the type, in "int T;" the
+    // variable
+    const hasTypeSpecifier = () =>
+      specifiers.some(
+        (specifier) =>
+          ![
+            "TypeQualifier",
+            "StorageClassSpecifier",
+            "FunctionSpecifier",
+          ].includes(specifier.type)
+      );
+
     // Parse type qualifiers (const, volatile) and type specifiers (int, char, etc.)
     while (
-      peek() &&
-      (peek().type === "type" ||
-        peek().type === "qualifier" ||
-        peek().value === "struct" ||
-        peek().value === "union" ||
-        peek().value === "enum")
+      isTypeStart(peek()) &&
+      !(peek().type === "identifier" && hasTypeSpecifier())
     ) {
       const token = advance();
 
@@ -159,31 +238,38 @@ export const parser = (tokens) => {
         token.value === "enum"
       ) {
         const tagType = token.value;
-        const tagName =
-          peek() && peek().type === "identifier" ? advance().value : null;
-
-        specifiers.push({
-          type: "ComplexType",
-          kind: tagType,
-          name: tagName,
-          location: { start: token.start, end: peek()?.end || token.end },
-        });
+        const tagNameToken =
+          peek() && peek().type === "identifier" ? advance() : null;
+        const tagName = tagNameToken ? tagNameToken.value : null;
 
         // Handle struct/union/enum definition
         if (peek() && peek().value === "{") {
-          // Skip the struct/union/enum definition for now
-          // This would be expanded in a full parser
-          let braceCount = 0;
-          do {
-            if (peek().value === "{") braceCount++;
-            if (peek().value === "}") braceCount--;
-            advance();
-          } while (peek() && braceCount > 0);
+          specifiers.push(
+            tagType === "enum"
+              ? parseEnumBody(token, tagNameToken)
+              : parseStructBody(token, tagNameToken)
+          );
+        } else {
+          specifiers.push({
+            type: "ComplexType",
+            kind: tagType,
+            name: tagName,
+            location: { start: token.start, end: peek()?.end || token.end },
+          });
         }
       } else {
-        // Regular type or qualifier
+        // Regular type, typedef name, qualifier, storage class or
+        // function specifier
         specifiers.push({
-          type: token.type === "qualifier" ? "TypeQualifier" : "TypeSpecifier",
+          type: storageClassNames.includes(token.value)
+            ? "StorageClassSpecifier"
+            : functionSpecifierNames.includes(token.value)
+            ? "FunctionSpecifier"
+            : token.type === "qualifier" ||
+              token.value === "const" ||
+              token.value === "volatile"
+            ? "TypeQualifier"
+            : "TypeSpecifier",
           name: token.value,
           location: { start: token.start, end: token.end },
         });
@@ -204,52 +290,441 @@ export const parser = (tokens) => {
     };
   };
 
-  // Parse variable declarator (variable name and optional initializer)
-  const parseVariableDeclarator = (typeSpecifiers) => {
-    const nameToken = expect("identifier", "Expected variable name");
-    if (!nameToken) return null;
+  // Parse the '*' prefixes of a declarator with their qualifiers
+  const parsePointers = () => {
+    const pointers = [];
+    while (checkValue("*")) {
+      const starToken = advance(); // Consume '*'
+      const qualifiers = [];
+      while (checkValue("const") || checkValue("volatile")) {
+        qualifiers.push(advance().value);
+      }
+      pointers.push({
+        kind: "pointer",
+        qualifiers,
+        location: { start: starToken.start, end: tokens[current - 1].end },
+      });
+    }
+    return pointers;
+  };
 
-    let initializer = null;
+  /**
+   * Parse a declarator into its name and the derivations applied to the
+   * base type, read from the name outwards: "*a[3]" is an array of
+   * pointers, "(*cmp)(int)" a pointer to a function.
+   * mode: "named" requires a name, "abstract" (casts, sizeof) forbids one
+   * and "optional" (parameters, bit-fields) accepts either.
+   */
+  const parseDeclarator = (mode = "named", message = "Expected identifier") => {
+    const startToken = peek();
+    const pointers = parsePointers();
+    let id = null;
+    let derivations = [];
+
+    // Parenthesized declarator such as "(*cmp)". In abstract declarators a
+    // '(' followed by a type or ')' starts a parameter list instead.
+    if (
+      checkValue("(") &&
+      (["*", "("].includes(peekAhead()?.value) ||
+        (mode !== "abstract" && peekAhead()?.type === "identifier"))
+    ) {
+      advance(); // Consume '('
+      const inner = parseDeclarator(mode, message);
+      expectValue(")", "Expected ')' in declarator");
+      if (!inner) return null;
+      id = inner.id;
+      derivations = inner.derivations;
+    } else if (mode !== "abstract" && check("identifier")) {
+      const nameToken = advance();
+      id = {
+        type: "Identifier",
+        name: nameToken.value,
+        location: { start: nameToken.start, end: nameToken.end },
+      };
+    } else if (mode === "named") {
+      errors.push({
+        message,
+        location: peek()
+          ? { start: peek().start, end: peek().end }
+          : { start: startToken?.end || 0, end: startToken?.end || 0 },
+      });
+      return null;
+    }
 
-    // Check for array declarator
-    if (peek() && peek().value === "[") {
-      advance(); // Consume '['
-      const size = peek() && peek().type === "number" ? advance().value : null;
-      expectValue("]", "Expected ']' after array size");
+    // Array and function suffixes bind tighter than the '*' prefixes
+    const suffixes = [];
+    while (checkValue("[") || checkValue("(")) {
+      const openToken = advance();
+
+      if (openToken.value === "[") {
+        const size = checkValue("]") ? null : parseConditionalExpression();
+        const closeToken = expectValue("]", "Expected ']' after array size");
+        suffixes.push({
+          kind: "array",
+          size,
+          location: {
+            start: openToken.start,
+            end: closeToken ? closeToken.end : openToken.end,
+          },
+        });
+      } else {
+        const { params, variadic } = parseParameterList();
+        suffixes.push({
+          kind: "function",
+          params,
+          variadic,
+          location: { start: openToken.start, end: tokens[current - 1].end },
+        });
+      }
+    }
 
-      return {
-        type: "ArrayDeclarator",
+    return {
+      id,
+      derivations: [...derivations, ...suffixes, ...pointers.reverse()],
+      location: {
+        start: startToken?.start || 0,
+        end: tokens[current - 1]?.end || startToken?.end || 0,
+      },
+    };
+  };
+
+  // Apply a declarator's derivations to the base specifiers, giving the
+  // declared type as a PointerType/ArrayType/FunctionType chain that ends
+  // in the DeclarationSpecifiers node
+  const buildDeclaredType = (typeSpecifiers, declarator) =>
+    declarator.derivations.reduceRight((type, derivation) => {
+      switch (derivation.kind) {
+        case "pointer":
+          return {
+            type: "PointerType",
+            qualifiers: derivation.qualifiers,
+            target: type,
+            location: derivation.location,
+          };
+        case "array":
+          return {
+            type: "ArrayType",
+            size: derivation.size,
+            elementType: type,
+            location: derivation.location,
+          };
+        default:
+          return {
+            type: "FunctionType",
+            params: derivation.params,
+            variadic: derivation.variadic,
+            returnType: type,
+            location: derivation.location,
+          };
+      }
+    }, typeSpecifiers);
+
+  // Parse a struct/union member declarator with an optional bit-field width
+  const parseFieldDeclarator = (typeSpecifiers) => {
+    const startToken = peek();
+
+    // Unnamed bit-fields (e.g. "int : 3;") have no identifier
+    const declarator = parseDeclarator("optional");
+
+    let bitWidth = null;
+    if (peek() && peek().value === ":") {
+      advance(); // Consume ':'
+      bitWidth = parseConditionalExpression();
+    }
+
+    if (!declarator.id && !bitWidth) {
+      errors.push({
+        message: "Expected member name",
+        location: peek()
+          ? { start: peek().start, end: peek().end }
+          : { start: startToken.start, end: startToken.end },
+      });
+      return null;
+    }
+
+    return {
+      type: "FieldDeclaration",
+      id: declarator.id,
+      typeSpecifiers,
+      declaredType: buildDeclaredType(typeSpecifiers, declarator),
+      bitWidth,
+      location: {
+        start: typeSpecifiers.location.start,
+        end: bitWidth
+          ? bitWidth.location.end
+          : tokens[current - 1]?.end || startToken.end,
+      },
+    };
+  };
+
+  // Parse the member list of a struct or union definition
+  const parseStructBody = (tagToken, tagNameToken) => {
+    advance(); // Consume '{'
+
+    const fields = [];
+
+    while (peek() && peek().value !== "}") {
+      const typeSpecifiers = parseDeclarationSpecifiers();
+
+      if (!typeSpecifiers) {
+        errors.push({
+          message: "Expected member type",
+          location: { start: peek().start, end: peek().end },
+        });
+        // Skip to the end of this member
+        while (peek() && peek().value !== ";" && peek().value !== "}") {
+          advance();
+        }
+        if (peek() && peek().value === ";") advance();
+        continue;
+      }
+
+      // Nested definition without declarators (e.g. "struct Inner {...};")
+      if (peek() && peek().value === ";") {
+        advance(); // Consume ';'
+        continue;
+      }
+
+      let field = parseFieldDeclarator(typeSpecifiers);
+      while (field) {
+        fields.push(field);
+        if (!peek() || peek().value !== ",") break;
+        advance(); // Consume ','
+        field = parseFieldDeclarator(typeSpecifiers);
+      }
+
+      if (!expectValue(";", "Expected ';' after struct member")) {
+        // Recover at the next member or the end of the body
+        while (peek() && peek().value !== ";" && peek().value !== "}") {
+          advance();
+        }
+        if (peek() && peek().value === ";") advance();
+      }
+    }
+
+    const closeToken = expectValue(
+      "}",
+      `Expected '}' after ${tagToken.value} members`
+    );
+
+    return {
+      type:
+        tagToken.value === "union" ? "UnionDeclaration" : "StructDeclaration",
+      id: tagNameToken
+        ? {
+            type: "Identifier",
+            name: tagNameToken.value,
+            location: { start: tagNameToken.start, end: tagNameToken.end },
+          }
+        : null,
+      fields,
+      location: {
+        start: tagToken.start,
+        end: closeToken ? closeToken.end : tokens[current - 1]?.end,
+      },
+    };
+  };
+
+  // Parse the enumerator list of an enum definition
+  const parseEnumBody = (tagToken, tagNameToken) => {
+    advance(); // Consume '{'
+
+    const members = [];
+
+    while (peek() && peek().value !== "}") {
+      const nameToken = expect("identifier", "Expected enumerator name");
+      if (!nameToken) break;
+
+      let value = null;
+      if (peek() && peek().value === "=") {
+        advance(); // Consume '='
+        value = parseConditionalExpression();
+      }
+      declareName(nameToken.value, false);
+
+      members.push({
+        type: "Enumerator",
         id: {
           type: "Identifier",
           name: nameToken.value,
           location: { start: nameToken.start, end: nameToken.end },
         },
-        size: size !== null ? parseInt(size, 10) : null,
-        location: { start: nameToken.start, end: peek()?.end || nameToken.end },
-      };
+        value,
+        location: {
+          start: nameToken.start,
+          end: value ? value.location.end : nameToken.end,
+        },
+      });
+
+      // Enumerators are comma separated; a trailing comma is allowed
+      if (peek() && peek().value === ",") {
+        advance();
+      } else {
+        break;
+      }
+    }
+
+    const closeToken = expectValue("}", "Expected '}' after enumerator list");
+
+    return {
+      type: "EnumDeclaration",
+      id: tagNameToken
+        ? {
+            type: "Identifier",
+            name: tagNameToken.value,
+            location: { start: tagNameToken.start, end: tagNameToken.end },
+          }
+        : null,
+      members,
+      location: {
+        start: tagToken.start,
+        end: closeToken ? closeToken.end : tokens[current - 1]?.end,
+      },
+    };
+  };
+
+  // Parse variable declarator (declarator and optional initializer)
+  // Parse a designator list such as ".pos.x =" or "[2] =" in front of an
+  // initializer list element
+  const parseDesignators = () => {
+    const designators = [];
+
+    while (checkValue(".") || checkValue("[")) {
+      const startToken = advance();
+
+      if (startToken.value === ".") {
+        const nameToken = expect(
+          "identifier",
+          "Expected member name after '.' in designator"
+        );
+        if (!nameToken) return null;
+        designators.push({
+          type: "FieldDesignator",
+          name: nameToken.value,
+          location: { start: startToken.start, end: nameToken.end },
+        });
+      } else {
+        const index = parseConditionalExpression();
+        const endToken = expectValue(
+          "]",
+          "Expected ']' after designator index"
+        );
+        if (!index || !endToken) return null;
+        designators.push({
+          type: "IndexDesignator",
+          index,
+          location: { start: startToken.start, end: endToken.end },
+        });
+      }
+    }
+
+    expectValue("=", "Expected '=' after designator");
+    return designators;
+  };
+
+  // Parse a brace-enclosed initializer list, e.g. "{1, 2, [5] = 3}"
+  const parseInitializerList = () => {
+    const openBrace = advance(); // Consume '{'
+    const elements = [];
+
+    while (peek() && !checkValue("}")) {
+      const elementStart = peek().start;
+
+      if (checkValue(".") || checkValue("[")) {
+        const designators = parseDesignators();
+        const value = designators && parseInitializer();
+        if (!value) break;
+        elements.push({
+          type: "DesignatedInitializer",
+          designators,
+          value,
+          location: { start: elementStart, end: value.location.end },
+        });
+      } else {
+        const value = parseInitializer();
+        if (!value) break;
+        elements.push(value);
+      }
+
+      // A trailing comma before '}' is allowed
+      if (!checkValue(",")) break;
+      advance(); // Consume ','
     }
 
+    const closeBrace = expectValue("}", "Expected '}' after initializer list");
+
+    return {
+      type: "InitializerList",
+      elements,
+      location: {
+        start: openBrace.start,
+        end: closeBrace
+          ? closeBrace.end
+          : elements[elements.length - 1]?.location.end || openBrace.end,
+      },
+    };
+  };
+
+  // Parse the initializer after '=' in a declaration
+  const parseInitializer = () =>
+    checkValue("{") ? parseInitializerList() : parseAssignmentExpression();
+
+  const parseVariableDeclarator = (typeSpecifiers) => {
+    const declarator = parseDeclarator("named", "Expected variable name");
+    if (!declarator) return null;
+    declareName(declarator.id.name, false);
+
+    let initializer = null;
+
     // Check for initializer
     if (peek() && peek().value === "=") {
       advance(); // Consume '='
-      initializer = parseExpression();
+      initializer = parseInitializer();
     }
 
     return {
       type: "VariableDeclarator",
-      id: {
-        type: "Identifier",
-        name: nameToken.value,
-        location: { start: nameToken.start, end: nameToken.end },
-      },
+      id: declarator.id,
+      declaredType: buildDeclaredType(typeSpecifiers, declarator),
       init: initializer,
       location: {
-        start: nameToken.start,
-        end: initializer ? initializer.location.end : nameToken.end,
+        start: declarator.location.start,
+        end: initializer ? initializer.location.end : declarator.location.end,
       },
     };
   };
 
+  // Get the struct/union/enum declared by a specifier list, if any.
+  // Forward declarations (e.g. "struct Node;") have null fields/members.
+  const getTagDeclaration = (typeSpecifiers) => {
+    const tag = typeSpecifiers.specifiers.find((specifier) =>
+      [
+        "StructDeclaration",
+        "UnionDeclaration",
+        "EnumDeclaration",
+        "ComplexType",
+      ].includes(specifier.type)
+    );
+
+    if (!tag || tag.type !== "ComplexType") return tag || null;
+
+    const declaration = {
+      type:
+        tag.kind === "union"
+          ? "UnionDeclaration"
+          : tag.kind === "enum"
+          ? "EnumDeclaration"
+          : "StructDeclaration",
+      id: tag.name
+        ? { type: "Identifier", name: tag.name, location: tag.location }
+        : null,
+      location: tag.location,
+    };
+    if (tag.kind === "enum") declaration.members = null;
+    else declaration.fields = null;
+    return declaration;
+  };
+
   // Parse variable declaration
   const parseVariableDeclaration = () => {
     const typeSpecifiers = parseDeclarationSpecifiers();
@@ -264,6 +739,15 @@ export const parser = (tokens) => {
       return null;
     }
 
+    // Tag declaration without declarators (e.g. "struct Point { ... };")
+    if (peek() && peek().value === ";") {
+      const tagDeclaration = getTagDeclaration(typeSpecifiers);
+      if (tagDeclaration) {
+        advance(); // Consume ';'
+        return tagDeclaration;
+      }
+    }
+
     const declarators = [];
 
     // Parse first declarator
@@ -292,34 +776,76 @@ export const parser = (tokens) => {
       typeSpecifiers: typeSpecifiers,
       location: {
         start: typeSpecifiers.location.start,
-        end:
-          peek()?.end ||
-          (declarators.length > 0
-            ? declarators[declarators.length - 1].location.end
-            : typeSpecifiers.location.end),
+        end: tokens[current - 1].end,
       },
     };
   };
 
-  // Parse a binary expression
-  const parseBinaryExpression = (precedence = 0) => {
-    const operators = {
-      "+": { precedence: 4, associativity: "left" },
-      "-": { precedence: 4, associativity: "left" },
-      "*": { precedence: 5, associativity: "left" },
-      "/": { precedence: 5, associativity: "left" },
-      "%": { precedence: 5, associativity: "left" },
-      "<": { precedence: 3, associativity: "left" },
-      ">": { precedence: 3, associativity: "left" },
-      "<=": { precedence: 3, associativity: "left" },
-      ">=": { precedence: 3, associativity: "left" },
-      "==": { precedence: 2, associativity: "left" },
-      "!=": { precedence: 2, associativity: "left" },
-      "&&": { precedence: 1, associativity: "left" },
-      "||": { precedence: 0, associativity: "left" },
-      "=": { precedence: -1, associativity: "right" }, // Added assignment operator
+  // Binary operators from lowest to highest precedence (all left-associative)
+  const binaryOperators = {
+    "||": 1,
+    "&&": 2,
+    "|": 3,
+    "^": 4,
+    "&": 5,
+    "==": 6,
+    "!=": 6,
+    "<": 7,
+    ">": 7,
+    "<=": 7,
+    ">=": 7,
+    "<<": 8,
+    ">>": 8,
+    "+": 9,
+    "-": 9,
+    "*": 10,
+    "/": 10,
+    "%": 10,
+  };
+
+  // Simple and compound assignment operators (right-associative)
+  const assignmentOperators = [
+    "=",
+    "+=",
+    "-=",
+    "*=",
+    "/=",
+    "%=",
+    "&=",
+    "|=",
+    "^=",
+    "<<=",
+    ">>=",
+  ];
+
+  // Parse a type name: specifiers followed by an abstract declarator
+  const parseTypeName = () => {
+    const typeSpecifiers = parseDeclarationSpecifiers();
+    if (!typeSpecifiers) {
+      errors.push({
+        message: "Expected type name",
+        location: peek()
+          ? { start: peek().start, end: peek().end }
+          : { start: 0, end: 0 },
+      });
+      return null;
+    }
+
+    const declarator = parseDeclarator("abstract");
+
+    return {
+      type: "TypeName",
+      typeSpecifiers,
+      declaredType: buildDeclaredType(typeSpecifiers, declarator),
+      location: {
+        start: typeSpecifiers.location.start,
+        end: tokens[current - 1].end,
+      },
     };
+  };
 
+  // Parse a binary expression using precedence climbing
+  const parseBinaryExpression = (precedence = 1) => {
     // Parse the left-hand side of the expression
     let left = parseUnaryExpression();
     if (!left) return null;
@@ -327,17 +853,14 @@ export const parser = (tokens) => {
     // Keep processing binary operators as long as they have higher precedence
     while (
       peek() &&
-      operators[peek().value] &&
-      operators[peek().value].precedence >= precedence
+      peek().type === "operator" &&
+      binaryOperators[peek().value] >= precedence
     ) {
       const operatorToken = advance();
       const operator = operatorToken.value;
-      const nextPrecedence =
-        operators[operator].precedence +
-        (operators[operator].associativity === "left" ? 1 : 0);
 
-      // Parse the right-hand side with appropriate precedence
-      const right = parseBinaryExpression(nextPrecedence);
+      // Parse the right-hand side with a higher minimum precedence
+      const right = parseBinaryExpression(binaryOperators[operator] + 1);
       if (!right) return null;
 
       // Combine into a binary expression
@@ -348,7 +871,7 @@ export const parser = (tokens) => {
         right: right,
         location: {
           start: left.location.start,
-          end: right ? right.location.end : operatorToken.end,
+          end: right.location.end,
         },
       };
     }
@@ -356,11 +879,117 @@ export const parser = (tokens) => {
     return left;
   };
 
-  // Parse unary expressions (!, -, ++, --, etc.)
+  // Parse a conditional expression (test ? consequent : alternate)
+  const parseConditionalExpression = () => {
+    const test = parseBinaryExpression();
+    if (!test || !checkValue("?")) return test;
+
+    advance(); // Consume '?'
+    const consequent = parseExpression();
+    if (!expectValue(":", "Expected ':' in conditional expression")) {
+      return null;
+    }
+    const alternate = parseConditionalExpression();
+    if (!consequent || !alternate) return null;
+
+    return {
+      type: "ConditionalExpression",
+      test,
+      consequent,
+      alternate,
+      location: { start: test.location.start, end: alternate.location.end },
+    };
+  };
+
+  // Parse an assignment expression (=, +=, <<=, etc.)
+  const parseAssignmentExpression = () => {
+    const left = parseConditionalExpression();
+    if (!left || !peek() || !assignmentOperators.includes(peek().value)) {
+      return left;
+    }
+
+    const operatorToken = advance();
+    const right = parseAssignmentExpression();
+    if (!right) return null;
+
+    return {
+      type: "AssignmentExpression",
+      operator: operatorToken.value,
+      left,
+      right,
+      location: { start: left.location.start, end: right.location.end },
+    };
+  };
+
+  // Parse unary expressions (!, -, ++, --, casts, sizeof, etc.)
   const parseUnaryExpression = () => {
-    const unaryOperators = ["!", "-", "~", "++", "--", "&", "*"];
+    const unaryOperators = ["!", "-", "+", "~", "&", "*"];
+    const token = peek();
 
-    if (peek() && unaryOperators.includes(peek().value)) {
+    // Prefix increment and decrement
+    if (token && (token.value === "++" || token.value === "--")) {
+      const operatorToken = advance();
+      const argument = parseUnaryExpression();
+      if (!argument) return null;
+
+      return {
+        type: "UpdateExpression",
+        operator: operatorToken.value,
+        argument,
+        prefix: true,
+        location: { start: operatorToken.start, end: argument.location.end },
+      };
+    }
+
+    // sizeof expression or sizeof(type)
+    if (token && token.value === "sizeof") {
+      const sizeofToken = advance();
+
+      if (checkValue("(") && isTypeStart(peekAhead())) {
+        advance(); // Consume '('
+        const typeName = parseTypeName();
+        const closeToken = expectValue(")", "Expected ')' after type name");
+        if (!typeName) return null;
+
+        return {
+          type: "SizeofExpression",
+          argument: typeName,
+          location: {
+            start: sizeofToken.start,
+            end: closeToken ? closeToken.end : typeName.location.end,
+          },
+        };
+      }
+
+      const argument = parseUnaryExpression();
+      if (!argument) return null;
+
+      return {
+        type: "SizeofExpression",
+        argument,
+        location: { start: sizeofToken.start, end: argument.location.end },
+      };
+    }
+
+    // Cast expression: (type) operand
+    if (checkValue("(") && isTypeStart(peekAhead())) {
+      const openToken = advance(); // Consume '('
+      const typeName = parseTypeName();
+      if (!expectValue(")", "Expected ')' after type name in cast")) {
+        return null;
+      }
+      const argument = parseUnaryExpression();
+      if (!typeName || !argument) return null;
+
+      return {
+        type: "CastExpression",
+        typeName,
+        argument,
+        location: { start: openToken.start, end: argument.location.end },
+      };
+    }
+
+    if (token && unaryOperators.includes(token.value)) {
       const operatorToken = advance();
       const argument = parseUnaryExpression();
       if (!argument) return null;
@@ -372,12 +1001,86 @@ export const parser = (tokens) => {
         prefix: true,
         location: {
           start: operatorToken.start,
-          end: argument ? argument.location.end : operatorToken.end,
+          end: argument.location.end,
         },
       };
     }
 
-    return parsePrimaryExpression();
+    return parsePostfixExpression();
+  };
+
+  // Parse postfix expressions: calls, indexing, member access, ++ and --
+  const parsePostfixExpression = () => {
+    let expression = parsePrimaryExpression();
+    if (!expression) return null;
+
+    // Postfix operators chain left to right on any primary expression,
+    // e.g. "a.b->c[i].d++", "getArr()[0]" or "(*fp)(x)"
+    while (
+      checkValue("(") ||
+      checkValue("[") ||
+      checkValue(".") ||
+      checkValue("->") ||
+      checkValue("++") ||
+      checkValue("--")
+    ) {
+      if (checkValue("(")) {
+        const args = parseArguments();
+        expression = {
+          type: "CallExpression",
+          callee: expression,
+          arguments: args,
+          location: {
+            start: expression.location.start,
+            end: tokens[current - 1].end,
+          },
+        };
+        continue;
+      }
+
+      const operatorToken = advance();
+
+      if (operatorToken.value === "[") {
+        const index = parseExpression();
+        const closeBracket = expectValue("]", "Expected ']' after array index");
+        if (!index) return null;
+        expression = {
+          type: "ArrayAccess",
+          array: expression,
+          index,
+          location: {
+            start: expression.location.start,
+            end: closeBracket ? closeBracket.end : index.location.end,
+          },
+        };
+      } else if (operatorToken.value === "." || operatorToken.value === "->") {
+        const memberToken = expect(
+          "identifier",
+          `Expected member name after '${operatorToken.value}'`
+        );
+        if (!memberToken) return null;
+        expression = {
+          type: "MemberExpression",
+          object: expression,
+          property: memberToken.value,
+          operator: operatorToken.value,
+          location: { start: expression.location.start, end: memberToken.end },
+        };
+      } else {
+        expression = {
+          type: "UpdateExpression",
+          operator: operatorToken.value,
+          argument: expression,
+          prefix: false,
+          location: {
+            start: expression.location.start,
+            end: operatorToken.end,
+          },
+        };
+      }
+    }
+
+    return expression;
   };
 
   // Parse primary expressions (literals, identifiers, parenthesized expressions)
@@ -386,14 +1089,32 @@ export const parser = (tokens) => {
 
     if (!token) return null;
 
-    // String literal
+    // String literal; adjacent ones are joined, as in "a" "b" or
+    // "v" XSTR(MAJOR) once macros are expanded
     if (token.type === "string") {
       const stringToken = advance();
+      let { value, end } = stringToken;
+      while (peek()?.type === "string") {
+        const next = advance();
+        value = joinStringLiterals(value, next.value);
+        end = next.end;
+      }
       return {
         type: "Literal",
-        value: stringToken.value,
+        value,
         valueType: "string",
-        location: { start: stringToken.start, end: stringToken.end },
+        location: { start: stringToken.start, end },
+      };
+    }
+
+    // Character literal
+    if (token.type === "char") {
+      const charToken = advance();
+      return {
+        type: "Literal",
+        value: charToken.value,
+        valueType: "char",
+        location: { start: charToken.start, end: charToken.end },
       };
     }
 
@@ -408,52 +1129,9 @@ export const parser = (tokens) => {
       };
     }
 
-    // Identifier or function call
+    // Identifier (calls and indexing are parsed as postfix operators)
     if (token.type === "identifier") {
       const identifier = advance();
-
-      // Check for function call
-      if (peek() && peek().value === "(") {
-        const args = parseArguments();
-
-        return {
-          type: "CallExpression",
-          callee: {
-            type: "Identifier",
-            name: identifier.value,
-            location: { start: identifier.start, end: identifier.end },
-          },
-          arguments: args || [],
-          location: {
-            start: identifier.start,
-            end: peek() ? peek().end : identifier.end,
-          },
-        };
-      }
-
-      // Check for array access
-      if (peek() && peek().value === "[") {
-        advance(); // Consume '['
-        const index = parseExpression();
-        expectValue("]", "Expected ']' after array index");
-
-        return {
-          type: "MemberExpression",
-          object: {
-            type: "Identifier",
-            name: identifier.value,
-            location: { start: identifier.start, end: identifier.end },
-          },
-          property: index,
-          computed: true,
-          location: {
-            start: identifier.start,
-            end: peek() ? peek().end : identifier.end,
-          },
-        };
-      }
-
-      // Just an identifier
       return {
         type: "Identifier",
         name: identifier.value,
@@ -493,7 +1171,7 @@ export const parser = (tokens) => {
 
     // Parse arguments
     while (true) {
-      const arg = parseExpression();
+      const arg = parseAssignmentExpression();
       if (arg) args.push(arg);
 
       // Check for comma or end of argument list
@@ -510,9 +1188,27 @@ export const parser = (tokens) => {
     return args;
   };
 
-  // Parse expression
+  // Parse expression (assignment expressions separated by the comma operator)
   const parseExpression = () => {
-    return parseBinaryExpression();
+    const first = parseAssignmentExpression();
+    if (!first || !checkValue(",")) return first;
+
+    const expressions = [first];
+    while (checkValue(",")) {
+      advance(); // Consume ','
+      const next = parseAssignmentExpression();
+      if (!next) return null;
+      expressions.push(next);
+    }
+
+    return {
+      type: "SequenceExpression",
+      expressions,
+      location: {
+        start: first.location.start,
+        end: expressions[expressions.length - 1].location.end,
+      },
+    };
   };
 
   // Parse a return statement
@@ -533,7 +1229,7 @@ export const parser = (tokens) => {
       argument,
       location: {
         start: returnToken.start,
-        end: peek() ? peek().end : returnToken.end,
+        end: tokens[current - 1].end,
       },
     };
   };
@@ -548,6 +1244,7 @@ export const parser = (tokens) => {
     }
 
     const body = [];
+    enterScope();
 
     // Parse statements until closing brace
     while (peek() && peek().value !== "}") {
@@ -561,6 +1258,7 @@ export const parser = (tokens) => {
         break;
       }
     }
+    exitScope();
 
     // Consume closing brace
     if (!expectValue("}", "Expected '}' after block statement")) {
@@ -570,10 +1268,7 @@ export const parser = (tokens) => {
     return {
       type: "BlockStatement",
       body: body,
-      location: {
-        start: startToken.start,
-        end: peek() ? peek().end : startToken.end,
-      },
+      location: { start: startToken.start, end: tokens[current - 1].end },
     };
   };
 
@@ -661,11 +1356,14 @@ export const parser = (tokens) => {
       return null;
     }
 
+    // Names declared in the init clause are local to the loop
+    enterScope();
+
     // Initialize
     let init = null;
     if (peek() && peek().value !== ";") {
       // Check if it's a variable declaration
-      if (peek().type === "type" || peek().type === "qualifier") {
+      if (isTypeStart(peek())) {
         init = parseVariableDeclaration();
         // parseVariableDeclaration already expects and consumes the semicolon
       } else {
@@ -695,6 +1393,7 @@ export const parser = (tokens) => {
 
     // Body
     const body = parseStatement();
+    exitScope();
 
     return {
       type: "ForStatement",
@@ -709,6 +1408,200 @@ export const parser = (tokens) => {
     };
   };
 
+  // Parse do-while statement
+  const parseDoWhileStatement = () => {
+    const startToken = advance(); // Consume 'do'
+
+    const body = parseStatement();
+
+    if (!expectValue("while", "Expected 'while' after do-while body")) {
+      return null;
+    }
+    if (!expectValue("(", "Expected '(' after 'while'")) {
+      return null;
+    }
+
+    const test = parseExpression();
+
+    if (!expectValue(")", "Expected ')' after do-while condition")) {
+      return null;
+    }
+    const endToken = expectValue(";", "Expected ';' after do-while statement");
+
+    return {
+      type: "DoWhileStatement",
+      body,
+      test,
+      location: {
+        start: startToken.start,
+        end: endToken ? endToken.end : tokens[current - 1].end,
+      },
+    };
+  };
+
+  // Parse a case or default label inside a switch body
+  const parseSwitchCase = () => {
+    const labelToken = advance(); // Consume 'case' or 'default'
+
+    let test = null;
+    if (labelToken.value === "case") {
+      test = parseConditionalExpression();
+    }
+
+    expectValue(":", `Expected ':' after ${labelToken.value} label`);
+
+    return {
+      type: "SwitchCase",
+      test,
+      consequent: [],
+      location: { start: labelToken.start, end: tokens[current - 1].end },
+    };
+  };
+
+  // Parse switch statement; statements are grouped under their case label
+  const parseSwitchStatement = () => {
+    const startToken = advance(); // Consume 'switch'
+
+    if (!expectValue("(", "Expected '(' after 'switch'")) {
+      return null;
+    }
+
+    const discriminant = parseExpression();
+
+    if (!expectValue(")", "Expected ')' after switch expression")) {
+      return null;
+    }
+
+    const cases = [];
+    const bracedBody = checkValue("{");
+    if (bracedBody) advance(); // Consume '{'
+
+    switchDepth++;
+    while (peek() && !(bracedBody && checkValue("}"))) {
+      if (checkValue("case") || checkValue("default")) {
+        cases.push(parseSwitchCase());
+        if (!bracedBody) {
+          // A single labeled statement forms the whole body
+          const statement = parseStatement();
+          if (statement) cases[cases.length - 1].consequent.push(statement);
+          break;
+        }
+        continue;
+      }
+
+      if (!bracedBody) {
+        // switch (x) statement; with no case label at all
+        parseStatement();
+        break;
+      }
+
+      const statement = parseStatement();
+      if (!statement) {
+        if (peek() && !checkValue("}")) advance();
+        continue;
+      }
+
+      if (cases.length === 0) {
+        errors.push({
+          message:
+            "Statement in switch body is not reachable: no case label precedes it",
+          location: statement.location,
+          severity: "warning",
+        });
+        continue;
+      }
+      cases[cases.length - 1].consequent.push(statement);
+    }
+    switchDepth--;
+
+    let endToken = tokens[current - 1];
+    if (bracedBody) {
+      endToken = expectValue("}", "Expected '}' after switch body");
+      if (!endToken) return null;
+    }
+
+    // Extend each case to the end of its last statement
+    cases.forEach((switchCase) => {
+      const last = switchCase.consequent[switchCase.consequent.length - 1];
+      if (last) switchCase.location.end = last.location.end;
+    });
+
+    return {
+      type: "SwitchStatement",
+      discriminant,
+      cases,
+      location: { start: startToken.start, end: endToken.end },
+    };
+  };
+
+  // Parse break, continue and goto statements
+  const parseJumpStatement = () => {
+    const keywordToken = advance(); // Consume the keyword
+
+    let label = null;
+    if (keywordToken.value === "goto") {
+      const labelToken = expect(
+        "identifier",
+        "Expected label name after 'goto'"
+      );
+      if (!labelToken) return null;
+      label = {
+        type: "Identifier",
+        name: labelToken.value,
+        location: { start: labelToken.start, end: labelToken.end },
+      };
+    }
+
+    const endToken = expectValue(
+      ";",
+      `Expected ';' after ${keywordToken.value} statement`
+    );
+
+    const location = {
+      start: keywordToken.start,
+      end: endToken ? endToken.end : tokens[current - 1].end,
+    };
+
+    if (keywordToken.value === "goto") {
+      return { type: "GotoStatement", label, location };
+    }
+    return {
+      type:
+        keywordToken.value === "break" ? "BreakStatement" : "ContinueStatement",
+      location,
+    };
+  };
+
+  // Parse a labeled statement (identifier ':' statement)
+  const parseLabeledStatement = () => {
+    const labelToken = advance(); // Consume label name
+    advance(); // Consume ':'
+
+    if (checkValue("}")) {
+      errors.push({
+        message: "Label at end of compound statement: expected statement",
+        location: { start: labelToken.start, end: labelToken.end },
+      });
+      return null;
+    }
+
+    const body = parseStatement();
+
+    return {
+      type: "LabeledStatement",
+      label: {
+        type: "Identifier",
+        name: labelToken.value,
+        location: { start: labelToken.start, end: labelToken.end },
+      },
+      body,
+      location: {
+        start: labelToken.start,
+        end: body ? body.location.end : tokens[current - 1].end,
+      },
+    };
+  };
+
   // Parse a statement
   const parseStatement = () => {
     const token = peek();
@@ -740,14 +1633,84 @@ export const parser = (tokens) => {
       return parseForStatement();
     }
 
-    // Variable declaration
+    // Do-while statement
+    if (token.type === "keyword" && token.value === "do") {
+      return parseDoWhileStatement();
+    }
+
+    // Switch statement
+    if (token.type === "keyword" && token.value === "switch") {
+      return parseSwitchStatement();
+    }
+
+    // Case labels are only valid directly inside a switch body
     if (
-      token.type === "type" ||
-      token.type === "qualifier" ||
-      token.value === "struct" ||
-      token.value === "union" ||
-      token.value === "enum"
+      token.type === "keyword" &&
+      (token.value === "case" || token.value === "default")
+    ) {
+      errors.push({
+        message:
+          switchDepth > 0
+            ? `'${token.value}' label nested inside another statement is not supported`
+            : `'${token.value}' label not within a switch statement`,
+        location: { start: token.start, end: token.end },
+      });
+      parseSwitchCase();
+      return parseStatement();
+    }
+
+    // Jump statements
+    if (
+      token.type === "keyword" &&
+      ["break", "continue", "goto"].includes(token.value)
+    ) {
+      return parseJumpStatement();
+    }
+
+    // Block-scope typedef
+    if (token.value === "typedef") {
+      return parseTypedef();
+    }
+
+    // Labeled statement
+    if (token.type === "identifier" && peekAhead()?.value === ":") {
+      return parseLabeledStatement();
+    }
+
+    // Empty statement
+    if (token.value === ";") {
+      advance();
+      return {
+        type: "EmptyStatement",
+        location: { start: token.start, end: token.end },
+      };
+    }
+
+    // Two identifiers in a row ("Bogus b;") is a declaration whose type
+    // name was never declared. Treat it as a typedef name from here on so
+    // the rest of the scope does not report it again.
+    if (
+      token.type === "identifier" &&
+      !isTypeStart(token) &&
+      peekAhead()?.type === "identifier"
     ) {
+      const header = Object.keys(standardHeaders).find((name) =>
+        Object.prototype.hasOwnProperty.call(
+          standardHeaders[name].typedefs,
+          token.value
+        )
+      );
+      errors.push({
+        message: `Unknown type name '${token.value}'${
+          header ? `; did you mean to include <${header}>?` : ""
+        }`,
+        location: { start: token.start, end: token.end },
+      });
+      declareName(token.value, true);
+    }
+
+    // Variable declaration
+    if (isTypeStart(token)) {
       return parseVariableDeclaration();
     }
 
@@ -764,28 +1727,40 @@ export const parser = (tokens) => {
       expression: expr,
       location: {
         start: expr.location.start,
-        end: peek() ? peek().end : expr.location.end,
+        end: tokens[current - 1].end,
       },
     };
   };
 
-  // Parse function parameters
-  const parseParameters = () => {
+  // Parse a parameter list after its '(' up to and including the ')'.
+  // "(void)" declares no parameters; parameter names are optional here.
+  // Returns the parameters and whether the list ends in "..."
+  const parseParameterList = () => {
     const params = [];
-
-    // Consume opening parenthesis
-    if (!expectValue("(", "Expected '(' for function parameters")) {
-      return params;
-    }
+    let variadic = false;
 
     // Empty parameter list
-    if (peek() && peek().value === ")") {
+    if (checkValue(")") || (checkValue("void") && peekAhead()?.value === ")")) {
+      if (checkValue("void")) advance(); // Consume 'void'
       advance(); // Consume ')'
-      return params;
+      return { params, variadic };
     }
 
     // Parse parameters until closing parenthesis
     while (peek() && peek().value !== ")") {
+      // "..." takes any further arguments and must come last
+      if (checkValue("...")) {
+        const ellipsis = advance();
+        variadic = true;
+        if (params.length === 0) {
+          errors.push({
+            message: "ISO C requires a named parameter before '...'",
+            location: { start: ellipsis.start, end: ellipsis.end },
+          });
+        }
+        break;
+      }
+
       const typeSpecifiers = parseDeclarationSpecifiers();
 
       if (!typeSpecifiers) {
@@ -798,29 +1773,20 @@ export const parser = (tokens) => {
         break;
       }
 
-      // Parameter name
-      const nameToken = expect("identifier", "Expected parameter name");
-
-      if (nameToken) {
-        // Check for array parameter
-        let isArray = false;
-        if (peek() && peek().value === "[") {
-          advance(); // Consume '['
-          expectValue("]", "Expected ']' after array parameter");
-          isArray = true;
-        }
+      const declarator = parseDeclarator("optional");
+      const declaredType = buildDeclaredType(typeSpecifiers, declarator);
 
-        params.push({
-          type: "Parameter",
-          paramType: typeSpecifiers,
-          name: nameToken.value,
-          isArray: isArray,
-          location: {
-            start: typeSpecifiers.location.start,
-            end: nameToken.end,
-          },
-        });
-      }
+      params.push({
+        type: "Parameter",
+        paramType: typeSpecifiers,
+        name: declarator.id ? declarator.id.name : null,
+        declaredType,
+        isArray: declaredType.type === "ArrayType",
+        location: {
+          start: typeSpecifiers.location.start,
+          end: tokens[current - 1].end,
+        },
+      });
 
       // Check for comma or end of parameter list
       if (peek() && peek().value === ",") {
@@ -833,7 +1799,7 @@ export const parser = (tokens) => {
     // Consume closing parenthesis
     expectValue(")", "Expected ')' after function parameters");
 
-    return params;
+    return { params, variadic };
   };
 
   // Parse function body
@@ -855,18 +1821,42 @@ export const parser = (tokens) => {
       return null;
     }
 
-    // Function name
-    const nameToken = expect("identifier", "Expected function name");
+    // Function name, parameters and any pointers in the return type
+    const declarator = parseDeclarator("named", "Expected function name");
+    if (!declarator) return null;
 
-    if (!nameToken) return null;
+    if (declarator.derivations[0]?.kind !== "function") {
+      errors.push({
+        message: "Expected '(' for function parameters",
+        location: peek()
+          ? { start: peek().start, end: peek().end }
+          : declarator.location,
+      });
+      return null;
+    }
 
-    // Function parameters
-    const params = parseParameters();
+    const declaredType = buildDeclaredType(returnTypeSpecifiers, declarator);
+    const params = declaredType.params;
+    declareName(declarator.id.name, false);
 
     // Function body or forward declaration
     let body = null;
     if (peek() && peek().value === "{") {
+      // Parameters of a definition must be named
+      params
+        .filter((param) => !param.name)
+        .forEach((param) =>
+          errors.push({
+            message: "Parameter name omitted in function definition",
+            location: param.location,
+          })
+        );
+
+      // Parameters are visible in the body and hide outer typedef names
+      enterScope();
+      params.forEach((param) => declareName(param.name, false));
       body = parseFunctionBody();
+      exitScope();
     } else {
       // Forward declaration ends with semicolon
       expectValue(";", "Expected ';' after function forward declaration");
@@ -874,17 +1864,18 @@ export const parser = (tokens) => {
 
     return {
       type: "FunctionDeclaration",
-      id: {
-        type: "Identifier",
-        name: nameToken.value,
-        location: { start: nameToken.start, end: nameToken.end },
-      },
+      id: declarator.id,
       returnType: returnTypeSpecifiers,
       params,
+      declaredType,
       body,
       location: {
         start: returnTypeSpecifiers.location.start,
-        end: body ? body.location.end : peek() ? peek().end : nameToken.end,
+        end: body
+          ? body.location.end
+          : peek()
+          ? peek().end
+          : declarator.location.end,
       },
     };
   };
@@ -904,12 +1895,14 @@ export const parser = (tokens) => {
       return null;
     }
 
-    // Get the new type name
-    const nameToken = expect(
-      "identifier",
+    // Get the new type name, e.g. "Matrix" in "typedef int Matrix[3][3];"
+    const declarator = parseDeclarator(
+      "named",
       "Expected identifier for typedef name"
     );
-    if (!nameToken) return null;
+    if (!declarator) return null;
+
+    declareName(declarator.id.name, true);
 
     // Expect semicolon
     expectValue(";", "Expected ';' after typedef");
@@ -917,14 +1910,11 @@ export const parser = (tokens) => {
     return {
       type: "Typedef",
       typeSpecifiers: typeSpecifiers,
-      id: {
-        type: "Identifier",
-        name: nameToken.value,
-        location: { start: nameToken.start, end: nameToken.end },
-      },
+      id: declarator.id,
+      declaredType: buildDeclaredType(typeSpecifiers, declarator),
       location: {
         start: startToken.start,
-        end: peek() ? peek().end : nameToken.end,
+        end: tokens[current - 1].end,
       },
     };
   };
@@ -976,36 +1966,32 @@ export const parser = (tokens) => {
         } else if (token.value === "typedef") {
           const typeDef = parseTypedef();
           if (typeDef) ast.body.push(typeDef);
-        } else if (
-          token.type === "type" ||
-          token.type === "qualifier" ||
-          token.value === "struct" ||
-          token.value === "union" ||
-          token.value === "enum"
-        ) {
-          // We need to determine if this is a function declaration or a variable declaration
-          // Look ahead for a function name followed by an opening parenthesis
+        } else if (isTypeStart(token)) {
+          // We need to determine if this is a function declaration or a variable declaration.
+          // A declarator whose outermost derivation is a parameter list
+          // (e.g. "int *f(void)") declares a function.
           const savedPosition = current;
+          const savedErrorCount = errors.length;
           const typeSpecifiers = parseDeclarationSpecifiers();
-
-          if (typeSpecifiers && peek() && peek().type === "identifier") {
-            const identifierToken = peek();
-            advance(); // Move past the identifier
-
-            if (peek() && peek().value === "(") {
-              // This is a function declaration, reset position and parse it properly
-              current = savedPosition;
-              const func = parseFunctionDeclaration();
-              if (func) ast.body.push(func);
-            } else {
-              // This is a variable declaration, reset position and parse it properly
-              current = savedPosition;
-              const varDecl = parseVariableDeclaration();
-              if (varDecl) ast.body.push(varDecl);
-            }
+          const isTagOnly = typeSpecifiers && peek() && peek().value === ";";
+          const declarator =
+            typeSpecifiers && !isTagOnly ? parseDeclarator("named") : null;
+
+          // Errors from the lookahead are reported again when re-parsing
+          errors.length = savedErrorCount;
+          current = savedPosition;
+
+          if (isTagOnly) {
+            // Struct/union/enum declaration without declarators
+            const tagDecl = parseVariableDeclaration();
+            if (tagDecl) ast.body.push(tagDecl);
+          } else if (declarator?.derivations[0]?.kind === "function") {
+            const func = parseFunctionDeclaration();
+            if (func) ast.body.push(func);
+          } else if (declarator) {
+            const varDecl = parseVariableDeclaration();
+            if (varDecl) ast.body.push(varDecl);
           } else {
-            // Reset if we couldn't determine the construct
-            current = savedPosition;
             // Skip unrecognized constructs
             errors.push({
               message: `Unrecognized declaration`,
@@ -0,0 +1,1259 @@
+/**
+ * C preprocessor
+ * Runs ahead of the lexer: handles directives, conditional compilation and
+ * macro expansion, and keeps a source map from the expanded text back to
+ * offsets in the original code so later phases can report accurate lines.
+ */
+
+import standardHeaders from "../data/standardHeaders";
+import {
+  charLiteralValue,
+  convertConstant,
+  foldBinary,
+  foldUnary,
+  parseIntegerLiteral,
+} from "./constantExpressions";
+import { basicType, resolveType } from "./types";
+
+const intType = basicType("int");
+const intmaxType = basicType("long");
+const uintmaxType = basicType("unsigned long");
+
+// Multi-character punctuators, longest first so the tokenizer is greedy
+const PUNCTUATORS = [
+  "...",
+  "<<=",
+  ">>=",
+  "->",
+  "++",
+  "--",
+  "<<",
+  ">>",
+  "<=",
+  ">=",
+  "==",
+  "!=",
+  "&&",
+  "||",
+  "*=",
+  "/=",
+  "%=",
+  "+=",
+  "-=",
+  "&=",
+  "^=",
+  "|=",
+  "##",
+];
+
+const SINGLE_PUNCTUATORS = "[](){}.&*+-~!/%<>^|?:;=,#";
+
+// Sticky patterns for preprocessing tokens
+const tokenPatterns = [
+  { kind: "identifier", pattern: /[A-Za-z_][A-Za-z0-9_]*/y },
+  { kind: "number", pattern: /\.?[0-9](?:[eEpP][+-]|[A-Za-z0-9_.])*/y },
+  { kind: "string", pattern: /"(?:\\.|[^"\\\n])*"/y },
+  { kind: "char", pattern: /'(?:\\.|[^'\\\n])*'/y },
+];
+
+// Binary operators allowed in #if expressions, by precedence
+const conditionOperators = {
+  "*": 10,
+  "/": 10,
+  "%": 10,
+  "+": 9,
+  "-": 9,
+  "<<": 8,
+  ">>": 8,
+  "<": 7,
+  ">": 7,
+  "<=": 7,
+  ">=": 7,
+  "==": 6,
+  "!=": 6,
+  "&": 5,
+  "^": 4,
+  "|": 3,
+  "&&": 2,
+  "||": 1,
+};
+
+// Match a single preprocessing token at position i of text
+const matchToken = (text, i) => {
+  for (const { kind, pattern } of tokenPatterns) {
+    pattern.lastIndex = i;
+    const match = pattern.exec(text);
+    if (match) return { kind, value: match[0] };
+  }
+
+  const punctuator = PUNCTUATORS.find((p) => text.startsWith(p, i));
+  if (punctuator) return { kind: "punctuator", value: punctuator };
+  if (SINGLE_PUNCTUATORS.includes(text[i])) {
+    return { kind: "punctuator", value: text[i] };
+  }
+
+  return { kind: "other", value: text[i] };
+};
+
+// Split the text of a header's macro definition into preprocessing tokens,
+// all placed at the given source range
+const tokenizeDefinition = (text, location) => {
+  const tokens = [];
+  let spaceBefore = false;
+  let i = 0;
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      spaceBefore = true;
+      i++;
+      continue;
+    }
+    const { kind, value } = matchToken(text, i);
+    tokens.push({
+      kind,
+      value,
+      start: location.start,
+      end: location.end,
+      spaceBefore,
+    });
+    spaceBefore = false;
+    i += value.length;
+  }
+  return tokens;
+};
+
+// Build a sorted list of line start offsets for quick line lookups
+const getLineStarts = (code) => {
+  const starts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === "\n") starts.push(i + 1);
+  }
+  return starts;
+};
+
+// Find the 1-based line and column of an offset
+const getLineAndColumn = (lineStarts, offset) => {
+  let lo = 0;
+  let hi = lineStarts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (lineStarts[mid] <= offset) lo = mid;
+    else hi = mid - 1;
+  }
+  return { line: lo + 1, column: offset - lineStarts[lo] + 1 };
+};
+
+export const preprocessor = (code, options = {}) => {
+  const source = code || "";
+  const fileName = options.fileName || "main.c";
+  const errors = [];
+  const macros = new Map();
+  const includes = [];
+  const conditionStack = [];
+  const lineStarts = getLineStarts(source);
+
+  let output = "";
+  const sourceMap = [];
+
+  // Helper to record an error or warning at a source range
+  const report = (message, location, severity) => {
+    errors.push({
+      message,
+      location: { start: location.start, end: location.end },
+      ...(severity && { severity }),
+    });
+  };
+
+  // Translation phase 2: remove backslash-newline pairs, remembering where
+  // every remaining character came from
+  const spliceLines = () => {
+    let text = "";
+    const offsets = [];
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === "\\" && source[i + 1] === "\n") {
+        i++;
+        continue;
+      }
+      if (
+        source[i] === "\\" &&
+        source[i + 1] === "\r" &&
+        source[i + 2] === "\n"
+      ) {
+        i += 2;
+        continue;
+      }
+      text += source[i];
+      offsets.push(i);
+    }
+    offsets.push(source.length);
+    return { text, offsets };
+  };
+
+  // Translation phase 3: split the spliced text into lines of preprocessing
+  // tokens, replacing comments with whitespace
+  const tokenizeLines = () => {
+    const { text, offsets } = spliceLines();
+    const lines = [];
+    let tokens = [];
+    let spaceBefore = false;
+    let i = 0;
+
+    const endLine = () => {
+      lines.push(tokens);
+      tokens = [];
+      spaceBefore = false;
+    };
+
+    while (i < text.length) {
+      const ch = text[i];
+
+      if (ch === "\n") {
+        endLine();
+        i++;
+        continue;
+      }
+
+      if (
+        ch === " " ||
+        ch === "\t" ||
+        ch === "\r" ||
+        ch === "\f" ||
+        ch === "\v"
+      ) {
+        spaceBefore = true;
+        i++;
+        continue;
+      }
+
+      // Line comment
+      if (text.startsWith("//", i)) {
+        while (i < text.length && text[i] !== "\n") i++;
+        spaceBefore = true;
+        continue;
+      }
+
+      // Block comment (may span lines without ending the logical line)
+      if (text.startsWith("/*", i)) {
+        const close = text.indexOf("*/", i + 2);
+        if (close === -1) {
+          report("Unterminated comment", {
+            start: offsets[i],
+            end: offsets[i] + 2,
+          });
+          i = text.length;
+        } else {
+          i = close + 2;
+        }
+        spaceBefore = true;
+        continue;
+      }
+
+      const { kind, value } = matchToken(text, i);
+      tokens.push({
+        kind,
+        value,
+        start: offsets[i],
+        end: offsets[i + value.length - 1] + 1,
+        spaceBefore,
+        bol: tokens.length === 0,
+      });
+      spaceBefore = false;
+      i += value.length;
+    }
+
+    endLine();
+    return lines;
+  };
+
+  // Check whether the current conditional group is being compiled
+  const isActive = () =>
+    conditionStack.length === 0 ||
+    conditionStack[conditionStack.length - 1].active;
+
+  // Range spanned by a list of tokens
+  const rangeOf = (tokens, fallback) =>
+    tokens.length > 0
+      ? { start: tokens[0].start, end: tokens[tokens.length - 1].end }
+      : fallback;
+
+  // Add a macro name to a hide set without mutating the original
+  const extendHideSet = (hideSet, name) => {
+    const extended = new Set(hideSet || []);
+    extended.add(name);
+    return extended;
+  };
+
+  // Compare macro definitions for benign redefinition
+  const sameDefinition = (a, b) => {
+    if (!a.params !== !b.params || a.variadic !== b.variadic) return false;
+    if (a.params && a.params.join(",") !== b.params.join(",")) return false;
+    if (a.body.length !== b.body.length) return false;
+    return a.body.every(
+      (token, i) =>
+        token.value === b.body[i].value &&
+        (i === 0 || token.spaceBefore === b.body[i].spaceBefore)
+    );
+  };
+
+  // Define the predefined and command-line macros
+  const definePredefinedMacros = () => {
+    ["__LINE__", "__FILE__"].forEach((name) =>
+      macros.set(name, { name, builtin: true, params: null, body: [] })
+    );
+
+    const predefined = {
+      __STDC__: "1",
+      __STDC_VERSION__: "201710L",
+      __STDC_HOSTED__: "1",
+      ...(options.defines || {}),
+    };
+
+    Object.entries(predefined).forEach(([name, value]) => {
+      macros.set(name, {
+        name,
+        params: null,
+        variadic: false,
+        body: [
+          {
+            kind: /^[0-9.]/.test(String(value)) ? "number" : "identifier",
+            value: String(value),
+            start: 0,
+            end: 0,
+            spaceBefore: false,
+          },
+        ],
+        predefined: true,
+      });
+    });
+  };
+
+  // Parse a #define directive. Macros from a standard header record it.
+  const defineMacro = (args, location, header = null) => {
+    const nameToken = args[0];
+    if (!nameToken || nameToken.kind !== "identifier") {
+      report("Macro name must be an identifier", rangeOf(args, location));
+      return;
+    }
+    if (nameToken.value === "defined") {
+      report("'defined' cannot be used as a macro name", nameToken);
+      return;
+    }
+
+    let params = null;
+    let variadic = false;
+    let i = 1;
+
+    // Function-like macro: '(' immediately follows the name
+    if (args[1] && args[1].value === "(" && !args[1].spaceBefore) {
+      params = [];
+      i = 2;
+
+      if (args[i] && args[i].value === ")") {
+        i++;
+      } else {
+        while (true) {
+          const token = args[i];
+          if (token && token.value === "...") {
+            variadic = true;
+            i++;
+          } else if (token && token.kind === "identifier") {
+            if (params.includes(token.value)) {
+              report(`Duplicate macro parameter '${token.value}'`, token);
+              return;
+            }
+            params.push(token.value);
+            i++;
+          } else {
+            report(
+              "Expected parameter name in macro parameter list",
+              token || location
+            );
+            return;
+          }
+
+          if (args[i] && args[i].value === "," && !variadic) {
+            i++;
+            continue;
+          }
+          if (args[i] && args[i].value === ")") {
+            i++;
+            break;
+          }
+          report(
+            "Expected ',' or ')' in macro parameter list",
+            args[i] || location
+          );
+          return;
+        }
+      }
+    }
+
+    const body = args.slice(i);
+
+    // Validate stringizing and token-pasting operators
+    if (body.length > 0 && body[0].value === "##") {
+      report("'##' cannot appear at either end of a macro expansion", body[0]);
+      return;
+    }
+    if (body.length > 0 && body[body.length - 1].value === "##") {
+      report(
+        "'##' cannot appear at either end of a macro expansion",
+        body[body.length - 1]
+      );
+      return;
+    }
+    if (params) {
+      const paramNames = variadic ? [...params, "__VA_ARGS__"] : params;
+      for (let j = 0; j < body.length; j++) {
+        if (
+          body[j].value === "#" &&
+          !(body[j + 1] && paramNames.includes(body[j + 1].value))
+        ) {
+          report("'#' is not followed by a macro parameter", body[j]);
+          return;
+        }
+      }
+    }
+
+    const macro = {
+      name: nameToken.value,
+      params,
+      variadic,
+      body,
+      location,
+      ...(header && { header }),
+    };
+
+    const existing = macros.get(macro.name);
+    if (existing && (existing.builtin || !sameDefinition(existing, macro))) {
+      report(`'${macro.name}' macro redefined`, nameToken, "warning");
+    }
+
+    macros.set(macro.name, macro);
+  };
+
+  // Split the tokens of a macro invocation into arguments. The opening
+  // parenthesis is on top of the stack. Returns null when unterminated.
+  const collectArguments = (stack) => {
+    const consumed = [stack.pop()];
+    const args = [[]];
+    let depth = 1;
+
+    while (stack.length > 0) {
+      const token = stack.pop();
+      consumed.push(token);
+
+      if (token.value === "(") depth++;
+      if (token.value === ")") {
+        depth--;
+        if (depth === 0) return { args, close: token, consumed };
+      }
+      if (token.value === "," && depth === 1) {
+        args.push([]);
+        continue;
+      }
+      args[args.length - 1].push(token);
+    }
+
+    // Put the tokens back so the caller can recover
+    for (let i = consumed.length - 1; i >= 0; i--) stack.push(consumed[i]);
+    return null;
+  };
+
+  // Turn argument tokens into a string literal for the '#' operator
+  const stringize = (tokens, hashToken, range) => {
+    let text = "";
+    tokens.forEach((token, i) => {
+      if (i > 0 && token.spaceBefore) text += " ";
+      text +=
+        token.kind === "string" || token.kind === "char"
+          ? token.value.replace(/[\\"]/g, "\\$&")
+          : token.value;
+    });
+
+    return {
+      kind: "string",
+      value: `"${text}"`,
+      start: range.start,
+      end: range.end,
+      spaceBefore: hashToken.spaceBefore,
+      fromMacro: true,
+    };
+  };
+
+  // Join two tokens with the '##' operator
+  const pasteTokens = (left, right, range) => {
+    if (left.kind === "placemarker") return right;
+    if (right.kind === "placemarker") return left;
+
+    const text = left.value + right.value;
+    const pasted = matchToken(text, 0);
+    if (pasted.value.length !== text.length) {
+      report(
+        `Pasting "${left.value}" and "${right.value}" does not give a valid preprocessing token`,
+        range
+      );
+      return null;
+    }
+
+    return {
+      kind: pasted.kind,
+      value: text,
+      start: range.start,
+      end: range.end,
+      spaceBefore: left.spaceBefore,
+      fromMacro: true,
+      hideSet: left.hideSet,
+    };
+  };
+
+  // Replace a macro invocation with its body, substituting arguments
+  const substitute = (macro, args, hideSet, range) => {
+    const paramIndex = (token) => {
+      if (!args || token.kind !== "identifier") return -1;
+      if (macro.variadic && token.value === "__VA_ARGS__") {
+        return macro.params.length;
+      }
+      return macro.params.indexOf(token.value);
+    };
+    const expandedArgs = [];
+    const result = [];
+    const body = macro.body;
+
+    for (let i = 0; i < body.length; i++) {
+      const token = body[i];
+
+      // Stringizing operator
+      if (args && token.value === "#" && paramIndex(body[i + 1]) !== -1) {
+        result.push(stringize(args[paramIndex(body[i + 1])], token, range));
+        i++;
+        continue;
+      }
+
+      // Token-pasting operator
+      if (token.value === "##" && i + 1 < body.length) {
+        const next = body[++i];
+        const index = paramIndex(next);
+        const rightTokens =
+          index !== -1
+            ? args[index].map((t) => ({ ...t }))
+            : [
+                {
+                  ...next,
+                  start: range.start,
+                  end: range.end,
+                  fromMacro: true,
+                },
+              ];
+        const right =
+          rightTokens.length > 0
+            ? rightTokens
+            : [{ kind: "placemarker", value: "" }];
+        const left = result.pop() || { kind: "placemarker", value: "" };
+        const pasted = pasteTokens(left, right[0], range);
+
+        if (pasted) result.push(pasted, ...right.slice(1));
+        else result.push(left, ...right);
+        continue;
+      }
+
+      const index = paramIndex(token);
+      if (index !== -1) {
+        const pastedNext = body[i + 1] && body[i + 1].value === "##";
+        let replacement;
+        if (pastedNext) {
+          replacement = args[index];
+        } else {
+          if (!expandedArgs[index]) {
+            expandedArgs[index] = expandTokens(args[index]);
+          }
+          replacement = expandedArgs[index];
+        }
+
+        if (replacement.length === 0) {
+          if (pastedNext) result.push({ kind: "placemarker", value: "" });
+          continue;
+        }
+
+        replacement.forEach((t, k) =>
+          result.push({
+            ...t,
+            spaceBefore: k === 0 ? token.spaceBefore : t.spaceBefore,
+            bol: false,
+          })
+        );
+        continue;
+      }
+
+      result.push({
+        ...token,
+        start: range.start,
+        end: range.end,
+        bol: false,
+        fromMacro: true,
+      });
+    }
+
+    return result
+      .filter((token) => token.kind !== "placemarker")
+      .map((token) => {
+        const merged = new Set(token.hideSet || []);
+        hideSet.forEach((name) => merged.add(name));
+        return { ...token, hideSet: merged };
+      });
+  };
+
+  // Expand __LINE__ and __FILE__
+  const expandBuiltin = (token) => {
+    const { line } = getLineAndColumn(lineStarts, token.start);
+    return token.value === "__LINE__"
+      ? { ...token, kind: "number", value: String(line), fromMacro: true }
+      : { ...token, kind: "string", value: `"${fileName}"`, fromMacro: true };
+  };
+
+  // Fully macro-expand a list of tokens, rescanning replacements
+  const expandTokens = (input) => {
+    const stack = input.slice().reverse();
+    const result = [];
+
+    // Push replacement tokens back for rescanning, inheriting the layout of
+    // the invocation they replace
+    const pushBack = (tokens, invocation) => {
+      for (let i = tokens.length - 1; i >= 0; i--) {
+        stack.push(
+          i === 0
+            ? {
+                ...tokens[i],
+                spaceBefore: invocation.spaceBefore,
+                bol: invocation.bol,
+              }
+            : tokens[i]
+        );
+      }
+    };
+
+    while (stack.length > 0) {
+      const token = stack.pop();
+      const macro =
+        token.kind === "identifier" &&
+        !(token.hideSet && token.hideSet.has(token.value))
+          ? macros.get(token.value)
+          : null;
+
+      if (!macro) {
+        result.push(token);
+        continue;
+      }
+
+      if (macro.builtin) {
+        result.push(expandBuiltin(token));
+        continue;
+      }
+
+      // Object-like macro
+      if (!macro.params) {
+        const replacement = substitute(
+          macro,
+          null,
+          extendHideSet(token.hideSet, macro.name),
+          { start: token.start, end: token.end }
+        );
+        if (replacement.length > 0) pushBack(replacement, token);
+        continue;
+      }
+
+      // Function-like macro names are only invocations when followed by '('
+      if (stack.length === 0 || stack[stack.length - 1].value !== "(") {
+        result.push(token);
+        continue;
+      }
+
+      const invocation = collectArguments(stack);
+      if (!invocation) {
+        report(
+          `Unterminated argument list invoking macro '${macro.name}'`,
+          token
+        );
+        result.push(token);
+        continue;
+      }
+
+      let { args } = invocation;
+      const range = { start: token.start, end: invocation.close.end };
+
+      // A single empty argument means no arguments for a nullary macro
+      if (macro.params.length === 0 && !macro.variadic) {
+        if (args.length === 1 && args[0].length === 0) args = [];
+      }
+
+      if (macro.variadic) {
+        const fixed = args.slice(0, macro.params.length);
+        const rest = args.slice(macro.params.length);
+        const variadicArgs = [];
+        rest.forEach((arg, i) => {
+          if (i > 0) {
+            variadicArgs.push({
+              kind: "punctuator",
+              value: ",",
+              start: range.start,
+              end: range.end,
+              spaceBefore: false,
+            });
+          }
+          variadicArgs.push(...arg);
+        });
+        if (fixed.length === macro.params.length) {
+          args = [...fixed, variadicArgs];
+        }
+      }
+
+      const expected = macro.params.length + (macro.variadic ? 1 : 0);
+      if (args.length !== expected) {
+        report(
+          `Macro '${macro.name}' requires ${macro.params.length} argument${
+            macro.params.length === 1 ? "" : "s"
+          }, but ${args.length} given`,
+          range
+        );
+        // Leave the invocation unexpanded so parsing can continue
+        result.push(token);
+        for (let i = invocation.consumed.length - 1; i >= 0; i--) {
+          stack.push(invocation.consumed[i]);
+        }
+        // Skip the '(' so the name is not retried
+        result.push(stack.pop());
+        continue;
+      }
+
+      const replacement = substitute(
+        macro,
+        args,
+        extendHideSet(token.hideSet, macro.name),
+        range
+      );
+      if (replacement.length > 0) pushBack(replacement, token);
+    }
+
+    return result;
+  };
+
+  // Evaluate the controlling expression of #if / #elif
+  const evaluateCondition = (tokens, location) => {
+    // Resolve defined(X) before macro expansion
+    const resolved = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.kind !== "identifier" || token.value !== "defined") {
+        resolved.push(token);
+        continue;
+      }
+
+      const parenthesized = tokens[i + 1] && tokens[i + 1].value === "(";
+      const nameToken = tokens[parenthesized ? i + 2 : i + 1];
+      if (!nameToken || nameToken.kind !== "identifier") {
+        report("Macro name missing after 'defined'", token);
+        return false;
+      }
+      if (parenthesized) {
+        if (!tokens[i + 3] || tokens[i + 3].value !== ")") {
+          report("Missing ')' after 'defined'", nameToken);
+          return false;
+        }
+      }
+
+      resolved.push({
+        ...token,
+        kind: "number",
+        value: macros.has(nameToken.value) ? "1" : "0",
+      });
+      i += parenthesized ? 3 : 1;
+    }
+
+    // Remaining identifiers evaluate to zero after expansion
+    const expression = expandTokens(resolved).map((token) =>
+      token.kind === "identifier"
+        ? { ...token, kind: "number", value: "0" }
+        : token
+    );
+
+    if (expression.length === 0) {
+      report("#if with no expression", location);
+      return false;
+    }
+
+    let pos = 0;
+    const fail = (message, token) => {
+      const error = new Error(message);
+      error.location = token || location;
+      throw error;
+    };
+    // Every integer acts as intmax_t or uintmax_t (C11 6.10.1p4)
+    const widen = (constant) =>
+      convertConstant(
+        constant,
+        resolveType(constant.type).signed ? intmaxType : uintmaxType
+      );
+    const isTrue = (constant) => constant.value !== 0n;
+
+    // Apply a folded result: division by zero stops evaluation, other
+    // problems are warnings. Operands that are never evaluated (the dead
+    // side of &&, || and ?:) only need a value.
+    const applyFolded = (result, token, live) => {
+      if (result.problem && live) {
+        if (result.problem.kind === "division") {
+          fail(
+            `${
+              token.value === "/" ? "Division" : "Remainder"
+            } by zero in preprocessor expression`,
+            token
+          );
+        }
+        report(
+          result.problem.message.replace(
+            "constant expression",
+            "preprocessor expression"
+          ),
+          token,
+          "warning"
+        );
+      }
+      return widen(result.value === null ? { ...result, value: 0n } : result);
+    };
+
+    const parseNumber = (token) => {
+      if (token.kind === "char") {
+        const value = charLiteralValue(token.value);
+        if (value === null) {
+          fail(
+            `Invalid character constant ${token.value} in preprocessor expression`,
+            token
+          );
+        }
+        return widen({ value, type: intType });
+      }
+
+      const literal = parseIntegerLiteral(token.value);
+      if (!literal) {
+        fail(
+          /[.eEpP]/.test(token.value)
+            ? "Floating constant in preprocessor expression"
+            : `Invalid integer constant '${token.value}' in preprocessor expression`,
+          token
+        );
+      }
+      if (literal.problem) report(literal.problem.message, token, "warning");
+      return widen(literal);
+    };
+
+    const parsePrimary = (live) => {
+      const token = expression[pos];
+      if (!token) fail("Expected value in expression", location);
+      pos++;
+
+      if (token.kind === "number" || token.kind === "char") {
+        return parseNumber(token);
+      }
+      if (token.value === "(") {
+        const value = parseConditional(live);
+        if (!expression[pos] || expression[pos].value !== ")") {
+          fail("Missing ')' in expression", expression[pos - 1]);
+        }
+        pos++;
+        return value;
+      }
+      if (["+", "-", "!", "~"].includes(token.value)) {
+        const operand = parsePrimary(live);
+        return applyFolded(foldUnary(token.value, operand), token, live);
+      }
+      return fail(
+        `Token '${token.value}' is not valid in preprocessor expressions`,
+        token
+      );
+    };
+
+    const parseBinary = (minPrecedence, live) => {
+      let left = parsePrimary(live);
+
+      while (
+        expression[pos] &&
+        conditionOperators[expression[pos].value] >= minPrecedence
+      ) {
+        const operatorToken = expression[pos++];
+        const operator = operatorToken.value;
+        const precedence = conditionOperators[operator];
+
+        // Short-circuit operators only evaluate the right side when needed
+        const rightLive =
+          live &&
+          !(operator === "&&" && !isTrue(left)) &&
+          !(operator === "||" && isTrue(left));
+        const right = parseBinary(precedence + 1, rightLive);
+
+        left = applyFolded(
+          foldBinary(operator, left, right),
+          operatorToken,
+          live
+        );
+      }
+
+      return left;
+    };
+
+    const parseConditional = (live) => {
+      const test = parseBinary(1, live);
+      if (!expression[pos] || expression[pos].value !== "?") return test;
+
+      pos++;
+      const consequent = parseConditional(live && isTrue(test));
+      if (!expression[pos] || expression[pos].value !== ":") {
+        fail("Expected ':' in conditional expression", expression[pos - 1]);
+      }
+      pos++;
+      const alternate = parseConditional(live && !isTrue(test));
+      // The result has the common type of both branches
+      const unsigned = [consequent, alternate].some(
+        (branch) => !resolveType(branch.type).signed
+      );
+      return convertConstant(
+        isTrue(test) ? consequent : alternate,
+        unsigned ? uintmaxType : intmaxType
+      );
+    };
+
+    try {
+      const value = parseConditional(true);
+      if (pos < expression.length) {
+        fail(
+          `Unexpected token '${expression[pos].value}' in preprocessor expression`,
+          expression[pos]
+        );
+      }
+      return isTrue(value);
+    } catch (err) {
+      report(err.message, err.location || location);
+      return false;
+    }
+  };
+
+  // Append a token to the expanded output and record its source mapping
+  let previousToken = null;
+  const emitToken = (token) => {
+    if (token.bol && output.length > 0) {
+      output += "\n";
+    } else if (
+      previousToken &&
+      (token.spaceBefore || token.fromMacro || previousToken.fromMacro)
+    ) {
+      output += " ";
+    }
+
+    sourceMap.push({
+      outStart: output.length,
+      outEnd: output.length + token.value.length,
+      srcStart: token.start,
+      srcEnd: token.end,
+    });
+    output += token.value;
+    previousToken = token;
+  };
+
+  // Handle #include: the directive is kept so later phases see the header
+  const includeHeader = (args, location, nameToken) => {
+    let headerTokens = args;
+    const first = args[0];
+    if (first && first.kind !== "string" && first.value !== "<") {
+      headerTokens = expandTokens(args);
+    }
+
+    const opening = headerTokens[0];
+    let header = null;
+    let system = false;
+    if (opening && opening.kind === "string") {
+      header = opening.value.slice(1, -1);
+    } else if (opening && opening.value === "<") {
+      const closing = headerTokens.findIndex((t) => t.value === ">");
+      if (closing > 0) {
+        header = headerTokens
+          .slice(1, closing)
+          .map((t, i) => (i > 0 && t.spaceBefore ? " " : "") + t.value)
+          .join("");
+        system = true;
+      }
+    }
+
+    if (!header) {
+      report('#include expects "FILENAME" or <FILENAME>', location);
+      return;
+    }
+
+    includes.push({ header, system, location });
+
+    // A known standard header defines its macros (NULL, EOF, INT_MAX, ...)
+    const headerMacros = system ? standardHeaders[header]?.macros : null;
+    Object.entries(headerMacros || {}).forEach(([name, body]) =>
+      defineMacro(
+        tokenizeDefinition(`${name} ${body}`, location),
+        location,
+        header
+      )
+    );
+
+    const headerRange = rangeOf(args, location);
+    emitToken({
+      value: "#include",
+      start: location.start,
+      end: nameToken.end,
+      bol: true,
+    });
+    emitToken({
+      value: system ? `<${header}>` : `"${header}"`,
+      start: headerRange.start,
+      end: headerRange.end,
+      spaceBefore: true,
+    });
+  };
+
+  // Handle a directive line (first token is '#')
+  const handleDirective = (tokens) => {
+    const nameToken = tokens[1];
+    if (!nameToken) return; // Null directive
+
+    const name = nameToken.value;
+    const args = tokens.slice(2);
+    const location = {
+      start: tokens[0].start,
+      end: tokens[tokens.length - 1].end,
+    };
+    const top = conditionStack[conditionStack.length - 1];
+
+    switch (name) {
+      case "if":
+      case "ifdef":
+      case "ifndef": {
+        if (!isActive()) {
+          conditionStack.push({
+            active: false,
+            taken: true,
+            parentActive: false,
+            location,
+          });
+          return;
+        }
+
+        let value;
+        if (name === "if") {
+          value = evaluateCondition(args, location);
+        } else {
+          if (!args[0] || args[0].kind !== "identifier") {
+            report(`Macro name missing in #${name}`, location);
+            value = false;
+          } else {
+            value = macros.has(args[0].value) === (name === "ifdef");
+          }
+          if (args.length > 1) {
+            report(
+              `Extra tokens at end of #${name} directive`,
+              args[1],
+              "warning"
+            );
+          }
+        }
+
+        conditionStack.push({
+          active: value,
+          taken: value,
+          parentActive: true,
+          location,
+        });
+        return;
+      }
+
+      case "elif": {
+        if (!top) {
+          report("#elif without #if", location);
+          return;
+        }
+        if (top.elseSeen) {
+          report("#elif after #else", location);
+          return;
+        }
+        if (!top.parentActive || top.taken) {
+          top.active = false;
+        } else {
+          top.active = evaluateCondition(args, location);
+          top.taken = top.active;
+        }
+        return;
+      }
+
+      case "else": {
+        if (!top) {
+          report("#else without #if", location);
+          return;
+        }
+        if (top.elseSeen) {
+          report("#else after #else", location);
+          return;
+        }
+        top.elseSeen = true;
+        top.active = top.parentActive && !top.taken;
+        top.taken = true;
+        return;
+      }
+
+      case "endif": {
+        if (!top) {
+          report("#endif without #if", location);
+          return;
+        }
+        conditionStack.pop();
+        return;
+      }
+
+      default:
+        break;
+    }
+
+    // Everything below only applies to compiled groups
+    if (!isActive()) return;
+
+    switch (name) {
+      case "define":
+        defineMacro(args, location);
+        break;
+      case "undef":
+        if (!args[0] || args[0].kind !== "identifier") {
+          report("Macro name missing in #undef", location);
+        } else {
+          macros.delete(args[0].value);
+        }
+        break;
+      case "include":
+        includeHeader(args, location, nameToken);
+        break;
+      case "error":
+        report(`#error ${args.map((t) => t.value).join(" ")}`.trim(), location);
+        break;
+      case "warning":
+        report(
+          `#warning ${args.map((t) => t.value).join(" ")}`.trim(),
+          location,
+          "warning"
+        );
+        break;
+      case "pragma":
+      case "line":
+        // Accepted but has no effect on analysis
+        break;
+      default:
+        report(`Invalid preprocessing directive #${name}`, location);
+    }
+  };
+
+  // Main preprocessing loop
+  definePredefinedMacros();
+
+  let pending = [];
+  const flushText = () => {
+    if (pending.length === 0) return;
+    expandTokens(pending).forEach(emitToken);
+    pending = [];
+  };
+
+  tokenizeLines().forEach((tokens) => {
+    if (tokens.length > 0 && tokens[0].value === "#") {
+      flushText();
+      handleDirective(tokens);
+      return;
+    }
+    if (isActive()) pending.push(...tokens);
+  });
+  flushText();
+
+  conditionStack.forEach((group) =>
+    report("Unterminated conditional directive", group.location)
+  );
+
+  return {
+    code: output,
+    sourceMap,
+    errors,
+    includes,
+    macros: Array.from(macros.values())
+      .filter((macro) => !macro.builtin && !macro.predefined && !macro.header)
+      .map((macro) => ({
+        name: macro.name,
+        params: macro.params,
+        variadic: macro.variadic,
+        value: macro.body
+          .map((t, i) => (i > 0 && t.spaceBefore ? " " : "") + t.value)
+          .join(""),
+        location: macro.location,
+      })),
+  };
+};
+
+// Find the source map segment covering an offset in the expanded code
+const findSegment = (sourceMap, offset) => {
+  let lo = 0;
+  let hi = sourceMap.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (sourceMap[mid].outStart <= offset) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found === -1 ? null : sourceMap[found];
+};
+
+// Whether a segment was copied verbatim from the original code
+const isVerbatim = (segment) =>
+  segment.outEnd - segment.outStart === segment.srcEnd - segment.srcStart;
+
+/**
+ * Map an offset in the preprocessed code back to the original code
+ */
+export const mapOffsetToSource = (sourceMap, offset) => {
+  const segment = findSegment(sourceMap, offset);
+  if (!segment) return sourceMap.length > 0 ? sourceMap[0].srcStart : 0;
+  if (offset >= segment.outEnd) return segment.srcEnd;
+  if (isVerbatim(segment))
+    return segment.srcStart + (offset - segment.outStart);
+  return segment.srcStart;
+};
+
+/**
+ * Map a { start, end } range in the preprocessed code back to the original code.
+ * Text produced by a macro expansion maps to the whole invocation.
+ */
+export const mapRangeToSource = (sourceMap, start, end) => {
+  const mappedStart = mapOffsetToSource(sourceMap, start);
+  if (end <= start) return { start: mappedStart, end: mappedStart };
+
+  const segment = findSegment(sourceMap, end - 1);
+  let mappedEnd = mappedStart;
+  if (segment && end - 1 < segment.outEnd) {
+    mappedEnd = isVerbatim(segment)
+      ? segment.srcStart + (end - segment.outStart)
+      : segment.srcEnd;
+  } else if (segment) {
+    mappedEnd = segment.srcEnd;
+  }
+
+  return { start: mappedStart, end: Math.max(mappedStart, mappedEnd) };
+};
+
+/**
+ * Rewrite token positions from the preprocessed code to the original code
+ */
+export const mapTokensToSource = (tokens, sourceMap, code) => {
+  const lineStarts = getLineStarts(code || "");
+  return tokens.map((token) => {
+    const { start, end } = mapRangeToSource(sourceMap, token.start, token.end);
+    const { line, column } = getLineAndColumn(lineStarts, start);
+    return { ...token, start, end, line, column };
+  });
+};
@@ -0,0 +1,103 @@
+import { lexer } from "./lexer";
+import { mapOffsetToSource, preprocessor } from "./preprocessor";
+import { parseSource } from "./testUtils";
+
+// Tokens of a piece of code joined by single spaces, so expansions can be
+// compared whatever spacing they use
+const spaced = (code) =>
+  lexer(code)
+    .map((token) => token.value)
+    .join(" ");
+const expand = (code) => spaced(preprocessor(code).code);
+const errorsOf = (code) =>
+  preprocessor(code).errors.map(({ message, severity }) =>
+    severity ? `${severity}: ${message}` : message
+  );
+
+describe("preprocessor", () => {
+  it("expands object-like and function-like macros", () => {
+    expect(
+      expand("#define N 10\n#define SQ(x) ((x) * (x))\nint a[N] = SQ(N + 1);")
+    ).toBe(spaced("int a[10] = ((10 + 1) * (10 + 1));"));
+  });
+
+  it("does not expand a macro inside its own expansion", () => {
+    expect(expand("#define foo foo + 1\nint x = foo;")).toBe(
+      spaced("int x = foo + 1;")
+    );
+  });
+
+  it("stringizes and pastes arguments", () => {
+    expect(expand('#define STR(x) #x\nconst char *s = STR(a + "b");')).toBe(
+      spaced('const char *s = "a + \\"b\\"";')
+    );
+    expect(expand("#define CAT(a, b) a ## b\nint CAT(x, 1) = 0;")).toBe(
+      spaced("int x1 = 0;")
+    );
+  });
+
+  it("stringizes string literals into code that still parses", () => {
+    const code = '#define STR(x) #x\nconst char *s = STR("hi");';
+    expect(expand(code)).toBe(spaced('const char *s = "\\"hi\\"";'));
+    expect(parseSource(code).syntaxErrors).toEqual([]);
+  });
+
+  it("joins adjacent string literals once macros are expanded", () => {
+    const { ast, syntaxErrors } = parseSource(`#define STR(x) #x
+#define XSTR(x) STR(x)
+#define MAJOR 3
+const char *v = "v" XSTR(MAJOR), *w = "a" "\\x1" "2";`);
+    expect(syntaxErrors).toEqual([]);
+    expect(ast.body[0].declarations.map(({ init }) => init.value)).toEqual([
+      '"v3"',
+      '"a\\x1\\062"',
+    ]);
+  });
+
+  it("keeps the active branch of conditionals", () => {
+    const code = [
+      "#define LEVEL 2",
+      "#if LEVEL > 1 && defined(LEVEL)",
+      "int high;",
+      "#elif LEVEL",
+      "int low;",
+      "#else",
+      "int none;",
+      "#endif",
+      "#ifndef LEVEL",
+      "int missing;",
+      "#endif",
+    ].join("\n");
+    expect(expand(code)).toBe(spaced("int high;"));
+  });
+
+  it("evaluates character constants in #if", () => {
+    expect(expand("#if 'a' == 97 && '\\n' == 10\nint ok;\n#endif")).toBe(
+      spaced("int ok;")
+    );
+  });
+
+  it("reports malformed character constants in #if", () => {
+    expect(errorsOf("#if '' == 0\n#endif")).toEqual([
+      "Invalid character constant '' in preprocessor expression",
+    ]);
+  });
+
+  it("reports directive errors", () => {
+    expect(errorsOf("#endif")).toEqual(["#endif without #if"]);
+    expect(errorsOf("#if 1\nint x;")).toEqual([
+      "Unterminated conditional directive",
+    ]);
+    expect(errorsOf("#error stop here")).toEqual(["#error stop here"]);
+    expect(errorsOf("#define A 1\n#define A 2")).toEqual([
+      "warning: 'A' macro redefined",
+    ]);
+  });
+
+  it("maps expanded code back to the macro use in the source", () => {
+    const code = "#define ZERO 0\nint x = ZERO;";
+    const { code: output, sourceMap } = preprocessor(code);
+    const offset = output.indexOf("0");
+    expect(mapOffsetToSource(sourceMap, offset)).toBe(code.lastIndexOf("ZERO"));
+  });
+});
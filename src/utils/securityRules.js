@@ -0,0 +1,285 @@
+/**
+ * Security rules
+ *
+ * Lint rules for code patterns behind common buffer overflows and format
+ * string attacks, each finding tagged with its CWE entry: functions that
+ * cannot be used safely, string copies that do not check the size of
+ * the destination, format strings that do not come from a literal, and
+ * loops whose bound indexes past the end of a fixed-size array.
+ */
+
+import { forEachChild } from "./astSchema";
+import {
+  formatFunctions,
+  parseFormatString,
+  printfMaxLength,
+} from "./formatStrings";
+
+// Rules with the label shown in the UI. All are on unless turned off in
+// options.warnings, like the other warnings.
+export const securityRules = {
+  dangerousFunction: "Dangerous functions (CWE-242)",
+  unboundedCopy: "Unbounded buffer writes (CWE-120)",
+  formatString: "Non-literal format strings (CWE-134)",
+  loopBounds: "Loop bounds past an array's end (CWE-193)",
+};
+
+// Copying functions without a size limit, by name
+const unboundedCopies = ["strcpy", "strcat", "sprintf"];
+
+const isStringLiteral = (node) =>
+  node?.type === "Literal" && node.valueType === "string";
+
+// The variable a loop counts with and the largest value it takes, for
+// loops such as "for (i = 0; i <= 10; i++)"; null for other loops
+const countingLoop = (loop, context, scopeNode) => {
+  const { symbolOf, declaredSymbol, constantValue } = context;
+
+  // The counter must start somewhere and step up by one
+  const { update } = loop;
+  const counter =
+    update?.type === "UpdateExpression" && update.operator === "++"
+      ? update.argument
+      : update?.type === "AssignmentExpression" &&
+        update.operator === "+=" &&
+        constantValue(update.right, scopeNode) === 1
+      ? update.left
+      : null;
+  const symbol = counter?.type === "Identifier" && symbolOf(counter);
+  if (!symbol) return null;
+  const initialized =
+    loop.init?.type === "VariableDeclaration"
+      ? loop.init.declarations.some(
+          (declarator) => declaredSymbol(declarator) === symbol
+        )
+      : loop.init?.type === "AssignmentExpression" &&
+        loop.init.left.type === "Identifier" &&
+        symbolOf(loop.init.left) === symbol;
+  if (!initialized) return null;
+
+  // "i < n" and "i <= n", also written "n > i" and "n >= i"
+  const { test } = loop;
+  if (test?.type !== "BinaryExpression") return null;
+  const flipped = { ">": "<", ">=": "<=" };
+  const [operator, left, right] = flipped[test.operator]
+    ? [flipped[test.operator], test.right, test.left]
+    : [test.operator, test.left, test.right];
+  if (
+    !["<", "<="].includes(operator) ||
+    left.type !== "Identifier" ||
+    symbolOf(left) !== symbol
+  ) {
+    return null;
+  }
+  const bound = constantValue(right, scopeNode);
+  if (bound === null) return null;
+  return {
+    symbol,
+    test,
+    operator,
+    bound,
+    last: operator === "<=" ? bound : bound - 1,
+  };
+};
+
+/**
+ * Check the given function definitions against the security rules.
+ *
+ * `context` gives the analyzer's view of names and types:
+ * - symbolOf(identifier)           the symbol an identifier refers to
+ * - declaredSymbol(declarator)     the symbol a declarator declares
+ * - libraryFunction(call)          name of the standard library function
+ *                                  a call invokes, or null
+ * - arrayLength(node, scopeNode)   element count of the fixed-size array
+ *                                  an expression designates (a string
+ *                                  literal counts its terminating NUL),
+ *                                  or null
+ * - constantValue(node, scopeNode) value of an integer constant
+ *                                  expression, or null
+ * - describe(node)                 source text of a node
+ * `scopeNode` is the innermost block or for statement around a node.
+ *
+ * Returns { rule, cwe, node, message, description } for each finding.
+ */
+export const findSecurityProblems = (functions, context) => {
+  const { libraryFunction, arrayLength, describe } = context;
+  const problems = [];
+  const report = (rule, cwe, node, message, description) =>
+    problems.push({ rule, cwe, node, message, description });
+
+  const checkCall = (call, scopeNode) => {
+    const name = libraryFunction(call);
+    if (!name) return;
+    const args = call.arguments;
+
+    if (name === "gets") {
+      report(
+        "dangerousFunction",
+        "CWE-242",
+        call,
+        "Use of 'gets', which cannot limit how much it reads",
+        "gets writes past the end of the buffer whenever the input line is longer; it was removed in C11. Use fgets(buffer, sizeof buffer, stdin)."
+      );
+      return;
+    }
+
+    if (unboundedCopies.includes(name) && args.length >= 2) {
+      const [destination, source] = args;
+      const size = arrayLength(destination, scopeNode);
+      // Copying a literal has a known length; it is only reported when
+      // the destination is an array known not to hold it
+      if (name === "strcpy" && isStringLiteral(source)) {
+        const needed = arrayLength(source, scopeNode);
+        if (size !== null && needed !== null && needed > size) {
+          report(
+            "unboundedCopy",
+            "CWE-787",
+            call,
+            `'strcpy' writes ${needed} bytes into '${describe(
+              destination
+            )}', which holds ${size}`,
+            "The string and its terminating NUL do not fit in the destination"
+          );
+        }
+        return;
+      }
+      // sprintf is only safe when the most its format can print fits in
+      // an array of known size
+      const needed =
+        name === "sprintf" && isStringLiteral(source)
+          ? printfMaxLength(source.value)
+          : null;
+      if (needed !== null && size !== null) {
+        if (needed > size) {
+          report(
+            "unboundedCopy",
+            "CWE-120",
+            call,
+            `'sprintf' may write up to ${needed} bytes into '${describe(
+              destination
+            )}', which holds ${size}`,
+            "Some argument values print more than the destination holds. Use snprintf with the size of the buffer."
+          );
+        }
+        return;
+      }
+      const bounded = {
+        strcpy: "strncpy",
+        strcat: "strncat",
+        sprintf: "snprintf",
+      };
+      report(
+        "unboundedCopy",
+        "CWE-120",
+        call,
+        `Unbounded '${name}' into '${describe(destination)}'`,
+        `'${name}' does not check the size of the destination, so longer input overflows it. Use ${bounded[name]} with the size of the buffer.`
+      );
+      return;
+    }
+
+    const format = formatFunctions[name];
+    if (!format) return;
+    const formatArg = args[format.formatIndex];
+
+    // The format comes from elsewhere and nothing else is passed, as in
+    // "printf(input)": any % directives in it read arguments that are
+    // not there
+    if (
+      formatArg &&
+      !isStringLiteral(formatArg) &&
+      args.length === format.formatIndex + 1
+    ) {
+      report(
+        "formatString",
+        "CWE-134",
+        formatArg,
+        `Format string '${describe(formatArg)}' is not a string literal`,
+        `If '${describe(
+          formatArg
+        )}' holds % directives, '${name}' reads arguments that were never passed. Print it with a "%s" format instead.`
+      );
+    }
+
+    // "%s" and "%[...]" in scanf formats need a field width
+    if (format.style === "scanf" && isStringLiteral(formatArg)) {
+      parseFormatString(formatArg.value, "scanf")
+        .expected.filter(({ spec }) =>
+          /^%(hh|h|ll|l|j|z|t|L)?(s|\[)/.test(spec)
+        )
+        .forEach(({ spec }) =>
+          report(
+            "unboundedCopy",
+            "CWE-120",
+            formatArg,
+            `'${spec}' in a '${name}' format has no field width`,
+            `'${name}' stores as many characters as the input holds. Give a width one less than the buffer size, as in '%19s' for a 20-byte buffer.`
+          )
+        );
+    }
+  };
+
+  // Indexing a fixed array with the counter of a loop whose last value
+  // is past the array's end
+  const checkLoop = (loop, scopeNode) => {
+    const counting = countingLoop(loop, context, scopeNode);
+    if (!counting) return;
+    const { symbol, test, operator, bound, last } = counting;
+    const reported = new Set();
+
+    const visit = (node, isWrite = false) => {
+      if (!node || node.type === "FunctionDeclaration") return;
+      if (node.type === "AssignmentExpression") {
+        visit(node.left, true);
+        visit(node.right);
+        return;
+      }
+      if (
+        node.type === "ArrayAccess" &&
+        node.index.type === "Identifier" &&
+        context.symbolOf(node.index) === symbol
+      ) {
+        const size = arrayLength(node.array, scopeNode);
+        const array = describe(node.array);
+        if (size !== null && last >= size && !reported.has(array)) {
+          reported.add(array);
+          const offByOne = operator === "<=" && bound === size;
+          report(
+            "loopBounds",
+            offByOne ? "CWE-193" : isWrite ? "CWE-787" : "CWE-125",
+            node,
+            offByOne
+              ? `Off-by-one: the loop indexes '${array}' one past its end`
+              : `The loop indexes '${array}' past its end`,
+            `'${describe(test)}' lets '${
+              symbol.name
+            }' reach ${last}, but '${array}' has ${size} elements (indices 0 to ${
+              size - 1
+            })${offByOne ? `; use '${symbol.name} < ${bound}'` : ""}`
+          );
+        }
+      }
+      forEachChild(node, (child) => visit(child));
+    };
+    visit(loop.body);
+  };
+
+  // Walk a function body, keeping the innermost scope-opening node
+  const walk = (node, scopeNode) => {
+    if (!node || node.type === "FunctionDeclaration") return;
+    const inner =
+      node.type === "BlockStatement" || node.type === "ForStatement"
+        ? node
+        : scopeNode;
+    if (node.type === "CallExpression") checkCall(node, scopeNode);
+    if (node.type === "ForStatement") checkLoop(node, inner);
+    forEachChild(node, (child) => walk(child, inner));
+  };
+  functions.forEach((fn) =>
+    fn.body.body.forEach((statement) => walk(statement, fn.body))
+  );
+
+  return problems.sort(
+    (a, b) => (a.node.location?.start || 0) - (b.node.location?.start || 0)
+  );
+};
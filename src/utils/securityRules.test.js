@@ -0,0 +1,92 @@
+import { printfMaxLength } from "./formatStrings";
+import { analyze } from "./testUtils";
+
+// Security findings in a main that declares some buffers, as
+// "line: [cwe] message"
+const findings = (statements) =>
+  analyze(`#include <stdio.h>
+#include <string.h>
+int main(int argc, char **argv) {
+  char buf[8], small[4], big[64];
+${statements}
+  return buf[0] + small[0] + big[0];
+}`)
+    .filter(({ cwe }) => cwe)
+    .map(({ line, cwe, message }) => `${line}: [${cwe}] ${message}`);
+
+describe("security rules", () => {
+  it("reports functions that cannot limit what they write", () => {
+    expect(
+      findings(`  gets(buf);
+  strcpy(big, argv[1]);
+  scanf("%s", buf);
+  scanf("%7s", buf);`)
+    ).toEqual([
+      "5: [CWE-242] Use of 'gets', which cannot limit how much it reads",
+      "6: [CWE-120] Unbounded 'strcpy' into 'big'",
+      "7: [CWE-120] '%s' in a 'scanf' format has no field width",
+    ]);
+  });
+
+  it("reports copies of known size that do not fit", () => {
+    expect(
+      findings(`  strcpy(small, "hello");
+  strcpy(small, "abc");`)
+    ).toEqual([
+      "5: [CWE-787] 'strcpy' writes 6 bytes into 'small', which holds 4",
+    ]);
+  });
+
+  it("reports sprintf unless its longest output fits", () => {
+    expect(
+      findings(`  sprintf(buf, "%d", argc);
+  sprintf(big, "%d", argc);
+  sprintf(buf, "%.3s", argv[0]);
+  sprintf(big, "%s", argv[0]);`)
+    ).toEqual([
+      "5: [CWE-120] 'sprintf' may write up to 12 bytes into 'buf', which holds 8",
+      "8: [CWE-120] Unbounded 'sprintf' into 'big'",
+    ]);
+  });
+
+  it("reports format strings that are not literals", () => {
+    const [warning] = analyze(`#include <stdio.h>
+int main(int argc, char **argv) {
+  printf(argv[1]);
+  return 0;
+}`);
+    expect(warning).toMatchObject({
+      message: "Format string 'argv[1]' is not a string literal",
+      line: 3,
+      cwe: "CWE-134",
+      severity: "warning",
+    });
+  });
+
+  it("reports loops that index one past the end", () => {
+    expect(
+      findings(`  for (int i = 0; i <= 8; i++) buf[i] = 0;
+  for (int i = 0; i < 8; i++) buf[i] = 0;`)
+    ).toEqual([
+      "5: [CWE-193] Off-by-one: the loop indexes 'buf' one past its end",
+    ]);
+  });
+});
+
+describe("printf output length", () => {
+  it("bounds integer and string conversions", () => {
+    expect(printfMaxLength('"%d"')).toBe(12);
+    expect(printfMaxLength('"%u"')).toBe(11);
+    expect(printfMaxLength('"%#x"')).toBe(11);
+    expect(printfMaxLength('"%ld"')).toBe(21);
+    expect(printfMaxLength('"%5c\\n"')).toBe(7);
+    expect(printfMaxLength('"%.3s%%"')).toBe(5);
+    expect(printfMaxLength('"%20d"')).toBe(21);
+  });
+
+  it("gives up on output it cannot bound", () => {
+    expect(printfMaxLength('"%s"')).toBeNull();
+    expect(printfMaxLength('"%f"')).toBeNull();
+    expect(printfMaxLength('"%*d"')).toBeNull();
+  });
+});
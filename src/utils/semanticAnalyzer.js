@@ -2,10 +2,86 @@
  * 3-Phase Semantic Analyzer for a C Compiler
  */
 
-export const semanticAnalyzer = (ast, code) => {
+import standardHeaders from "../data/standardHeaders";
+import { forEachChild, validateAst } from "./astSchema";
+import { buildControlFlowGraph, statementText } from "./controlFlow";
+import {
+  convertConstant,
+  evaluateConstant,
+  foldBinary,
+  numericLiteralType,
+} from "./constantExpressions";
+import { findUninitializedReads } from "./definiteAssignment";
+import { formatFunctions, parseFormatString } from "./formatStrings";
+import { findHeapProblems } from "./heapLifetimes";
+import { findDeadStores } from "./liveness";
+import { findNullDereferences } from "./nullness";
+import { findSecurityProblems } from "./securityRules";
+import { findUndefinedBehavior } from "./undefinedBehavior";
+import {
+  findHeaderFor,
+  getHeaderDeclarations,
+  mayReturnNull,
+} from "./standardLibrary";
+import {
+  arithmeticResultType,
+  areCompatibleTypes,
+  arrayOf,
+  basicType,
+  binaryResultType,
+  compositeType,
+  decayType,
+  functionReturning,
+  integerWidth,
+  isArithmeticType,
+  isArrayType,
+  isAssignableType,
+  isFloatingType,
+  isFunctionType,
+  isIntegerType,
+  isPointerType,
+  isRecordType,
+  isScalarType,
+  isVoidType,
+  pointerTo,
+  promoteType,
+  qualifyType,
+  resolveType,
+  sizeType,
+  tagType,
+  typeFromSpecifierNames,
+  typedefType,
+  typeLayout,
+  typeToString,
+  unqualifiedType,
+} from "./types";
+
+// Range of int, the type of enumeration constants
+const intMin = -(2 ** 31);
+const intMax = 2 ** 31 - 1;
+
+// Implicit-conversion warnings, with the label shown for each in the UI.
+// All are on unless turned off in options.warnings, e.g.
+// semanticAnalyzer(ast, code, { warnings: { narrowing: false } }).
+export const conversionWarnings = {
+  floatConversion: "Floating-point to integer truncation",
+  signCompare: "Signed/unsigned comparison",
+  narrowing: "Narrowing integer conversion",
+};
+
+// Warnings about declarations and values that are never used, turned off
+// the same way
+export const usageWarnings = {
+  unusedVariable: "Unused variable",
+  unusedParameter: "Unused parameter",
+  unusedFunction: "Unused static function",
+  deadStore: "Dead store",
+};
+
+export const semanticAnalyzer = (ast, code, options = {}) => {
   const symbolTable = {};
   const errors = [];
-  const typeHierarchy = new Map(); // Track struct/union relationships
+  const warnings = options.warnings || {};
 
   // Helper to get line number from code and position
   const getLineNumber = (position) => {
@@ -44,42 +120,171 @@ export const semanticAnalyzer = (ast, code) => {
     return null;
   };
 
-  // Enhanced type compatibility checking
-  const areTypesCompatible = (type1, type2) => {
-    if (!type1 || !type2) return false;
-    if (type1 === type2) return true;
+  /**
+   * Lexical scope tree. Phase 1 creates a scope for the file and for each
+   * function body, block and for loop, attaches it to the AST node that
+   * opens it and links it to its parent; the later phases look scopes up
+   * by node instead of creating their own. Ids are stable across runs:
+   * "global", the function name for a function body, and "block_N" or
+   * "for_N" numbered in source order.
+   */
+  const scopes = new Map();
+  const nodeScopes = new Map();
+  let scopeCount = 0;
+
+  // Symbols of declarators (phase 1) and of identifiers in expressions
+  // (phase 3), for the flow analyses that run on the finished tree
+  const declaredSymbols = new Map();
+  const identifierSymbols = new Map();
+  // Values of const variables initialized with an integer constant, known
+  // wherever the variable is read though it is not a constant expression
+  const knownValues = new Map();
+
+  // How each symbol is used by expressions (phase 3): { reads, writes,
+  // addressTaken }. An identifier in storeOnlyIdentifiers is only stored
+  // into: the target of "x = ...", or of "x += ..." and "x++" whose value
+  // is discarded. A variable that is only updated this way is set but
+  // never used.
+  const symbolUses = new Map();
+  const storeOnlyIdentifiers = new Set();
+  // Array elements assigned to, for telling out-of-bounds writes from reads
+  const writtenElements = new Set();
+
+  const recordUse = (symbol, kind) => {
+    if (!symbolUses.has(symbol)) {
+      symbolUses.set(symbol, { reads: 0, writes: 0, addressTaken: false });
+    }
+    symbolUses.get(symbol)[kind]++;
+  };
+
+  // Mark the target of an assignment or increment whose value is unused
+  const markDiscardedStore = (expression) => {
+    const target =
+      expression?.type === "AssignmentExpression"
+        ? expression.left
+        : expression?.type === "UpdateExpression"
+        ? expression.argument
+        : null;
+    if (target?.type === "Identifier") storeOnlyIdentifiers.add(target);
+  };
 
-    // Numeric type conversions
-    const numericTypes = ["int", "float", "double", "char"];
-    if (numericTypes.includes(type1) && numericTypes.includes(type2)) {
-      // Allow implicit numeric conversions according to C rules
-      if (type1 === "char" && type2 === "int") return true;
-      if (type1 === "int" && (type2 === "float" || type2 === "double"))
-        return true;
-      if (type1 === "float" && type2 === "double") return true;
-      return false;
+  // Create the scope opened by a node (once) and return its id
+  const enterScope = (node, kind, parent, id = `${kind}_${++scopeCount}`) => {
+    if (nodeScopes.has(node)) return nodeScopes.get(node);
+    scopes.set(id, {
+      id,
+      kind,
+      parent,
+      children: [],
+      location: node?.location || null,
+    });
+    scopes.get(parent)?.children.push(id);
+    if (node) nodeScopes.set(node, id);
+    return id;
+  };
+  enterScope(null, "global", null, "global");
+
+  // Ids of a scope and the scopes enclosing it, outermost first
+  const getScopeChain = (id) => {
+    const chain = [];
+    for (let scope = scopes.get(id); scope; scope = scopes.get(scope.parent)) {
+      chain.unshift(scope.id);
     }
+    return chain;
+  };
 
-    // Pointer compatibility
-    if (type1.endsWith("*") && type2.endsWith("*")) {
-      const baseType1 = type1.slice(0, -1).trim();
-      const baseType2 = type2.slice(0, -1).trim();
+  // Check whether an expression is a null pointer constant: an integer
+  // constant 0, optionally cast to void*
+  const isNullPointerConstant = (node, scopeStack) => {
+    if (node?.type === "CastExpression") {
+      const castType = resolveType(
+        typeFromDeclaredType(node.typeName?.declaredType, scopeStack)
+      );
       return (
-        areTypesCompatible(baseType1, baseType2) ||
-        baseType1 === "void" ||
-        baseType2 === "void"
+        castType?.kind === "pointer" &&
+        isVoidType(castType.target) &&
+        isNullPointerConstant(node.argument, scopeStack)
       );
     }
+    return getConstantValue(node, scopeStack) === 0;
+  };
 
-    // Allow NULL (int 0) to be assigned to pointers
-    if (type1.endsWith("*") && type2 === "int") return true;
-
-    // Struct/union compatibility (name equivalence)
-    if (typeHierarchy.has(type1) && typeHierarchy.get(type1).includes(type2)) {
-      return true;
+  // Type of "c ? a : b" (C11 6.5.15p5-6): the usual arithmetic
+  // conversions for arithmetic arms; for pointers, the type of the other
+  // arm against a null pointer constant, a pointer to void against any
+  // object pointer, and otherwise the composite of the pointed-to types,
+  // with the qualifiers of both
+  const getConditionalType = (node, scope, scopeStack) => {
+    const consequentType = decayType(
+      getExpressionType(node.consequent, scope, scopeStack)
+    );
+    const alternateType = decayType(
+      getExpressionType(node.alternate, scope, scopeStack)
+    );
+    const arithmeticType = arithmeticResultType(consequentType, alternateType);
+    if (arithmeticType) return arithmeticType;
+
+    if (
+      isPointerType(consequentType) &&
+      isNullPointerConstant(node.alternate, scopeStack)
+    ) {
+      return consequentType;
+    }
+    if (
+      isPointerType(alternateType) &&
+      isNullPointerConstant(node.consequent, scopeStack)
+    ) {
+      return alternateType;
+    }
+    if (isPointerType(consequentType) && isPointerType(alternateType)) {
+      const first = resolveType(resolveType(consequentType).target);
+      const second = resolveType(resolveType(alternateType).target);
+      const target =
+        isVoidType(first) || isVoidType(second)
+          ? basicType("void")
+          : compositeType(unqualifiedType(first), unqualifiedType(second));
+      if (target) {
+        return pointerTo(
+          qualifyType(target, {
+            const: first.const || second.const,
+            volatile: first.volatile || second.volatile,
+          })
+        );
+      }
     }
+    return consequentType || alternateType;
+  };
+
+  // Check whether a value of one type may be assigned to another
+  const areTypesCompatible = (targetType, sourceType, sourceNode, scopeStack) =>
+    isAssignableType(
+      targetType,
+      sourceType,
+      isNullPointerConstant(sourceNode, scopeStack)
+    );
+
+  // Check whether an expression designates an object that can be assigned
+  const isLvalue = (node) =>
+    node?.type === "Identifier" ||
+    node?.type === "MemberExpression" ||
+    node?.type === "ArrayAccess" ||
+    (node?.type === "UnaryExpression" && node.operator === "*");
+
+  // Type of a string literal: an array of char including the terminator
+  const getStringLiteralType = (literal) => {
+    const text = String(literal);
+    const body = text.startsWith('"') ? text.slice(1, -1) : text;
+    const length = body.replace(/\\(x[0-9a-fA-F]+|[0-7]{1,3}|.)/g, "_").length;
+    return arrayOf(basicType("char"), length + 1);
+  };
 
-    return false;
+  // Function type called through an expression of the given type:
+  // a function, or a pointer to one as in "fp(x)" or "(*fp)(x)"
+  const getCalleeType = (type) => {
+    const pointerType = resolveType(decayType(type));
+    return pointerType?.kind === "pointer" && isFunctionType(pointerType.target)
+      ? resolveType(pointerType.target)
+      : null;
   };
 
   // Get expression type
@@ -89,627 +294,2308 @@ export const semanticAnalyzer = (ast, code) => {
     switch (node.type) {
       case "Identifier":
         return resolveVariable(node.name, scope, scopeStack)?.type || null;
-      case "NumericLiteral":
-        return typeof node.value === "string" && node.value.includes(".")
-          ? "float"
-          : "int";
-      case "StringLiteral":
-        return "char*";
-      case "BooleanLiteral":
-        return "int"; // C uses int for boolean values
+      case "Literal":
+        if (node.valueType === "string") {
+          return getStringLiteralType(node.value);
+        }
+        // Character constants have type int in C
+        return node.valueType === "char"
+          ? basicType("int")
+          : numericLiteralType(node.value);
       case "ArrayAccess": {
-        const array = resolveVariable(node.array?.name, scope, scopeStack);
-        if (!array) return null;
-        // Remove the array brackets to get the element type
-        return array.type.replace("[]", "");
+        const arrayType = resolveType(
+          decayType(getExpressionType(node.array, scope, scopeStack))
+        );
+        return arrayType?.kind === "pointer" ? arrayType.target : null;
       }
       case "MemberExpression":
-        return node.resolvedType || null;
-      case "CallExpression": {
-        const func = resolveVariable(node.callee?.name, scope, scopeStack);
-        return func?.returnType || null;
-      }
-      case "BinaryExpression": {
-        const leftType = getExpressionType(node.left, scope, scopeStack);
-        const rightType = getExpressionType(node.right, scope, scopeStack);
-
-        if (
-          ["==", "!=", "<", ">", "<=", ">=", "&&", "||"].includes(node.operator)
-        ) {
-          return "int"; // C uses int for boolean results
-        }
-
-        // For arithmetic operations, promote to the highest type
-        if (leftType === "double" || rightType === "double") return "double";
-        if (leftType === "float" || rightType === "float") return "float";
-        return "int";
-      }
+        return getMemberType(node, scope, scopeStack);
+      case "CallExpression":
+        return (
+          getCalleeType(getExpressionType(node.callee, scope, scopeStack))
+            ?.returnType || null
+        );
+      case "BinaryExpression":
+        return binaryResultType(
+          node.operator,
+          getExpressionType(node.left, scope, scopeStack),
+          getExpressionType(node.right, scope, scopeStack)
+        );
       case "AssignmentExpression":
         return getExpressionType(node.left, scope, scopeStack);
-      case "UnaryExpression":
+      case "UpdateExpression":
+        return getExpressionType(node.argument, scope, scopeStack);
+      case "ConditionalExpression":
+        return getConditionalType(node, scope, scopeStack);
+      case "SequenceExpression":
+        return getExpressionType(
+          node.expressions[node.expressions.length - 1],
+          scope,
+          scopeStack
+        );
+      case "CastExpression":
+        return typeFromDeclaredType(node.typeName?.declaredType, scopeStack);
+      case "SizeofExpression":
+        return sizeType;
+      case "UnaryExpression": {
         if (!node.argument) return null;
 
-        if (node.operator === "&") {
-          const argType = getExpressionType(node.argument, scope, scopeStack);
-          return argType ? `${argType}*` : null;
-        }
+        const argType = getExpressionType(node.argument, scope, scopeStack);
+        if (!argType) return null;
+
+        if (node.operator === "&") return pointerTo(argType);
         if (node.operator === "*") {
-          const argType = getExpressionType(node.argument, scope, scopeStack);
-          return argType && argType.endsWith("*")
-            ? argType.slice(0, -1).trim()
-            : null;
+          const pointerType = resolveType(decayType(argType));
+          return pointerType?.kind === "pointer" ? pointerType.target : null;
         }
-        if (["!", "~", "-", "+"].includes(node.operator)) {
-          return getExpressionType(node.argument, scope, scopeStack);
+        if (node.operator === "!") return basicType("int");
+        if (["~", "-", "+"].includes(node.operator)) {
+          return isArithmeticType(argType) ? promoteType(argType) : null;
         }
         return null;
+      }
       default:
         return null;
     }
   };
 
-  /**
-   * Phase 1: Build Symbol Table
-   * - Populates the symbol table with declarations
-   * - Handles scope
-   */
-  const buildSymbolTable = (
-    node,
-    scope = "global",
-    scopeStack = ["global"]
-  ) => {
-    if (!node || typeof node !== "object") return;
-
-    // Handle preprocessor directives
-    if (node.type === "PreprocessorDirective") {
-      processPreprocessorDirective(node);
-      return;
-    }
-
-    // Handle struct/union declarations
-    if (node.type === "StructDeclaration" || node.type === "UnionDeclaration") {
-      const typeName = node.id?.name;
-      if (!typeName) {
+  // Source text of an expression, for messages
+  const getSourceText = (node) =>
+    node?.type === "Identifier"
+      ? node.name
+      : code?.slice(node?.location?.start, node?.location?.end) || "expression";
+
+  // Type of a member access such as "p.x" or "node->next", or null when
+  // the access is invalid. Problems are reported only when `report` is
+  // set, so the type can also be looked up quietly.
+  const getMemberType = (node, scope, scopeStack, report = false) => {
+    const problem = (message, description) => {
+      if (report) {
         errors.push({
-          message: "Invalid struct/union declaration (missing name)",
+          message,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
-          description: "Struct/union declaration is malformed",
+          description,
         });
-        return;
       }
-
-      const structKey = getSymbolKey(typeName, scope);
-      symbolTable[structKey] = {
-        name: typeName,
-        type: node.type === "StructDeclaration" ? "struct" : "union",
-        scope,
-        line: getLineNumber(node.location?.start),
-        fields:
-          node.fields?.map((field) => ({
-            name: field.name,
-            type: field.type?.name || "unknown",
-          })) || [],
-        size: node.size,
-      };
-
-      typeHierarchy.set(typeName, [typeName]);
-
-      // Add fields to symbol table with scope as struct name
-      node.fields?.forEach((field) => {
-        const fieldKey = getSymbolKey(field.name, typeName);
-        symbolTable[fieldKey] = {
-          name: field.name,
-          type: field.type?.name,
-          scope: typeName, // Field's scope is the struct/union name
-          line: getLineNumber(field.location?.start),
-          initialized: true, // fields are considered initialized
-        };
-      });
-      return;
+      return null;
+    };
+
+    const objectType = getExpressionType(node.object, scope, scopeStack);
+    if (!objectType) return null;
+
+    // The other operator is only suggested when it would reach a struct
+    // or union
+    let recordType = resolveType(objectType);
+    if (node.operator === "->") {
+      const pointerType = resolveType(decayType(objectType));
+      if (pointerType?.kind === "pointer") {
+        recordType = resolveType(pointerType.target);
+      } else if (isRecordType(recordType)) {
+        return problem(
+          `Member reference type '${typeToString(
+            objectType
+          )}' is not a pointer; did you mean to use '.'?`,
+          "'->' accesses a member through a pointer to a struct or union"
+        );
+      }
+    } else if (
+      isPointerType(recordType) &&
+      isRecordType(resolveType(recordType.target))
+    ) {
+      return problem(
+        `Member reference type '${typeToString(
+          objectType
+        )}' is a pointer; did you mean to use '->'?`,
+        "'.' accesses a member of a struct or union value"
+      );
     }
 
-    // Handle function declarations
-    if (node.type === "FunctionDeclaration") {
-      const functionName = node.id?.name;
-      if (!functionName || !node.returnType?.name) {
-        errors.push({
-          message: "Invalid function declaration",
-          line: getLineNumber(node.location?.start),
-          code: getCodeLine(node.location?.start),
-          description: "Missing function name or return type",
-        });
-        return;
-      }
+    if (!isRecordType(recordType)) {
+      return problem(
+        `Member reference base type '${typeToString(
+          recordType
+        )}' is not a structure or union`,
+        `'${getSourceText(node.object)}' has no members`
+      );
+    }
 
-      const functionKey = getSymbolKey(functionName, "global");
-      symbolTable[functionKey] = {
-        name: functionName,
-        type: `${node.returnType.name} function`,
-        returnType: node.returnType.name,
-        scope: "global",
-        line: getLineNumber(node.location?.start),
-        params:
-          node.params?.map((param) => ({
-            name: param.name,
-            type: param.paramType?.name || "unknown",
-          })) || [],
-      };
+    const tagName = typeToString(tagType(recordType.kind, recordType.tag));
+    const fields = getRecordFields(recordType, scopeStack);
+    if (!fields) {
+      return problem(
+        `Member access into incomplete type '${tagName}'`,
+        `'${tagName}' is declared but not defined`
+      );
+    }
 
-      // Enter function scope
-      const functionScope = functionName;
-      scopeStack.push(functionScope);
+    const field = fields.find((candidate) => candidate.name === node.property);
+    if (!field) {
+      return problem(
+        `No member named '${node.property}' in '${tagName}'${
+          fields.length > 0
+            ? `; valid fields are ${fields
+                .map((candidate) => candidate.name)
+                .join(", ")}`
+            : ""
+        }`,
+        "Invalid member access"
+      );
+    }
 
-      // Process parameters
-      node.params?.forEach((param) => {
-        if (!param?.name || !param.paramType?.name) {
-          errors.push({
-            message: "Invalid parameter declaration",
-            line: getLineNumber(param.location?.start),
-            code: getCodeLine(param.location?.start),
-            description: "Missing parameter name or type",
-          });
-          return;
-        }
+    // Members of a const or volatile object are qualified the same way
+    return qualifyType(field.type, recordType);
+  };
 
-        const paramKey = getSymbolKey(param.name, functionScope);
-        symbolTable[paramKey] = {
-          name: param.name,
-          type: param.paramType.name,
-          scope: functionScope,
-          line: getLineNumber(param.location?.start),
-          initialized: true, // Parameters are initialized
-        };
-      });
+  // Evaluate a constant expression with the names visible in a scope.
+  // Problems are returned for the caller to report (see
+  // reportConstantProblems).
+  const evaluateConstantIn = (node, scopeStack = ["global"]) =>
+    evaluateConstant(node, {
+      resolveName: (name) => resolveVariable(name, null, scopeStack),
+      typeOf: (expr) => getExpressionType(expr, null, scopeStack),
+      typeOfName: (typeName) =>
+        typeFromDeclaredType(typeName.declaredType, scopeStack),
+      sizeOf: (type) =>
+        typeLayout(type, (record) => getRecordFields(record, scopeStack))
+          ?.size ?? null,
+    });
 
-      // Process function body
-      if (node.body) {
-        const statements = Array.isArray(node.body) ? node.body : [node.body];
-        statements.forEach((stmt) =>
-          buildSymbolTable(stmt, functionScope, scopeStack)
-        );
-      }
+  // Value of an integer constant expression as a number, or null when the
+  // expression is not one
+  const getConstantValue = (node, scopeStack = ["global"]) => {
+    if (!node) return null;
+    const { value } = evaluateConstantIn(node, scopeStack);
+    return typeof value === "bigint" ? Number(value) : null;
+  };
 
-      scopeStack.pop();
-      return;
-    }
+  // Value of an expression known before the program runs: a constant
+  // expression, or a const variable initialized with an integer constant
+  const getKnownValue = (node, scopeStack) => {
+    const symbol =
+      node?.type === "Identifier" &&
+      resolveVariable(node.name, null, scopeStack);
+    if (knownValues.has(symbol)) return knownValues.get(symbol);
+    const { value } = evaluateConstantIn(node, scopeStack);
+    return value;
+  };
 
-    // Handle block statements
-    else if (node.type === "BlockStatement") {
-      const blockScope = `block_${scopeStack.join("_")}_${Date.now()}`;
-      scopeStack.push(blockScope);
+  const constantProblemDescriptions = {
+    undeclared: "Use of undeclared identifier",
+    invalid: "A character constant holds one character or escape sequence",
+    overflow:
+      "The value does not fit in the type. In signed arithmetic this is undefined behavior: the compiler assumes it never happens, so the result need not wrap around",
+    division:
+      "Integer division by zero is undefined behavior: the program may trap or continue with any value",
+    shift:
+      "Shifting by a negative count or by the width of the type or more, and shifting a negative value left, are undefined behavior: hardware differs in what it does, so the standard makes no promise",
+  };
 
-      if (node.body) {
-        const statements = Array.isArray(node.body) ? node.body : [node.body];
-        statements.forEach((stmt) =>
-          buildSymbolTable(stmt, blockScope, scopeStack)
-        );
+  // Report the problems of an evaluated constant expression whose kind is
+  // listed, e.g. only overflows in an expression evaluated at run time.
+  // With `at`, only problems in that operation itself are reported.
+  const reportConstantProblems = (
+    result,
+    kinds = ["undeclared", "invalid", "overflow", "division", "shift"],
+    at = null
+  ) => {
+    result.problems.forEach((problem) => {
+      if (!kinds.includes(problem.kind) || (at && problem.node !== at)) {
+        return;
       }
+      errors.push({
+        message:
+          problem.kind === "undeclared"
+            ? `${problem.message}${includeHint(problem.node.name)}`
+            : problem.message,
+        line: getLineNumber(problem.node.location?.start),
+        code: getCodeLine(problem.node.location?.start),
+        description: constantProblemDescriptions[problem.kind],
+        ...(["overflow", "shift"].includes(problem.kind) && {
+          severity: "warning",
+        }),
+      });
+    });
+  };
 
-      scopeStack.pop();
-      return;
-    }
+  // Operands that never run because the value that selects them is known,
+  // as in "k ? n / k : 1" with k a const 0. Like the dead side of a
+  // constant expression, they are not checked for undefined operations.
+  let deadOperandDepth = 0;
 
-    // Handle variable declarations
-    else if (node.type === "VariableDeclaration") {
-      const varName = node.id?.name;
-      if (!varName || !node.varType?.name) {
-        errors.push({
-          message: "Invalid variable declaration",
-          line: getLineNumber(node.location?.start),
-          code: getCodeLine(node.location?.start),
-          description: "Missing variable name or type",
-        });
-        return;
-      }
+  // Whether a condition is known to be true or false, or null
+  const getKnownTruth = (node, scopeStack) => {
+    const value = getKnownValue(node, scopeStack);
+    return value === null ? null : Number(value) !== 0;
+  };
 
-      const varKey = getSymbolKey(varName, scope);
-      if (symbolTable[varKey]) {
+  // Division by zero and undefined shifts in an operation (a binary or
+  // compound assignment operator) whose operands are not all constant;
+  // a shift of constants is folded and reported with its expression
+  const checkUndefinedOperation = (node, operator, scopeStack) => {
+    if (deadOperandDepth > 0) return;
+    const isFloating = (operand) =>
+      isFloatingType(getExpressionType(operand, null, scopeStack));
+    if (["/", "%"].includes(operator)) {
+      // Floating division by zero gives an infinity or NaN
+      if (isFloating(node.left) || isFloating(node.right)) return;
+      const divisor = getKnownValue(node.right, scopeStack);
+      if (divisor !== null && Number(divisor) === 0) {
         errors.push({
-          message: `Redeclaration of '${varName}' in ${scope} scope`,
+          message: operator === "/" ? "Division by zero" : "Modulo by zero",
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
-          description: "Variable already declared in this scope",
+          description: constantProblemDescriptions.division,
         });
-        return;
       }
-
-      symbolTable[varKey] = {
-        name: varName,
-        type: node.varType.name,
-        scope,
+      return;
+    }
+    if (!["<<", ">>"].includes(operator)) return;
+
+    const isConstant = (operand) =>
+      evaluateConstantIn(operand, scopeStack).value !== null;
+    if (isConstant(node.left) && isConstant(node.right)) return;
+    const left = getKnownValue(node.left, scopeStack);
+    const count = getKnownValue(node.right, scopeStack);
+    if (typeof left !== "bigint" && typeof count !== "bigint") return;
+
+    // An unknown operand is taken as 0, which shifts without a problem
+    const leftType = getExpressionType(node.left, null, scopeStack);
+    const countType = getExpressionType(node.right, null, scopeStack);
+    if (!isIntegerType(leftType) || !isIntegerType(countType)) return;
+    const { problem } = foldBinary(
+      operator,
+      { value: typeof left === "bigint" ? left : 0n, type: leftType },
+      { value: typeof count === "bigint" ? count : 0n, type: countType }
+    );
+    if (problem) {
+      errors.push({
+        message: problem.message,
         line: getLineNumber(node.location?.start),
-        initialized: node.init !== undefined, // Track initialization status
-        isArray: node.isArray || false,
-        arraySize: node.arraySize || null,
-      };
-
-      // If there's an initializer, process it
-      if (node.init) {
-        buildSymbolTable(node.init, scope, scopeStack);
-      }
+        code: getCodeLine(node.location?.start),
+        description: constantProblemDescriptions.shift,
+        severity: "warning",
+      });
+    }
+  };
 
-      return;
+  // Report an expression that had to be an integer constant and is not.
+  // Returns its value as a number, or null after reporting.
+  const requireIntegerConstant = (node, result, message) => {
+    if (typeof result.value === "bigint") return Number(result.value);
+    // Undeclared names are reported on their own
+    const reason = result.problems.find(
+      (problem) => problem.kind === "not-constant"
+    );
+    if (result.value !== null || reason) {
+      errors.push({
+        message,
+        line: getLineNumber(node.location?.start),
+        code: getCodeLine(node.location?.start),
+        description:
+          result.value !== null
+            ? `The expression has type '${typeToString(result.type)}'`
+            : reason.message,
+      });
     }
+    return null;
+  };
 
-    // Handle array declarations
-    else if (node.type === "ArrayDeclaration") {
-      const arrayName = node.id?.name;
-      if (!arrayName || !node.elementType?.name) {
-        errors.push({
-          message: "Invalid array declaration",
-          line: getLineNumber(node.location?.start),
-          code: getCodeLine(node.location?.start),
-          description: "Missing array name or element type",
-        });
-        return;
-      }
+  // Report an implicit-conversion warning unless it is turned off
+  const warnConversion = (warning, message, node, description) => {
+    if (warnings[warning] === false) return;
+    errors.push({
+      message,
+      line: getLineNumber(node.location?.start),
+      code: getCodeLine(node.location?.start),
+      description,
+      severity: "warning",
+    });
+  };
 
-      const arrayKey = getSymbolKey(arrayName, scope);
-      if (symbolTable[arrayKey]) {
-        errors.push({
-          message: `Redeclaration of array '${arrayName}' in ${scope} scope`,
-          line: getLineNumber(node.location?.start),
-          code: getCodeLine(node.location?.start),
-          description: "Array already declared in this scope",
-        });
+  /**
+   * Warn when converting an arithmetic value as if by assignment can
+   * change it: a floating value stored in an integer, a double stored in
+   * a float, or an integer stored in a narrower integer. A constant is
+   * reported only when its value actually changes.
+   */
+  const checkImplicitConversion = (
+    targetType,
+    sourceNode,
+    sourceType,
+    scopeStack
+  ) => {
+    const target = unqualifiedType(resolveType(targetType));
+    const source = unqualifiedType(resolveType(sourceType));
+    if (!isArithmeticType(target) || !isArithmeticType(source)) return;
+    // Any scalar converts to _Bool as a truth value
+    if (target.kind === "integer" && target.name === "_Bool") return;
+
+    const conversion = `from '${typeToString(sourceType)}' to '${typeToString(
+      targetType
+    )}'`;
+    const fromFloating = isFloatingType(source);
+    const narrowsInteger =
+      isIntegerType(target) &&
+      isIntegerType(source) &&
+      integerWidth(target) < integerWidth(source);
+
+    const constant = evaluateConstantIn(sourceNode, scopeStack);
+    if (constant.value !== null) {
+      // Values that only change sign, as in "unsigned u = -1;", are the
+      // intended result of the conversion
+      if (isIntegerType(source) && isIntegerType(target) && !narrowsInteger) {
         return;
       }
-
-      symbolTable[arrayKey] = {
-        name: arrayName,
-        type: `${node.elementType.name}[]`,
-        scope,
-        line: getLineNumber(node.location?.start),
-        initialized: node.init !== undefined,
-        isArray: true,
-        arraySize: node.size || null,
-      };
-
-      // Process initializer if present
-      if (node.init) {
-        buildSymbolTable(node.init, scope, scopeStack);
+      const converted = convertConstant(constant, targetType);
+      const changed =
+        typeof converted?.value === typeof constant.value
+          ? converted?.value !== constant.value
+          : Number(converted?.value) !== Number(constant.value);
+      if (converted && changed) {
+        warnConversion(
+          fromFloating ? "floatConversion" : "narrowing",
+          `Implicit conversion ${conversion} changes value from ${constant.value} to ${converted.value}`,
+          sourceNode,
+          "The constant cannot be represented exactly in the target type"
+        );
       }
-
       return;
     }
 
-    // Handle control structures (create new scopes)
-    else if (
-      ["ForStatement", "WhileStatement", "IfStatement"].includes(node.type)
-    ) {
-      const controlScope = `${scope}_${node.type}_${Date.now()}`;
-      scopeStack.push(controlScope);
-
-      // Process control structure parts
-      if (node.init) buildSymbolTable(node.init, controlScope, scopeStack);
-      if (node.test) buildSymbolTable(node.test, controlScope, scopeStack);
-      if (node.update) buildSymbolTable(node.update, controlScope, scopeStack);
-      if (node.body) {
-        const body = Array.isArray(node.body) ? node.body : [node.body];
-        body.forEach((stmt) =>
-          buildSymbolTable(stmt, controlScope, scopeStack)
-        );
-      }
-      if (node.consequent)
-        buildSymbolTable(node.consequent, controlScope, scopeStack);
-      if (node.alternate)
-        buildSymbolTable(node.alternate, controlScope, scopeStack);
-
-      scopeStack.pop();
-      return;
+    if (fromFloating && isIntegerType(target)) {
+      warnConversion(
+        "floatConversion",
+        `Implicit conversion ${conversion} truncates the fractional part`,
+        sourceNode,
+        "Converting a floating value to an integer discards its fraction; add a cast if this is intended"
+      );
+    } else if (fromFloating && target.width < source.width) {
+      warnConversion(
+        "floatConversion",
+        `Implicit conversion ${conversion} may lose precision`,
+        sourceNode,
+        "The target floating type has less range and precision than the value"
+      );
+    } else if (narrowsInteger) {
+      warnConversion(
+        "narrowing",
+        `Implicit conversion ${conversion} may change the value`,
+        sourceNode,
+        "Values outside the range of the narrower type are not preserved; add a cast if this is intended"
+      );
     }
+  };
 
-    // Handle assignments (to mark variables as initialized)
-    else if (node.type === "AssignmentExpression") {
-      if (node.left?.type === "Identifier") {
-        const varName = node.left.name;
-        const varSymbol = resolveVariable(varName, scope, scopeStack);
+  // Warn when a comparison converts a signed operand to unsigned, where a
+  // negative value compares as a large positive one. Non-negative
+  // constants convert safely.
+  const checkSignCompare = (node, leftType, rightType, scopeStack) => {
+    if (!isIntegerType(leftType) || !isIntegerType(rightType)) return;
+    const common = resolveType(arithmeticResultType(leftType, rightType));
+    if (common.signed) return;
+
+    const signedOperand = [
+      [node.left, leftType],
+      [node.right, rightType],
+    ].find(([, type]) => resolveType(promoteType(type)).signed);
+    if (!signedOperand) return;
+    const { value } = evaluateConstantIn(signedOperand[0], scopeStack);
+    if (value !== null && value >= 0n) return;
+
+    warnConversion(
+      "signCompare",
+      `Comparison of integers of different signs: '${typeToString(
+        leftType
+      )}' and '${typeToString(rightType)}'`,
+      node,
+      "The signed operand is converted to unsigned, so a negative value compares greater than any positive one"
+    );
+  };
+
+  // Tag type of a struct/union/enum definition or reference
+  const getTagType = (node) => {
+    const kind =
+      node.type === "UnionDeclaration"
+        ? "union"
+        : node.type === "EnumDeclaration"
+        ? "enum"
+        : "struct";
+    return tagType(
+      kind,
+      node.id?.name ||
+        `(anonymous at line ${getLineNumber(node.location?.start)})`
+    );
+  };
+
+  // Tag name of a struct/union/enum definition, e.g. "struct Point"
+  const getTagName = (node) => typeToString(getTagType(node));
+
+  // Suggest the standard header that declares a name the program uses
+  // without including it
+  const includeHint = (name) => {
+    const header = findHeaderFor(name);
+    return header ? `; did you mean to include <${header}>?` : "";
+  };
+
+  // Build the type named by a DeclarationSpecifiers node. Keywords are
+  // combined into one base type; other names must be typedefs in scope.
+  const buildSpecifierType = (typeSpecifiers, scopeStack) => {
+    if (!typeSpecifiers?.specifiers) {
+      return typeSpecifiers?.name
+        ? typeFromSpecifierNames(typeSpecifiers.name.split(/\s+/))
+        : null;
+    }
 
-        if (varSymbol) {
-          const varKey = Object.keys(symbolTable).find(
-            (key) => symbolTable[key] === varSymbol
+    const keywords = [];
+    const qualifiers = {};
+    let namedType = null;
+    let unknownName = null;
+
+    typeSpecifiers.specifiers.forEach((specifier) => {
+      switch (specifier.type) {
+        case "ComplexType":
+          namedType = tagType(specifier.kind, specifier.name || "(anonymous)");
+          break;
+        case "StructDeclaration":
+        case "UnionDeclaration":
+        case "EnumDeclaration":
+          namedType = getTagType(specifier);
+          break;
+        case "StorageClassSpecifier":
+        case "FunctionSpecifier":
+          break;
+        default: {
+          const typedefSymbol = resolveVariable(
+            specifier.name,
+            null,
+            scopeStack
           );
-          if (varKey) {
-            symbolTable[varKey].initialized = true;
+          if (["const", "volatile"].includes(specifier.name)) {
+            qualifiers[specifier.name] = true;
+          } else if (typedefSymbol?.isTypedef) {
+            namedType = typedefType(specifier.name, typedefSymbol.type);
+          } else if (!typeFromSpecifierNames([specifier.name])) {
+            unknownName = unknownName || specifier.name;
+          } else {
+            keywords.push(specifier.name);
           }
         }
       }
+    });
 
-      // Process both sides of the assignment
-      if (node.left) buildSymbolTable(node.left, scope, scopeStack);
-      if (node.right) buildSymbolTable(node.right, scope, scopeStack);
-      return;
-    } else if (node.type === "CallExpression") {
-      const funcName = node.callee?.name;
-      const funcSymbol = resolveVariable(funcName, scope, scopeStack);
-
-      if (!funcSymbol) return; // Already reported in Phase 2
+    if (unknownName) {
+      errors.push({
+        message: `Unknown type name '${unknownName}'${includeHint(
+          unknownName
+        )}`,
+        line: getLineNumber(typeSpecifiers.location?.start),
+        code: getCodeLine(typeSpecifiers.location?.start),
+        description: "Type names must be declared with typedef before use",
+      });
+      return null;
+    }
 
-      const expectedParams = funcSymbol.params || [];
-      const args = node.arguments || [];
+    if (namedType && keywords.length === 0) {
+      return qualifyType(namedType, qualifiers);
+    }
 
-      // Check each argument type against parameter type
-      args.forEach((arg, index) => {
-        checkSemantics(arg, scope, scopeStack); // Check the argument expression
+    const type = typeFromSpecifierNames(keywords);
+    if (!type || namedType) {
+      errors.push({
+        message: `Invalid type specifier combination '${typeSpecifiers.specifiers
+          .filter(
+            (specifier) =>
+              specifier.type !== "StorageClassSpecifier" &&
+              specifier.type !== "FunctionSpecifier"
+          )
+          .map((specifier) => specifier.name || specifier.kind || "struct")
+          .join(" ")}'`,
+        line: getLineNumber(typeSpecifiers.location?.start),
+        code: getCodeLine(typeSpecifiers.location?.start),
+        description: "These type specifiers do not name a C type",
+      });
+      return null;
+    }
+    return qualifyType(type, qualifiers);
+  };
 
-        if (index < expectedParams.length) {
-          const argType = getExpressionType(arg, scope, scopeStack);
-          const paramType = expectedParams[index].type;
+  // Each specifier list is only ever read in one scope, so its type is
+  // built once and any error in it is reported once
+  const specifierTypes = new Map();
+  const typeFromSpecifiers = (typeSpecifiers, scopeStack = ["global"]) => {
+    if (!specifierTypes.has(typeSpecifiers)) {
+      specifierTypes.set(
+        typeSpecifiers,
+        buildSpecifierType(typeSpecifiers, scopeStack)
+      );
+    }
+    return specifierTypes.get(typeSpecifiers);
+  };
 
-          if (argType && paramType && !areTypesCompatible(paramType, argType)) {
-            errors.push({
-              message: `Argument ${
-                index + 1
-              } type mismatch: expected ${paramType}, got ${argType}`,
-              line: getLineNumber(arg.location?.start),
-              code: getCodeLine(arg.location?.start),
-              description: "Type mismatch in function argument",
-            });
-          }
-        }
-      });
+  // Build the type described by a parser declaredType chain
+  // (PointerType/ArrayType/FunctionType ending in DeclarationSpecifiers).
+  // Array parameters are adjusted to pointers.
+  const typeFromDeclaredType = (declaredType, scopeStack = ["global"]) => {
+    if (!declaredType) return null;
+
+    switch (declaredType.type) {
+      case "PointerType": {
+        const target = typeFromDeclaredType(declaredType.target, scopeStack);
+        if (!target) return null;
+        return qualifyType(pointerTo(target), {
+          const: declaredType.qualifiers.includes("const"),
+          volatile: declaredType.qualifiers.includes("volatile"),
+        });
+      }
+      case "ArrayType": {
+        const element = typeFromDeclaredType(
+          declaredType.elementType,
+          scopeStack
+        );
+        if (!element) return null;
+        // A size that is not a constant makes a variable length array
+        const length = getConstantValue(declaredType.size, scopeStack);
+        return declaredType.size && length === null
+          ? { ...arrayOf(element), variableLength: true }
+          : arrayOf(element, length);
+      }
+      case "FunctionType": {
+        const returnType = typeFromDeclaredType(
+          declaredType.returnType,
+          scopeStack
+        );
+        if (!returnType) return null;
+        const params = declaredType.params.map((param) => {
+          const type = typeFromDeclaredType(param.declaredType, scopeStack);
+          return {
+            name: param.name,
+            type: isArrayType(type) ? decayType(type) : type,
+          };
+        });
+        return functionReturning(returnType, params, !!declaredType.variadic);
+      }
+      default:
+        return typeFromSpecifiers(declaredType, scopeStack);
     }
-    // Handle function calls
+  };
 
-    // Handle program root
-    else if (node.type === "Program" && node.body) {
-      const body = Array.isArray(node.body) ? node.body : [node.body];
-      body.forEach((n) => buildSymbolTable(n, scope, scopeStack));
+  // Check the array sizes in a declarator: each must be a positive
+  // integer. A size that is not constant declares a variable length array;
+  // `vlaError` is the message to report where those are not allowed.
+  const checkArraySizes = (declaredType, name, scopeStack, vlaError) => {
+    let derived = declaredType;
+    while (derived && derived.type !== "DeclarationSpecifiers") {
+      if (derived.type === "ArrayType" && derived.size) {
+        checkArraySize(derived.size, name, scopeStack, vlaError);
+      }
+      derived = derived.elementType || derived.target || derived.returnType;
     }
   };
 
-  /**
-   * Phase 2: Type Resolution and Initial Type Checking
-   * - Resolves type names
-   * - Performs initial type compatibility checks
+  const checkArraySize = (size, name, scopeStack, vlaError) => {
+    const result = evaluateConstantIn(size, scopeStack);
+    reportConstantProblems(result);
+
+    const report = (message, description, severity) =>
+      errors.push({
+        message,
+        line: getLineNumber(size.location?.start),
+        code: getCodeLine(size.location?.start),
+        description,
+        ...(severity && { severity }),
+      });
+
+    if (result.type && !isIntegerType(result.type)) {
+      report(
+        `Size of array '${name}' has non-integer type '${typeToString(
+          result.type
+        )}'`,
+        "Array sizes must be integers"
+      );
+    } else if (result.value === null) {
+      const reason = result.problems.find(
+        (problem) => problem.kind === "not-constant"
+      );
+      if (vlaError && reason) {
+        report(vlaError, reason.message);
+      }
+    } else if (result.value < 0n) {
+      report(
+        `Size of array '${name}' is negative (${result.value})`,
+        "Array sizes must be greater than zero"
+      );
+    } else if (result.value === 0n) {
+      report(
+        `Zero size array '${name}'`,
+        "ISO C requires array sizes to be greater than zero",
+        "warning"
+      );
+    }
+  };
+
+  // Check the width of a bit-field against its type. Returns the width,
+  // or undefined when it is not a valid integer constant.
+  const checkBitField = (field, fieldType, scopeStack) => {
+    const name = field.id?.name || "(anonymous)";
+    const report = (message, description) =>
+      errors.push({
+        message,
+        line: getLineNumber(field.bitWidth.location?.start),
+        code: getCodeLine(field.bitWidth.location?.start),
+        description,
+      });
+
+    if (fieldType && !isIntegerType(fieldType)) {
+      report(
+        `Bit-field '${name}' has non-integral type '${typeToString(
+          fieldType
+        )}'`,
+        "Bit-fields must have an integer type"
+      );
+      return undefined;
+    }
+
+    const result = evaluateConstantIn(field.bitWidth, scopeStack);
+    reportConstantProblems(result);
+    const width = requireIntegerConstant(
+      field.bitWidth,
+      result,
+      `Bit-field '${name}' width is not an integer constant`
+    );
+    if (width === null) return undefined;
+
+    // A _Bool bit-field holds a single bit
+    const resolved = resolveType(fieldType);
+    const typeWidth =
+      resolved?.kind === "enum"
+        ? 32
+        : resolved?.name === "_Bool"
+        ? 1
+        : resolved?.width;
+    if (width < 0) {
+      report(
+        `Bit-field '${name}' has negative width (${width})`,
+        "Bit-field widths cannot be negative"
+      );
+    } else if (width === 0 && field.id) {
+      report(
+        `Named bit-field '${name}' has zero width`,
+        "Only an unnamed bit-field may have width zero"
+      );
+    } else if (typeWidth && width > typeWidth) {
+      report(
+        `Width of bit-field '${name}' (${width} bits) exceeds the width of its type (${typeWidth} bits)`,
+        `'${typeToString(fieldType)}' has ${typeWidth} bits`
+      );
+    } else {
+      return width;
+    }
+    return undefined;
+  };
+
+  // Storage class and function specifiers of a declaration. Only one
+  // storage class is allowed; any others are reported and ignored.
+  const getStorageSpecifiers = (typeSpecifiers) => {
+    const specifiers = typeSpecifiers?.specifiers || [];
+    const storageClasses = specifiers.filter(
+      (specifier) => specifier.type === "StorageClassSpecifier"
+    );
+    const functionSpecifiers = specifiers.filter(
+      (specifier) => specifier.type === "FunctionSpecifier"
+    );
+
+    storageClasses.slice(1).forEach((specifier) => {
+      errors.push({
+        message: `Cannot combine '${specifier.name}' with previous '${storageClasses[0].name}' storage class`,
+        line: getLineNumber(specifier.location?.start),
+        code: getCodeLine(specifier.location?.start),
+        description: "A declaration can have at most one storage class",
+      });
+    });
+
+    return {
+      storageClass: storageClasses[0]?.name || null,
+      functionSpecifiers: functionSpecifiers.map((specifier) => specifier.name),
+    };
+  };
+
+  // Report specifiers that are not allowed on a declaration, e.g. a storage
+  // class on a struct member or "inline" on a variable
+  const checkSpecifiersAllowed = (
+    typeSpecifiers,
+    { storageClasses = [], functionSpecifiers = false, what }
+  ) => {
+    typeSpecifiers?.specifiers?.forEach((specifier) => {
+      const allowed =
+        specifier.type === "StorageClassSpecifier"
+          ? storageClasses.includes(specifier.name)
+          : specifier.type === "FunctionSpecifier"
+          ? functionSpecifiers
+          : true;
+      if (allowed) return;
+
+      errors.push({
+        message:
+          specifier.type === "FunctionSpecifier"
+            ? `'${specifier.name}' can only appear on functions`
+            : `Invalid storage class '${specifier.name}' for ${what}`,
+        line: getLineNumber(specifier.location?.start),
+        code: getCodeLine(specifier.location?.start),
+        description:
+          specifier.type === "FunctionSpecifier"
+            ? "Function specifiers only apply to function declarations"
+            : `Only ${
+                storageClasses.length
+                  ? storageClasses.map((name) => `'${name}'`).join(", ")
+                  : "no storage class"
+              } is allowed here`,
+      });
+    });
+  };
+
+  // Check that the initializer of an object with static storage duration
+  // is a constant expression. Besides arithmetic on constants it may use
+  // the address of a static object or function, but may not read
+  // variables, call functions or modify anything.
+  const isConstantInitializer = (node, scopeStack) => {
+    if (!node) return true;
+
+    const isAddressConstant = (operand) => {
+      // "&table[2]" is the address of a static array plus a constant
+      if (operand?.type === "ArrayAccess") {
+        return (
+          isAddressConstant(operand.array) &&
+          isConstantInitializer(operand.index, scopeStack)
+        );
+      }
+      const symbol =
+        operand?.type === "Identifier" &&
+        resolveVariable(operand.name, null, scopeStack);
+      return (
+        !!symbol &&
+        (isFunctionType(symbol.type) || symbol.storageDuration === "static")
+      );
+    };
+
+    switch (node.type) {
+      case "CallExpression":
+      case "AssignmentExpression":
+      case "UpdateExpression":
+        return false;
+      case "Identifier": {
+        const symbol = resolveVariable(node.name, null, scopeStack);
+        return (
+          !symbol || // Reported as undefined
+          symbol.enumType !== undefined ||
+          ((isArrayType(symbol.type) || isFunctionType(symbol.type)) &&
+            isAddressConstant(node))
+        );
+      }
+      case "UnaryExpression":
+        return node.operator === "&"
+          ? isAddressConstant(node.argument)
+          : isConstantInitializer(node.argument, scopeStack);
+      case "SizeofExpression":
+        return true;
+      default: {
+        let constant = true;
+        forEachChild(node, (child) => {
+          if (child.type === "TypeName") return;
+          constant = constant && isConstantInitializer(child, scopeStack);
+        });
+        return constant;
+      }
+    }
+  };
+
+  // Members of a struct/union type in declaration order, or null when the
+  // type is incomplete
+  const getRecordFields = (type, scopeStack) => {
+    const record = resolveType(type);
+    const symbol = resolveVariable(
+      typeToString(tagType(record.kind, record.tag)),
+      null,
+      scopeStack
+    );
+    return symbol && !symbol.incomplete ? symbol.fields : null;
+  };
+
+  // The members an initializer list fills, or null for scalars and
+  // incomplete types. `length` is null for arrays of unknown size.
+  const getInitializerMembers = (type, scopeStack) => {
+    const resolved = resolveType(type);
+    if (resolved?.kind === "array") {
+      return {
+        kind: "array",
+        length: resolved.length,
+        typeAt: () => resolved.element,
+        labelAt: (index) => `[${index}]`,
+      };
+    }
+    if (!isRecordType(resolved)) return null;
+
+    const fields = getRecordFields(resolved, scopeStack);
+    if (!fields) return null;
+    return {
+      kind: resolved.kind,
+      // Without a designator only the first member of a union is set
+      length:
+        resolved.kind === "union" ? Math.min(fields.length, 1) : fields.length,
+      fields,
+      typeAt: (index) => fields[index].type,
+      labelAt: (index) => `.${fields[index].name}`,
+    };
+  };
+
+  // Arrays of character type may be initialized from a string literal
+  const isCharArrayType = (type) => {
+    const resolved = resolveType(type);
+    return (
+      resolved?.kind === "array" &&
+      ["char", "signed char", "unsigned char"].includes(
+        unqualifiedType(resolveType(resolved.element))?.name
+      )
+    );
+  };
+
+  const isStringLiteral = (node) =>
+    node?.type === "Literal" && node.valueType === "string";
+
+  /**
+   * Check the initializer of an object named `name` against its type
+   * (C11 6.7.9). Positional elements fill the next member, designators
+   * move to a named one, and a scalar where a nested aggregate is expected
+   * starts filling that aggregate without braces. Problems are reported
+   * only when `report` is set, so the same walk can measure a list before
+   * the declaration is entered. Returns the number of elements given for
+   * an array, used to complete types such as "int a[] = {1, 2}".
    */
-  const resolveTypes = (node, scope = "global", scopeStack = ["global"]) => {
-    if (!node || typeof node !== "object") return;
+  const checkInitializer = (type, init, name, scopeStack, report = true) => {
+    const scope = scopeStack[scopeStack.length - 1];
 
-    if (node.type === "VariableDeclaration") {
-      const varType = node.varType?.name;
-      const varName = node.id?.name;
-      const varKey = getSymbolKey(varName, scope);
-      const symbol = symbolTable[varKey];
+    const problem = (message, node, description) => {
+      if (!report) return;
+      errors.push({
+        message,
+        line: getLineNumber(node.location?.start),
+        code: getCodeLine(node.location?.start),
+        description,
+      });
+    };
+
+    // Whether a non-brace element starts filling a nested aggregate
+    const startsElidedAggregate = (memberType, element) => {
+      const members = getInitializerMembers(memberType, scopeStack);
+      if (!members || !(members.length > 0)) return false;
+      if (isStringLiteral(element) && isCharArrayType(memberType)) {
+        return false;
+      }
+      // A struct may be initialized from another struct of the same type
+      const elementType = getExpressionType(element, scope, scopeStack);
+      return !(
+        members.kind !== "array" &&
+        isRecordType(elementType) &&
+        areCompatibleTypes(
+          unqualifiedType(resolveType(elementType)),
+          unqualifiedType(resolveType(memberType))
+        )
+      );
+    };
+
+    // Follow a designator list such as ".pos.x" or "[2][1]" from `type`.
+    // Returns the member index of the first designator and the type and
+    // path of the designated object, or null after reporting a problem.
+    const followDesignators = (aggregateType, designators, path) => {
+      let currentType = aggregateType;
+      let currentPath = path;
+      let firstIndex = null;
+
+      for (const designator of designators) {
+        const members = getInitializerMembers(currentType, scopeStack);
+        const isField = designator.type === "FieldDesignator";
+        const spelling = isField ? `.${designator.name}` : "[...]";
+
+        if (!members) {
+          problem(
+            `Designator '${spelling}' used for non-aggregate '${currentPath}'`,
+            designator,
+            `'${currentPath}' has type '${typeToString(currentType)}'`
+          );
+          return null;
+        }
 
-      if (!symbol) return; // Should have been declared in phase 1
+        let index;
+        if (isField) {
+          if (members.kind === "array") {
+            problem(
+              `Field designator '${spelling}' used for array '${currentPath}'`,
+              designator,
+              "Array elements are designated with [index]"
+            );
+            return null;
+          }
+          index = members.fields.findIndex(
+            (field) => field.name === designator.name
+          );
+          if (index === -1) {
+            problem(
+              `Unknown field '${designator.name}' in initializer for '${currentPath}'`,
+              designator,
+              `'${typeToString(currentType)}' has fields: ${
+                members.fields.map((field) => field.name).join(", ") || "none"
+              }`
+            );
+            return null;
+          }
+        } else {
+          if (members.kind !== "array") {
+            problem(
+              `Array designator used for non-array '${currentPath}'`,
+              designator,
+              "Struct and union members are designated with .name"
+            );
+            return null;
+          }
+          index = getConstantValue(designator.index, scopeStack);
+          if (index === null || index === undefined) {
+            problem(
+              "Array designator index is not an integer constant",
+              designator,
+              "Designator indexes must be constant expressions"
+            );
+            return null;
+          }
+          if (
+            index < 0 ||
+            (members.length !== null && index >= members.length)
+          ) {
+            problem(
+              `Array designator index ${index} exceeds bounds of '${currentPath}'`,
+              designator,
+              `'${currentPath}' has type '${typeToString(currentType)}'`
+            );
+            return null;
+          }
+        }
 
-      // If there's an initializer, check type compatibility
-      if (node.init) {
-        resolveTypes(node.init, scope, scopeStack);
-        const initType = getExpressionType(node.init, scope, scopeStack);
+        if (firstIndex === null) firstIndex = index;
+        currentType = members.typeAt(index);
+        currentPath +=
+          members.kind === "array" ? `[${index}]` : `.${designator.name}`;
+      }
 
-        if (initType && !areTypesCompatible(symbol.type, initType)) {
-          errors.push({
-            message: `Type mismatch in initialization of ${varName}: cannot assign ${initType} to ${symbol.type}`,
-            line: getLineNumber(node.location?.start),
-            code: getCodeLine(node.location?.start),
-            description: "Type mismatch in variable initialization",
-          });
+      return { index: firstIndex, type: currentType, path: currentPath };
+    };
+
+    // Fill an aggregate from elements[position.index...]. `braced` is
+    // false when the aggregate's own braces were left out, in which case
+    // it stops at its last member or at a designator.
+    const fillAggregate = (aggregateType, elements, position, path, braced) => {
+      const members = getInitializerMembers(aggregateType, scopeStack);
+      let next = 0;
+      let count = 0;
+
+      while (position.index < elements.length) {
+        const element = elements[position.index];
+
+        if (element.type === "DesignatedInitializer") {
+          if (!braced) break;
+          position.index++;
+          const target = followDesignators(
+            aggregateType,
+            element.designators,
+            path
+          );
+          if (!target) continue;
+          checkValue(target.type, element.value, target.path);
+          next = target.index + 1;
+          count = Math.max(count, next);
+          continue;
         }
+
+        if (members.length !== null && next >= members.length) {
+          if (!braced) break;
+          problem(
+            `Too many initializers for '${path}'`,
+            element,
+            `'${path}' has type '${typeToString(aggregateType)}' and holds ${
+              members.length
+            } element${members.length === 1 ? "" : "s"}`
+          );
+          position.index = elements.length;
+          break;
+        }
+
+        const memberType = members.typeAt(next);
+        const memberPath = path + members.labelAt(next);
+        if (
+          element.type !== "InitializerList" &&
+          startsElidedAggregate(memberType, element)
+        ) {
+          fillAggregate(memberType, elements, position, memberPath, false);
+        } else {
+          checkValue(memberType, element, memberPath);
+          position.index++;
+        }
+        next++;
+        count = Math.max(count, next);
       }
-    } else if (node.type === "ArrayDeclaration") {
-      const arrayName = node.id?.name;
-      const arrayKey = getSymbolKey(arrayName, scope);
-      const symbol = symbolTable[arrayKey];
 
-      if (!symbol) return;
+      return count;
+    };
+
+    // Check one initializer (an expression or a braced list) for an object
+    const checkValue = (targetType, value, path) => {
+      if (!targetType || !value) return 0;
+
+      if (value.type === "InitializerList") {
+        if (getInitializerMembers(targetType, scopeStack)) {
+          return fillAggregate(
+            targetType,
+            value.elements,
+            { index: 0 },
+            path,
+            true
+          );
+        }
+        if (isArrayType(targetType) || isRecordType(targetType)) return 0; // Incomplete
+
+        // A scalar may be wrapped in braces: "int x = {5};"
+        const [first, ...rest] = value.elements;
+        if (first?.type === "DesignatedInitializer") {
+          followDesignators(targetType, first.designators, path);
+        } else {
+          checkValue(targetType, first, path);
+        }
+        if (rest.length > 0) {
+          problem(
+            `Too many initializers for scalar '${path}'`,
+            rest[0],
+            `'${path}' has type '${typeToString(targetType)}'`
+          );
+        }
+        return 0;
+      }
 
-      // If there's an initializer, process it
-      if (node.init) {
-        resolveTypes(node.init, scope, scopeStack);
+      if (isCharArrayType(targetType) && isStringLiteral(value)) {
+        const stringLength = getStringLiteralType(value.value).length;
+        const arrayLength = resolveType(targetType).length;
+        // The terminating '\0' is dropped when the array is exactly full
+        if (arrayLength !== null && stringLength - 1 > arrayLength) {
+          problem(
+            `Initializer string for '${path}' is too long`,
+            value,
+            `'${path}' holds ${arrayLength} characters, the string has ${
+              stringLength - 1
+            }`
+          );
+        }
+        return stringLength;
       }
-    } else if (node.type === "FunctionDeclaration") {
-      const functionName = node.id?.name;
-      const functionScope = functionName;
-      scopeStack.push(functionScope);
 
-      // Resolve parameter types
-      if (node.params) {
-        node.params.forEach((param) =>
-          resolveTypes(param, functionScope, scopeStack)
+      if (isArrayType(targetType)) {
+        problem(
+          `Array '${path}' must be initialized with a brace-enclosed list`,
+          value,
+          "Arrays cannot be assigned from an expression"
         );
+        return 0;
       }
 
-      // Resolve types in function body
-      if (node.body) {
-        const statements = Array.isArray(node.body) ? node.body : [node.body];
-        statements.forEach((stmt) =>
-          resolveTypes(stmt, functionScope, scopeStack)
+      const valueType = getExpressionType(value, scope, scopeStack);
+      if (
+        valueType &&
+        !areTypesCompatible(targetType, valueType, value, scopeStack)
+      ) {
+        problem(
+          `Type mismatch in initialization of ${path}: cannot assign ${typeToString(
+            valueType
+          )} to ${typeToString(targetType)}`,
+          value,
+          "Type mismatch in variable initialization"
         );
+      } else if (valueType) {
+        checkImplicitConversion(targetType, value, valueType, scopeStack);
       }
+      return 0;
+    };
 
-      scopeStack.pop();
-    } else if (node.type === "BlockStatement") {
-      const blockScope = scopeStack[scopeStack.length - 1];
-      if (node.body) {
-        const statements = Array.isArray(node.body) ? node.body : [node.body];
-        statements.forEach((stmt) =>
-          resolveTypes(stmt, blockScope, scopeStack)
-        );
+    return checkValue(type, init, name);
+  };
+
+  // Register struct/union/enum definitions that appear inside a
+  // declaration's specifiers (e.g. "struct Point { int x; } p;")
+  const declareTagsInSpecifiers = (typeSpecifiers, scope) => {
+    typeSpecifiers?.specifiers?.forEach((specifier) => {
+      if (
+        specifier.type === "StructDeclaration" ||
+        specifier.type === "UnionDeclaration"
+      ) {
+        declareStructOrUnion(specifier, scope);
+      } else if (specifier.type === "EnumDeclaration") {
+        declareEnum(specifier, scope);
       }
-    } else if (node.type === "MemberExpression") {
-      const structName = node.object?.name;
-      const memberName = node.property?.name;
-      const structSymbol = resolveVariable(structName, scope, scopeStack);
+    });
+  };
+
+  // Add a struct/union and its fields to the symbol table
+  const declareStructOrUnion = (node, scope) => {
+    const tagName = getTagName(node);
+    const structKey = getSymbolKey(tagName, scope);
+
+    // Forward declaration (e.g. "struct Node;")
+    if (!node.fields) {
+      if (!symbolTable[structKey]) {
+        symbolTable[structKey] = {
+          name: tagName,
+          type: getTagType(node),
+          scope,
+          line: getLineNumber(node.location?.start),
+          initialized: true,
+          fields: [],
+          incomplete: true,
+        };
+      }
+      return;
+    }
+
+    if (symbolTable[structKey] && !symbolTable[structKey].incomplete) {
+      errors.push({
+        message: `Redefinition of '${tagName}'`,
+        line: getLineNumber(node.location?.start),
+        code: getCodeLine(node.location?.start),
+        description: "Struct/union already defined in this scope",
+      });
+      return;
+    }
+
+    const scopeStack = getScopeChain(scope);
+    const fields = node.fields.filter((field) => field.id);
+    const getFieldType = (field) =>
+      typeFromDeclaredType(field.declaredType, scopeStack);
+    const bitWidths = new Map(
+      node.fields
+        .filter((field) => field.bitWidth)
+        .map((field) => [
+          field,
+          checkBitField(field, getFieldType(field), scopeStack),
+        ])
+    );
+
+    symbolTable[structKey] = {
+      name: tagName,
+      type: getTagType(node),
+      scope,
+      line: getLineNumber(node.location?.start),
+      initialized: true,
+      fields: fields.map((field) => ({
+        name: field.id.name,
+        type: getFieldType(field),
+        ...(field.bitWidth && {
+          bitField: true,
+          bitWidth: bitWidths.get(field),
+        }),
+      })),
+      size: node.size,
+    };
+
+    // Add fields to symbol table with scope as struct name
+    const seen = new Set();
+    node.fields.forEach((field) => {
+      // Nested definitions are visible in the enclosing scope
+      declareTagsInSpecifiers(field.typeSpecifiers, scope);
+      checkSpecifiersAllowed(field.typeSpecifiers, {
+        what: "struct/union member",
+      });
+      checkArraySizes(
+        field.declaredType,
+        field.id?.name || "(anonymous)",
+        scopeStack,
+        `Member '${
+          field.id?.name || "(anonymous)"
+        }' of '${tagName}' must have a constant size`
+      );
+
+      if (!field.id) return;
+      if (seen.has(field.id.name)) {
+        errors.push({
+          message: `Duplicate member '${field.id.name}' in ${tagName}`,
+          line: getLineNumber(field.location?.start),
+          code: getCodeLine(field.location?.start),
+          description: "Struct/union member names must be unique",
+        });
+        return;
+      }
+      seen.add(field.id.name);
+
+      const fieldKey = getSymbolKey(field.id.name, tagName);
+      symbolTable[fieldKey] = {
+        name: field.id.name,
+        type: getFieldType(field),
+        scope: tagName, // Field's scope is the struct/union name
+        line: getLineNumber(field.location?.start),
+        initialized: true, // fields are considered initialized
+      };
+    });
+  };
+
+  // Value given to an enumerator, which must be an integer constant that
+  // fits in int
+  const getEnumeratorValue = (member, scopeStack) => {
+    const result = evaluateConstantIn(member.value, scopeStack);
+    reportConstantProblems(result);
+    const value = requireIntegerConstant(
+      member.value,
+      result,
+      `Enumerator value for '${member.id.name}' is not an integer constant`
+    );
+    if (value !== null && (value < intMin || value > intMax)) {
+      errors.push({
+        message: `Enumerator value for '${member.id.name}' is outside the range of 'int'`,
+        line: getLineNumber(member.value.location?.start),
+        code: getCodeLine(member.value.location?.start),
+        description: `${value} is not representable as an int`,
+        severity: "warning",
+      });
+    }
+    return value;
+  };
+
+  // Add an enum and its constants to the symbol table
+  const declareEnum = (node, scope) => {
+    const tagName = getTagName(node);
+    const enumKey = getSymbolKey(tagName, scope);
+
+    if (!node.members) {
+      if (!symbolTable[enumKey]) {
+        symbolTable[enumKey] = {
+          name: tagName,
+          type: getTagType(node),
+          scope,
+          line: getLineNumber(node.location?.start),
+          initialized: true,
+          incomplete: true,
+        };
+      }
+      return;
+    }
 
-      if (!structSymbol) return;
+    const enumSymbol = {
+      name: tagName,
+      type: getTagType(node),
+      scope,
+      line: getLineNumber(node.location?.start),
+      initialized: true,
+      fields: [],
+    };
+    symbolTable[enumKey] = enumSymbol;
+
+    // Enumerator values count up from the previous one
+    const scopeStack = getScopeChain(scope);
+    let nextValue = 0;
+    node.members.forEach((member) => {
+      const name = member.id.name;
+      const value = member.value
+        ? getEnumeratorValue(member, scopeStack)
+        : nextValue;
+      if (!member.value && value !== null && value > intMax) {
+        errors.push({
+          message: `Overflow in enumeration values at '${name}'`,
+          line: getLineNumber(member.location?.start),
+          code: getCodeLine(member.location?.start),
+          description: `The value after the previous enumerator, ${value}, does not fit in 'int'`,
+        });
+      }
+      nextValue = value === null ? null : value + 1;
+      enumSymbol.fields.push({ name, type: basicType("int"), value });
 
-      if (structSymbol.type !== "struct" && structSymbol.type !== "union") {
+      const constantKey = getSymbolKey(name, scope);
+      if (symbolTable[constantKey]) {
         errors.push({
-          message: `Invalid member access on non-struct/union type '${structName}'`,
+          message: `Redeclaration of '${name}' in ${scope} scope`,
+          line: getLineNumber(member.location?.start),
+          code: getCodeLine(member.location?.start),
+          description: "Enumerator name already declared in this scope",
+        });
+        return;
+      }
+
+      symbolTable[constantKey] = {
+        name,
+        type: basicType("int"),
+        scope,
+        line: getLineNumber(member.location?.start),
+        initialized: true,
+        isConst: true,
+        enumType: tagName,
+        ...(value !== null && { value }),
+      };
+    });
+  };
+
+  // Declarations and type names contain identifiers that are not
+  // references, so the generic traversal never descends into them
+  const isDeclarationNode = (node) =>
+    [
+      "Include",
+      "PreprocessorDirective",
+      "Typedef",
+      "StructDeclaration",
+      "UnionDeclaration",
+      "EnumDeclaration",
+      "DeclarationSpecifiers",
+      "TypeName",
+    ].includes(node.type);
+
+  // Mark the variable written by an assignment (or whose address is
+  // taken) as initialized
+  const markInitialized = (target, scope, scopeStack) => {
+    // Storing into an element or member initializes (part of) the
+    // variable it belongs to; "p->x = 1" stores through a pointer instead
+    let base = target;
+    while (
+      base?.type === "ArrayAccess" ||
+      (base?.type === "MemberExpression" && base.operator === ".")
+    ) {
+      base = base.type === "ArrayAccess" ? base.array : base.object;
+    }
+    if (base?.type !== "Identifier") return;
+
+    const symbol = resolveVariable(base.name, scope, scopeStack);
+    if (symbol) symbol.initialized = true;
+  };
+
+  /**
+   * Phase 1: Build Symbol Table
+   * - Populates the symbol table with declarations
+   * - Handles scope
+   */
+  const buildSymbolTable = (
+    node,
+    scope = "global",
+    scopeStack = ["global"]
+  ) => {
+    if (!node || typeof node !== "object") return;
+
+    // Handle #include (a standard header declares its part of the library)
+    if (node.type === "Include") {
+      if (node.system) declareHeader(node.header);
+      return;
+    }
+
+    // Handle preprocessor directives
+    if (node.type === "PreprocessorDirective") {
+      processPreprocessorDirective(node);
+      return;
+    }
+
+    // Handle struct/union declarations
+    if (node.type === "StructDeclaration" || node.type === "UnionDeclaration") {
+      const typeName = node.id?.name;
+      if (!typeName) {
+        errors.push({
+          message: "Invalid struct/union declaration (missing name)",
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
-          description: "Member access on non-struct/union",
+          description: "Struct/union declaration is malformed",
         });
         return;
       }
 
-      const memberKey = getSymbolKey(memberName, structSymbol.name);
-      const memberSymbol = symbolTable[memberKey];
-      if (!memberSymbol) {
+      declareStructOrUnion(node, scope);
+      return;
+    }
+
+    // Handle enum declarations. Without a tag the enumerators are still
+    // declared, as in "enum { LO, HI = 4 };"
+    if (node.type === "EnumDeclaration") {
+      if (!node.id?.name && !node.members) {
+        errors.push({
+          message: "Invalid enum declaration (missing name)",
+          line: getLineNumber(node.location?.start),
+          code: getCodeLine(node.location?.start),
+          description: "Enum declaration is malformed",
+        });
+        return;
+      }
+
+      declareEnum(node, scope);
+      return;
+    }
+
+    // Handle typedefs (register any tag they define and the alias)
+    if (node.type === "Typedef") {
+      declareTagsInSpecifiers(node.typeSpecifiers, scope);
+      checkSpecifiersAllowed(node.typeSpecifiers, { what: "typedef" });
+
+      const aliasName = node.id?.name;
+      const aliasedType = typeFromDeclaredType(node.declaredType, scopeStack);
+      if (!aliasName || !aliasedType) return;
+      checkArraySizes(
+        node.declaredType,
+        aliasName,
+        scopeStack,
+        scope === "global"
+          ? `Variable length array type '${aliasName}' declared at file scope`
+          : null
+      );
+
+      const aliasKey = getSymbolKey(aliasName, scope);
+      const previous = symbolTable[aliasKey];
+      if (
+        previous &&
+        !(previous.isTypedef && areCompatibleTypes(previous.type, aliasedType))
+      ) {
         errors.push({
-          message: `Member '${memberName}' not found in struct/union '${structName}'`,
+          message: `Typedef redefinition of '${aliasName}' with different types ('${typeToString(
+            aliasedType
+          )}' vs '${typeToString(previous.type)}')`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
-          description: "Invalid member access",
+          description: "A typedef name can only be redeclared as the same type",
         });
         return;
       }
 
-      node.resolvedType = memberSymbol.type; // Store resolved type for later use
+      symbolTable[aliasKey] = {
+        name: aliasName,
+        type: aliasedType,
+        scope,
+        line: getLineNumber(node.location?.start),
+        initialized: true,
+        isTypedef: true,
+      };
+      return;
+    }
+
+    // Handle function declarations
+    if (node.type === "FunctionDeclaration") {
+      declareTagsInSpecifiers(node.returnType, scope);
+
+      const functionName = node.id?.name;
+      const functionType = typeFromDeclaredType(node.declaredType, scopeStack);
+      if (!functionName || !functionType) {
+        errors.push({
+          message: "Invalid function declaration",
+          line: getLineNumber(node.location?.start),
+          code: getCodeLine(node.location?.start),
+          description: "Missing function name or return type",
+        });
+        return;
+      }
+
+      // A second body is reported by declareFunction and not analyzed
+      const isRedefinition =
+        !!node.body &&
+        !!symbolTable[getSymbolKey(functionName, "global")]?.isDefined;
+
+      declareFunction(
+        functionName,
+        functionType,
+        node,
+        getStorageSpecifiers(node.returnType),
+        { isDefinition: !!node.body, isBlockScope: scope !== "global" }
+      );
+
+      // Parameters may only be declared register
+      node.params.forEach((param) =>
+        checkSpecifiersAllowed(param.paramType, {
+          storageClasses: ["register"],
+          what: `parameter '${param.name || "(unnamed)"}'`,
+        })
+      );
+      if (!node.body || isRedefinition) return;
+
+      // Enter function scope. Parameters and the outermost block of the
+      // body share it, so a local cannot redeclare a parameter.
+      const functionScope = enterScope(
+        node.body,
+        "function",
+        scope,
+        functionName
+      );
+      scopeStack.push(functionScope);
+
+      // Process parameters (array parameters are already adjusted to
+      // pointers in the function type)
+      node.params.forEach((param, index) => {
+        if (!param.name) return; // Reported by the parser
+
+        const paramKey = getSymbolKey(param.name, functionScope);
+        if (symbolTable[paramKey]) {
+          errors.push({
+            message: `Redefinition of parameter '${param.name}'`,
+            line: getLineNumber(param.location?.start),
+            code: getCodeLine(param.location?.start),
+            description: "Parameter names must be unique",
+          });
+          return;
+        }
+
+        const storageClass = param.paramType.specifiers.some(
+          (specifier) => specifier.name === "register"
+        )
+          ? "register"
+          : null;
+        symbolTable[paramKey] = {
+          name: param.name,
+          type: resolveType(functionType).params[index]?.type || null,
+          scope: functionScope,
+          line: getLineNumber(param.location?.start),
+          initialized: true, // Parameters are initialized
+          isParameter: true,
+          storageClass,
+          linkage: "none",
+          storageDuration: "automatic",
+        };
+      });
+
+      // Process function body
+      node.body.body.forEach((stmt) =>
+        buildSymbolTable(stmt, functionScope, scopeStack)
+      );
+
+      scopeStack.pop();
+      return;
+    }
+
+    // Handle block statements
+    else if (node.type === "BlockStatement") {
+      const blockScope = enterScope(node, "block", scope);
+      scopeStack.push(blockScope);
+
+      node.body.forEach((stmt) =>
+        buildSymbolTable(stmt, blockScope, scopeStack)
+      );
+
+      scopeStack.pop();
+      return;
+    }
+
+    // Handle for loops (declarations in the init clause are local to the loop)
+    else if (node.type === "ForStatement") {
+      const forScope = enterScope(node, "for", scope);
+      scopeStack.push(forScope);
+
+      forEachChild(node, (child) =>
+        buildSymbolTable(child, forScope, scopeStack)
+      );
+
+      scopeStack.pop();
+      return;
+    }
+
+    // Handle variable declarations
+    else if (node.type === "VariableDeclaration") {
+      declareTagsInSpecifiers(node.typeSpecifiers, scope);
+
+      const isFileScope = scope === "global";
+      const specifiers = getStorageSpecifiers(node.typeSpecifiers);
+      let { storageClass } = specifiers;
+      if (isFileScope && ["auto", "register"].includes(storageClass)) {
+        errors.push({
+          message: `Illegal storage class '${storageClass}' on file-scope variable`,
+          line: getLineNumber(node.location?.start),
+          code: getCodeLine(node.location?.start),
+          description: "Variables outside functions always have static storage",
+        });
+        storageClass = null;
+      }
+      const isExtern = storageClass === "extern";
+      let checkedObjectSpecifiers = false;
+
+      node.declarations.forEach((declarator) => {
+        const varName = declarator.id.name;
+        let varType = typeFromDeclaredType(declarator.declaredType, scopeStack);
+        if (!varType) return; // Reported while building the type
+
+        // Block-scope function prototype (e.g. "int helper(int);")
+        if (isFunctionType(varType)) {
+          declareFunction(varName, varType, declarator, specifiers, {
+            isBlockScope: !isFileScope,
+          });
+          return;
+        }
+
+        if (!checkedObjectSpecifiers) {
+          checkedObjectSpecifiers = true;
+          checkSpecifiersAllowed(node.typeSpecifiers, {
+            storageClasses: ["static", "extern", "register", "auto"],
+            what: "variable",
+          });
+        }
+
+        if (isVoidType(varType)) {
+          errors.push({
+            message: `Variable '${varName}' declared void`,
+            line: getLineNumber(declarator.location?.start),
+            code: getCodeLine(declarator.location?.start),
+            description: "Objects cannot have type void",
+          });
+          return;
+        }
+
+        // Variable length arrays are automatic objects of a block
+        checkArraySizes(
+          declarator.declaredType,
+          varName,
+          scopeStack,
+          isFileScope
+            ? `Variable length array '${varName}' declared at file scope`
+            : storageClass === "static" || isExtern
+            ? `Variable length array '${varName}' cannot have '${storageClass}' storage`
+            : null
+        );
+        if (resolveType(varType).variableLength && declarator.init) {
+          errors.push({
+            message: `Variable-sized object '${varName}' may not be initialized`,
+            line: getLineNumber(declarator.init.location?.start),
+            code: getCodeLine(declarator.init.location?.start),
+            description:
+              "The size of a variable length array is only known at run time",
+          });
+        }
+
+        // An array of unknown size takes its length from the initializer
+        if (
+          isArrayType(varType) &&
+          resolveType(varType).length === null &&
+          !resolveType(varType).variableLength
+        ) {
+          if (declarator.init) {
+            const length = checkInitializer(
+              varType,
+              declarator.init,
+              varName,
+              scopeStack,
+              false
+            );
+            varType = { ...resolveType(varType), length };
+          } else if (!isFileScope && !isExtern) {
+            errors.push({
+              message: `Array size missing in '${varName}'`,
+              line: getLineNumber(declarator.location?.start),
+              code: getCodeLine(declarator.location?.start),
+              description:
+                "Give the array a size or an initializer to take it from",
+            });
+          }
+        }
+
+        if (isExtern && declarator.init && !isFileScope) {
+          errors.push({
+            message: `'extern' variable '${varName}' cannot have an initializer`,
+            line: getLineNumber(declarator.location?.start),
+            code: getCodeLine(declarator.location?.start),
+            description:
+              "A block-scope extern declaration refers to an object defined elsewhere",
+          });
+        }
+
+        // File-scope variables have linkage; "extern" refers to the
+        // previously declared object, if any
+        const varKey = getSymbolKey(varName, scope);
+        const previous = symbolTable[varKey];
+        const linkedSymbol =
+          previous || symbolTable[getSymbolKey(varName, "global")];
+        const linkage = isExtern
+          ? linkedSymbol?.linkage && linkedSymbol.linkage !== "none"
+            ? linkedSymbol.linkage
+            : "external"
+          : isFileScope
+          ? storageClass === "static"
+            ? "internal"
+            : "external"
+          : "none";
+        const storageDuration =
+          isFileScope || isExtern || storageClass === "static"
+            ? "static"
+            : "automatic";
+        const isDefinition = !isExtern || (isFileScope && !!declarator.init);
+
+        // Only declarations with linkage may be repeated in one scope
+        if (previous) {
+          if (
+            previous.linkage === undefined ||
+            previous.linkage === "none" ||
+            linkage === "none" ||
+            isFunctionType(previous.type)
+          ) {
+            errors.push({
+              message: `Redeclaration of '${varName}' in ${scope} scope`,
+              line: getLineNumber(declarator.location?.start),
+              code: getCodeLine(declarator.location?.start),
+              description: "Variable already declared in this scope",
+            });
+            return;
+          }
+
+          if (!areCompatibleTypes(previous.type, varType)) {
+            errors.push({
+              message: `Conflicting types for '${varName}'`,
+              line: getLineNumber(declarator.location?.start),
+              code: getCodeLine(declarator.location?.start),
+              description: `Previously declared as '${typeToString(
+                previous.type
+              )}', now '${typeToString(varType)}'`,
+            });
+            return;
+          }
+
+          checkLinkageConflict(varName, previous, linkage, declarator);
+
+          if (previous.hasInitializer && declarator.init) {
+            errors.push({
+              message: `Redefinition of '${varName}'`,
+              line: getLineNumber(declarator.location?.start),
+              code: getCodeLine(declarator.location?.start),
+              description: `'${varName}' was already defined on line ${previous.line}`,
+            });
+            return;
+          }
+        }
+
+        symbolTable[varKey] = {
+          name: varName,
+          type: (previous && compositeType(previous.type, varType)) || varType,
+          scope,
+          line: previous?.line || getLineNumber(declarator.location?.start),
+          // Variables with static storage are zero-initialized
+          initialized: !!declarator.init || storageDuration === "static",
+          storageClass: storageClass || previous?.storageClass || null,
+          linkage,
+          storageDuration,
+          isDefined: isDefinition || !!previous?.isDefined,
+          hasInitializer: !!declarator.init || !!previous?.hasInitializer,
+        };
+        declaredSymbols.set(declarator, symbolTable[varKey]);
+        if (varType?.const && !varType.volatile && declarator.init) {
+          const initial = evaluateConstantIn(declarator.init, scopeStack);
+          if (typeof initial.value === "bigint" && isIntegerType(varType)) {
+            knownValues.set(
+              symbolTable[varKey],
+              convertConstant(initial, varType).value
+            );
+          }
+        }
+
+        // Objects with static storage are initialized before the program
+        // runs, so their initializers must be constant
+        if (
+          declarator.init &&
+          storageDuration === "static" &&
+          !isConstantInitializer(declarator.init, scopeStack)
+        ) {
+          errors.push({
+            message: `Initializer element for '${varName}' is not a compile-time constant`,
+            line: getLineNumber(declarator.init.location?.start),
+            code: getCodeLine(declarator.init.location?.start),
+            description: `'${varName}' has static storage duration`,
+          });
+        }
+
+        // If there's an initializer, process it
+        buildSymbolTable(declarator.init, scope, scopeStack);
+      });
+      return;
+    }
+
+    // Handle assignments (to mark variables as initialized)
+    else if (node.type === "AssignmentExpression") {
+      markInitialized(node.left, scope, scopeStack);
+    }
+
+    // Taking the address of a variable (e.g. for scanf) may initialize it
+    else if (node.type === "UnaryExpression" && node.operator === "&") {
+      markInitialized(node.argument, scope, scopeStack);
+    }
+
+    forEachChild(node, (child) => buildSymbolTable(child, scope, scopeStack));
+  };
+
+  // Report a redeclaration whose linkage differs from the earlier one
+  const checkLinkageConflict = (name, previous, linkage, node) => {
+    if (
+      !previous?.linkage ||
+      previous.linkage === "none" ||
+      previous.linkage === linkage
+    ) {
+      return;
+    }
+
+    errors.push({
+      message:
+        linkage === "internal"
+          ? `Static declaration of '${name}' follows non-static declaration`
+          : `Non-static declaration of '${name}' follows static declaration`,
+      line: getLineNumber(node.location?.start),
+      code: getCodeLine(node.location?.start),
+      description: `'${name}' was previously declared on line ${previous.line}`,
+    });
+  };
+
+  // Add a function to the global symbol table. Redeclarations must agree;
+  // the symbol keeps the composite type. Without a storage class a
+  // function keeps the linkage of an earlier declaration.
+  const declareFunction = (
+    functionName,
+    functionType,
+    node,
+    specifiers = { storageClass: null, functionSpecifiers: [] },
+    { isDefinition = false, isBlockScope = false } = {}
+  ) => {
+    const { storageClass, functionSpecifiers } = specifiers;
+    if (
+      ["auto", "register"].includes(storageClass) ||
+      (isBlockScope && storageClass === "static")
+    ) {
+      errors.push({
+        message: `Illegal storage class '${storageClass}' on function '${functionName}'`,
+        line: getLineNumber(node.location?.start),
+        code: getCodeLine(node.location?.start),
+        description: isBlockScope
+          ? "Functions declared inside a block can only be 'extern'"
+          : "Functions can only be 'static' or 'extern'",
+      });
+    }
+
+    const functionKey = getSymbolKey(functionName, "global");
+    const previous = symbolTable[functionKey];
+    if (previous && !areCompatibleTypes(previous.type, functionType)) {
+      errors.push({
+        message: `Conflicting types for '${functionName}'`,
+        line: getLineNumber(node.location?.start),
+        code: getCodeLine(node.location?.start),
+        description: `Previously declared as '${typeToString(
+          previous.type
+        )}', now '${typeToString(functionType)}'`,
+      });
+    }
+
+    const linkage =
+      storageClass === "static" && !isBlockScope
+        ? "internal"
+        : previous?.linkage || "external";
+    checkLinkageConflict(functionName, previous, linkage, node);
+
+    if (isDefinition && previous?.isDefined) {
+      errors.push({
+        message: `Redefinition of function '${functionName}'`,
+        line: getLineNumber(node.location?.start),
+        code: getCodeLine(node.location?.start),
+        description: `'${functionName}' was already defined on line ${previous.line}`,
+      });
+    }
+
+    symbolTable[functionKey] = {
+      name: functionName,
+      type:
+        (previous && compositeType(previous.type, functionType)) ||
+        functionType,
+      scope: "global",
+      line: getLineNumber(node.location?.start),
+      storageClass: storageClass || previous?.storageClass || null,
+      linkage,
+      storageDuration: null,
+      isDefined: isDefinition || !!previous?.isDefined,
+      isInline: functionSpecifiers.includes("inline") || !!previous?.isInline,
+      isNoreturn:
+        functionSpecifiers.includes("_Noreturn") || !!previous?.isNoreturn,
+    };
+  };
+
+  // Resolve an operand of ?:, && or || that may be dead
+  const resolveOperand = (operand, dead, scope, scopeStack) => {
+    if (dead) deadOperandDepth++;
+    resolveTypes(operand, scope, scopeStack);
+    if (dead) deadOperandDepth--;
+  };
+
+  /**
+   * Phase 2: Type Resolution and Initial Type Checking
+   * - Resolves type names
+   * - Performs initial type compatibility checks
+   */
+  const resolveTypes = (node, scope = "global", scopeStack = ["global"]) => {
+    if (!node || typeof node !== "object" || isDeclarationNode(node)) return;
+
+    if (node.type === "VariableDeclaration") {
+      node.declarations.forEach((declarator) => {
+        if (!declarator.init) return;
+        resolveTypes(declarator.init, scope, scopeStack);
+
+        const varName = declarator.id.name;
+        const symbol = symbolTable[getSymbolKey(varName, scope)];
+
+        if (!symbol) return;
+
+        // Check the initializer (and each element of a brace list)
+        // against the declared type
+        checkInitializer(symbol.type, declarator.init, varName, scopeStack);
+      });
+    } else if (node.type === "FunctionDeclaration") {
+      // A redefined body has no scope and is not analyzed
+      const functionScope = nodeScopes.get(node.body);
+      if (!functionScope) return;
+
+      // Resolve types in function body
+      node.body.body.forEach((stmt) =>
+        resolveTypes(stmt, functionScope, getScopeChain(functionScope))
+      );
+    } else if (node.type === "BlockStatement" || node.type === "ForStatement") {
+      const nodeScope = nodeScopes.get(node);
+      forEachChild(node, (child) =>
+        resolveTypes(child, nodeScope, getScopeChain(nodeScope))
+      );
+    } else if (node.type === "MemberExpression") {
+      resolveTypes(node.object, scope, scopeStack);
+      getMemberType(node, scope, scopeStack, true);
     } else if (node.type === "CallExpression") {
-      const funcName = node.callee?.name;
-      const funcSymbol = resolveVariable(funcName, scope, scopeStack);
+      // Process arguments
+      const args = node.arguments;
+      args.forEach((arg) => resolveTypes(arg, scope, scopeStack));
+
+      resolveTypes(node.callee, scope, scopeStack);
+      const funcName = getSourceText(node.callee);
+      const calleeExpressionType = getExpressionType(
+        node.callee,
+        scope,
+        scopeStack
+      );
+      if (!calleeExpressionType) return; // Undefined names are reported in Phase 3
 
-      if (!funcSymbol) {
+      const calleeType = getCalleeType(calleeExpressionType);
+      if (!calleeType) {
         errors.push({
-          message: `Undefined function '${funcName}'`,
+          message: `Called object '${funcName}' is not a function or function pointer`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
-          description: "Function called without declaration",
+          description: `'${funcName}' has type '${typeToString(
+            calleeExpressionType
+          )}'`,
         });
         return;
       }
 
-      // Check argument count
-      const expectedParams = funcSymbol.params || [];
-      const args = node.arguments || [];
+      // Check argument count (variadic functions take extra arguments)
+      const expectedParams = calleeType.params;
 
-      if (args.length !== expectedParams.length) {
+      if (
+        args.length < expectedParams.length ||
+        (args.length > expectedParams.length && !calleeType.variadic)
+      ) {
         errors.push({
-          message: `Function '${funcName}' expects ${expectedParams.length} arguments, got ${args.length}`,
+          message: `Function '${funcName}' expects ${
+            calleeType.variadic ? "at least " : ""
+          }${expectedParams.length} arguments, got ${args.length}`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
           description: "Incorrect number of arguments",
         });
       }
 
-      // Process arguments
-      args.forEach((arg) => resolveTypes(arg, scope, scopeStack));
+      // Check each argument type against parameter type
+      args.forEach((arg, index) => {
+        if (index >= expectedParams.length) return;
+
+        const argType = getExpressionType(arg, scope, scopeStack);
+        const paramType = expectedParams[index].type;
+
+        if (
+          argType &&
+          paramType &&
+          !areTypesCompatible(paramType, argType, arg, scopeStack)
+        ) {
+          errors.push({
+            message: `Argument ${
+              index + 1
+            } type mismatch: expected ${typeToString(
+              paramType
+            )}, got ${typeToString(argType)}`,
+            line: getLineNumber(arg.location?.start),
+            code: getCodeLine(arg.location?.start),
+            description: "Type mismatch in function argument",
+          });
+        } else if (argType && paramType) {
+          checkImplicitConversion(paramType, arg, argType, scopeStack);
+        }
+      });
+
+      // printf/scanf arguments are checked against the format string
+      const format =
+        node.callee?.type === "Identifier" &&
+        Object.prototype.hasOwnProperty.call(formatFunctions, funcName) &&
+        formatFunctions[funcName];
+      if (format) checkFormatArguments(node, format, scope, scopeStack);
     } else if (node.type === "AssignmentExpression") {
       resolveTypes(node.left, scope, scopeStack);
       resolveTypes(node.right, scope, scopeStack);
+      checkUndefinedOperation(node, node.operator.slice(0, -1), scopeStack);
 
       const leftType = getExpressionType(node.left, scope, scopeStack);
       const rightType = getExpressionType(node.right, scope, scopeStack);
 
-      if (leftType && rightType && !areTypesCompatible(leftType, rightType)) {
+      if (
+        node.operator === "=" &&
+        leftType &&
+        rightType &&
+        !areTypesCompatible(leftType, rightType, node.right, scopeStack)
+      ) {
         errors.push({
-          message: `Type mismatch in assignment: cannot assign ${rightType} to ${leftType}`,
+          message: `Type mismatch in assignment: cannot assign ${typeToString(
+            rightType
+          )} to ${typeToString(leftType)}`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
           description: "Type mismatch in assignment",
         });
+      } else if (node.operator === "=" && leftType && rightType) {
+        checkImplicitConversion(leftType, node.right, rightType, scopeStack);
       }
+    } else if (node.type === "ConditionalExpression") {
+      resolveTypes(node.test, scope, scopeStack);
+      const truth = getKnownTruth(node.test, scopeStack);
+      resolveOperand(node.consequent, truth === false, scope, scopeStack);
+      resolveOperand(node.alternate, truth === true, scope, scopeStack);
     } else if (node.type === "BinaryExpression") {
       resolveTypes(node.left, scope, scopeStack);
-      resolveTypes(node.right, scope, scopeStack);
+      // The right operand of && and || does not run once the left one
+      // decides the result
+      const truth = ["&&", "||"].includes(node.operator)
+        ? getKnownTruth(node.left, scopeStack)
+        : null;
+      resolveOperand(
+        node.right,
+        truth === (node.operator === "||"),
+        scope,
+        scopeStack
+      );
 
       const leftType = getExpressionType(node.left, scope, scopeStack);
       const rightType = getExpressionType(node.right, scope, scopeStack);
 
-      // Check for division by zero
+      checkUndefinedOperation(node, node.operator, scopeStack);
+
+      // Constant operands whose result overflows or whose shift count is
+      // out of range
+      reportConstantProblems(
+        evaluateConstantIn(node, scopeStack),
+        ["overflow", "shift"],
+        node
+      );
+
+      if (["<", ">", "<=", ">=", "==", "!="].includes(node.operator)) {
+        checkSignCompare(node, leftType, rightType, scopeStack);
+      }
+
+      // Check the operand types are valid for the operator
       if (
-        node.operator === "/" &&
-        node.right?.type === "NumericLiteral" &&
-        Number(node.right.value) === 0
+        leftType &&
+        rightType &&
+        !binaryResultType(node.operator, leftType, rightType)
       ) {
         errors.push({
-          message: "Division by zero",
+          message: `Invalid operands to binary ${
+            node.operator
+          } (have '${typeToString(leftType)}' and '${typeToString(
+            rightType
+          )}')`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
-          description: "Potential division by zero",
+          description: "Incompatible types in binary operation",
         });
       }
+    } else if (node.type === "Literal" && node.valueType === "char") {
+      // Malformed character constants such as ''
+      reportConstantProblems(evaluateConstantIn(node, scopeStack), ["invalid"]);
+    } else if (node.type === "UnaryExpression" && node.operator === "-") {
+      resolveTypes(node.argument, scope, scopeStack);
+      // Negating the most negative value of a type overflows
+      reportConstantProblems(
+        evaluateConstantIn(node, scopeStack),
+        ["overflow"],
+        node
+      );
+    } else {
+      forEachChild(node, (child) => resolveTypes(child, scope, scopeStack));
+    }
+  };
 
-      // Check type compatibility for operators
-      if (leftType && rightType && !areTypesCompatible(leftType, rightType)) {
-        errors.push({
-          message: `Type mismatch in ${node.operator}: ${leftType} vs ${rightType}`,
-          line: getLineNumber(node.location?.start),
-          code: getCodeLine(node.location?.start),
-          description: "Incompatible types in binary operation",
-        });
+  // Check the variadic arguments of a printf- or scanf-style call against
+  // its format string, when the format is a string literal
+  const checkFormatArguments = (node, format, scope, scopeStack) => {
+    const funcName = node.callee.name;
+    const formatArg = node.arguments[format.formatIndex];
+    if (!isStringLiteral(formatArg)) return;
+
+    const warn = (message, at, description) =>
+      errors.push({
+        message,
+        line: getLineNumber(at.location?.start),
+        code: getCodeLine(at.location?.start),
+        description,
+        severity: "warning",
+      });
+
+    const { expected, problems } = parseFormatString(
+      formatArg.value,
+      format.style
+    );
+    problems.forEach((problem) =>
+      warn(problem, formatArg, `Invalid format string passed to ${funcName}`)
+    );
+
+    const args = node.arguments.slice(format.formatIndex + 1);
+    expected.forEach((expectation, index) => {
+      const arg = args[index];
+      if (!arg) {
+        warn(
+          `Format '${expectation.spec}' has no matching argument`,
+          formatArg,
+          `${funcName} reads more arguments than were passed`
+        );
+        return;
       }
-    } else if (node.type === "Program" && node.body) {
-      const body = Array.isArray(node.body) ? node.body : [node.body];
-      body.forEach((n) => resolveTypes(n, scope, scopeStack));
+
+      const argType = getExpressionType(arg, scope, scopeStack);
+      if (!argType || expectation.accepts(argType)) return;
+
+      // scanf stores through its arguments, so plain variables need '&'
+      const missingAddress =
+        expectation.pointer &&
+        format.style === "scanf" &&
+        !isPointerType(decayType(argType)) &&
+        isLvalue(arg);
+      warn(
+        `Format '${expectation.spec}' expects argument of type '${typeToString(
+          expectation.type
+        )}', but argument ${
+          format.formatIndex + index + 2
+        } has type '${typeToString(argType)}'${
+          missingAddress ? "; did you forget '&'?" : ""
+        }`,
+        arg,
+        "Argument type does not match the conversion specification"
+      );
+    });
+
+    if (problems.length === 0 && args.length > expected.length) {
+      warn(
+        `Too many arguments for format: expected ${expected.length}, got ${args.length}`,
+        args[expected.length],
+        `Extra arguments to ${funcName} are ignored`
+      );
     }
   };
 
+  // Report a store (`action` is "assign to", "increment" or "decrement")
+  // to an lvalue whose type is const: a const variable, a member of a
+  // const object, or an object reached through a pointer to const
+  const checkModifiable = (target, node, action, scope, scopeStack) => {
+    const symbol =
+      target.type === "Identifier" &&
+      resolveVariable(target.name, scope, scopeStack);
+    const type = resolveType(getExpressionType(target, scope, scopeStack));
+    if (!symbol?.isConst && !type?.const) return;
+
+    const [message, description] =
+      target.type === "Identifier"
+        ? [
+            `Cannot ${action} const variable '${target.name}'`,
+            "The variable is declared const",
+          ]
+        : target.type === "MemberExpression"
+        ? [
+            `Cannot ${action} read-only member '${getSourceText(target)}'`,
+            "The member or the object containing it is const",
+          ]
+        : [
+            `Cannot ${action} read-only location '${getSourceText(target)}'`,
+            "The object is reached through a const-qualified type",
+          ];
+    errors.push({
+      message,
+      line: getLineNumber(node.location?.start),
+      code: getCodeLine(node.location?.start),
+      description,
+    });
+  };
+
   /**
    * Phase 3: Semantic Checks
    * - Performs full semantic and usage checks based on the symbol table
    */
   const checkSemantics = (node, scope = "global", scopeStack = ["global"]) => {
-    if (!node || typeof node !== "object") return;
+    if (!node || typeof node !== "object" || isDeclarationNode(node)) return;
+
+    if (node.type === "ExpressionStatement") {
+      markDiscardedStore(node.expression);
+    } else if (node.type === "ForStatement") {
+      markDiscardedStore(node.update);
+    }
+
     if (node.type === "Identifier") {
       const variable = resolveVariable(node.name, scope, scopeStack);
       if (!variable) {
         errors.push({
-          message: `Undefined identifier '${node.name}'`,
+          message: `Undefined identifier '${node.name}'${includeHint(
+            node.name
+          )}`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
           description: "Use of undeclared identifier",
         });
         return;
       }
+      identifierSymbols.set(node, variable);
+      recordUse(variable, storeOnlyIdentifiers.has(node) ? "writes" : "reads");
+    } else if (node.type === "FunctionDeclaration") {
+      const functionScope = nodeScopes.get(node.body);
+      if (!functionScope) return;
 
-      // Check if variable is used before initialization
-      if (!variable.initialized && !variable.type.includes("function")) {
-        errors.push({
-          message: `Use of uninitialized variable '${node.name}'`,
-          line: getLineNumber(node.location?.start),
-          code: getCodeLine(node.location?.start),
-          description: "Variable used before initialization",
-        });
+      node.body.body.forEach((stmt) =>
+        checkSemantics(stmt, functionScope, getScopeChain(functionScope))
+      );
+    } else if (node.type === "BlockStatement" || node.type === "ForStatement") {
+      const nodeScope = nodeScopes.get(node);
+      forEachChild(node, (child) =>
+        checkSemantics(child, nodeScope, getScopeChain(nodeScope))
+      );
+
+      // Check loop condition type
+      if (node.type === "ForStatement") {
+        checkCondition(node.test, getScopeChain(nodeScope), "loop");
       }
+    } else if (node.type === "VariableDeclaration") {
+      node.declarations.forEach((declarator) =>
+        checkSemantics(declarator.init, scope, scopeStack)
+      );
     } else if (node.type === "CallExpression") {
+      // A bare name is reported as an undefined function rather than an
+      // undefined identifier
       const funcName = node.callee?.name;
-      const funcSymbol = resolveVariable(funcName, scope, scopeStack);
-
-      if (!funcSymbol) {
-        errors.push({
-          message: `Undefined function '${funcName}'`,
-          line: getLineNumber(node.location?.start),
-          code: getCodeLine(node.location?.start),
-          description: "Function called without declaration",
-        });
-        return;
-      }
-
-      // Check argument count
-      const expectedParams = funcSymbol.params || [];
-      const args = node.arguments || [];
-
-      if (args.length !== expectedParams.length) {
+      if (
+        node.callee?.type === "Identifier" &&
+        !resolveVariable(funcName, scope, scopeStack)
+      ) {
+        const header = findHeaderFor(funcName);
         errors.push({
-          message: `Function '${funcName}' expects ${expectedParams.length} arguments, got ${args.length}`,
+          message: header
+            ? `Implicit declaration of function '${funcName}'; did you mean to include <${header}>?`
+            : `Undefined function '${funcName}'`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
-          description: "Incorrect number of arguments",
+          description: header
+            ? `'${funcName}' is declared in <${header}>`
+            : "Function called without declaration",
         });
+      } else {
+        checkSemantics(node.callee, scope, scopeStack);
       }
 
-      // Process arguments and check for undefined identifiers
-      args.forEach((arg, index) => {
-        resolveTypes(arg, scope, scopeStack);
-
-        // Check if argument is a direct identifier and validate it exists
-        if (arg.type === "Identifier") {
-          const argVar = resolveVariable(arg.name, scope, scopeStack);
-          if (!argVar) {
-            errors.push({
-              message: `Undefined identifier '${arg.name}' in function call`,
-              line: getLineNumber(arg.location?.start),
-              code: getCodeLine(arg.location?.start),
-              description: "Use of undeclared identifier in function argument",
-            });
-          }
-        }
-      });
+      // Check the argument expressions
+      node.arguments.forEach((arg) => checkSemantics(arg, scope, scopeStack));
     } else if (node.type === "BinaryExpression") {
       checkSemantics(node.left, scope, scopeStack);
       checkSemantics(node.right, scope, scopeStack);
@@ -720,24 +2606,22 @@ export const semanticAnalyzer = (ast, code) => {
         const rightType = getExpressionType(node.right, scope, scopeStack);
 
         // Logical operators typically operate on int/boolean values in C
-        if (
-          leftType &&
-          !["int", "char", "float", "double"].includes(leftType)
-        ) {
+        if (leftType && !isScalarType(decayType(leftType))) {
           errors.push({
-            message: `Invalid operand to logical operator '${node.operator}': ${leftType}`,
+            message: `Invalid operand to logical operator '${
+              node.operator
+            }': ${typeToString(leftType)}`,
             line: getLineNumber(node.left.location?.start),
             code: getCodeLine(node.left.location?.start),
             description: "Non-scalar used in logical operation",
           });
         }
 
-        if (
-          rightType &&
-          !["int", "char", "float", "double"].includes(rightType)
-        ) {
+        if (rightType && !isScalarType(decayType(rightType))) {
           errors.push({
-            message: `Invalid operand to logical operator '${node.operator}': ${rightType}`,
+            message: `Invalid operand to logical operator '${
+              node.operator
+            }': ${typeToString(rightType)}`,
             line: getLineNumber(node.right.location?.start),
             code: getCodeLine(node.right.location?.start),
             description: "Non-scalar used in logical operation",
@@ -745,224 +2629,928 @@ export const semanticAnalyzer = (ast, code) => {
         }
       }
     } else if (node.type === "ArrayAccess") {
-      const arrayName = node.array?.name;
-      const array = resolveVariable(arrayName, scope, scopeStack);
+      let arrayType;
+      if (node.array?.type === "Identifier") {
+        const arrayName = node.array.name;
+        const array = resolveVariable(arrayName, scope, scopeStack);
+
+        if (!array) {
+          errors.push({
+            message: `Undefined array '${arrayName}'`,
+            line: getLineNumber(node.location?.start),
+            code: getCodeLine(node.location?.start),
+            description: "Use of undeclared array",
+          });
+          return;
+        }
+        identifierSymbols.set(node.array, array);
+        recordUse(array, "reads");
+        arrayType = resolveType(array.type);
+      } else {
+        // Indexing the result of another expression, e.g. "s.items[i]"
+        checkSemantics(node.array, scope, scopeStack);
+        arrayType = resolveType(
+          getExpressionType(node.array, scope, scopeStack)
+        );
+      }
+
+      if (arrayType && !isArrayType(arrayType) && !isPointerType(arrayType)) {
+        errors.push({
+          message: `Invalid array access on non-array '${getSourceText(
+            node.array
+          )}'`,
+          line: getLineNumber(node.location?.start),
+          code: getCodeLine(node.location?.start),
+          description: "Array access on non-array type",
+        });
+      }
+
+      checkSemantics(node.index, scope, scopeStack);
+      const indexType = getExpressionType(node.index, scope, scopeStack);
+      if (indexType && !isIntegerType(indexType)) {
+        errors.push({
+          message: `Array index must be integer, got ${typeToString(
+            indexType
+          )}`,
+          line: getLineNumber(node.index?.location?.start),
+          code: getCodeLine(node.index?.location?.start),
+          description: "Invalid array index type",
+        });
+      }
+
+      // Check for constant array index out of bounds
+      const arraySize = isArrayType(arrayType) ? arrayType.length : null;
+      const indexValue = getConstantValue(node.index, scopeStack);
+      if (
+        arraySize &&
+        indexValue !== null &&
+        (indexValue < 0 || indexValue >= arraySize)
+      ) {
+        errors.push({
+          message: `Array index ${indexValue} out of bounds for array of size ${arraySize}`,
+          line: getLineNumber(node.index.location?.start),
+          code: getCodeLine(node.index.location?.start),
+          description: "Array index out of bounds",
+          cwe: writtenElements.has(node) ? "CWE-787" : "CWE-125",
+        });
+      }
+    } else if (node.type === "AssignmentExpression") {
+      if (node.operator === "=" && node.left?.type === "Identifier") {
+        storeOnlyIdentifiers.add(node.left);
+      }
+      if (node.left?.type === "ArrayAccess") writtenElements.add(node.left);
+      checkSemantics(node.left, scope, scopeStack);
+      checkSemantics(node.right, scope, scopeStack);
 
-      if (!array) {
+      checkModifiable(node.left, node, "assign to", scope, scopeStack);
+    } else if (node.type === "ReturnStatement") {
+      // The function scope is the one entered from the global scope
+      const functionScope = scopeStack[1];
+      if (!functionScope) {
         errors.push({
-          message: `Undefined array '${arrayName}'`,
+          message: "Return statement outside function",
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
-          description: "Use of undeclared array",
+          description: "Return statements must be inside functions",
         });
         return;
       }
 
-      if (!array.isArray) {
+      const functionSymbol = symbolTable[getSymbolKey(functionScope, "global")];
+      if (!isFunctionType(functionSymbol?.type)) return;
+      const expectedType = resolveType(functionSymbol.type).returnType;
+
+      if (functionSymbol.isNoreturn) {
         errors.push({
-          message: `Invalid array access on non-array '${arrayName}'`,
+          message: `Function '${functionScope}' declared '_Noreturn' should not return`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
-          description: "Array access on non-array type",
+          description: "A _Noreturn function must not return to its caller",
+          severity: "warning",
+        });
+      }
+
+      // Check return type
+      if (node.argument) {
+        checkSemantics(node.argument, scope, scopeStack);
+        const returnType = getExpressionType(node.argument, scope, scopeStack);
+
+        if (
+          returnType &&
+          !areTypesCompatible(
+            expectedType,
+            returnType,
+            node.argument,
+            scopeStack
+          )
+        ) {
+          errors.push({
+            message: `Return type mismatch: expected ${typeToString(
+              expectedType
+            )}, got ${typeToString(returnType)}`,
+            line: getLineNumber(node.location?.start),
+            code: getCodeLine(node.location?.start),
+            description: "Incorrect return type",
+          });
+        } else if (returnType) {
+          checkImplicitConversion(
+            expectedType,
+            node.argument,
+            returnType,
+            scopeStack
+          );
+        }
+      } else if (!isVoidType(expectedType)) {
+        errors.push({
+          message: `Missing return value for ${typeToString(
+            expectedType
+          )} function`,
+          line: getLineNumber(node.location?.start),
+          code: getCodeLine(node.location?.start),
+          description: "Non-void function requires return value",
+        });
+      }
+    } else if (
+      node.type === "WhileStatement" ||
+      node.type === "DoWhileStatement"
+    ) {
+      checkSemantics(node.test, scope, scopeStack);
+      checkCondition(node.test, scopeStack, "loop");
+      checkSemantics(node.body, scope, scopeStack);
+    } else if (node.type === "IfStatement") {
+      checkSemantics(node.test, scope, scopeStack);
+      checkCondition(node.test, scopeStack, "if");
+
+      // Process consequent and alternate
+      checkSemantics(node.consequent, scope, scopeStack);
+      checkSemantics(node.alternate, scope, scopeStack);
+    } else if (node.type === "SwitchStatement") {
+      // Check switch expression type
+      checkSemantics(node.discriminant, scope, scopeStack);
+      const exprType = getExpressionType(node.discriminant, scope, scopeStack);
+
+      if (exprType && !isIntegerType(exprType)) {
+        errors.push({
+          message: `Switch expression must be integer type, got ${typeToString(
+            exprType
+          )}`,
+          line: getLineNumber(node.discriminant.location?.start),
+          code: getCodeLine(node.discriminant.location?.start),
+          description: "Invalid switch expression type",
+        });
+      }
+
+      // Process cases
+      node.cases.forEach((caseNode) =>
+        checkSemantics(caseNode, scope, scopeStack)
+      );
+
+      // Case labels are integer constants converted to the promoted type
+      // of the switch expression, and no two may be equal
+      const caseType =
+        exprType && isIntegerType(exprType) ? promoteType(exprType) : null;
+      const seenValues = new Map();
+      node.cases.forEach((switchCase) => {
+        if (!switchCase.test) return;
+
+        const result = evaluateConstantIn(switchCase.test, scopeStack);
+        if (
+          requireIntegerConstant(
+            switchCase.test,
+            result,
+            "Case label does not reduce to an integer constant"
+          ) === null
+        ) {
+          return;
+        }
+
+        const value = caseType
+          ? convertConstant(result, caseType).value
+          : result.value;
+        if (seenValues.has(value)) {
+          errors.push({
+            message: `Duplicate case value '${value}'`,
+            line: getLineNumber(switchCase.location?.start),
+            code: getCodeLine(switchCase.location?.start),
+            description: `Case value already used on line ${getLineNumber(
+              seenValues.get(value).location?.start
+            )}`,
+          });
+          return;
+        }
+        seenValues.set(value, switchCase);
+      });
+    } else if (node.type === "LabeledStatement") {
+      checkSemantics(node.body, scope, scopeStack);
+    } else if (node.type === "GotoStatement") {
+      return; // Labels are checked with the jump statements
+    } else if (node.type === "UpdateExpression") {
+      checkSemantics(node.argument, scope, scopeStack);
+
+      if (!isLvalue(node.argument)) {
+        errors.push({
+          message: `Invalid operand to '${node.operator}': expression is not assignable`,
+          line: getLineNumber(node.location?.start),
+          code: getCodeLine(node.location?.start),
+          description: "Increment and decrement require a modifiable lvalue",
+        });
+      } else {
+        checkModifiable(
+          node.argument,
+          node,
+          node.operator === "++" ? "increment" : "decrement",
+          scope,
+          scopeStack
+        );
+      }
+    } else if (node.type === "SizeofExpression") {
+      // The operand is not evaluated, but it must still be declared.
+      // Naming a variable here still counts as using it.
+      const operand =
+        node.argument?.type === "Identifier" &&
+        resolveVariable(node.argument.name, scope, scopeStack);
+      if (operand) {
+        recordUse(operand, "reads");
+      } else if (node.argument?.type === "Identifier") {
+        errors.push({
+          message: `Undefined identifier '${node.argument.name}'${includeHint(
+            node.argument.name
+          )}`,
+          line: getLineNumber(node.argument.location?.start),
+          code: getCodeLine(node.argument.location?.start),
+          description: "Use of undeclared identifier",
+        });
+      }
+    } else if (node.type === "UnaryExpression") {
+      checkSemantics(node.argument, scope, scopeStack);
+
+      // Check address-of operator
+      if (node.operator === "&") {
+        // The variable may now be read or written through the pointer
+        let base = node.argument;
+        while (
+          base?.type === "ArrayAccess" ||
+          (base?.type === "MemberExpression" && base.operator === ".")
+        ) {
+          base = base.type === "ArrayAccess" ? base.array : base.object;
+        }
+        const baseSymbol = identifierSymbols.get(base);
+        if (baseSymbol) symbolUses.get(baseSymbol).addressTaken = true;
+
+        const operand =
+          node.argument?.type === "Identifier" &&
+          resolveVariable(node.argument.name, scope, scopeStack);
+        if (operand?.storageClass === "register") {
+          errors.push({
+            message: `Address of register variable '${node.argument.name}' requested`,
+            line: getLineNumber(node.location?.start),
+            code: getCodeLine(node.location?.start),
+            description: "Variables declared 'register' have no address",
+          });
+        } else if (
+          node.argument?.type !== "Identifier" &&
+          node.argument?.type !== "MemberExpression" &&
+          node.argument?.type !== "ArrayAccess"
+        ) {
+          errors.push({
+            message: "Cannot take address of rvalue",
+            line: getLineNumber(node.location?.start),
+            code: getCodeLine(node.location?.start),
+            description: "Invalid operand to address-of operator",
+          });
+        }
+      }
+
+      // Check dereference operator
+      else if (node.operator === "*") {
+        const argType = getExpressionType(node.argument, scope, scopeStack);
+        if (argType && !isPointerType(decayType(argType))) {
+          errors.push({
+            message: `Cannot dereference non-pointer type ${typeToString(
+              argType
+            )}`,
+            line: getLineNumber(node.location?.start),
+            code: getCodeLine(node.location?.start),
+            description: "Dereferencing non-pointer type",
+          });
+        }
+      }
+    } else {
+      forEachChild(node, (child) => checkSemantics(child, scope, scopeStack));
+    }
+  };
+
+  // Check that a loop or if condition has scalar type
+  const checkCondition = (test, scopeStack, statement) => {
+    if (!test) return;
+
+    const scope = scopeStack[scopeStack.length - 1];
+    const testType = getExpressionType(test, scope, scopeStack);
+    if (testType && !isScalarType(decayType(testType))) {
+      errors.push({
+        message: `Condition must be scalar type, got ${typeToString(testType)}`,
+        line: getLineNumber(test.location?.start),
+        code: getCodeLine(test.location?.start),
+        description: `Non-scalar used in ${statement} condition`,
+      });
+    }
+  };
+
+  /**
+   * Jump statement checks
+   * - break/continue must appear inside a loop (break also inside a switch)
+   * - a switch has at most one default label
+   * - goto targets must be labels defined in the same function
+   */
+  const checkJumpStatements = (
+    node,
+    context = { loops: 0, switches: 0, labels: null, gotos: null }
+  ) => {
+    if (!node || typeof node !== "object") return;
+
+    const visit = (child, childContext = context) =>
+      checkJumpStatements(child, childContext);
+
+    switch (node.type) {
+      case "Program":
+      case "BlockStatement":
+        node.body?.forEach((stmt) => visit(stmt));
+        break;
+
+      case "FunctionDeclaration": {
+        if (!node.body) break;
+
+        const functionContext = {
+          loops: 0,
+          switches: 0,
+          labels: new Map(),
+          gotos: [],
+        };
+        visit(node.body, functionContext);
+
+        functionContext.gotos.forEach((gotoNode) => {
+          if (!functionContext.labels.has(gotoNode.label.name)) {
+            errors.push({
+              message: `Use of undeclared label '${gotoNode.label.name}'`,
+              line: getLineNumber(gotoNode.location?.start),
+              code: getCodeLine(gotoNode.location?.start),
+              description: `goto target is not defined in function '${node.id?.name}'`,
+            });
+          }
         });
+        break;
       }
 
-      checkSemantics(node.index, scope, scopeStack);
-      const indexType = getExpressionType(node.index, scope, scopeStack);
-      if (indexType && !["int", "char"].includes(indexType)) {
-        errors.push({
-          message: `Array index must be integer, got ${indexType}`,
-          line: getLineNumber(node.index?.location?.start),
-          code: getCodeLine(node.index?.location?.start),
-          description: "Invalid array index type",
+      case "IfStatement":
+        visit(node.consequent);
+        visit(node.alternate);
+        break;
+
+      case "WhileStatement":
+      case "DoWhileStatement":
+      case "ForStatement":
+        visit(node.body, { ...context, loops: context.loops + 1 });
+        break;
+
+      case "SwitchStatement": {
+        let defaultCase = null;
+
+        node.cases?.forEach((switchCase) => {
+          if (!switchCase.test) {
+            if (defaultCase) {
+              errors.push({
+                message: "Multiple default labels in one switch",
+                line: getLineNumber(switchCase.location?.start),
+                code: getCodeLine(switchCase.location?.start),
+                description: `Previous default label is on line ${getLineNumber(
+                  defaultCase.location?.start
+                )}`,
+              });
+            }
+            defaultCase = defaultCase || switchCase;
+          }
         });
+
+        const switchContext = { ...context, switches: context.switches + 1 };
+        node.cases?.forEach((switchCase) =>
+          switchCase.consequent?.forEach((stmt) => visit(stmt, switchContext))
+        );
+        break;
       }
 
-      // Check for constant array index out of bounds
-      if (array.arraySize && node.index?.type === "NumericLiteral") {
-        const indexValue = parseInt(node.index.value);
-        if (
-          !isNaN(indexValue) &&
-          (indexValue < 0 || indexValue >= array.arraySize)
-        ) {
+      case "LabeledStatement": {
+        const name = node.label.name;
+        if (context.labels?.has(name)) {
           errors.push({
-            message: `Array index ${indexValue} out of bounds for array of size ${array.arraySize}`,
-            line: getLineNumber(node.index.location?.start),
-            code: getCodeLine(node.index.location?.start),
-            description: "Array index out of bounds",
+            message: `Redefinition of label '${name}'`,
+            line: getLineNumber(node.location?.start),
+            code: getCodeLine(node.location?.start),
+            description: `Label previously defined on line ${getLineNumber(
+              context.labels.get(name).location?.start
+            )}`,
           });
+        } else {
+          context.labels?.set(name, node);
         }
+        visit(node.body);
+        break;
       }
-    } else if (node.type === "AssignmentExpression") {
-      checkSemantics(node.left, scope, scopeStack);
-      checkSemantics(node.right, scope, scopeStack);
 
-      // Check for assignment to const or read-only values
-      if (node.left?.type === "Identifier") {
-        const leftVar = resolveVariable(node.left.name, scope, scopeStack);
-        if (leftVar && leftVar.isConst) {
+      case "GotoStatement":
+        context.gotos?.push(node);
+        break;
+
+      case "BreakStatement":
+        if (context.loops === 0 && context.switches === 0) {
           errors.push({
-            message: `Cannot assign to const variable '${node.left.name}'`,
+            message: "'break' statement not in loop or switch statement",
             line: getLineNumber(node.location?.start),
             code: getCodeLine(node.location?.start),
-            description: "Assignment to read-only variable",
+            description: "break can only exit a loop or switch",
           });
         }
-      }
-    } else if (node.type === "ReturnStatement") {
-      // Find the function scope
-      const functionScope = scopeStack.find((s) => !s.startsWith("block_"));
-      if (functionScope === "global") {
-        errors.push({
-          message: "Return statement outside function",
-          line: getLineNumber(node.location?.start),
-          code: getCodeLine(node.location?.start),
-          description: "Return statements must be inside functions",
-        });
-        return;
-      }
+        break;
 
-      const functionSymbol = Object.values(symbolTable).find(
-        (s) => s.name === functionScope && s.type.includes("function")
-      );
-
-      if (!functionSymbol) return;
-
-      // Check return type
-      if (node.argument) {
-        checkSemantics(node.argument, scope, scopeStack);
-        const returnType = getExpressionType(node.argument, scope, scopeStack);
-
-        if (
-          returnType &&
-          !areTypesCompatible(functionSymbol.returnType, returnType)
-        ) {
+      case "ContinueStatement":
+        if (context.loops === 0) {
           errors.push({
-            message: `Return type mismatch: expected ${functionSymbol.returnType}, got ${returnType}`,
+            message: "'continue' statement not in loop statement",
             line: getLineNumber(node.location?.start),
             code: getCodeLine(node.location?.start),
-            description: "Incorrect return type",
+            description: "continue can only be used inside a loop",
           });
         }
-      } else if (functionSymbol.returnType !== "void") {
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Control-flow graph of each function definition, for the flow
+   * analyses below. Loop conditions are folded where they are constant
+   * and calls to _Noreturn functions end their path. Redefined bodies are
+   * not analyzed.
+   */
+  const buildFunctionGraphs = (ast) =>
+    ast.body
+      .filter(
+        (node) =>
+          node.type === "FunctionDeclaration" && nodeScopes.has(node.body)
+      )
+      .map((fn) => {
+        const scopeStack = getScopeChain(nodeScopes.get(fn.body));
+        const graph = buildControlFlowGraph(fn, code, {
+          constantCondition: (test) => {
+            const { value } = evaluateConstantIn(test, scopeStack);
+            return value === null ? null : Number(value) !== 0;
+          },
+          isNoreturnCall: (call) =>
+            call.callee.type === "Identifier" &&
+            !!resolveVariable(call.callee.name, null, scopeStack)?.isNoreturn,
+        });
+        return { fn, graph };
+      });
+
+  // Describe a branch taken, e.g. "'n > 0' is false"; `at` is placed
+  // after the condition
+  const describeBranch = (condition, label, at = "") => {
+    const tested = `'${statementText(condition, code)}'${at}`;
+    return ["true", "false"].includes(label)
+      ? `${tested} is ${label}`
+      : `switch on ${tested} takes '${label}'`;
+  };
+
+  // Describe the branches of a path, e.g. "'n > 0' (line 5) is false"
+  const describePath = (path) =>
+    path
+      .map(({ condition, label }) =>
+        describeBranch(
+          condition,
+          label,
+          ` (line ${getLineNumber(condition.location?.start)})`
+        )
+      )
+      .join(", then ");
+
+  /**
+   * Definite assignment: reads of local variables before they are
+   * assigned, found by a dataflow analysis over each function's control
+   * flow. A read that no path assigns first is an error; one that only
+   * some paths leave unassigned is a warning naming such a path.
+   */
+  const checkUninitializedReads = (functionGraphs) => {
+    functionGraphs.forEach(({ graph }) => {
+      const reads = findUninitializedReads(graph, {
+        symbolOf: (identifier) => identifierSymbols.get(identifier),
+        declaredSymbol: (declarator) => declaredSymbols.get(declarator),
+        isTracked: (symbol) =>
+          symbol.storageDuration === "automatic" &&
+          !isArrayType(symbol.type) &&
+          !isFunctionType(symbol.type),
+      });
+
+      reads.forEach(({ node: read, symbol, definite, path }) => {
+        const declared = `'${symbol.name}' is declared on line ${symbol.line}`;
         errors.push({
-          message: `Missing return value for ${functionSymbol.returnType} function`,
-          line: getLineNumber(node.location?.start),
-          code: getCodeLine(node.location?.start),
-          description: "Non-void function requires return value",
+          message: definite
+            ? `Use of uninitialized variable '${symbol.name}'`
+            : `Variable '${symbol.name}' may be used uninitialized`,
+          line: getLineNumber(read.location?.start),
+          code: getCodeLine(read.location?.start),
+          description: definite
+            ? `${declared} and no path assigns it before this use`
+            : path.length > 0
+            ? `${declared} and is not assigned when ${describePath(path)}`
+            : `${declared} and is only assigned on some paths to this use`,
+          ...(!definite && { severity: "warning" }),
+        });
+      });
+    });
+  };
+
+  /**
+   * Reachability over each function's control flow:
+   * - a non-void function (other than main) whose end can be reached
+   *   falls off without returning a value
+   * - a _Noreturn function must not reach its end either
+   * - statements no path reaches are unreachable code, reported once per
+   *   region with its source range so the UI can grey it out
+   */
+  const checkReachability = (functionGraphs) => {
+    functionGraphs.forEach(({ fn, graph }) => {
+      const blocks = Object.fromEntries(graph.blocks.map((b) => [b.id, b]));
+      const reachable = new Set();
+      const visit = (id) => {
+        if (reachable.has(id)) return;
+        reachable.add(id);
+        blocks[id].successors.forEach(({ to }) => visit(to));
+      };
+      visit(graph.entry);
+
+      // Paths that reach the exit without a return statement
+      const fallsOff = blocks[graph.exit].predecessors.some((id) => {
+        const { statements } = blocks[id];
+        return (
+          reachable.has(id) &&
+          statements[statements.length - 1]?.type !== "ReturnStatement"
+        );
+      });
+      const name = fn.id.name;
+      const symbol = symbolTable[getSymbolKey(name, "global")];
+      const closingBrace = fn.body.location.end - 1;
+      const atEnd = {
+        line: getLineNumber(closingBrace),
+        code: getCodeLine(closingBrace),
+        range: { start: closingBrace, end: fn.body.location.end },
+        severity: "warning",
+      };
+      if (fallsOff && symbol?.isNoreturn) {
+        errors.push({
+          message: `Function '${name}' declared '_Noreturn' can reach the end of its body`,
+          description: "A _Noreturn function must not return to its caller",
+          ...atEnd,
+        });
+      } else if (
+        fallsOff &&
+        name !== "main" &&
+        isFunctionType(symbol?.type) &&
+        !isVoidType(resolveType(symbol.type).returnType)
+      ) {
+        errors.push({
+          message: `Control reaches end of non-void function '${name}'`,
+          description:
+            "Some path through the function ends without returning a value; using the result is undefined",
+          ...atEnd,
         });
       }
-    } else if (node.type === "ForStatement" || node.type === "WhileStatement") {
-      // Check condition type
-      if (node.test) {
-        checkSemantics(node.test, scope, scopeStack);
-        const testType = getExpressionType(node.test, scope, scopeStack);
 
+      // Group unreachable blocks into regions: each region grows from its
+      // first block in source order through the blocks it leads to
+      const unreachable = graph.blocks
+        .filter((block) => block.location && !reachable.has(block.id))
+        .sort((a, b) => a.location.start - b.location.start);
+      const assigned = new Set();
+      unreachable.forEach((first) => {
+        if (assigned.has(first.id)) return;
+        const region = [];
+        const grow = (block) => {
+          if (assigned.has(block.id) || reachable.has(block.id)) return;
+          if (!block.location) return;
+          assigned.add(block.id);
+          region.push(block);
+          block.successors.forEach(({ to }) => grow(blocks[to]));
+        };
+        grow(first);
+
+        // A break after a return, as in "case 1: return x; break;", is
+        // harmless
+        const statements = region.flatMap((block) => block.statements);
         if (
-          testType &&
-          !["int", "char", "float", "double", "bool"].includes(testType) &&
-          !testType.endsWith("*")
+          statements.every((statement) =>
+            ["BreakStatement", "EmptyStatement"].includes(statement.type)
+          )
         ) {
-          errors.push({
-            message: `Condition must be scalar type, got ${testType}`,
-            line: getLineNumber(node.test.location?.start),
-            code: getCodeLine(node.test.location?.start),
-            description: "Non-scalar used in loop condition",
-          });
+          return;
         }
-      }
 
-      // Process other parts of the loop
-      if (node.init) checkSemantics(node.init, scope, scopeStack);
-      if (node.update) checkSemantics(node.update, scope, scopeStack);
-      if (node.body) {
-        const body = Array.isArray(node.body) ? node.body : [node.body];
-        body.forEach((stmt) => checkSemantics(stmt, scope, scopeStack));
-      }
-    } else if (node.type === "IfStatement") {
-      // Check condition type
-      if (node.test) {
-        checkSemantics(node.test, scope, scopeStack);
-        const testType = getExpressionType(node.test, scope, scopeStack);
+        const start = Math.min(...region.map((block) => block.location.start));
+        const end = Math.max(...region.map((block) => block.location.end));
+        errors.push({
+          message: "Unreachable code",
+          line: getLineNumber(start),
+          code: getCodeLine(start),
+          description: `No path from the start of '${name}' reaches this code, so it never runs`,
+          severity: "warning",
+          range: { start, end },
+          endLine: getLineNumber(end),
+          unreachable: true,
+        });
+      });
+    });
+  };
+
+  /**
+   * Liveness: stores to local variables whose value no path reads before
+   * it is overwritten or the function returns. Variables that are never
+   * read are already reported as set but not used, and variables whose
+   * address is taken may be read through a pointer, so neither is
+   * checked. A constant initializer such as "int n = 0;" is a common
+   * defensive habit and is not reported either.
+   */
+  const checkDeadStores = (functionGraphs) => {
+    if (warnings.deadStore === false) return;
+    functionGraphs.forEach(({ graph }) => {
+      const deadStores = findDeadStores(graph, {
+        symbolOf: (identifier) => identifierSymbols.get(identifier),
+        declaredSymbol: (declarator) => declaredSymbols.get(declarator),
+        isTracked: (symbol) =>
+          symbol.storageDuration === "automatic" &&
+          !isArrayType(symbol.type) &&
+          !isFunctionType(symbol.type) &&
+          !symbol.type?.volatile &&
+          symbolUses.get(symbol)?.reads > 0 &&
+          !symbolUses.get(symbol).addressTaken,
+      });
 
+      deadStores.forEach(({ node, symbol }) => {
+        const isInitializer = node.type === "VariableDeclarator";
         if (
-          testType &&
-          !["int", "char", "float", "double", "bool"].includes(testType) &&
-          !testType.endsWith("*")
+          isInitializer &&
+          evaluateConstantIn(node.init, getScopeChain(symbol.scope)).value !==
+            null
         ) {
-          errors.push({
-            message: `Condition must be scalar type, got ${testType}`,
-            line: getLineNumber(node.test.location?.start),
-            code: getCodeLine(node.test.location?.start),
-            description: "Non-scalar used in if condition",
-          });
+          return;
         }
-      }
+        errors.push({
+          message: isInitializer
+            ? `Value stored to '${symbol.name}' during its initialization is never read`
+            : `Value stored to '${symbol.name}' is never read`,
+          line: getLineNumber(node.location?.start),
+          code: getCodeLine(node.location?.start),
+          description: `'${symbol.name}' is assigned again or goes out of scope before this value is read`,
+          severity: "warning",
+        });
+      });
+    });
+  };
 
-      // Process consequent and alternate
-      if (node.consequent) checkSemantics(node.consequent, scope, scopeStack);
-      if (node.alternate) checkSemantics(node.alternate, scope, scopeStack);
-    } else if (node.type === "SwitchStatement") {
-      // Check switch expression type
-      if (node.discriminant) {
-        checkSemantics(node.discriminant, scope, scopeStack);
-        const exprType = getExpressionType(
-          node.discriminant,
-          scope,
-          scopeStack
-        );
+  // Local pointers whose value the pointer analyses can follow: their
+  // address is never taken, so nothing else can change them
+  const isTrackedPointer = (symbol) =>
+    symbol.storageDuration === "automatic" &&
+    isPointerType(resolveType(symbol.type)) &&
+    !symbolUses.get(symbol)?.addressTaken;
+
+  // The standard library function a call invokes, if any
+  const libraryFunctionSymbol = (call) => {
+    const symbol =
+      call.callee.type === "Identifier" && identifierSymbols.get(call.callee);
+    return symbol?.scope === "builtin" ? symbol : null;
+  };
 
-        if (exprType && !["int", "char", "enum"].includes(exprType)) {
-          errors.push({
-            message: `Switch expression must be integer type, got ${exprType}`,
-            line: getLineNumber(node.discriminant.location?.start),
-            code: getCodeLine(node.discriminant.location?.start),
-            description: "Invalid switch expression type",
-          });
-        }
-      }
+  // Dereferences reported by the heap check
+  const heapDereferences = new Set();
 
-      // Process cases
-      if (node.cases) {
-        node.cases.forEach((caseNode) =>
-          checkSemantics(caseNode, scope, scopeStack)
-        );
+  /**
+   * Heap lifetimes: memory from malloc and friends followed through
+   * local pointers along each path of a function. Leaks, double frees,
+   * uses after free, unchecked dereferences and frees of memory that is
+   * not on the heap are reported with the path that shows them as
+   * `witness`, a list of { line, note } steps.
+   */
+  const checkHeapLifetimes = (functionGraphs) => {
+    // What a pointer expression points to when it is not heap memory
+    const nonHeapSource = (node) => {
+      if (node.type === "Literal" && node.valueType === "string") {
+        return "a string literal";
       }
-    } else if (node.type === "UnaryExpression") {
-      checkSemantics(node.argument, scope, scopeStack);
+      let base =
+        node.type === "UnaryExpression" && node.operator === "&"
+          ? node.argument
+          : node;
+      while (
+        base?.type === "ArrayAccess" ||
+        (base?.type === "MemberExpression" && base.operator === ".")
+      ) {
+        base = base.type === "ArrayAccess" ? base.array : base.object;
+      }
+      const symbol = base?.type === "Identifier" && identifierSymbols.get(base);
+      if (!symbol?.storageDuration) return null;
+      const storage =
+        symbol.storageDuration === "automatic" ? "local" : "static";
+      if (base !== node) return `the address of ${storage} '${symbol.name}'`;
+      return isArrayType(symbol.type)
+        ? `${storage} array '${symbol.name}'`
+        : null;
+    };
+
+    // Message and explanation of each kind of problem; the line is that
+    // of the allocation involved
+    const heapProblems = {
+      leak: {
+        message: ({ symbol }, line) =>
+          symbol
+            ? `Potential leak of memory pointed to by '${symbol.name}'`
+            : `Potential leak of memory allocated on line ${line}`,
+        description:
+          "Heap memory must be freed before the last pointer to it is gone",
+      },
+      lostLeak: {
+        message: (problem, line) =>
+          `Potential leak of memory allocated on line ${line}`,
+        description:
+          "Heap memory must be freed before the last pointer to it is gone",
+      },
+      doubleFree: {
+        message: ({ symbol }) => `Double free of '${symbol.name}'`,
+        description: "Freeing the same memory twice corrupts the heap",
+      },
+      useAfterFree: {
+        message: ({ symbol }) => `Use of '${symbol.name}' after it is freed`,
+        description: "Freed memory may already be reused by other allocations",
+      },
+      uncheckedDeref: {
+        message: ({ symbol }, line) =>
+          `Dereference of '${symbol.name}', which is NULL if the allocation on line ${line} fails`,
+        description:
+          "Allocation functions return NULL when out of memory; check the result first",
+      },
+      freeNonHeap: {
+        message: ({ source }) =>
+          `Call to free() on ${source}, which is not heap memory`,
+        description:
+          "free() only accepts memory from malloc, calloc or realloc",
+      },
+    };
+
+    functionGraphs.forEach(({ graph }) => {
+      const problems = findHeapProblems(graph, {
+        symbolOf: (identifier) => identifierSymbols.get(identifier),
+        declaredSymbol: (declarator) => declaredSymbols.get(declarator),
+        isTracked: isTrackedPointer,
+        libraryFunction: (call) => libraryFunctionSymbol(call)?.name || null,
+        nonHeapSource,
+      });
 
-      // Check address-of operator
-      if (node.operator === "&") {
-        if (
-          node.argument?.type !== "Identifier" &&
-          node.argument?.type !== "MemberExpression" &&
-          node.argument?.type !== "ArrayAccess"
-        ) {
-          errors.push({
-            message: "Cannot take address of rvalue",
-            line: getLineNumber(node.location?.start),
-            code: getCodeLine(node.location?.start),
-            description: "Invalid operand to address-of operator",
-          });
+      problems.forEach((problem) => {
+        const witness = problem.witness.map(({ node, note, label }) => ({
+          line: getLineNumber(node.location?.start),
+          note: label ? describeBranch(node, label) : note,
+        }));
+        const { message, description } = heapProblems[problem.kind];
+        errors.push({
+          message: message(
+            problem,
+            getLineNumber(problem.allocation?.location?.start)
+          ),
+          line: getLineNumber(problem.node.location?.start),
+          code: getCodeLine(problem.node.location?.start),
+          description,
+          severity: "warning",
+          witness,
+        });
+        if (["uncheckedDeref", "useAfterFree"].includes(problem.kind)) {
+          heapDereferences.add(problem.node);
         }
+      });
+    });
+  };
+
+  /**
+   * Nullness: dereferences of local pointers that are NULL on some path,
+   * from a NULL stored in them, a library call that can return NULL, or
+   * a comparison with NULL. Dereferences the heap check has already
+   * reported are skipped.
+   */
+  const checkNullDereferences = (functionGraphs) => {
+    functionGraphs.forEach(({ graph }) => {
+      const dereferences = findNullDereferences(graph, {
+        symbolOf: (identifier) => identifierSymbols.get(identifier),
+        declaredSymbol: (declarator) => declaredSymbols.get(declarator),
+        isTracked: isTrackedPointer,
+        mayReturnNull: (call) => {
+          const symbol = libraryFunctionSymbol(call);
+          return !!symbol && mayReturnNull(symbol.name, symbol.header);
+        },
+      });
+
+      dereferences.forEach(({ node, symbol, definite, origin }) => {
+        if (heapDereferences.has(node)) return;
+        const at =
+          origin && ` (line ${getLineNumber(origin.node.location?.start)})`;
+        const because = !origin
+          ? `'${symbol.name}' is NULL on some path to this use`
+          : origin.reason === "constant"
+          ? `'${symbol.name}' is set to NULL on line ${getLineNumber(
+              origin.node.location?.start
+            )}`
+          : origin.reason === "call"
+          ? `'${symbol.name}' holds the result of ${statementText(
+              origin.node.callee,
+              code
+            )}()${at}, which can be NULL`
+          : `'${symbol.name}' is NULL when ${describeBranch(
+              origin.node,
+              origin.label,
+              at
+            )}`;
+        errors.push({
+          message: definite
+            ? `Dereference of null pointer '${symbol.name}'`
+            : `Pointer '${symbol.name}' may be NULL when dereferenced`,
+          line: getLineNumber(node.location?.start),
+          code: getCodeLine(node.location?.start),
+          description: definite
+            ? because
+            : `${because}, and it is not checked on every path to this use`,
+          ...(!definite && { severity: "warning" }),
+        });
+      });
+    });
+  };
+
+  /**
+   * Security rules: dangerous and unbounded library calls, non-literal
+   * format strings and loops that run past a fixed array, each reported
+   * with the CWE entry it falls under as `cwe`
+   */
+  const checkSecurityRules = (functionGraphs) => {
+    const scopeChainOf = (scopeNode) =>
+      getScopeChain(nodeScopes.get(scopeNode) || "global");
+
+    const problems = findSecurityProblems(
+      functionGraphs.map(({ fn }) => fn),
+      {
+        symbolOf: (identifier) => identifierSymbols.get(identifier),
+        declaredSymbol: (declarator) => declaredSymbols.get(declarator),
+        libraryFunction: (call) => libraryFunctionSymbol(call)?.name || null,
+        arrayLength: (node, scopeNode) => {
+          const type = isStringLiteral(node)
+            ? getStringLiteralType(node.value)
+            : resolveType(
+                getExpressionType(node, null, scopeChainOf(scopeNode))
+              );
+          return isArrayType(type) && type.length !== null ? type.length : null;
+        },
+        constantValue: (node, scopeNode) =>
+          getConstantValue(node, scopeChainOf(scopeNode)),
+        describe: (node) => statementText(node, code),
       }
+    );
 
-      // Check dereference operator
-      else if (node.operator === "*") {
-        const argType = getExpressionType(node.argument, scope, scopeStack);
-        if (argType && !argType.endsWith("*")) {
-          errors.push({
-            message: `Cannot dereference non-pointer type ${argType}`,
-            line: getLineNumber(node.location?.start),
-            code: getCodeLine(node.location?.start),
-            description: "Dereferencing non-pointer type",
-          });
-        }
+    problems.forEach(({ rule, cwe, node, message, description }) => {
+      if (warnings[rule] === false) return;
+      errors.push({
+        message,
+        line: getLineNumber(node.location?.start),
+        code: getCodeLine(node.location?.start),
+        description,
+        severity: "warning",
+        cwe,
+      });
+    });
+  };
+
+  // Unsequenced modifications and returned addresses of locals
+  const checkUndefinedBehavior = (functionGraphs) => {
+    findUndefinedBehavior(
+      functionGraphs.map(({ fn }) => fn),
+      {
+        symbolOf: (identifier) => identifierSymbols.get(identifier),
+        isAutomatic: (symbol) => symbol.storageDuration === "automatic",
+        isArray: (symbol) => isArrayType(symbol.type),
       }
-    } else if (node.type === "Program" && node.body) {
-      const body = Array.isArray(node.body) ? node.body : [node.body];
-      body.forEach((n) => checkSemantics(n, scope, scopeStack));
-    }
+    ).forEach(({ node, message, description }) => {
+      errors.push({
+        message,
+        line: getLineNumber(node.location?.start),
+        code: getCodeLine(node.location?.start),
+        description,
+        severity: "warning",
+      });
+    });
   };
 
   // Check assignment expression specifically
@@ -989,9 +3577,15 @@ export const semanticAnalyzer = (ast, code) => {
         const leftType = variable.type;
         const rightType = getExpressionType(node.right, scope, scopeStack);
 
-        if (leftType && rightType && !areTypesCompatible(leftType, rightType)) {
+        if (
+          leftType &&
+          rightType &&
+          !areTypesCompatible(leftType, rightType, node.right, scopeStack)
+        ) {
           errors.push({
-            message: `Type mismatch: cannot assign ${rightType} to ${leftType}`,
+            message: `Type mismatch: cannot assign ${typeToString(
+              rightType
+            )} to ${typeToString(leftType)}`,
             line: getLineNumber(node.location?.start),
             code: getCodeLine(node.location?.start),
             description: "Type mismatch in assignment",
@@ -1013,9 +3607,15 @@ export const semanticAnalyzer = (ast, code) => {
       const leftType = getExpressionType(node.left, scope, scopeStack);
       const rightType = getExpressionType(node.right, scope, scopeStack);
 
-      if (leftType && rightType && !areTypesCompatible(leftType, rightType)) {
+      if (
+        leftType &&
+        rightType &&
+        !areTypesCompatible(leftType, rightType, node.right, scopeStack)
+      ) {
         errors.push({
-          message: `Type mismatch: cannot assign ${rightType} to array element of type ${leftType}`,
+          message: `Type mismatch: cannot assign ${typeToString(
+            rightType
+          )} to array element of type ${typeToString(leftType)}`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
           description: "Type mismatch in array assignment",
@@ -1030,9 +3630,15 @@ export const semanticAnalyzer = (ast, code) => {
       const leftType = getExpressionType(node.left, scope, scopeStack);
       const rightType = getExpressionType(node.right, scope, scopeStack);
 
-      if (leftType && rightType && !areTypesCompatible(leftType, rightType)) {
+      if (
+        leftType &&
+        rightType &&
+        !areTypesCompatible(leftType, rightType, node.right, scopeStack)
+      ) {
         errors.push({
-          message: `Type mismatch: cannot assign ${rightType} to struct/union member of type ${leftType}`,
+          message: `Type mismatch: cannot assign ${typeToString(
+            rightType
+          )} to struct/union member of type ${typeToString(leftType)}`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
           description: "Type mismatch in struct/union member assignment",
@@ -1047,8 +3653,10 @@ export const semanticAnalyzer = (ast, code) => {
       checkSemantics(node.left, scope, scopeStack);
       checkSemantics(node.right, scope, scopeStack);
 
-      const ptrType = getExpressionType(node.left.argument, scope, scopeStack);
-      if (!ptrType || !ptrType.endsWith("*")) {
+      const ptrType = resolveType(
+        decayType(getExpressionType(node.left.argument, scope, scopeStack))
+      );
+      if (!isPointerType(ptrType)) {
         errors.push({
           message: "Cannot dereference non-pointer in assignment",
           line: getLineNumber(node.left.location?.start),
@@ -1058,12 +3666,18 @@ export const semanticAnalyzer = (ast, code) => {
         return;
       }
 
-      const leftType = ptrType.slice(0, -1).trim(); // Remove the * from pointer type
+      const leftType = ptrType.target; // The pointed-to type
       const rightType = getExpressionType(node.right, scope, scopeStack);
 
-      if (leftType && rightType && !areTypesCompatible(leftType, rightType)) {
+      if (
+        leftType &&
+        rightType &&
+        !areTypesCompatible(leftType, rightType, node.right, scopeStack)
+      ) {
         errors.push({
-          message: `Type mismatch: cannot assign ${rightType} to dereferenced pointer of type ${leftType}`,
+          message: `Type mismatch: cannot assign ${typeToString(
+            rightType
+          )} to dereferenced pointer of type ${typeToString(leftType)}`,
           line: getLineNumber(node.location?.start),
           code: getCodeLine(node.location?.start),
           description: "Type mismatch in pointer assignment",
@@ -1072,95 +3686,89 @@ export const semanticAnalyzer = (ast, code) => {
     }
   };
 
-  // Add standard library functions
-  const addStandardLibraryFunctions = () => {
-    const stdFuncs = [
-      {
-        name: "printf",
-        returnType: "int",
-        params: [{ name: "format", type: "char*" }],
-      },
-      {
-        name: "scanf",
-        returnType: "int",
-        params: [{ name: "format", type: "char*" }],
-      },
-      {
-        name: "malloc",
-        returnType: "void*",
-        params: [{ name: "size", type: "size_t" }],
-      },
-      {
-        name: "free",
-        returnType: "void",
-        params: [{ name: "ptr", type: "void*" }],
-      },
-      {
-        name: "strcpy",
-        returnType: "char*",
-        params: [
-          { name: "dest", type: "char*" },
-          { name: "src", type: "char*" },
-        ],
-      },
-      {
-        name: "strlen",
-        returnType: "size_t",
-        params: [{ name: "str", type: "char*" }],
-      },
-      {
-        name: "fopen",
-        returnType: "FILE*",
-        params: [
-          { name: "filename", type: "char*" },
-          { name: "mode", type: "char*" },
-        ],
-      },
-      {
-        name: "fclose",
-        returnType: "int",
-        params: [{ name: "stream", type: "FILE*" }],
-      },
-      {
-        name: "exit",
-        returnType: "void",
-        params: [{ name: "status", type: "int" }],
-      },
-    ];
+  // Declare what a standard header provides: its typedef names, then the
+  // functions, objects and struct types listed in the header data. Names
+  // already declared (by another header or the program) are kept.
+  const declareHeader = (header) => {
+    declareHeaderTypedefs(header);
+
+    const builtin = { scope: "builtin", line: 0, initialized: true, header };
+    getHeaderDeclarations(header).forEach((node) => {
+      if (node.type === "FunctionDeclaration") {
+        const key = getSymbolKey(node.id.name, "global");
+        if (symbolTable[key]) return;
 
-    stdFuncs.forEach((func) => {
-      const key = getSymbolKey(func.name, "global");
-      if (!symbolTable[key]) {
+        const { functionSpecifiers } = getStorageSpecifiers(node.returnType);
         symbolTable[key] = {
-          name: func.name,
-          type: `${func.returnType} function`,
-          returnType: func.returnType,
-          scope: "builtin",
-          line: 0,
-          initialized: true,
-          params: func.params,
+          name: node.id.name,
+          type: typeFromDeclaredType(node.declaredType, ["global"]),
+          ...builtin,
+          storageClass: null,
+          linkage: "external",
+          storageDuration: null,
+          isDefined: false,
+          isNoreturn: functionSpecifiers.includes("_Noreturn"),
         };
+      } else if (node.type === "VariableDeclaration") {
+        node.declarations.forEach((declarator) => {
+          const key = getSymbolKey(declarator.id.name, "global");
+          if (symbolTable[key]) return;
+
+          symbolTable[key] = {
+            name: declarator.id.name,
+            type: typeFromDeclaredType(declarator.declaredType, ["global"]),
+            ...builtin,
+            storageClass: "extern",
+            linkage: "external",
+            storageDuration: "static",
+            isDefined: false,
+          };
+        });
+      } else if (
+        node.type === "StructDeclaration" ||
+        node.type === "UnionDeclaration"
+      ) {
+        const tagName = getTagName(node);
+        const key = getSymbolKey(tagName, "global");
+        if (symbolTable[key]) return;
+
+        declareStructOrUnion(node, "global");
+        Object.assign(symbolTable[key], builtin);
+        node.fields.forEach((field) =>
+          Object.assign(
+            symbolTable[getSymbolKey(field.id.name, tagName)],
+            builtin
+          )
+        );
       }
     });
   };
 
+  // Add the typedef names declared by a standard header (size_t, FILE, ...)
+  const declareHeaderTypedefs = (header) => {
+    const typedefs = standardHeaders[header]?.typedefs || {};
+    Object.entries(typedefs).forEach(([name, spelling]) => {
+      const key = getSymbolKey(name, "global");
+      if (symbolTable[key]) return;
+
+      const [, tagKind, tag] = spelling.match(/^(struct|union) (\w+)$/) || [];
+      symbolTable[key] = {
+        name,
+        type: tagKind ? tagType(tagKind, tag) : basicType(spelling),
+        scope: "builtin",
+        line: 0,
+        initialized: true,
+        isTypedef: true,
+      };
+    });
+  };
+
   // Process preprocessor directives
   const processPreprocessorDirective = (node) => {
     if (!node.value) return;
 
-    // Handle #include directives
-    if (node.value.startsWith("#include")) {
-      if (node.value.includes("<stdio.h>")) {
-        addStandardLibraryFunctions(); // Add stdio.h functions
-      } else if (node.value.includes("<stdlib.h>")) {
-        // Add stdlib.h functions (malloc, free, exit, etc.)
-        // These are already added in addStandardLibraryFunctions for simplicity
-      } else if (node.value.includes("<string.h>")) {
-        // Already covered in addStandardLibraryFunctions
-      }
-    }
     // Handle #define directives (simplified)
-    else if (node.value.startsWith("#define")) {
+    if (node.value.startsWith("#define")) {
       // Extract macro name and value (very simplified)
       const parts = node.value.trim().split(/\s+/);
       if (parts.length >= 3) {
@@ -1171,7 +3779,8 @@ export const semanticAnalyzer = (ast, code) => {
         const macroKey = getSymbolKey(macroName, "global");
         symbolTable[macroKey] = {
           name: macroName,
-          type: "macro",
+          type: null,
+          isMacro: true,
           value: macroValue,
           scope: "global",
           line: getLineNumber(node.location?.start),
@@ -1195,25 +3804,60 @@ export const semanticAnalyzer = (ast, code) => {
       });
     }
 
-    // Check for unused variables
+    // Unused declarations, from the uses recorded in phase 3. Only names
+    // that no other translation unit can refer to are checked: locals,
+    // parameters, and file-scope statics.
     Object.values(symbolTable).forEach((symbol) => {
-      // Skip functions, built-ins, and already initialized variables
+      if (symbol.scope === "builtin" || symbol.isTypedef) return;
+      const uses = symbolUses.get(symbol) || { reads: 0, writes: 0 };
+      if (uses.reads > 0) return;
+
+      const report = (warning, message, description) => {
+        if (warnings[warning] === false) return;
+        errors.push({
+          message,
+          line: symbol.line,
+          code: code?.split("\n")[symbol.line - 1]?.trim() || "",
+          description,
+          severity: "warning",
+        });
+      };
+
+      if (isFunctionType(symbol.type)) {
+        // Unused static inline functions are usual in headers
+        if (symbol.linkage === "internal" && !symbol.isInline) {
+          report(
+            "unusedFunction",
+            `Unused function '${symbol.name}'`,
+            "Static function defined but never called or referred to"
+          );
+        }
+        return;
+      }
+      // The parameters of main are fixed by its required signature
       if (
-        symbol.type.includes("function") ||
-        symbol.scope === "builtin" ||
-        symbol.initialized
+        !symbol.storageDuration ||
+        !["none", "internal"].includes(symbol.linkage) ||
+        (symbol.isParameter && symbol.scope === "main")
       ) {
         return;
       }
 
-      // Warning for unused variables
-      errors.push({
-        message: `Unused variable '${symbol.name}'`,
-        line: symbol.line,
-        code: getCodeLine(symbol.line), // Approximate
-        description: "Variable declared but never used",
-        severity: "warning", // Mark as warning
-      });
+      const kind = symbol.isParameter ? "Parameter" : "Variable";
+      const warning = symbol.isParameter ? "unusedParameter" : "unusedVariable";
+      if (uses.writes > 0) {
+        report(
+          warning,
+          `${kind} '${symbol.name}' set but not used`,
+          `'${symbol.name}' is assigned but its value is never read`
+        );
+      } else {
+        report(
+          warning,
+          `Unused ${kind.toLowerCase()} '${symbol.name}'`,
+          `${kind} declared but never used`
+        );
+      }
     });
 
     // Format symbol table for display
@@ -1224,39 +3868,99 @@ export const semanticAnalyzer = (ast, code) => {
           ? symbol.name
           : `${symbol.scope}.${symbol.name}`;
 
+      const type = resolveType(symbol.type);
       displaySymbolTable[displayName] = {
-        type: symbol.type,
+        name: symbol.name,
+        type: symbol.isMacro
+          ? "macro"
+          : symbol.isTypedef
+          ? `typedef ${typeToString(symbol.type)}`
+          : typeToString(symbol.type),
         scope: symbol.scope,
         line: symbol.line,
         initialized: symbol.initialized,
-        ...(symbol.params && { params: symbol.params }),
-        ...(symbol.fields && { fields: symbol.fields }),
-        ...(symbol.isArray && {
-          isArray: symbol.isArray,
-          arraySize: symbol.arraySize,
+        ...(type?.kind === "function" && {
+          params: type.params.map((param) => ({
+            name: param.name,
+            type: typeToString(param.type),
+          })),
+          ...(type.variadic && { variadic: true }),
+        }),
+        ...(symbol.fields && {
+          fields: symbol.fields.map((field) => ({
+            ...field,
+            type: typeToString(field.type),
+          })),
+        }),
+        ...(type?.kind === "array" &&
+          !symbol.isTypedef && {
+            isArray: true,
+            arraySize: type.length,
+          }),
+        ...(symbol.value !== undefined && { value: symbol.value }),
+        ...(symbol.enumType && { enumType: symbol.enumType }),
+        ...(symbol.linkage && {
+          linkage: symbol.linkage,
+          storageDuration: symbol.storageDuration,
+          isDefined: symbol.isDefined,
         }),
-        ...(symbol.value && { value: symbol.value }),
+        ...(symbol.storageClass && { storageClass: symbol.storageClass }),
+        ...(symbol.isInline && { isInline: true }),
+        ...(symbol.isNoreturn && { isNoreturn: true }),
       };
     }
 
-    return { symbolTable: displaySymbolTable, errors };
+    // Scope tree for display, nested from the file scope down
+    const toDisplayScope = (id) => {
+      const { kind, location, children } = scopes.get(id);
+      return {
+        id,
+        kind,
+        ...(location && {
+          startLine: getLineNumber(location.start),
+          endLine: getLineNumber(location.end),
+        }),
+        children: children.map(toDisplayScope),
+      };
+    };
+
+    return {
+      symbolTable: displaySymbolTable,
+      scopeTree: toDisplayScope("global"),
+      errors,
+    };
   };
 
   // Main analysis function
   try {
-    // Handle simple preprocessor-only programs
-    if (code?.trim().startsWith("#include")) {
-      processPreprocessorDirective({ value: code });
-    } else {
-      // Phase 1: Build Symbol Table
-      buildSymbolTable(ast);
-
-      // Phase 2: Resolve Types
-      resolveTypes(ast);
-
-      // Phase 3: Check Semantics
-      checkSemantics(ast);
-    }
+    // The phases below rely on the shared AST schema
+    validateAst(ast).forEach((problem) =>
+      errors.push({
+        message: `Malformed AST: ${problem.message}`,
+        line: getLineNumber(problem.location.start),
+        code: getCodeLine(problem.location.start),
+        description:
+          "The parser produced a node that does not match the AST schema",
+      })
+    );
+
+    // Phase 1: Build Symbol Table
+    buildSymbolTable(ast);
+
+    // Phase 2: Resolve Types
+    resolveTypes(ast);
+
+    // Phase 3: Check Semantics
+    checkSemantics(ast);
+    checkJumpStatements(ast);
+    const functionGraphs = buildFunctionGraphs(ast);
+    checkUninitializedReads(functionGraphs);
+    checkReachability(functionGraphs);
+    checkDeadStores(functionGraphs);
+    checkHeapLifetimes(functionGraphs);
+    checkNullDereferences(functionGraphs);
+    checkSecurityRules(functionGraphs);
+    checkUndefinedBehavior(functionGraphs);
 
     return performChecks();
   } catch (err) {
@@ -1266,6 +3970,6 @@ export const semanticAnalyzer = (ast, code) => {
       code: code?.split("\n")[0]?.trim() || "",
       description: "Internal semantic analyzer error",
     });
-    return { symbolTable: {}, errors };
+    return { symbolTable: {}, scopeTree: null, errors };
   }
 };
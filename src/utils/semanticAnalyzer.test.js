@@ -0,0 +1,258 @@
+import { analyze, messages } from "./testUtils";
+
+describe("missing returns", () => {
+  it("warns at the closing brace when a non-void function can fall off", () => {
+    const code = `int f(int x) {
+  if (x > 0)
+    return 1;
+}
+int main(void) { return f(1); }`;
+    expect(analyze(code)).toEqual([
+      {
+        message: "Control reaches end of non-void function 'f'",
+        description:
+          "Some path through the function ends without returning a value; using the result is undefined",
+        line: 4,
+        code: "}",
+        range: { start: code.indexOf("}"), end: code.indexOf("}") + 1 },
+        severity: "warning",
+      },
+    ]);
+  });
+
+  it("accepts main, void functions and functions that never reach their end", () => {
+    expect(
+      analyze(`#include <stdlib.h>
+void f(void) { }
+int g(void) { abort(); }
+int h(void) { for (;;) { } }
+int k(int x) { if (x) return 1; else return 2; }
+int main(void) { f(); return g() + h() + k(1); }`)
+    ).toEqual([]);
+  });
+
+  it("warns when a _Noreturn function can return", () => {
+    expect(
+      messages(
+        analyze(`#include <stdlib.h>
+_Noreturn void die(int c) { if (c) exit(c); }
+int main(void) { die(1); }`)
+      )
+    ).toEqual([
+      "2: Function 'die' declared '_Noreturn' can reach the end of its body",
+    ]);
+  });
+});
+
+describe("unreachable code", () => {
+  it("reports each unreachable region once, with its source range", () => {
+    const code = `int g(int x) {
+  return x;
+  x++;
+  x--;
+}
+int main(void) { return g(2); }`;
+    const [warning] = analyze(code);
+    expect(warning).toMatchObject({
+      message: "Unreachable code",
+      line: 3,
+      endLine: 4,
+      severity: "warning",
+      unreachable: true,
+      description:
+        "No path from the start of 'g' reaches this code, so it never runs",
+    });
+    expect(code.slice(warning.range.start, warning.range.end)).toBe(
+      "x++;\n  x--;"
+    );
+  });
+
+  it("reports code after an infinite loop, but not a break after a return", () => {
+    expect(
+      messages(
+        analyze(`int f(int x) {
+  switch (x) {
+  case 1:
+    return 1;
+    break;
+  }
+  while (1) { }
+  return x;
+}
+int main(void) { return f(1); }`)
+      )
+    ).toEqual(["8: Unreachable code"]);
+  });
+});
+
+describe("const objects", () => {
+  it("rejects every kind of store to a const lvalue", () => {
+    expect(
+      messages(
+        analyze(`struct P { int x; };
+int main(void) {
+  const int n = 1;
+  const int *cp = &n;
+  const struct P m = { 1 };
+  n = 2;
+  n++;
+  --n;
+  n += 1;
+  *cp = 3;
+  (*cp)++;
+  m.x = 4;
+  return *cp + m.x;
+}`)
+      )
+    ).toEqual([
+      "6: Cannot assign to const variable 'n'",
+      "7: Cannot increment const variable 'n'",
+      "8: Cannot decrement const variable 'n'",
+      "9: Cannot assign to const variable 'n'",
+      "10: Cannot assign to read-only location '*cp'",
+      "11: Cannot increment read-only location '*cp'",
+      "12: Cannot assign to read-only member 'm.x'",
+    ]);
+  });
+
+  it("lets a pointer to const be pointed elsewhere", () => {
+    expect(
+      analyze(`int main(void) {
+  int a = 0, b = 1;
+  const int *cp = a ? &a : &b;
+  int n = *cp;
+  cp = &b;
+  return n + *cp;
+}`)
+    ).toEqual([]);
+  });
+});
+
+describe("conditional expressions", () => {
+  const typeProblems = (code) =>
+    messages(
+      analyze(code).filter(({ message }) => /mismatch|conversion/.test(message))
+    );
+
+  it("types pointer arms by the C11 rules", () => {
+    expect(
+      typeProblems(`int main(void) {
+  int c = 1, x = 0;
+  int *p = &x;
+  const int *cp = &x;
+  void *v = &x;
+  int *q = c ? 0 : p;
+  int *r = c ? v : p;
+  int *s = c ? cp : p;
+  return *q + *r + *s;
+}`)
+    ).toEqual([
+      "8: Type mismatch in initialization of s: cannot assign const int* to int*",
+    ]);
+  });
+
+  it("converts arithmetic arms to their common type", () => {
+    expect(
+      typeProblems(`int main(void) {
+  int c = 1;
+  int i = c ? 1 : 2.5;
+  return i;
+}`)
+    ).toEqual([
+      "3: Implicit conversion from 'double' to 'int' truncates the fractional part",
+    ]);
+  });
+});
+
+describe("enumerations", () => {
+  it("declares the enumerators of an untagged enum", () => {
+    expect(
+      messages(
+        analyze(`enum { LO, HI = 4 };
+int main(void) {
+  int a[HI];
+  a[HI] = LO;
+  return 1 / LO;
+}`)
+      )
+    ).toEqual([
+      "5: Division by zero",
+      "4: Array index 4 out of bounds for array of size 4",
+    ]);
+  });
+});
+
+describe("member access", () => {
+  it("suggests the other operator only when it would reach a member", () => {
+    expect(
+      messages(
+        analyze(`union U { int x; };
+int main(void) {
+  union U u = { 1 }, *up = &u, **pp = &up;
+  int n = 0, *ip = &n;
+  return up.x + u->x + pp->x + pp.x + n.x + ip->x;
+}`)
+      )
+    ).toEqual([
+      "5: Member reference type 'union U*' is a pointer; did you mean to use '->'?",
+      "5: Member reference type 'union U' is not a pointer; did you mean to use '.'?",
+      "5: Member reference base type 'union U*' is not a structure or union",
+      "5: Member reference base type 'union U**' is not a structure or union",
+      "5: Member reference base type 'int' is not a structure or union",
+      "5: Member reference base type 'int' is not a structure or union",
+    ]);
+  });
+});
+
+describe("implicit conversions", () => {
+  const code = `int main(void) {
+  double d = 2.5;
+  long l = 70000;
+  unsigned u = 1;
+  int i = d;
+  float f = d;
+  short s = l;
+  char c = 300;
+  unsigned char ok = 255;
+  unsigned m = -1;
+  return (i < u) + (0 < u) + (int)f + s + c + ok + m;
+}`;
+  const conversions = (options) =>
+    messages(
+      analyze(code, options).filter(({ message }) =>
+        /conversion|different signs/.test(message)
+      )
+    );
+
+  it("warns when a conversion can change the value", () => {
+    expect(conversions()).toEqual([
+      "5: Implicit conversion from 'double' to 'int' truncates the fractional part",
+      "6: Implicit conversion from 'double' to 'float' may lose precision",
+      "7: Implicit conversion from 'long' to 'short' may change the value",
+      "8: Implicit conversion from 'int' to 'char' changes value from 300 to 44",
+      "11: Comparison of integers of different signs: 'int' and 'unsigned int'",
+    ]);
+  });
+
+  it("marks the findings as warnings", () => {
+    expect(
+      analyze(code)
+        .filter(({ message }) => /conversion/.test(message))
+        .every(({ severity }) => severity === "warning")
+    ).toBe(true);
+  });
+
+  it("turns each kind of warning off on its own", () => {
+    expect(conversions({ warnings: { narrowing: false } })).toEqual([
+      "5: Implicit conversion from 'double' to 'int' truncates the fractional part",
+      "6: Implicit conversion from 'double' to 'float' may lose precision",
+      "11: Comparison of integers of different signs: 'int' and 'unsigned int'",
+    ]);
+    expect(
+      conversions({ warnings: { floatConversion: false, signCompare: false } })
+    ).toEqual([
+      "7: Implicit conversion from 'long' to 'short' may change the value",
+      "8: Implicit conversion from 'int' to 'char' changes value from 300 to 44",
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Standard library model
+ *
+ * Turns the declarations listed for each standard header into AST nodes,
+ * so an #include declares exactly what the real header would, and finds
+ * the header that declares a name when the user forgot to include it.
+ */
+
+import standardHeaders from "../data/standardHeaders";
+import { lexer } from "./lexer";
+import { parser } from "./parser";
+
+// Parsed declarations by header name; each header is parsed once
+const parsedHeaders = new Map();
+
+const isKnownHeader = (header) =>
+  Object.prototype.hasOwnProperty.call(standardHeaders, header);
+
+/**
+ * Declarations of a standard header as top-level AST nodes
+ * (FunctionDeclaration, VariableDeclaration, StructDeclaration, ...).
+ * Returns an empty list for headers that are not modelled.
+ */
+export const getHeaderDeclarations = (header) => {
+  if (!isKnownHeader(header)) return [];
+  if (!parsedHeaders.has(header)) {
+    // The #include makes the header's typedef names known to the parser
+    const source = `#include <${header}>\n${standardHeaders[header].declarations}`;
+    const { ast } = parser(lexer(source));
+    parsedHeaders.set(
+      header,
+      (ast?.body || []).filter((node) => node.type !== "Include")
+    );
+  }
+  return parsedHeaders.get(header);
+};
+
+// Names a header declares: its functions, objects, typedefs and macros
+const getHeaderNames = (header) => {
+  const { typedefs, macros } = standardHeaders[header];
+  const declared = getHeaderDeclarations(header).flatMap((node) => {
+    if (node.type === "FunctionDeclaration") return [node.id?.name];
+    if (node.type === "VariableDeclaration") {
+      return node.declarations.map((declarator) => declarator.id?.name);
+    }
+    return [];
+  });
+  return [
+    ...declared,
+    ...Object.keys(typedefs),
+    ...Object.keys(macros).map((macro) => macro.split("(")[0]),
+  ];
+};
+
+/**
+ * The standard header that declares a name (e.g. "printf" -> "stdio.h"),
+ * or null when no modelled header does
+ */
+export const findHeaderFor = (name) =>
+  Object.keys(standardHeaders).find((header) =>
+    getHeaderNames(header).includes(name)
+  ) || null;
+
+// Whether a function of a standard header may return a null pointer
+// (fopen, malloc, strchr, ...)
+export const mayReturnNull = (name, header) =>
+  !!(
+    isKnownHeader(header) &&
+    standardHeaders[header].nullableReturns?.includes(name)
+  );
@@ -0,0 +1,34 @@
+/**
+ * Helpers for the analysis tests: run C source through the same phases
+ * as the analyzer component does
+ */
+
+import { lexer } from "./lexer";
+import { parser } from "./parser";
+import { mapTokensToSource, preprocessor } from "./preprocessor";
+import { semanticAnalyzer } from "./semanticAnalyzer";
+
+// Preprocess, lex and parse source; returns { ast, syntaxErrors }
+export const parseSource = (code) => {
+  const expansion = preprocessor(code);
+  const tokens = mapTokensToSource(
+    lexer(expansion.code),
+    expansion.sourceMap,
+    code
+  );
+  const { ast, errors } = parser(tokens);
+  return { ast, syntaxErrors: [...expansion.errors, ...errors] };
+};
+
+// Semantic diagnostics for source that must parse cleanly
+export const analyze = (code, options = {}) => {
+  const { ast, syntaxErrors } = parseSource(code);
+  if (syntaxErrors.length > 0) {
+    throw new Error(`Syntax errors: ${syntaxErrors.map((e) => e.message)}`);
+  }
+  return semanticAnalyzer(ast, code, options).errors;
+};
+
+// Diagnostics as "line: message", in the order they were reported
+export const messages = (diagnostics) =>
+  diagnostics.map(({ line, message }) => `${line}: ${message}`);
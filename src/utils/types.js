@@ -0,0 +1,573 @@
+/**
+ * Type model for C types used by the semantic analyzer
+ *
+ * Types are plain objects tagged with a `kind`:
+ * - void
+ * - integer   { name, signed, width }          e.g. "unsigned long"
+ * - floating  { name, width }                  e.g. "double"
+ * - pointer   { target }
+ * - array     { element, length }              length is null when unknown;
+ *                                              variableLength marks a VLA
+ * - function  { returnType, params, variadic } params are { name, type }
+ * - struct / union / enum { tag }              tag is the name after the keyword
+ * - typedef   { name, aliased }
+ * Any type may also carry `const` and `volatile` qualifier flags.
+ */
+
+// Integer types with their signedness and width in bits (LP64 data model)
+const integerTypes = {
+  _Bool: { signed: false, width: 8 },
+  char: { signed: true, width: 8 },
+  "signed char": { signed: true, width: 8 },
+  "unsigned char": { signed: false, width: 8 },
+  short: { signed: true, width: 16 },
+  "unsigned short": { signed: false, width: 16 },
+  int: { signed: true, width: 32 },
+  "unsigned int": { signed: false, width: 32 },
+  long: { signed: true, width: 64 },
+  "unsigned long": { signed: false, width: 64 },
+  "long long": { signed: true, width: 64 },
+  "unsigned long long": { signed: false, width: 64 },
+};
+
+// Floating types with their width in bits
+const floatingTypes = {
+  float: 32,
+  double: 64,
+  "long double": 128,
+};
+
+// Conversion rank of each integer type (C11 6.3.1.1)
+const integerRanks = {
+  _Bool: 0,
+  char: 1,
+  short: 2,
+  int: 3,
+  long: 4,
+  "long long": 5,
+};
+
+const qualifierNames = ["const", "volatile"];
+
+// Add const/volatile qualifiers to a type. Qualifying an array type
+// qualifies its elements (C11 6.7.3p9).
+export const qualifyType = (type, qualifiers = {}) => {
+  if (!type || (!qualifiers.const && !qualifiers.volatile)) return type;
+  if (type.kind === "array") {
+    return { ...type, element: qualifyType(type.element, qualifiers) };
+  }
+  return {
+    ...type,
+    ...(qualifiers.const && { const: true }),
+    ...(qualifiers.volatile && { volatile: true }),
+  };
+};
+
+// Remove top-level qualifiers
+export const unqualifiedType = (type) => {
+  if (!type || (!type.const && !type.volatile)) return type;
+  const result = { ...type };
+  delete result.const;
+  delete result.volatile;
+  return result;
+};
+
+/**
+ * Build a type from the keywords of a specifier list, e.g.
+ * ["unsigned", "long", "long"] or ["const", "char"].
+ * Returns null when the keywords do not name a valid C type.
+ */
+export const typeFromSpecifierNames = (names) => {
+  const counts = {};
+  const qualifiers = {};
+
+  names.forEach((name) => {
+    if (qualifierNames.includes(name)) {
+      qualifiers[name] = true;
+    } else {
+      counts[name] = (counts[name] || 0) + 1;
+    }
+  });
+
+  const signedness = counts.unsigned
+    ? "unsigned"
+    : counts.signed
+    ? "signed"
+    : "";
+  const longs = counts.long || 0;
+  const bases = ["void", "_Bool", "char", "int", "float", "double"].filter(
+    (base) => counts[base]
+  );
+  const base = bases[0] || null;
+
+  // Reject repeated or conflicting keywords
+  const valid =
+    bases.length <= 1 &&
+    bases.every((name) => counts[name] === 1) &&
+    (counts.signed || 0) + (counts.unsigned || 0) <= 1 &&
+    (counts.short || 0) <= 1 &&
+    longs <= 2 &&
+    !(counts.short && longs) &&
+    Object.keys(counts).every((name) =>
+      ["signed", "unsigned", "short", "long", ...bases].includes(name)
+    );
+  if (!valid) return null;
+
+  let type = null;
+  if (base === "void" || base === "_Bool" || base === "float") {
+    if (signedness || counts.short || longs) return null;
+    type =
+      base === "void"
+        ? { kind: "void" }
+        : base === "float"
+        ? { kind: "floating", name: "float", width: floatingTypes.float }
+        : { kind: "integer", name: "_Bool", ...integerTypes._Bool };
+  } else if (base === "double") {
+    if (signedness || counts.short || longs > 1) return null;
+    const name = longs ? "long double" : "double";
+    type = { kind: "floating", name, width: floatingTypes[name] };
+  } else if (base === "char") {
+    if (counts.short || longs) return null;
+    const name = signedness ? `${signedness} char` : "char";
+    type = { kind: "integer", name, ...integerTypes[name] };
+  } else {
+    // "int" may be omitted when another integer keyword is present
+    if (!base && !signedness && !counts.short && !longs) return null;
+    const size = counts.short
+      ? "short"
+      : longs === 2
+      ? "long long"
+      : longs === 1
+      ? "long"
+      : "int";
+    const name = signedness === "unsigned" ? `unsigned ${size}` : size;
+    type = { kind: "integer", name, ...integerTypes[name] };
+  }
+
+  return qualifyType(type, qualifiers);
+};
+
+// Build a basic type from its spelling, e.g. basicType("unsigned long")
+export const basicType = (spelling) =>
+  typeFromSpecifierNames(spelling.trim().split(/\s+/));
+
+export const pointerTo = (target) => ({ kind: "pointer", target });
+
+export const arrayOf = (element, length = null) => ({
+  kind: "array",
+  element,
+  length,
+});
+
+export const functionReturning = (
+  returnType,
+  params = [],
+  variadic = false
+) => ({
+  kind: "function",
+  returnType,
+  params,
+  variadic,
+});
+
+export const tagType = (kind, tag) => ({ kind, tag });
+
+export const typedefType = (name, aliased) => ({
+  kind: "typedef",
+  name,
+  aliased,
+});
+
+// Common library typedefs
+export const sizeType = typedefType("size_t", basicType("unsigned long"));
+export const ptrdiffType = typedefType("ptrdiff_t", basicType("long"));
+
+// Look through typedef names to the underlying type, keeping qualifiers
+export const resolveType = (type) => {
+  let resolved = type;
+  while (resolved?.kind === "typedef") {
+    resolved = qualifyType(resolved.aliased, resolved);
+  }
+  return resolved || null;
+};
+
+// Type predicates (typedefs are resolved first)
+export const isVoidType = (type) => resolveType(type)?.kind === "void";
+export const isIntegerType = (type) =>
+  ["integer", "enum"].includes(resolveType(type)?.kind);
+export const isFloatingType = (type) => resolveType(type)?.kind === "floating";
+export const isArithmeticType = (type) =>
+  isIntegerType(type) || isFloatingType(type);
+export const isPointerType = (type) => resolveType(type)?.kind === "pointer";
+export const isArrayType = (type) => resolveType(type)?.kind === "array";
+export const isFunctionType = (type) => resolveType(type)?.kind === "function";
+export const isRecordType = (type) =>
+  ["struct", "union"].includes(resolveType(type)?.kind);
+export const isScalarType = (type) =>
+  isArithmeticType(type) || isPointerType(type);
+
+// Width of an integer type in bits; enums are stored as int
+export const integerWidth = (type) => {
+  const resolved = resolveType(type);
+  return resolved.kind === "enum" ? 32 : resolved.width;
+};
+
+// Arrays and functions used as values become pointers (C11 6.3.2.1)
+export const decayType = (type) => {
+  const resolved = resolveType(type);
+  if (resolved?.kind === "array") return pointerTo(resolved.element);
+  if (resolved?.kind === "function") return pointerTo(type);
+  return type;
+};
+
+// Integer promotion: types narrower than int become int (C11 6.3.1.1)
+export const promoteType = (type) => {
+  const resolved = resolveType(type);
+  if (resolved?.kind === "enum") return basicType("int");
+  if (resolved?.kind === "integer" && integerRanks[getRankName(resolved)] < 3) {
+    return basicType("int");
+  }
+  return unqualifiedType(type);
+};
+
+// Name used for ranking, e.g. "unsigned long" -> "long"
+const getRankName = (type) => type.name.replace(/^(un)?signed /, "");
+
+/**
+ * Common type of two arithmetic operands (usual arithmetic conversions,
+ * C11 6.3.1.8). Returns null when either operand is not arithmetic.
+ */
+export const arithmeticResultType = (left, right) => {
+  if (!isArithmeticType(left) || !isArithmeticType(right)) return null;
+
+  const a = resolveType(promoteType(left));
+  const b = resolveType(promoteType(right));
+
+  if (a.kind === "floating" || b.kind === "floating") {
+    if (a.kind !== "floating") return unqualifiedType(b);
+    if (b.kind !== "floating") return unqualifiedType(a);
+    return unqualifiedType(a.width >= b.width ? a : b);
+  }
+
+  if (a.name === b.name) return unqualifiedType(a);
+
+  const rankA = integerRanks[getRankName(a)];
+  const rankB = integerRanks[getRankName(b)];
+  if (a.signed === b.signed) {
+    return unqualifiedType(rankA >= rankB ? a : b);
+  }
+
+  const [unsignedType, signedType, unsignedRank, signedRank] = a.signed
+    ? [b, a, rankB, rankA]
+    : [a, b, rankA, rankB];
+  if (unsignedRank >= signedRank) return unqualifiedType(unsignedType);
+  if (signedType.width > unsignedType.width) {
+    return unqualifiedType(signedType);
+  }
+  return basicType(`unsigned ${getRankName(signedType)}`);
+};
+
+// Check two types for compatibility (C11 6.2.7)
+export const areCompatibleTypes = (first, second) => {
+  const a = resolveType(first);
+  const b = resolveType(second);
+  if (!a || !b) return false;
+  if (!!a.const !== !!b.const || !!a.volatile !== !!b.volatile) return false;
+
+  if (a.kind !== b.kind) {
+    // An enum type is compatible with its underlying type, int
+    const enumAndInt = (x, y) =>
+      x.kind === "enum" && y.kind === "integer" && y.name === "int";
+    return enumAndInt(a, b) || enumAndInt(b, a);
+  }
+
+  switch (a.kind) {
+    case "void":
+      return true;
+    case "integer":
+    case "floating":
+      return a.name === b.name;
+    case "pointer":
+      return areCompatibleTypes(a.target, b.target);
+    case "array":
+      return (
+        areCompatibleTypes(a.element, b.element) &&
+        (a.length === null || b.length === null || a.length === b.length)
+      );
+    case "function":
+      return (
+        areCompatibleTypes(a.returnType, b.returnType) &&
+        a.variadic === b.variadic &&
+        a.params.length === b.params.length &&
+        a.params.every((param, index) =>
+          areCompatibleTypes(
+            unqualifiedType(resolveType(param.type)),
+            unqualifiedType(resolveType(b.params[index].type))
+          )
+        )
+      );
+    default:
+      // struct, union and enum types are compatible when they share a tag
+      return a.tag === b.tag;
+  }
+};
+
+// Composite of two compatible types (C11 6.2.7p3): array lengths and
+// parameter names known in either declaration are kept
+export const compositeType = (first, second) => {
+  if (!areCompatibleTypes(first, second)) return null;
+
+  const a = resolveType(first);
+  const b = resolveType(second);
+
+  switch (a.kind) {
+    case "pointer":
+      return { ...a, target: compositeType(a.target, b.target) };
+    case "array":
+      return {
+        ...a,
+        element: compositeType(a.element, b.element),
+        length: a.length !== null ? a.length : b.length,
+      };
+    case "function":
+      return {
+        ...a,
+        returnType: compositeType(a.returnType, b.returnType),
+        params: a.params.map((param, index) => {
+          const other = b.params[index];
+          return {
+            name: param.name || other.name,
+            type:
+              compositeType(param.type, other.type) ||
+              unqualifiedType(resolveType(param.type)),
+          };
+        }),
+      };
+    default:
+      return first;
+  }
+};
+
+/**
+ * Check whether a value of type `source` may be assigned to an object of
+ * type `target` (C11 6.5.16.1). `isNullPointer` marks a null pointer
+ * constant such as 0 or (void *)0 on the right-hand side.
+ */
+export const isAssignableType = (target, source, isNullPointer = false) => {
+  const left = resolveType(target);
+  const right = resolveType(decayType(source));
+  if (!left || !right) return false;
+
+  if (isArithmeticType(left) && isArithmeticType(right)) return true;
+
+  if (isRecordType(left)) {
+    return areCompatibleTypes(unqualifiedType(left), unqualifiedType(right));
+  }
+
+  // Pointers convert to _Bool
+  if (left.kind === "integer" && left.name === "_Bool") {
+    return right.kind === "pointer";
+  }
+
+  if (left.kind !== "pointer") return false;
+  if (isNullPointer) return true;
+  if (right.kind !== "pointer") return false;
+
+  const leftTarget = resolveType(left.target);
+  const rightTarget = resolveType(right.target);
+
+  // The pointed-to type on the left must have all qualifiers of the right
+  if (
+    (rightTarget.const && !leftTarget.const) ||
+    (rightTarget.volatile && !leftTarget.volatile)
+  ) {
+    return false;
+  }
+
+  // void* converts to and from any object pointer
+  if (leftTarget.kind === "void" || rightTarget.kind === "void") {
+    return leftTarget.kind !== "function" && rightTarget.kind !== "function";
+  }
+
+  return areCompatibleTypes(
+    unqualifiedType(leftTarget),
+    unqualifiedType(rightTarget)
+  );
+};
+
+/**
+ * Result type of a binary operator applied to operands of the given types,
+ * or null when the operands are invalid for the operator
+ */
+export const binaryResultType = (operator, left, right) => {
+  const a = decayType(left);
+  const b = decayType(right);
+
+  switch (operator) {
+    case "&&":
+    case "||":
+      return isScalarType(a) && isScalarType(b) ? basicType("int") : null;
+    case "==":
+    case "!=":
+    case "<":
+    case ">":
+    case "<=":
+    case ">=":
+      if (isArithmeticType(a) && isArithmeticType(b)) return basicType("int");
+      if (isPointerType(a) && isPointerType(b)) return basicType("int");
+      // Pointers may be compared for equality with a null pointer constant
+      if (
+        ["==", "!="].includes(operator) &&
+        ((isPointerType(a) && isIntegerType(b)) ||
+          (isIntegerType(a) && isPointerType(b)))
+      ) {
+        return basicType("int");
+      }
+      return null;
+    case "+":
+      if (isPointerType(a) && isIntegerType(b)) return a;
+      if (isIntegerType(a) && isPointerType(b)) return b;
+      return arithmeticResultType(a, b);
+    case "-":
+      if (isPointerType(a) && isIntegerType(b)) return a;
+      if (isPointerType(a) && isPointerType(b)) {
+        return areCompatibleTypes(
+          unqualifiedType(resolveType(resolveType(a).target)),
+          unqualifiedType(resolveType(resolveType(b).target))
+        )
+          ? ptrdiffType
+          : null;
+      }
+      return arithmeticResultType(a, b);
+    case "*":
+    case "/":
+      return arithmeticResultType(a, b);
+    case "<<":
+    case ">>":
+      return isIntegerType(a) && isIntegerType(b) ? promoteType(a) : null;
+    case "%":
+    case "&":
+    case "|":
+    case "^":
+      return isIntegerType(a) && isIntegerType(b)
+        ? arithmeticResultType(a, b)
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Spell a type in C syntax, e.g. "const char*", "int[3][4]" or
+ * "int (*)(const void*, const void*)". `inner` is the declarator text
+ * built so far while unwrapping derived types.
+ */
+export const typeToString = (type, inner = "") => {
+  if (!type) return "unknown";
+
+  const qualifiers = qualifierNames.filter((name) => type[name]);
+  // Array and function suffixes need parentheses around pointers
+  const grouped = inner.startsWith("*") ? `(${inner})` : inner;
+
+  switch (type.kind) {
+    case "pointer": {
+      const pointer = ["*", ...qualifiers].join(" ");
+      return typeToString(
+        type.target,
+        inner ? `${pointer}${qualifiers.length ? " " : ""}${inner}` : pointer
+      );
+    }
+    case "array":
+      return typeToString(
+        type.element,
+        `${grouped}[${type.length !== null ? type.length : ""}]`
+      );
+    case "function": {
+      const params = type.params.map((param) => typeToString(param.type));
+      if (type.variadic) params.push("...");
+      return typeToString(
+        type.returnType,
+        `${grouped}(${params.length ? params.join(", ") : "void"})`
+      );
+    }
+    default: {
+      const name =
+        type.kind === "typedef"
+          ? type.name
+          : ["struct", "union", "enum"].includes(type.kind)
+          ? `${type.kind} ${type.tag}`
+          : type.kind === "void"
+          ? "void"
+          : type.name;
+      const base = [...qualifiers, name].join(" ");
+      return inner.startsWith("(") ? `${base} ${inner}` : `${base}${inner}`;
+    }
+  }
+};
+
+const alignTo = (offset, alignment) =>
+  Math.ceil(offset / alignment) * alignment;
+
+/**
+ * Size and alignment of a type in bytes ({ size, align }, LP64), or null
+ * when the size is not known at compile time (incomplete types, void,
+ * functions, arrays without a constant length). Struct and union layouts
+ * need their members: getFields(type) returns [{ type, bitWidth? }] for a
+ * complete struct/union type and null otherwise. Bit-fields are packed
+ * into units of their declared type as the System V ABI does.
+ */
+export const typeLayout = (type, getFields = () => null) => {
+  const resolved = resolveType(type);
+  switch (resolved?.kind) {
+    case "integer":
+    case "floating": {
+      const size = resolved.width / 8;
+      return { size, align: size };
+    }
+    case "enum":
+      return { size: 4, align: 4 };
+    case "pointer":
+      return { size: 8, align: 8 };
+    case "array": {
+      const element = typeLayout(resolved.element, getFields);
+      if (!element || resolved.length === null) return null;
+      return { size: element.size * resolved.length, align: element.align };
+    }
+    case "struct":
+    case "union": {
+      const fields = getFields(resolved);
+      if (!fields) return null;
+
+      let bits = 0;
+      let size = 0;
+      let align = 1;
+      for (const field of fields) {
+        const layout = typeLayout(field.type, getFields);
+        if (!layout) return null;
+        const unitBits = layout.size * 8;
+
+        if (resolved.kind === "union") {
+          size = Math.max(size, layout.size);
+        } else if (field.bitWidth !== undefined) {
+          // A bit-field that would straddle a unit of its type starts the
+          // next unit; a zero width closes the current one
+          if (
+            field.bitWidth === 0 ||
+            (bits % unitBits) + field.bitWidth > unitBits
+          ) {
+            bits = alignTo(bits, unitBits);
+          }
+          bits += field.bitWidth;
+        } else {
+          bits = alignTo(bits, layout.align * 8) + layout.size * 8;
+        }
+        align = Math.max(align, layout.align);
+      }
+
+      if (resolved.kind === "struct") size = Math.ceil(bits / 8);
+      return { size: alignTo(size, align), align };
+    }
+    default:
+      return null;
+  }
+};
@@ -0,0 +1,242 @@
+/**
+ * Undefined behavior
+ *
+ * Checks for code whose behavior the C standard leaves undefined and
+ * that the type checks cannot see: a variable modified in an expression
+ * that also reads or modifies it with no sequence point in between, and
+ * a function returning the address of one of its own local variables.
+ */
+
+import { forEachChild } from "./astSchema";
+
+// Nodes that are evaluated as expressions; the outermost one reached
+// from a statement is a full expression
+const expressionTypes = [
+  "Identifier",
+  "Literal",
+  "BinaryExpression",
+  "AssignmentExpression",
+  "UnaryExpression",
+  "UpdateExpression",
+  "ConditionalExpression",
+  "SequenceExpression",
+  "CastExpression",
+  "SizeofExpression",
+  "CallExpression",
+  "ArrayAccess",
+  "MemberExpression",
+];
+
+// Operators whose first operand is evaluated, with all its side effects,
+// before the rest
+const sequencingOperators = ["&&", "||"];
+
+const noAccesses = () => ({ reads: new Set(), writes: new Set() });
+
+const mergeAccesses = (all) => {
+  const merged = noAccesses();
+  all.forEach(({ reads, writes }) => {
+    reads.forEach((symbol) => merged.reads.add(symbol));
+    writes.forEach((symbol) => merged.writes.add(symbol));
+  });
+  return merged;
+};
+
+/**
+ * Check the given function definitions for undefined behavior.
+ *
+ * `context` gives the analyzer's view of names:
+ * - symbolOf(identifier) the symbol an identifier refers to
+ * - isAutomatic(symbol)  whether a variable lives only until its block
+ *                        ends (locals that are not static, and
+ *                        parameters)
+ * - isArray(symbol)      whether a variable has array type
+ *
+ * Returns { kind, node, symbol, message, description } for each finding,
+ * with kind one of:
+ * - "unsequenced"  a variable modified and read, or modified twice,
+ *                  between two sequence points
+ * - "localAddress" a return of the address of an automatic variable
+ */
+export const findUndefinedBehavior = (functions, context) => {
+  const { symbolOf, isAutomatic, isArray } = context;
+  const problems = [];
+  const report = (kind, node, symbol, message, description) =>
+    problems.push({ kind, node, symbol, message, description });
+
+  // Report variables one operand modifies while another, unsequenced
+  // with it, reads or modifies them
+  const checkUnsequenced = (expression) => {
+    const reported = new Set();
+
+    const conflict = (node, symbol, twice) => {
+      if (reported.has(symbol)) return;
+      reported.add(symbol);
+      report(
+        "unsequenced",
+        node,
+        symbol,
+        twice
+          ? `Multiple unsequenced modifications to '${symbol.name}'`
+          : `Unsequenced modification and access to '${symbol.name}'`,
+        twice
+          ? `Nothing orders the two modifications of '${symbol.name}' in this expression, so the behavior is undefined, not just the order of evaluation. Split it into separate statements.`
+          : `Nothing orders the modification of '${symbol.name}' with the other use of it in this expression, so the behavior is undefined, not just the order of evaluation. Split it into separate statements.`
+      );
+    };
+
+    // Operands evaluated in no particular order must not modify what
+    // another one reads or modifies
+    const checkOperands = (node, operands) =>
+      operands.forEach((first, index) =>
+        operands.slice(index + 1).forEach((second) => {
+          first.writes.forEach((symbol) => {
+            if (second.writes.has(symbol) || second.reads.has(symbol)) {
+              conflict(node, symbol, second.writes.has(symbol));
+            }
+          });
+          second.writes.forEach((symbol) => {
+            if (first.reads.has(symbol) && !first.writes.has(symbol)) {
+              conflict(node, symbol, false);
+            }
+          });
+        })
+      );
+
+    // The variables an expression reads and modifies, checking its
+    // unsequenced operands on the way
+    const visit = (node) => {
+      if (!node) return noAccesses();
+
+      switch (node.type) {
+        case "SizeofExpression": // the operand is not evaluated
+        case "TypeName":
+          return noAccesses();
+        case "Identifier": {
+          const accesses = noAccesses();
+          const symbol = symbolOf(node);
+          if (symbol) accesses.reads.add(symbol);
+          return accesses;
+        }
+        case "UpdateExpression": {
+          const accesses = visit(node.argument);
+          const symbol =
+            node.argument.type === "Identifier" && symbolOf(node.argument);
+          if (symbol) accesses.writes.add(symbol);
+          return accesses;
+        }
+        case "AssignmentExpression": {
+          // "x = ..." does not read x; the store itself happens after
+          // both operands are evaluated, but their side effects are not
+          // ordered with it
+          const symbol = node.left.type === "Identifier" && symbolOf(node.left);
+          const target =
+            symbol && node.operator === "=" ? noAccesses() : visit(node.left);
+          const value = visit(node.right);
+          checkOperands(node, [target, value]);
+          if (symbol && value.writes.has(symbol)) conflict(node, symbol, true);
+          const accesses = mergeAccesses([target, value]);
+          if (symbol) accesses.writes.add(symbol);
+          return accesses;
+        }
+        case "BinaryExpression": {
+          const operands = [visit(node.left), visit(node.right)];
+          if (!sequencingOperators.includes(node.operator)) {
+            checkOperands(node, operands);
+          }
+          return mergeAccesses(operands);
+        }
+        case "CallExpression": {
+          const operands = [node.callee, ...node.arguments].map(visit);
+          checkOperands(node, operands);
+          return mergeAccesses(operands);
+        }
+        case "ArrayAccess": {
+          const operands = [visit(node.array), visit(node.index)];
+          checkOperands(node, operands);
+          return mergeAccesses(operands);
+        }
+        default: {
+          // The comma operator and ?: sequence their operands, and the
+          // other expressions have a single operand
+          const operands = [];
+          forEachChild(node, (child) => operands.push(visit(child)));
+          return mergeAccesses(operands);
+        }
+      }
+    };
+
+    visit(expression);
+  };
+
+  // The automatic variable whose storage an lvalue designates, as in
+  // "x", "x.member" and "x[i]" for an array x
+  const localObject = (node) => {
+    if (node.type === "Identifier") {
+      const symbol = symbolOf(node);
+      return symbol && isAutomatic(symbol) ? symbol : null;
+    }
+    if (node.type === "MemberExpression" && node.operator === ".") {
+      return localObject(node.object);
+    }
+    if (node.type === "ArrayAccess" && node.array.type === "Identifier") {
+      const symbol = symbolOf(node.array);
+      return symbol && isArray(symbol) ? localObject(node.array) : null;
+    }
+    return null;
+  };
+
+  // The automatic variable a pointer value points into: "&x", an array
+  // x that decays to a pointer, and arithmetic on either
+  const localAddress = (node) => {
+    switch (node?.type) {
+      case "CastExpression":
+        return localAddress(node.argument);
+      case "UnaryExpression":
+        return node.operator === "&" ? localObject(node.argument) : null;
+      case "Identifier": {
+        const symbol = localObject(node);
+        return symbol && isArray(symbol) ? symbol : null;
+      }
+      case "BinaryExpression":
+        return ["+", "-"].includes(node.operator)
+          ? localAddress(node.left) || localAddress(node.right)
+          : null;
+      case "ConditionalExpression":
+        return localAddress(node.consequent) || localAddress(node.alternate);
+      case "SequenceExpression":
+        return localAddress(node.expressions[node.expressions.length - 1]);
+      default:
+        return null;
+    }
+  };
+
+  const checkReturn = (statement) => {
+    const symbol = localAddress(statement.argument);
+    if (!symbol) return;
+    report(
+      "localAddress",
+      statement,
+      symbol,
+      `Function returns the address of local variable '${symbol.name}'`,
+      `'${symbol.name}' stops existing when the function returns, so the caller gets a dangling pointer and any use of it is undefined. Return the value itself, or keep it in storage that outlives the call, such as a static variable or a buffer passed in by the caller.`
+    );
+  };
+
+  // Walk a function body; every expression reached from a statement is
+  // a full expression, ended by a sequence point
+  const walk = (node) => {
+    if (!node || node.type === "FunctionDeclaration") return;
+    if (expressionTypes.includes(node.type)) {
+      checkUnsequenced(node);
+      return;
+    }
+    if (node.type === "ReturnStatement") checkReturn(node);
+    forEachChild(node, walk);
+  };
+  functions.forEach((fn) => fn.body.body.forEach(walk));
+
+  return problems.sort(
+    (a, b) => (a.node.location?.start || 0) - (b.node.location?.start || 0)
+  );
+};
@@ -0,0 +1,93 @@
+import { analyze, messages } from "./testUtils";
+
+const undefinedBehavior = /unsequenced|address of local|shift|by zero/i;
+
+// Undefined-behavior findings, as "line: message"
+const findings = (code) =>
+  messages(
+    analyze(code).filter(({ message }) => undefinedBehavior.test(message))
+  );
+
+describe("unsequenced side effects", () => {
+  it("reports variables modified and used with no sequence point between", () => {
+    expect(
+      findings(`int f(int a, int b) { return a + b; }
+int main(void) {
+  int i = 0, j = 0, a[4] = { 0 };
+  i = i++ + 1;
+  a[i] = i++;
+  return f(j++, j++) + a[0];
+}`)
+    ).toEqual([
+      "4: Multiple unsequenced modifications to 'i'",
+      "5: Unsequenced modification and access to 'i'",
+      "6: Multiple unsequenced modifications to 'j'",
+    ]);
+  });
+
+  it("accepts operators that sequence their operands", () => {
+    expect(
+      findings(`int main(void) {
+  int i = 0, k;
+  k = (i++, i + 1);
+  k = i++ && i;
+  k = i++ ? i : 0;
+  i = i + 1;
+  i += sizeof(i++);
+  return k + i;
+}`)
+    ).toEqual([]);
+  });
+});
+
+describe("addresses of locals", () => {
+  it("reports returning the address of an automatic variable", () => {
+    const code = `int *local(void) { int x = 0; return &x; }
+int *element(void) { int a[4] = { 0 }; return a + 1; }
+int *kept(void) { static int s; return &s; }
+int *param(int *p) { return p; }
+int main(void) { return *local() + *element() + *kept() + *param(0); }`;
+    expect(findings(code)).toEqual([
+      "1: Function returns the address of local variable 'x'",
+      "2: Function returns the address of local variable 'a'",
+    ]);
+  });
+});
+
+describe("arithmetic", () => {
+  it("reports shifts and integer division by known bad values", () => {
+    expect(
+      findings(`int main(void) {
+  int k = 1;
+  const int z = 0;
+  double d = 1.0;
+  k = k << 40;
+  k = k / 0;
+  k = k % z;
+  k /= 0;
+  d = d / 0;
+  return k + (int)d;
+}`)
+    ).toEqual([
+      "5: Shift count 40 >= width of type 'int' (32 bits)",
+      "6: Division by zero",
+      "7: Modulo by zero",
+      "8: Division by zero",
+    ]);
+  });
+
+  it("skips operands that never run", () => {
+    expect(
+      findings(`#define SAFE_DIV(a, b) ((b) ? (a) / (b) : 0)
+int main(void) {
+  int n = 3;
+  const int k = 0;
+  int w = k ? n / k : 1;
+  int v = SAFE_DIV(n, 0);
+  int u = k && n % k;
+  int t = k ? 1 : n / k;
+  return w + v + u + t;
+}`)
+    ).toEqual(["8: Division by zero"]);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Variable accesses
+ *
+ * Walks statements and expressions in evaluation order for the dataflow
+ * analyses that follow reads and stores of local variables, such as
+ * definite assignment and liveness.
+ */
+
+import { forEachChild } from "./astSchema";
+
+// Declarations that contain no reads of variables
+const skippedNodes = [
+  "FunctionDeclaration",
+  "StructDeclaration",
+  "UnionDeclaration",
+  "EnumDeclaration",
+  "Typedef",
+  "TypeName",
+  "SizeofExpression", // the operand is not evaluated
+];
+
+/**
+ * Make a visitor that reports the accesses under a node to `handlers`:
+ * - read(identifier, definite)     an identifier is evaluated
+ * - declare(declarator, definite)  after the initializer is walked
+ * - assign(assignment, definite)   after the right side is walked, and
+ *                                  before it the target when the
+ *                                  assignment is compound
+ * - addressOf(unary, definite)     "&x"; without it the operand is walked
+ *                                  as a read
+ *
+ * The visitor is called as visit(node, definite). `definite` is false
+ * inside operands that may not be evaluated, such as the right side of
+ * && or a branch of ?:, and is passed on to the handlers.
+ */
+export const accessVisitor = (handlers) => {
+  const { read, declare, assign, addressOf } = handlers;
+
+  const visit = (node, definite) => {
+    if (!node || skippedNodes.includes(node.type)) return;
+
+    switch (node.type) {
+      case "Identifier":
+        read(node, definite);
+        break;
+      case "VariableDeclaration":
+        node.declarations.forEach((declarator) => {
+          visit(declarator.init, definite);
+          declare(declarator, definite);
+        });
+        break;
+      case "AssignmentExpression":
+        // A compound assignment reads the target first
+        if (node.operator !== "=") visit(node.left, definite);
+        visit(node.right, definite);
+        assign(node, definite);
+        break;
+      case "UnaryExpression":
+        if (node.operator === "&" && addressOf) addressOf(node, definite);
+        else visit(node.argument, definite);
+        break;
+      case "BinaryExpression":
+        visit(node.left, definite);
+        visit(node.right, definite && !["&&", "||"].includes(node.operator));
+        break;
+      case "ConditionalExpression":
+        visit(node.test, definite);
+        visit(node.consequent, false);
+        visit(node.alternate, false);
+        break;
+      default:
+        forEachChild(node, (child) => visit(child, definite));
+    }
+  };
+
+  return visit;
+};